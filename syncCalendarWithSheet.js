@@ -47,18 +47,10 @@
  * 
  *       // 菜单项函数必须在用户表格中定义（包装函数）
  *       function menuRunSync() {
- *         try {
- *           const ui = SpreadsheetApp.getUi();
- *           const response = ui.alert('确认执行同步', '是否继续？', ui.ButtonSet.YES_NO);
- *           if (response === ui.Button.YES) {
- *             CalendarSyncLib.main();
- *             ui.alert('同步完成', '课程同步已完成', ui.ButtonSet.OK);
- *           }
- *         } catch (error) {
- *           SpreadsheetApp.getUi().alert('执行错误', error.message, ui.ButtonSet.OK);
- *         }
+ *         CalendarSyncLib.menuRunSync();
  *       }
  * 
+ *       function menuPreviewSync() { CalendarSyncLib.menuPreviewSync(); }
  *       function menuViewConfig() { CalendarSyncLib.menuViewConfig(); }
  *       function menuViewStatus() { CalendarSyncLib.menuViewStatus(); }
  *       function menuAbout() { CalendarSyncLib.menuAbout(); }
@@ -72,6 +64,8 @@
  *    - createMenu() - 创建自定义菜单
  *    - main() - 执行同步（主函数）
  *    - menuRunSync() - 菜单项：执行同步
+ *    - previewSync() - 生成同步预览（只写入 _SyncPreview 表，不修改日历）
+ *    - menuPreviewSync() - 菜单项：预览同步
  *    - menuViewConfig() - 菜单项：查看配置
  *    - menuViewStatus() - 菜单项：查看状态表
  *    - menuAbout() - 菜单项：关于
@@ -92,10 +86,93 @@ const CONFIG = {
   // 隐藏状态表名称前缀（实际状态表名称 = STATUS_SHEET_PREFIX + Sheet名称）
   STATUS_SHEET_PREFIX: '_StatusLog_',
   
+  // 同步预览表名称（预览模式只写入此表，不修改日历）
+  PREVIEW_SHEET_NAME: '_SyncPreview',
+  
+  // 双向同步的默认策略（日历和表格都被修改时如何处理）：
+  // '表格优先'、'日历优先'、'标记待确认'，或 '关闭'（只同步表格 → 日历）
+  // 可在配置表的"双向同步"列中按 Sheet 单独设置
+  TWO_WAY_SYNC_POLICY: '表格优先',
+  
+  // 事件标题的默认模板，例如 '{课次} {学生}'（{列名} 替换为该列的值）
+  // 为空时沿用原有规则（"课程内容/主题"列，否则第一个自定义字段）；可在配置表的"标题模板"列中按 Sheet 单独设置
+  TITLE_TEMPLATE: '',
+  
+  // 事件描述的默认模板（每行一个字段，例如 '课次：{课次}\n上课链接：{Meet链接}'）
+  // 为空时列出所有自定义字段（按字段名排序）；可在配置表的"描述模板"列中按 Sheet 单独设置
+  DESCRIPTION_TEMPLATE: '',
+  
+  // 邮件模板表名称（列：类型、语言、主题、正文）；没有此表或缺少某种类型/语言时使用内置模板
+  EMAIL_TEMPLATE_SHEET_NAME: '_EmailTemplates',
+  
+  // 通知邮件的默认语言（'zh' 或 'en'，也可以是邮件模板表中使用的其他语言代码）
+  // 可在配置表的"邮件语言"列中按 Sheet 或按收件人单独设置
+  EMAIL_LANGUAGE: 'zh',
+  
+  // 同步报告：每次同步（含续跑）全部完成后，给管理员发送汇总邮件
+  ADMIN_REPORT: {
+    // 接收所有 Sheet 报告的管理员邮箱（逗号分隔，为空表示不发送）；也可以在配置表的"管理员邮箱"列中按 Sheet 设置
+    RECIPIENTS: '',
+    // 默认发送方式：'总是' 或 '仅失败时'；可在配置表的"管理员报告"列中按 Sheet 单独设置
+    MODE: '总是',
+    // 报告中每个 Sheet 最多列出的失败行和取消课程数
+    MAX_ROWS: 50
+  },
+  
+  // 增量变更检测：每个日历的 syncToken 保存在 Script Properties 中，属性名为此前缀 + 日历ID
+  CALENDAR_SYNC_TOKEN_PREFIX: 'calendarSyncToken_',
+  // 首次同步或 syncToken 过期时需要完整列出事件才能取得新的 syncToken：只列出最近多少天内结束及之后的事件，
+  // 避免在历史很长的日历上翻页用完执行时间（之后被删除的事件总会出现在增量检测的结果中）
+  CALENDAR_FULL_SYNC_LOOKBACK_DAYS: 30,
+  
+  // 数据校验：单节课的最长时长（分钟），超过时给出警告；可在配置表的"最长课时"列中按 Sheet 单独设置
+  MAX_LESSON_MINUTES: 240,
+  
+  // 撞课报告表名称（同一老师或学生在多个课程中时间重叠）
+  CONFLICT_SHEET_NAME: '_ConflictReport',
+  
+  // 同步记录表：每次同步（含续跑）完成后追加记录，超过最大行数时删除最早的记录
+  RUN_LOG: {
+    SHEET_NAME: '_SyncRunLog',
+    MAX_ROWS: 2000
+  },
+  
+  // 撞课默认处理方式：'警告'（只写入撞课报告表）或 '拒绝'（不同步撞课的行）
+  // 可在配置表的"撞课处理"列中按 Sheet 单独设置
+  DOUBLE_BOOKING_MODE: '警告',
+  
   // 时区设置
   TIMEZONE: 'Asia/Shanghai',
   
   // 速率限制配置
+  // 单次执行的时间预算（毫秒）。Apps Script 单次执行最长 6 分钟，
+  // 用完预算时保存进度并创建一次性触发器（continueSync）从中断处继续
+  EXECUTION_TIME_BUDGET_MS: 4.5 * 60 * 1000,
+  
+  // 续跑触发器的延迟（毫秒）
+  CONTINUATION_DELAY_MS: 60 * 1000,
+  
+  // 续跑进度保存在 Script Properties 中的属性名（只保存中断的位置和各 Sheet 的计数，其余内容见 saveSyncCursor()）
+  SYNC_CURSOR_PROPERTY: 'syncResumeCursor',
+  
+  // 同步锁：防止定时同步和手动同步同时执行（同时读取状态表会重复创建事件）
+  SYNC_LOCK: {
+    // 另一个同步正在执行时，最多等待多久（毫秒），超时则放弃本次执行
+    WAIT_MS: 30 * 1000,
+    // 同步锁超过多久（毫秒）视为异常中断的执行留下的，自动回收（应大于单次执行的最长时间 6 分钟）
+    STALE_AFTER_MS: 10 * 60 * 1000,
+    // 等待期间的检查间隔（毫秒）
+    POLL_INTERVAL_MS: 2000,
+    // 同步锁保存在 Document Properties 中的属性名
+    PROPERTY: 'syncRunLock'
+  },
+  
+  // 自动同步触发器的说明（每小时/每天几点/编辑后）保存在 Script Properties 中的属性名
+  AUTO_SYNC_TRIGGERS_PROPERTY: 'autoSyncTriggers',
+  
+  // 编辑课程表后，延迟多久执行同步（毫秒），期间的多次编辑合并为一次同步
+  EDIT_SYNC_DELAY_MS: 5 * 60 * 1000,
+  
   RATE_LIMIT: {
     // 每次操作之间的延迟（毫秒）
     DELAY_BETWEEN_OPERATIONS: 500,
@@ -108,6 +185,252 @@ const CONFIG = {
   }
 };
 
+// 同步操作类型（用于判断课程记录需要执行的操作，以及预览表中的"操作"列）
+const SYNC_ACTION = {
+  CREATE: '创建',
+  UPDATE: '更新',
+  RECREATE: '重建',
+  RETRY: '重试',
+  SKIP: '跳过',
+  CANCEL: '取消',
+  DELETE_OLD: '删除旧事件',
+  CONFLICT: '撞课',
+  SILENT_UPDATE: '静默更新', // 只有静默列变化：只更新事件描述，不通知受邀者
+  DUPLICATE: '记录ID重复' // 复制行时连记录ID一起复制：本次不同步，记为失败
+};
+
+/**
+ * 课程内容变化的级别（按 Sheet 配置的"静默列"和"忽略列"区分）
+ */
+const COURSE_CHANGE = {
+  NONE: '无变化',
+  IGNORED: '忽略',     // 只有忽略列变化：不修改日历事件
+  SILENT: '静默',      // 只有静默列变化：更新事件描述，不通知受邀者
+  SIGNIFICANT: '重要'  // 时间、标题或其他列变化：更新事件并通知受邀者
+};
+
+/**
+ * 管理员报告的发送方式
+ */
+const ADMIN_REPORT_MODE = {
+  ALWAYS: '总是',
+  ON_FAILURE: '仅失败时' // 有失败的行或 Sheet 同步失败时才发送
+};
+
+/**
+ * 视为处理失败的状态（同步面板中列出这些行，"重试失败"重新处理这些行）
+ */
+const FAILED_STATUSES = ['失败', '部分失败', '冲突'];
+
+/**
+ * 同步的触发来源（记录在同步记录表中）
+ */
+const SYNC_SOURCE = {
+  MENU: '菜单',     // 菜单"执行同步"
+  TRIGGER: '触发器', // 定时同步、编辑后同步
+  API: 'API'        // 在脚本编辑器中运行，或从其他脚本调用 main()
+};
+
+/**
+ * 同步记录表（CONFIG.RUN_LOG.SHEET_NAME）的表头
+ */
+const RUN_LOG_HEADERS = ['运行ID', '触发来源', '开始时间', '结束时间', '用户', '执行次数', 'Sheet', '创建', '更新', '跳过', '取消', '失败', '错误'];
+
+/**
+ * 续跑进度分段保存时每段的最大字符数（Script Properties 单个值最大 9KB，CacheService 单个值最大 100KB，
+ * 按每个字符最多 3 字节计算）和缓存的保存时间（CacheService 最长 6 小时）
+ */
+const SYNC_CURSOR_STORAGE = {
+  PROPERTY_CHUNK_CHARS: 3000,
+  CACHE_CHUNK_CHARS: 30000,
+  CACHE_EXPIRATION_SECONDS: 6 * 60 * 60
+};
+
+/**
+ * 同步阶段（续跑进度中记录中断时所处的阶段）
+ */
+const SYNC_PHASE = {
+  DOUBLE_BOOKING: '撞课检测', // 检测所有 Sheet 之间的撞课（续跑时重新检测，然后从第一个 Sheet 开始）
+  CANCEL: '取消课程',         // 处理课程表中被删除的行
+  PULL: '拉取日历修改',       // 双向同步：把日历端的修改拉回课程表
+  PLAN: '检查课程',           // 判断每一行是否需要处理（需要时逐行验证日历事件是否存在）
+  SYNC: '同步课程'            // 创建/更新日历事件
+};
+
+/**
+ * 自动同步触发器调用的函数名（作为库使用时，用户表格中需要定义同名的包装函数）
+ */
+const AUTO_SYNC_HANDLERS = {
+  SCHEDULED: 'main',             // 定时同步（每小时/每天）
+  EDIT: 'onCourseSheetEdit',     // 可安装的编辑触发器
+  QUEUED: 'runQueuedSync'        // 编辑后延迟执行的一次性同步
+};
+
+/**
+ * CalendarApp 创建的事件上记录固定事件ID的标签（CalendarApp 无法指定事件ID，重试时按标签找回已创建的事件）
+ */
+const EVENT_KEY_TAG = 'courseSyncEventId';
+
+/**
+ * 撞课检测和空闲检查展开重复课程的上限（没有次数和截止日期的规则，或次数很多的规则只检查这个范围内的课次）
+ */
+const RECURRENCE_EXPANSION_LIMIT = {
+  MAX_OCCURRENCES: 500,
+  MAX_DAYS: 5 * 366
+};
+
+/**
+ * 空闲检查每次查询忙闲状态的最长时间范围（天），重复课程的课次按此分段查询
+ */
+const FREE_BUSY_QUERY_MAX_DAYS = 60;
+
+/**
+ * 冲突备注前缀（写在正式表"开始时间"单元格上，用于识别和清除本脚本写入的备注）
+ */
+const CONFLICT_NOTE_PREFIX = '⚠️ 冲突（未同步）\n';
+
+/**
+ * 失败备注前缀和背景色（写在正式表"开始时间"单元格上，同步成功后只清除本脚本写入的备注和背景色）
+ * 单元格已有用户设置的背景色时不标记背景色，只写入备注
+ */
+const ERROR_NOTE_PREFIX = '❌ 同步失败\n';
+const ERROR_HIGHLIGHT_COLOR = '#f4cccc';
+const DEFAULT_CELL_BACKGROUNDS = ['', '#ffffff', 'white'];
+
+/**
+ * 课程表中老师/学生邮箱列支持的表头（清理后的表头：小写、无空格）
+ */
+const TEACHER_EMAIL_HEADERS = ['老师邮箱', '老师邮件', '教师邮箱', 'teacheremail', 'teacher_email', 'teachermail'];
+const STUDENT_EMAIL_HEADERS = ['学生邮箱', '学生邮件', '学员邮箱', 'studentemail', 'student_email', 'studentmail'];
+
+/**
+ * 课程表的逻辑字段：名称、列映射中可用的写法和默认表头（清理后的表头：小写、无空格）
+ * 可在配置表的"列映射"列中按 Sheet 指定实际的表头，如"开始时间=Start; 老师=Tutor"
+ */
+const COURSE_COLUMN_FIELDS = {
+  start: { label: '开始时间', keys: ['开始时间', '开始', 'start', 'starttime'], headers: ['开始时间', 'starttime', '开始', 'start', '上课时间'], required: true },
+  end: { label: '结束时间', keys: ['结束时间', '结束', 'end', 'endtime'], headers: ['结束时间', 'endtime', '结束', 'end', '下课时间'] },
+  lesson: { label: '课次', keys: ['课次', 'lesson', 'lessonnumber'], headers: ['课次', 'lesson', 'lessonnumber', '课程次数'] },
+  title: { label: '标题', keys: ['标题', '课程内容', '主题', 'title'], headers: ['课程内容/主题', '课程内容', '主题', 'coursetitle', '课程主题', 'title'] },
+  teacher: { label: '老师', keys: ['老师', 'teacher'], headers: ['老师', 'teacher', '教师'] },
+  student: { label: '学生', keys: ['学生', 'student'], headers: ['学生', 'student', '学员'] },
+  location: { label: '地点', keys: ['地点', 'location'], headers: ['地点', 'location', '上课地点', '教室'] },
+  reason: { label: '原因', keys: ['原因', '调整原因', 'reason'], headers: ['调整原因', '变更原因', '原因', 'reason'] },
+  teacherEmail: { label: '老师邮箱', keys: ['老师邮箱', 'teacheremail'], headers: TEACHER_EMAIL_HEADERS },
+  studentEmail: { label: '学生邮箱', keys: ['学生邮箱', 'studentemail'], headers: STUDENT_EMAIL_HEADERS }
+};
+
+/**
+ * 通知邮件的类型（邮件模板表"类型"列的值）
+ */
+const EMAIL_TYPE = {
+  CANCEL: '取消',     // 课程表中的行被删除
+  RESCHEDULE: '调整'  // 同一条记录的开始时间变化
+};
+
+/**
+ * 内置邮件模板（类型 → 语言 → {subject, body}），邮件模板表中没有对应的模板时使用
+ * 占位符见 buildEmailTemplateContext()
+ */
+const DEFAULT_EMAIL_TEMPLATES = {
+  '取消': {
+    zh: {
+      subject: '课程取消通知：{标题}',
+      body: [
+        '<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">',
+        '<h2 style="color: #d32f2f;">课程取消通知</h2>',
+        '<p>您好，</p>',
+        '<p>很遗憾地通知您，以下课程已被取消：</p>',
+        '<div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">',
+        '<p><strong>课程主题：</strong>{标题}</p>',
+        '<p><strong>课次：</strong>{课次}</p>',
+        '<p><strong>原定日期：</strong>{日期:yyyy-MM-dd} {星期}</p>',
+        '<p><strong>上课时间：</strong>{开始时间} - {结束时间}</p>',
+        '<p><strong>老师：</strong>{老师}</p>',
+        '<p><strong>取消原因：</strong>{原因}</p>',
+        '</div>',
+        '<p>课程事件已从您的日历中删除。</p>',
+        '<p>如有任何问题，请及时联系。</p>',
+        '<p style="margin-top: 30px; color: #666; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>',
+        '</div>'
+      ].join('\n')
+    },
+    en: {
+      subject: 'Lesson cancelled: {标题}',
+      body: [
+        '<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">',
+        '<h2 style="color: #d32f2f;">Lesson Cancelled</h2>',
+        '<p>Hello,</p>',
+        '<p>We are sorry to let you know that the following lesson has been cancelled:</p>',
+        '<div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">',
+        '<p><strong>Lesson:</strong> {标题}</p>',
+        '<p><strong>Session:</strong> {课次}</p>',
+        '<p><strong>Date:</strong> {日期:EEEE, MMM d, yyyy}</p>',
+        '<p><strong>Time:</strong> {开始时间} - {结束时间}</p>',
+        '<p><strong>Teacher:</strong> {老师}</p>',
+        '<p><strong>Reason:</strong> {原因}</p>',
+        '</div>',
+        '<p>The event has been removed from your calendar.</p>',
+        '<p>If you have any questions, please get in touch.</p>',
+        '<p style="margin-top: 30px; color: #666; font-size: 12px;">This is an automated message, please do not reply.</p>',
+        '</div>'
+      ].join('\n')
+    }
+  },
+  '调整': {
+    zh: {
+      subject: '课程调整通知：{标题}',
+      body: [
+        '<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">',
+        '<h2 style="color: #f57c00;">课程调整通知</h2>',
+        '<p>您好，</p>',
+        '<p>以下课程的上课时间已调整：</p>',
+        '<div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">',
+        '<p><strong>课程主题：</strong>{标题}</p>',
+        '<p><strong>课次：</strong>{课次}</p>',
+        '<p><strong>原定时间：</strong><s>{原日期:yyyy-MM-dd} {原星期} {原开始时间} - {原结束时间}</s></p>',
+        '<p><strong>调整后时间：</strong>{日期:yyyy-MM-dd} {星期} {开始时间} - {结束时间}</p>',
+        '<p><strong>老师：</strong>{老师}</p>',
+        '<p><strong>调整原因：</strong>{原因}</p>',
+        '</div>',
+        '<p>日历中的课程事件已同步更新。</p>',
+        '<p>如有任何问题，请及时联系。</p>',
+        '<p style="margin-top: 30px; color: #666; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>',
+        '</div>'
+      ].join('\n')
+    },
+    en: {
+      subject: 'Lesson rescheduled: {标题}',
+      body: [
+        '<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">',
+        '<h2 style="color: #f57c00;">Lesson Rescheduled</h2>',
+        '<p>Hello,</p>',
+        '<p>The following lesson has been moved to a new time:</p>',
+        '<div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">',
+        '<p><strong>Lesson:</strong> {标题}</p>',
+        '<p><strong>Session:</strong> {课次}</p>',
+        '<p><strong>Was:</strong> <s>{原日期:EEEE, MMM d, yyyy} {原开始时间} - {原结束时间}</s></p>',
+        '<p><strong>Now:</strong> {日期:EEEE, MMM d, yyyy} {开始时间} - {结束时间}</p>',
+        '<p><strong>Teacher:</strong> {老师}</p>',
+        '<p><strong>Reason:</strong> {原因}</p>',
+        '</div>',
+        '<p>The event in your calendar has been updated.</p>',
+        '<p>If you have any questions, please get in touch.</p>',
+        '<p style="margin-top: 30px; color: #666; font-size: 12px;">This is an automated message, please do not reply.</p>',
+        '</div>'
+      ].join('\n')
+    }
+  }
+};
+
+/**
+ * 取消邮件中 {原因} 的默认值（按语言；课程表中有"原因"列且填写了时使用该列的值）
+ */
+const CANCELLATION_REASONS = {
+  zh: '课程已从课程表中删除',
+  en: 'The lesson was removed from the schedule'
+};
+
 // ==================== 菜单功能 ====================
 
 /**
@@ -130,9 +453,21 @@ function createMenu() {
     // 创建自定义菜单
     ui.createMenu('📅 课程同步')
       .addItem('🔄 执行同步', 'menuRunSync')
+      .addItem('👀 预览同步', 'menuPreviewSync')
+      .addItem('✅ 校验数据', 'menuValidateData')
       .addSeparator()
       .addItem('📋 查看配置', 'menuViewConfig')
+      .addItem('📈 同步面板', 'menuShowDashboard')
       .addItem('📊 查看状态表', 'menuViewStatus')
+      .addItem('📜 查看同步记录', 'menuViewRunLog')
+      .addSeparator()
+      .addSubMenu(ui.createMenu('⏰ 自动同步')
+        .addItem('每小时同步', 'menuInstallHourlySync')
+        .addItem('每天定时同步…', 'menuInstallDailySync')
+        .addItem('编辑课程表后自动同步', 'menuInstallEditSync')
+        .addSeparator()
+        .addItem('查看自动同步', 'menuViewAutoSync')
+        .addItem('移除自动同步', 'menuRemoveAutoSync'))
       .addSeparator()
       .addItem('ℹ️ 关于', 'menuAbout')
       .addToUi();
@@ -176,15 +511,29 @@ function menuRunSync() {
       
       try {
         // 执行主函数
-        main();
+        const summary = main({ source: SYNC_SOURCE.MENU });
         
         Logger.log('菜单执行同步：main() 执行完成，显示完成提示');
-        // 显示完成提示
-        ui.alert(
-          '同步完成',
-          '课程同步已完成，请查看执行日志了解详细信息。',
-          ui.ButtonSet.OK
-        );
+        // 显示完成提示（数据量大时会分几次执行，剩余部分由续跑触发器自动完成）
+        if (summary && summary.busy) {
+          ui.alert(
+            '同步正在进行中',
+            `另一个同步正在执行（${describeSyncLockHolder(summary.holder)}），为避免重复创建日历事件，本次没有执行。\n\n请稍后再试。`,
+            ui.ButtonSet.OK
+          );
+        } else if (summary && summary.interrupted) {
+          ui.alert(
+            '同步未全部完成',
+            '课程较多，本次执行时间已用完，剩余课程将在约 1 分钟后自动继续同步，请稍后查看执行日志。',
+            ui.ButtonSet.OK
+          );
+        } else {
+          ui.alert(
+            '同步完成',
+            '课程同步已完成，请查看执行日志了解详细信息。',
+            ui.ButtonSet.OK
+          );
+        }
       } catch (mainError) {
         Logger.log('菜单执行同步：main() 执行失败: ' + mainError.message);
         if (mainError.stack) {
@@ -219,6 +568,34 @@ function menuRunSync() {
   }
 }
 
+/**
+ * 菜单项：预览同步（只生成同步计划，不修改日历、不发送邮件）
+ */
+function menuPreviewSync() {
+  try {
+    const ui = SpreadsheetApp.getUi();
+    const entries = previewSync();
+
+    ui.alert(
+      '预览完成',
+      `共计划 ${entries.length} 项操作，详情请查看 "${CONFIG.PREVIEW_SHEET_NAME}" 表。\n\n预览不会修改日历，也不会发送任何邮件。`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    Logger.log('预览同步错误: ' + error.message);
+    try {
+      const ui = SpreadsheetApp.getUi();
+      ui.alert(
+        '预览错误',
+        '生成同步预览时发生错误：\n' + (error.message || error.toString() || '未知错误'),
+        ui.ButtonSet.OK
+      );
+    } catch (uiError) {
+      Logger.log('无法显示错误对话框: ' + uiError.message);
+    }
+  }
+}
+
 /**
  * 菜单项：查看配置
  */
@@ -291,7 +668,7 @@ function menuViewStatus() {
           <select id="sheetSelect" style="width: 100%; padding: 8px; margin: 10px 0;">
             ${sheetNames.map(name => `<option value="${name}">${name}</option>`).join('')}
           </select>
-          <button onclick="google.script.host.close(); google.script.run('menuViewStatusSheet', document.getElementById('sheetSelect').value)" 
+          <button onclick="google.script.run.withSuccessHandler(function () { google.script.host.close(); }).menuViewStatusSheet(document.getElementById('sheetSelect').value)" 
                   style="width: 100%; padding: 10px; background: #4285F4; color: white; border: none; border-radius: 4px; cursor: pointer;">
             查看状态表
           </button>
@@ -358,11 +735,141 @@ function menuViewStatusSheet(sheetName) {
   }
 }
 
+/**
+ * 菜单项：查看同步记录
+ */
+function menuViewRunLog() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.RUN_LOG.SHEET_NAME);
+    if (!sheet) {
+      ui.alert(
+        '同步记录不存在',
+        `找不到同步记录表 "${CONFIG.RUN_LOG.SHEET_NAME}"，请先执行一次同步。`,
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+    
+    // 显示同步记录表（取消隐藏），定位到最新的记录
+    sheet.showSheet();
+    sheet.activate();
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(sheet.getLastRow(), 1).activate();
+    }
+  } catch (error) {
+    ui.alert(
+      '查看同步记录错误',
+      '查看同步记录时发生错误：\n' + error.message,
+      ui.ButtonSet.OK
+    );
+    Logger.log('查看同步记录错误: ' + error.message);
+  }
+}
+
+/**
+ * 菜单项：安装每小时同步的触发器
+ */
+function menuInstallHourlySync() {
+  runAutoSyncMenu(() => {
+    const description = installScheduledSyncTrigger({ type: 'hourly' });
+    return `已设置自动同步：${description}。`;
+  });
+}
+
+/**
+ * 菜单项：安装每天定时同步的触发器（输入几点执行）
+ */
+function menuInstallDailySync() {
+  runAutoSyncMenu(() => {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt(
+      '每天定时同步',
+      '请输入每天同步的时间（0-23 点，例如 7 表示每天 7 点左右）：',
+      ui.ButtonSet.OK_CANCEL
+    );
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      return null;
+    }
+    const text = String(response.getResponseText() || '').trim().replace(/[点时:：]00?$|[点时]$/, '');
+    const hour = Number(text);
+    if (text === '' || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error(`无法识别的时间: "${response.getResponseText()}"，请输入 0-23 之间的整数`);
+    }
+    const description = installScheduledSyncTrigger({ type: 'daily', hour: hour });
+    return `已设置自动同步：${description}。`;
+  });
+}
+
+/**
+ * 菜单项：安装编辑后自动同步的触发器
+ */
+function menuInstallEditSync() {
+  runAutoSyncMenu(() => {
+    const installed = installEditSyncTrigger();
+    const delayMinutes = Math.round(CONFIG.EDIT_SYNC_DELAY_MS / 60000);
+    return installed ?
+      `已开启编辑后自动同步：编辑课程表约 ${delayMinutes} 分钟后自动执行同步（期间的多次编辑只同步一次）。` :
+      '编辑后自动同步已经开启，无需重复设置。';
+  });
+}
+
+/**
+ * 菜单项：查看自动同步触发器
+ */
+function menuViewAutoSync() {
+  runAutoSyncMenu(() => {
+    const descriptions = describeAutoSyncTriggers();
+    return descriptions.length > 0 ?
+      '当前的自动同步：\n\n' + descriptions.map(text => '• ' + text).join('\n') :
+      '当前没有设置自动同步。';
+  });
+}
+
+/**
+ * 菜单项：移除所有自动同步触发器
+ */
+function menuRemoveAutoSync() {
+  runAutoSyncMenu(() => {
+    const removed = removeAutoSyncTriggers();
+    return removed > 0 ? `已移除 ${removed} 个自动同步触发器。` : '当前没有设置自动同步。';
+  });
+}
+
+/**
+ * 执行自动同步菜单操作，并用对话框显示结果或错误
+ * @param {Function} action - 返回要显示的消息（返回 null 表示用户取消，不显示）
+ */
+function runAutoSyncMenu(action) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const message = action();
+    if (message) {
+      ui.alert('自动同步', message, ui.ButtonSet.OK);
+    }
+  } catch (error) {
+    Logger.log('自动同步设置错误: ' + error.message);
+    ui.alert('自动同步设置错误', '设置自动同步时发生错误：\n' + error.message, ui.ButtonSet.OK);
+  }
+}
+
 /**
  * 菜单项：关于
  */
 function menuAbout() {
   const ui = SpreadsheetApp.getUi();
+  
+  // 自动同步触发器的状态（读取失败时不影响显示其他信息）
+  let autoSyncText = '未设置';
+  try {
+    const descriptions = describeAutoSyncTriggers();
+    if (descriptions.length > 0) {
+      autoSyncText = descriptions.join('；');
+    }
+  } catch (error) {
+    autoSyncText = '无法读取（' + error.message + '）';
+  }
+  
   const html = HtmlService.createHtmlOutput(`
     <div style="font-family: Arial, sans-serif; padding: 20px; line-height: 1.6;">
       <h2 style="color: #4285F4;">📅 课程同步系统</h2>
@@ -378,6 +885,7 @@ function menuAbout() {
       </ul>
       <p><strong>配置表：</strong>${CONFIG.CONFIG_SHEET_NAME}</p>
       <p><strong>状态表前缀：</strong>${CONFIG.STATUS_SHEET_PREFIX}</p>
+      <p><strong>自动同步：</strong>${autoSyncText}</p>
       <hr>
       <p style="color: #666; font-size: 12px;">使用菜单中的"执行同步"来开始处理课程数据。</p>
     </div>
@@ -408,78 +916,595 @@ function cleanHeaderText(text) {
   return cleaned;
 }
 
-// ==================== 主函数 ====================
+/**
+ * 判断课程表的表头是否是老师/学生邮箱列（支持编号的重复列，如"学生邮箱2"）
+ * @param {string} header - 表头
+ * @returns {string|null} 'teacher'、'student' 或 null
+ */
+function getEmailColumnRole(header) {
+  const cleaned = cleanHeaderText(header).replace(/[_-]*\d+$/, '');
+  if (TEACHER_EMAIL_HEADERS.includes(cleaned)) return 'teacher';
+  if (STUDENT_EMAIL_HEADERS.includes(cleaned)) return 'student';
+  return null;
+}
 
 /**
- * 主执行函数 - 处理所有课程记录
- * 从配置表 _SheetConfig 读取要处理的 sheet 列表，然后循环处理每个 sheet
+ * 判断课程表的某一列是否是老师/学生邮箱列：列映射中指定的邮箱列，或按表头识别（getEmailColumnRole()）
+ * @param {string} header - 表头
+ * @param {number} index - 列索引
+ * @param {Object} columns - resolveCourseColumns() 的结果
+ * @returns {string|null} 'teacher'、'student' 或 null
  */
-function main() {
-  try {
-    Logger.log('通知\t已开始执行');
-    Logger.log('main() 函数开始执行');
-    
-    Logger.log('获取当前表格对象');
-    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-    if (!spreadsheet) {
-      throw new Error('无法获取当前表格对象，请确保在 Google 表格中运行此脚本');
+function getCourseEmailColumnRole(header, index, columns) {
+  if (columns.teacherEmail && columns.teacherEmail.index === index) return 'teacher';
+  if (columns.studentEmail && columns.studentEmail.index === index) return 'student';
+  return getEmailColumnRole(header);
+}
+
+/**
+ * 解析配置表中的表头列表（如"静默列"、"忽略列"），逗号、分号、顿号或换行分隔
+ * @param {string} value - 单元格内容
+ * @returns {Array<string>} 表头列表
+ */
+function parseHeaderList(value) {
+  return String(value || '').split(/[,，;；、\n]+/).map(header => header.trim()).filter(header => header);
+}
+
+/**
+ * 解析配置表中的"列映射"列
+ * 格式：每项"字段=表头"，用分号或换行分隔，如"开始时间=Start; 结束时间=End; 老师=Tutor"
+ * @param {string} value - 单元格内容
+ * @returns {Object} 逻辑字段（COURSE_COLUMN_FIELDS 的键）→ 表头
+ */
+function parseColumnMapping(value) {
+  const mapping = {};
+  String(value || '').split(/[;；\n]+/).forEach(item => {
+    const separatorIndex = item.search(/[=＝]/);
+    if (separatorIndex === -1) {
+      if (item.trim()) {
+        Logger.log(`警告：无法识别的列映射（应为"字段=表头"）: ${item.trim()}`);
+      }
+      return;
     }
-    Logger.log('表格对象获取成功: ' + spreadsheet.getName());
-    
-    // 从配置表读取要处理的 sheet 配置信息
-    Logger.log('开始读取配置表');
-    const sheetConfigMap = readSheetConfig(spreadsheet);
-    Logger.log('配置表读取完成');
-    
-    if (sheetConfigMap.size === 0) {
-      Logger.log('警告：没有找到需要处理的 sheet，请检查配置表 _SheetConfig');
+    const key = cleanHeaderText(item.substring(0, separatorIndex));
+    const header = item.substring(separatorIndex + 1).trim();
+    const field = Object.keys(COURSE_COLUMN_FIELDS).find(name => COURSE_COLUMN_FIELDS[name].keys.includes(key));
+    if (!field) {
+      Logger.log(`警告：列映射中的字段无法识别: ${item.trim()}（支持：${Object.values(COURSE_COLUMN_FIELDS).map(def => def.label).join('、')}）`);
       return;
     }
-    
-    Logger.log(`从配置表读取到 ${sheetConfigMap.size} 个需要处理的 sheet: ${Array.from(sheetConfigMap.keys()).join(', ')}`);
-    
-    // 循环处理每个 sheet
-    const allResults = [];
-    for (const [sheetName, config] of sheetConfigMap) {
-      try {
-        Logger.log(`\n========== 开始处理 Sheet: ${sheetName} ==========`);
-        const result = processSheet(spreadsheet, sheetName, config);
-        allResults.push({
-          sheetName: sheetName,
-          success: result.success,
-          total: result.total,
-          processed: result.processed,
-          failed: result.failed,
-          error: result.error
-        });
-        Logger.log(`========== Sheet ${sheetName} 处理完成 ==========\n`);
-      } catch (error) {
-        Logger.log(`处理 Sheet ${sheetName} 时发生错误: ${error.message}`);
-        allResults.push({
-          sheetName: sheetName,
-          success: false,
-          total: 0,
-          processed: 0,
-          failed: 0,
-          error: error.message
-        });
-      }
+    if (header) {
+      mapping[field] = header;
     }
-    
-    // 输出汇总结果
-    Logger.log('\n=== 所有 Sheet 处理结果汇总 ===');
-    let totalSuccess = 0;
-    let totalFailed = 0;
-    let totalProcessed = 0;
-    let totalRecordsSuccess = 0;
-    let totalRecordsFailed = 0;
-    for (const result of allResults) {
-      // 判断 Sheet 是否成功：如果没有错误且没有失败的记录，则算作成功
-      const sheetSuccess = result.success && result.failed === 0;
-      if (sheetSuccess) {
-        totalSuccess++;
-      } else {
-        totalFailed++;
+  });
+  return mapping;
+}
+
+/**
+ * 解析配置表中的"邮件语言"列
+ * 格式：默认语言，以及可选的"语言=邮箱"（多个邮箱用逗号分隔），用分号或换行分隔，
+ * 如"zh; en=alice@example.com, bob@example.com"（这两位收件人收到英文邮件，其他人收到中文邮件）
+ * @param {string} value - 单元格内容
+ * @returns {Object} { language, byEmail }（language 为空表示使用 CONFIG.EMAIL_LANGUAGE；byEmail 为小写邮箱 → 语言）
+ */
+function parseEmailLanguage(value) {
+  const emailLanguage = { language: '', byEmail: {} };
+  String(value || '').split(/[;；\n]+/).forEach(item => {
+    const separatorIndex = item.search(/[=＝]/);
+    if (separatorIndex === -1) {
+      if (item.trim()) {
+        emailLanguage.language = normalizeEmailLanguage(item);
+      }
+      return;
+    }
+    const language = normalizeEmailLanguage(item.slice(0, separatorIndex));
+    if (!language) {
+      return;
+    }
+    splitEmailList(item.slice(separatorIndex + 1)).forEach(email => {
+      emailLanguage.byEmail[email.toLowerCase()] = language;
+    });
+  });
+  return emailLanguage;
+}
+
+/**
+ * 统一语言的写法（中文/Chinese → zh，英文/English → en，其他语言代码转为小写）
+ * @param {string} value - 语言
+ * @returns {string}
+ */
+function normalizeEmailLanguage(value) {
+  const language = String(value || '').trim().toLowerCase();
+  if (/^(zh|中文|汉语|chinese)/.test(language)) {
+    return 'zh';
+  }
+  if (/^(en|英文|英语|english)/.test(language)) {
+    return 'en';
+  }
+  return language;
+}
+
+/**
+ * 收件人使用的邮件语言：按收件人设置 → 按 Sheet 设置 → CONFIG.EMAIL_LANGUAGE
+ * @param {Object} emailLanguage - parseEmailLanguage() 的结果（可选）
+ * @param {string} email - 收件人邮箱
+ * @returns {string}
+ */
+function getRecipientLanguage(emailLanguage, email) {
+  const settings = emailLanguage || {};
+  return (settings.byEmail || {})[String(email).trim().toLowerCase()] ||
+         settings.language || normalizeEmailLanguage(CONFIG.EMAIL_LANGUAGE) || 'zh';
+}
+
+/**
+ * 邮件语言设置的说明（用于日志）
+ * @param {Object} emailLanguage - parseEmailLanguage() 的结果
+ * @returns {string}
+ */
+function describeEmailLanguage(emailLanguage) {
+  const overrides = Object.entries(emailLanguage.byEmail).map(([email, language]) => `${email}=${language}`);
+  const base = emailLanguage.language || `${CONFIG.EMAIL_LANGUAGE}（默认）`;
+  return overrides.length > 0 ? `${base}；${overrides.join(', ')}` : base;
+}
+
+/**
+ * 按列映射（未映射的字段使用默认表头）找到课程表中各逻辑字段所在的列
+ * 映射的表头不存在或缺少必需的"开始时间"列时抛出错误，避免把所有课程当作已删除
+ * @param {Array<string>} headers - 课程表的表头行
+ * @param {Object} mapping - parseColumnMapping() 的结果
+ * @param {string} sheetName - Sheet 名称（用于错误信息）
+ * @returns {Object} 逻辑字段 → { index, header }（找不到的可选字段不包含在内）
+ */
+function resolveCourseColumns(headers, mapping, sheetName) {
+  const cleanedHeaders = headers.map(header => cleanHeaderText(header));
+  const columns = {};
+  
+  Object.keys(COURSE_COLUMN_FIELDS).forEach(field => {
+    const definition = COURSE_COLUMN_FIELDS[field];
+    let index;
+    if (mapping && mapping[field]) {
+      index = cleanedHeaders.indexOf(cleanHeaderText(mapping[field]));
+      if (index === -1) {
+        throw new Error(`Sheet "${sheetName}" 的列映射"${definition.label}=${mapping[field]}"找不到表头"${mapping[field]}"，请检查配置表的"列映射"列。当前表头: ${headers.join(', ')}`);
+      }
+    } else {
+      index = definition.headers.map(name => cleanedHeaders.indexOf(name)).find(i => i !== -1);
+      if (index === undefined) {
+        if (definition.required) {
+          throw new Error(`Sheet "${sheetName}" 缺少"${definition.label}"列。表头不同时请在配置表的"列映射"列中指定，如"${definition.label}=Start"。当前表头: ${headers.join(', ')}`);
+        }
+        return;
+      }
+    }
+    columns[field] = { index: index, header: String(headers[index]).trim() };
+  });
+  
+  return columns;
+}
+
+/**
+ * 找出课程表一行中为空的必需列（按列映射查找，不依赖列的顺序），有为空的必需列时该行不同步
+ * @param {Array<string>} row - 课程表的一行（显示值）
+ * @param {Object} columns - resolveCourseColumns() 的结果
+ * @returns {Array<string>} 为空的必需列的表头
+ */
+function getMissingRequiredCourseColumns(row, columns) {
+  return Object.keys(COURSE_COLUMN_FIELDS)
+    .filter(field => COURSE_COLUMN_FIELDS[field].required && !String(row[columns[field].index] || '').trim())
+    .map(field => columns[field].header);
+}
+
+/**
+ * 拆分邮箱列表（支持逗号、分号、空格和换行分隔），去重（不区分大小写）并保持顺序
+ * @param {string|Array} value - 单元格内容或邮箱数组
+ * @returns {Array<string>} 邮箱数组
+ */
+function splitEmailList(value) {
+  if (!value) return [];
+  const text = Array.isArray(value) ? value.join(',') : String(value);
+  const emails = [];
+  const seen = {};
+  text.split(/[,，;；、\s]+/).forEach(email => {
+    const trimmed = email.trim();
+    if (trimmed && !seen[trimmed.toLowerCase()]) {
+      seen[trimmed.toLowerCase()] = true;
+      emails.push(trimmed);
+    }
+  });
+  return emails;
+}
+
+/**
+ * 判断邮箱格式是否有效
+ * @param {string} email - 邮箱
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+}
+
+/**
+ * 判断时区是否有效（IANA 时区名，如 Asia/Shanghai）
+ * @param {string} timezone - 时区
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: String(timezone).trim() });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 课程事件的受邀者列表（老师和学生，每个邮箱一项；同一邮箱同时是老师和学生时只保留一次）
+ * @param {Object} course - 课程对象
+ * @param {Object} config - 配置对象（可选，课程对象中没有邮箱时使用其中的老师和学生邮箱）
+ * @returns {Array<Object>} [{ email, role }]，role 为"老师"或"学生"
+ */
+function buildCourseAttendees(course, config) {
+  const teacherEmail = course.teacherEmail || (config && config.teacherEmail) || '';
+  const studentEmail = course.studentEmail || (config && config.studentEmail) || '';
+  const attendees = [];
+  const seen = {};
+  [['老师', teacherEmail], ['学生', studentEmail]].forEach(([role, value]) => {
+    splitEmailList(value).forEach(email => {
+      if (!seen[email.toLowerCase()]) {
+        seen[email.toLowerCase()] = true;
+        attendees.push({ email: email, role: role });
+      }
+    });
+  });
+  return attendees;
+}
+
+/**
+ * 解析状态表"受邀者"列的内容
+ * @param {string} text - JSON（buildCourseAttendees() 的结果）
+ * @returns {Array<Object>} [{ email, role }]，没有内容或无法解析时为空数组
+ */
+function parseStoredAttendees(text) {
+  if (!text) {
+    return [];
+  }
+  try {
+    const attendees = JSON.parse(text);
+    return Array.isArray(attendees) ? attendees.filter(attendee => attendee && attendee.email) : [];
+  } catch (error) {
+    Logger.log(`无法解析受邀者列表: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * 更新事件时写入的受邀者列表：本次邀请的受邀者，加上在日历中手动添加的受邀者
+ * 只去掉之前由脚本邀请（状态表"受邀者"列中记录）而本次不再邀请的邮箱
+ * @param {Array<string>} existingEmails - 事件当前的受邀者
+ * @param {Array<string>} newEmails - 本次邀请的受邀者
+ * @param {Array<string>} previousEmails - 上次由脚本邀请的受邀者（可选）
+ * @returns {Array<string>}
+ */
+function mergeEventGuests(existingEmails, newEmails, previousEmails) {
+  const toKeys = emails => new Set((emails || []).map(email => String(email).toLowerCase()));
+  const newKeys = toKeys(newEmails);
+  const previousKeys = toKeys(previousEmails);
+  const kept = existingEmails.filter(email => {
+    const key = String(email).toLowerCase();
+    if (!email || newKeys.has(key) || previousKeys.has(key)) {
+      return false;
+    }
+    newKeys.add(key);
+    return true;
+  });
+  return newEmails.concat(kept);
+}
+
+/**
+ * 事件当前的受邀者邮箱
+ * @param {CalendarEvent} event - 事件对象（可以为空）
+ * @returns {Array<string>}
+ */
+function getEventGuestEmails(event) {
+  return event ? event.getGuestList().map(guest => guest.getEmail()) : [];
+}
+
+/**
+ * 解析状态表"重复规则"列的内容
+ * @param {string} text - JSON 数组（单次课程为 []）
+ * @returns {Array<string>|null} 没有内容或无法解析时返回 null（旧版本的状态表）
+ */
+function parseStoredRecurrence(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    const recurrence = JSON.parse(text);
+    return Array.isArray(recurrence) ? recurrence : null;
+  } catch (error) {
+    Logger.log(`无法解析重复规则: ${error.message}`);
+    return null;
+  }
+}
+
+// ==================== 主函数 ====================
+
+/**
+ * 主执行函数 - 处理所有课程记录
+ * 从配置表 _SheetConfig 读取要处理的 sheet 列表，然后循环处理每个 sheet
+ * 手动或定时执行总是从头开始（放弃尚未完成的续跑）
+ * @param {Object} e - 触发器事件（定时触发时由 Apps Script 传入），或 { source }（SYNC_SOURCE 中的值）；
+ *                     都没有时触发来源记为 API
+ */
+function main(e) {
+  const source = getSyncSource(e);
+  const summary = runWithSyncLock('main', () => {
+    clearSyncContinuation();
+    return syncAllSheets(null, source);
+  });
+  
+  if (summary && summary.busy) {
+    appendSkippedRunLog(source, `另一个同步正在执行（${describeSyncLockHolder(summary.holder)}），本次没有执行`);
+  }
+  return summary;
+}
+
+/**
+ * 判断同步的触发来源
+ * @param {Object} e - main() 的参数
+ * @returns {string} SYNC_SOURCE 中的值
+ */
+function getSyncSource(e) {
+  if (e && Object.values(SYNC_SOURCE).includes(e.source)) {
+    return e.source;
+  }
+  return e && e.triggerUid ? SYNC_SOURCE.TRIGGER : SYNC_SOURCE.API;
+}
+
+/**
+ * 续跑入口（由一次性触发器调用）：从上次执行保存的进度继续同步
+ */
+function continueSync() {
+  const summary = runWithSyncLock('continueSync', () => {
+    const cursor = loadSyncCursor();
+    deleteContinuationTriggers();
+    if (!cursor) {
+      Logger.log('没有需要续跑的同步');
+      return null;
+    }
+    Logger.log(`续跑同步: 从 ${cursor.sheetName} 第${cursor.rowIndex || 1}行（${cursor.phase}）继续，第 ${cursor.continuations + 1} 次执行`);
+    return syncAllSheets(cursor, cursor.source || SYNC_SOURCE.TRIGGER, cursor.scope);
+  });
+  
+  if (summary && summary.busy) {
+    // 另一个同步正在执行，稍后再续跑（进度仍然保存着）
+    scheduleSyncContinuation();
+  }
+  return summary;
+}
+
+/**
+ * 同步所有 Sheet；时间预算用完时保存进度并安排续跑
+ * @param {Object|null} resumeCursor - 续跑进度（null 表示从头开始）
+ * @param {string} source - 触发来源（SYNC_SOURCE 中的值，续跑时沿用第一次执行的来源）
+ * @param {Object} scope - 可选，只同步部分 Sheet：{ sheetNames, recordIds }，recordIds 为 Sheet 名称 → 只处理的记录ID
+ *                         （续跑时沿用第一次执行的范围；只同步部分 Sheet 时不更新 syncToken）
+ * @returns {Object} 同步汇总 { runId, source, results, runs, startedAt, interrupted }（续跑时包含之前所有执行的结果）
+ */
+function syncAllSheets(resumeCursor, source, scope) {
+  // 同一次同步的所有续跑共用一个运行ID
+  const runId = resumeCursor ? resumeCursor.runId : Utilities.getUuid();
+  const syncScope = (resumeCursor ? resumeCursor.scope : scope) || null;
+  const startedAt = resumeCursor ? resumeCursor.startedAt : new Date().toISOString();
+  const runs = resumeCursor ? resumeCursor.continuations + 1 : 1;
+  try {
+    Logger.log('通知\t已开始执行');
+    Logger.log('main() 函数开始执行');
+    
+    // 时间预算从本次执行开始计算
+    const syncDeadline = Date.now() + CONFIG.EXECUTION_TIME_BUDGET_MS;
+    
+    Logger.log('获取当前表格对象');
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    if (!spreadsheet) {
+      throw new Error('无法获取当前表格对象，请确保在 Google 表格中运行此脚本');
+    }
+    Logger.log('表格对象获取成功: ' + spreadsheet.getName());
+    
+    // 从配置表读取要处理的 sheet 配置信息
+    Logger.log('开始读取配置表');
+    const sheetConfigMap = readSheetConfig(spreadsheet);
+    Logger.log('配置表读取完成');
+    
+    if (sheetConfigMap.size === 0) {
+      Logger.log('警告：没有找到需要处理的 sheet，请检查配置表 _SheetConfig');
+      appendRunLog({ runId: runId, source: source, startedAt: startedAt, runs: runs, results: [], error: '配置表中没有启用的 Sheet' });
+      return;
+    }
+    
+    Logger.log(`从配置表读取到 ${sheetConfigMap.size} 个需要处理的 sheet: ${Array.from(sheetConfigMap.keys()).join(', ')}`);
+    
+    // 在创建任何事件之前，检测所有 Sheet 之间的撞课（同一老师或学生时间重叠）
+    // 续跑时沿用第一次执行的检测结果；因撞课检测用完时间而暂停后，续跑时不再限制检测的时间，保证有进展
+    let blockedRows = new Map();
+    let doubleBookingInterrupted = false;
+    if (resumeCursor && resumeCursor.blockedRows) {
+      blockedRows = new Map(Object.keys(resumeCursor.blockedRows).map(sheetName => [sheetName, new Set(resumeCursor.blockedRows[sheetName])]));
+    } else {
+      try {
+        const doubleBookings = detectDoubleBookings(spreadsheet, sheetConfigMap, resumeCursor ? null : syncDeadline);
+        if (doubleBookings.interrupted) {
+          doubleBookingInterrupted = true;
+        } else {
+          writeConflictReport(spreadsheet, doubleBookings.conflicts);
+          blockedRows = doubleBookings.blockedRows;
+        }
+      } catch (error) {
+        // 撞课检测失败不影响同步
+        Logger.log(`撞课检测失败: ${error.message}`);
+      }
+    }
+    for (const [sheetName, config] of sheetConfigMap) {
+      config.blockedRowIndexes = blockedRows.get(sheetName) || new Set();
+    }
+    
+    // 只同步部分 Sheet（撞课检测仍然包含所有 Sheet）
+    if (syncScope) {
+      Array.from(sheetConfigMap.keys()).forEach(sheetName => {
+        if (!syncScope.sheetNames.includes(sheetName)) {
+          sheetConfigMap.delete(sheetName);
+        } else if (syncScope.recordIds && syncScope.recordIds[sheetName]) {
+          sheetConfigMap.get(sheetName).onlyRecordIds = new Set(syncScope.recordIds[sheetName]);
+        }
+      });
+      Logger.log(`本次只同步: ${Array.from(sheetConfigMap.keys()).join(', ') || '（无）'}`);
+    }
+    
+    // 增量变更检测：每个日历只查询一次自上次同步以来变更和删除的事件
+    // （在创建事件之前查询，首次运行时也能取得 syncToken，下次执行即可增量检测）
+    const calendarChangeTracker = createCalendarChangeTracker();
+    for (const config of sheetConfigMap.values()) {
+      config.calendarChangeTracker = calendarChangeTracker;
+      config.syncDeadline = syncDeadline;
+      if (config.organizerCalendarId && !doubleBookingInterrupted) {
+        getCalendarChanges(calendarChangeTracker, config.organizerCalendarId);
+      }
+    }
+    
+    // 续跑：跳过上次执行已完成的 Sheet（中断处的 Sheet 已不在配置中时从头开始）
+    // 撞课检测后才暂停的续跑相当于第一次执行，使用本次取得的 syncToken
+    const sheetNames = Array.from(sheetConfigMap.keys());
+    const resumesSheets = !!resumeCursor && resumeCursor.phase !== SYNC_PHASE.DOUBLE_BOOKING;
+    let startSheetIndex = 0;
+    if (resumesSheets) {
+      startSheetIndex = sheetNames.indexOf(resumeCursor.sheetName);
+      if (startSheetIndex === -1) {
+        Logger.log(`续跑的 Sheet 已不在配置中: ${resumeCursor.sheetName}，从第一个 Sheet 开始`);
+        startSheetIndex = 0;
+      } else if (resumeCursor.phase === SYNC_PHASE.PULL) {
+        sheetConfigMap.get(resumeCursor.sheetName).resumePullFromRow = resumeCursor.rowIndex;
+      } else if (resumeCursor.phase === SYNC_PHASE.PLAN || resumeCursor.phase === SYNC_PHASE.SYNC) {
+        // 中断处之前的行在上次执行中已拉取日历修改并处理
+        const resumeConfig = sheetConfigMap.get(resumeCursor.sheetName);
+        resumeConfig.resumePullFromRow = resumeCursor.rowIndex;
+        resumeConfig.resumeFromRow = resumeCursor.rowIndex;
+      }
+    }
+    
+    // 循环处理每个 sheet（撞课检测用完时间时本次不处理任何 Sheet）
+    const allResults = [];
+    let interrupted = null;
+    if (doubleBookingInterrupted && sheetNames.length > 0) {
+      interrupted = { sheetName: sheetNames[0], phase: SYNC_PHASE.DOUBLE_BOOKING, rowIndex: 0 };
+      startSheetIndex = sheetNames.length;
+    }
+    for (let sheetIndex = startSheetIndex; sheetIndex < sheetNames.length; sheetIndex++) {
+      const sheetName = sheetNames[sheetIndex];
+      const config = sheetConfigMap.get(sheetName);
+      // 每次执行至少处理一个 Sheet 的一部分，保证续跑总有进展
+      if (allResults.length > 0 && isSyncTimeBudgetExhausted(config)) {
+        interrupted = { sheetName: sheetName, phase: SYNC_PHASE.CANCEL, rowIndex: 0 };
+        break;
+      }
+      
+      try {
+        Logger.log(`\n========== 开始处理 Sheet: ${sheetName} ==========`);
+        const result = processSheet(spreadsheet, sheetName, config);
+        allResults.push({
+          sheetName: sheetName,
+          success: result.success,
+          total: result.total,
+          processed: result.processed,
+          failed: result.failed,
+          created: result.created || 0,
+          updated: result.updated || 0,
+          skipped: result.skipped || 0,
+          cancelled: result.cancelled || 0,
+          failures: result.failures || [],
+          cancellations: result.cancellations || [],
+          error: result.error
+        });
+        if (result.interrupted) {
+          interrupted = Object.assign({ sheetName: sheetName }, result.interrupted);
+          Logger.log(`========== Sheet ${sheetName} 执行时间将用完，在第${interrupted.rowIndex}行（${interrupted.phase}）暂停 ==========\n`);
+          break;
+        }
+        Logger.log(`========== Sheet ${sheetName} 处理完成 ==========\n`);
+      } catch (error) {
+        Logger.log(`处理 Sheet ${sheetName} 时发生错误: ${error.message}`);
+        allResults.push({
+          sheetName: sheetName,
+          success: false,
+          total: 0,
+          processed: 0,
+          failed: 0,
+          created: 0,
+          updated: 0,
+          skipped: 0,
+          cancelled: 0,
+          failures: [],
+          cancellations: [],
+          error: error.message
+        });
+      }
+    }
+    
+    // 汇总结果包含之前所有续跑的执行
+    const stitchedResults = mergeSheetResults((resumeCursor ? resumeCursor.results : []).concat(allResults));
+    
+    if (interrupted) {
+      // 保存进度并安排续跑；syncToken 沿用第一次执行取得的，全部完成后才保存
+      saveSyncCursor(Object.assign(interrupted, {
+        runId: runId,
+        source: source,
+        scope: syncScope,
+        continuations: runs,
+        startedAt: startedAt,
+        results: stitchedResults,
+        pendingTokens: resumesSheets ? resumeCursor.pendingTokens : mapToObject(calendarChangeTracker.pendingTokens),
+        blockedRows: doubleBookingInterrupted ? null : mapToObject(new Map(Array.from(blockedRows, ([sheetName, rows]) => [sheetName, Array.from(rows)])))
+      }));
+      scheduleSyncContinuation();
+      Logger.log(`执行时间预算已用完，已保存进度（${interrupted.sheetName} 第${interrupted.rowIndex}行，${interrupted.phase}），将在 ${Math.round(CONFIG.CONTINUATION_DELAY_MS / 1000)} 秒后续跑`);
+      Logger.log('通知\t执行暂停，等待续跑');
+      return { runId: runId, source: source, results: stitchedResults, runs: runs, startedAt: startedAt, interrupted: true };
+    }
+    clearSyncCursor();
+    
+    // 所有 Sheet 都处理完成后才保存新的 syncToken，避免遗漏本次未处理的变更
+    // （续跑时保存第一次执行取得的 syncToken，期间的变更下次同步会重新检查）
+    if (resumesSheets) {
+      calendarChangeTracker.pendingTokens = new Map(Object.entries(resumeCursor.pendingTokens || {}));
+    }
+    if (syncScope) {
+      // 同一日历的变更可能属于本次没有同步的 Sheet，下次完整同步时重新检查
+      Logger.log('只同步了部分 Sheet，本次不更新 syncToken');
+    } else if (stitchedResults.every(result => !result.error)) {
+      commitCalendarSyncTokens(calendarChangeTracker);
+    } else {
+      Logger.log('有 Sheet 处理失败，本次不更新 syncToken');
+    }
+    
+    // 输出汇总结果
+    Logger.log('\n=== 所有 Sheet 处理结果汇总 ===');
+    if (runs > 1) {
+      Logger.log(`本次同步共执行 ${runs} 次（含 ${runs - 1} 次续跑），开始于 ${startedAt}`);
+    }
+    let totalSuccess = 0;
+    let totalFailed = 0;
+    let totalProcessed = 0;
+    let totalRecordsSuccess = 0;
+    let totalRecordsFailed = 0;
+    for (const result of stitchedResults) {
+      // 判断 Sheet 是否成功：如果没有错误且没有失败的记录，则算作成功
+      const sheetSuccess = result.success && result.failed === 0;
+      if (sheetSuccess) {
+        totalSuccess++;
+      } else {
+        totalFailed++;
       }
       totalProcessed += result.processed;
       totalRecordsSuccess += (result.processed - result.failed);
@@ -492,11 +1517,35 @@ function main() {
     Logger.log(`\n=== 所有 Sheet 处理结果汇总 ===`);
     Logger.log(`总计: 成功 ${totalRecordsSuccess}, 失败 ${totalRecordsFailed}, 共处理 ${totalProcessed} 条记录`);
     
+    // 给管理员发送同步报告（发送失败不影响同步结果）
+    const summary = { runId: runId, source: source, results: stitchedResults, runs: runs, startedAt: startedAt, interrupted: false };
+    try {
+      sendAdminReports(spreadsheet, sheetConfigMap, summary);
+    } catch (error) {
+      Logger.log(`发送同步报告失败: ${error.message}`);
+    }
+    appendRunLog(summary);
+    
     Logger.log('通知\t执行完毕');
+    return summary;
     
   } catch (error) {
     const errorMessage = error.message || error.toString() || '未知错误';
     Logger.log(`主函数执行失败: ${errorMessage}`);
+    try {
+      sendAdminErrorReport(errorMessage);
+    } catch (reportError) {
+      Logger.log(`发送同步报告失败: ${reportError.message}`);
+    }
+    // 中途出错时，之前的续跑已完成的 Sheet 也记录下来
+    appendRunLog({
+      runId: runId,
+      source: source,
+      startedAt: startedAt,
+      runs: runs,
+      results: resumeCursor ? resumeCursor.results || [] : [],
+      error: errorMessage
+    });
     if (error.stack) {
       Logger.log(`错误堆栈: ${error.stack}`);
     }
@@ -510,9 +1559,10 @@ function main() {
 /**
  * 从配置表读取要处理的 Sheet 配置信息
  * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Array<Object>} skippedSheets - 可选，传入数组时记录已启用但被跳过的 Sheet { sheetName, rowIndex, reason }（用于数据校验）
  * @returns {Map<string, Object>} Sheet 配置信息映射表，key为Sheet名称，value为配置对象
  */
-function readSheetConfig(spreadsheet) {
+function readSheetConfig(spreadsheet, skippedSheets) {
   try {
     Logger.log('readSheetConfig: 开始读取配置表');
     
@@ -654,6 +1704,58 @@ function readSheetConfig(spreadsheet) {
       '邮件提醒', 'email reminder', '提前提醒', 'minutes before'
     ]);
     
+    const doubleBookingHeader = findHeaderIndex([
+      '撞课处理', '冲突处理', 'double booking', 'conflict mode', '撞课'
+    ]);
+    
+    const freeBusyHeader = findHeaderIndex([
+      '空闲检查', '忙闲检查', 'free busy', 'freebusy', 'check availability'
+    ]);
+    
+    const twoWaySyncHeader = findHeaderIndex([
+      '双向同步', '同步策略', '冲突策略', 'two way sync', 'conflict policy'
+    ]);
+    
+    const titleTemplateHeader = findHeaderIndex([
+      '标题模板', '事件标题', '标题格式', 'title template', 'event title'
+    ]);
+    
+    const descriptionTemplateHeader = findHeaderIndex([
+      '描述模板', '事件描述', '描述格式', 'description template', 'event description'
+    ]);
+    
+    const columnMappingHeader = findHeaderIndex([
+      '列映射', '字段映射', '表头映射', 'column mapping', 'column map'
+    ]);
+    
+    const silentColumnsHeader = findHeaderIndex([
+      '静默列', '静默字段', 'silent columns', 'silent fields'
+    ]);
+    
+    const ignoredColumnsHeader = findHeaderIndex([
+      '忽略列', '忽略字段', 'ignored columns', 'ignored fields'
+    ]);
+    
+    const emailLanguageHeader = findHeaderIndex([
+      '邮件语言', '通知语言', 'email language', 'mail language'
+    ]);
+    
+    const ccOrganizerHeader = findHeaderIndex([
+      '抄送组织者', '抄送', 'cc organizer', 'cc'
+    ]);
+    
+    const adminEmailHeader = findHeaderIndex([
+      '管理员邮箱', '管理员邮件', '报告收件人', 'admin email', 'admin emails', 'report recipients'
+    ]);
+    
+    const adminReportModeHeader = findHeaderIndex([
+      '管理员报告', '报告方式', 'admin report', 'report mode'
+    ]);
+    
+    const maxLessonMinutesHeader = findHeaderIndex([
+      '最长课时', '最长时长', '课程最长时长', 'max lesson minutes', 'max duration'
+    ]);
+    
     // 检查必需字段
     if (sheetNameHeader === undefined) {
       // 最后尝试：直接遍历 headerMap 查找包含关键词的键
@@ -707,6 +1809,9 @@ function readSheetConfig(spreadsheet) {
       const sheet = spreadsheet.getSheetByName(sheetNameTrimmed);
       if (!sheet) {
         Logger.log(`警告：配置的 Sheet "${sheetNameTrimmed}" 不存在，已跳过`);
+        if (skippedSheets) {
+          skippedSheets.push({ sheetName: sheetNameTrimmed, rowIndex: i + 1, reason: `Sheet "${sheetNameTrimmed}" 不存在` });
+        }
         continue;
       }
       
@@ -714,6 +1819,9 @@ function readSheetConfig(spreadsheet) {
       const organizerCalendarId = row[organizerCalendarIdHeader] ? String(row[organizerCalendarIdHeader]).trim() : '';
       if (!organizerCalendarId) {
         Logger.log(`警告：组织者日历ID为空，跳过 Sheet: ${sheetNameTrimmed}`);
+        if (skippedSheets) {
+          skippedSheets.push({ sheetName: sheetNameTrimmed, rowIndex: i + 1, reason: '组织者日历ID为空，此 Sheet 不会同步' });
+        }
         continue;
       }
       
@@ -731,13 +1839,29 @@ function readSheetConfig(spreadsheet) {
         }
       }
       
+      const maxLessonMinutes = maxLessonMinutesHeader !== undefined ? parseInt(row[maxLessonMinutesHeader], 10) : NaN;
+      
       const config = {
         sheetName: sheetNameTrimmed,
+        configRowIndex: i + 1, // 在配置表中的行号（用于数据校验定位）
         organizerCalendarId: organizerCalendarId,
         teacherEmail: teacherEmailHeader !== undefined ? (row[teacherEmailHeader] || '').trim() : '',
         studentEmail: studentEmailHeader !== undefined ? (row[studentEmailHeader] || '').trim() : '',
         timezone: timezoneHeader !== undefined ? (row[timezoneHeader] || '').trim() : CONFIG.TIMEZONE,
-        reminderMinutes: reminderMinutes
+        reminderMinutes: reminderMinutes,
+        doubleBookingMode: parseDoubleBookingMode(doubleBookingHeader !== undefined ? row[doubleBookingHeader] : ''),
+        checkFreeBusy: freeBusyHeader !== undefined && ['是', 'yes', '1', 'true', '启用', 'enabled'].includes(String(row[freeBusyHeader] || '').trim().toLowerCase()),
+        twoWaySyncPolicy: parseTwoWaySyncPolicy(twoWaySyncHeader !== undefined ? row[twoWaySyncHeader] : ''),
+        titleTemplate: titleTemplateHeader !== undefined ? String(row[titleTemplateHeader] || '').trim() : '',
+        descriptionTemplate: descriptionTemplateHeader !== undefined ? String(row[descriptionTemplateHeader] || '').trim() : '',
+        columnMapping: parseColumnMapping(columnMappingHeader !== undefined ? row[columnMappingHeader] : ''),
+        silentColumns: parseHeaderList(silentColumnsHeader !== undefined ? row[silentColumnsHeader] : ''),
+        ignoredColumns: parseHeaderList(ignoredColumnsHeader !== undefined ? row[ignoredColumnsHeader] : ''),
+        emailLanguage: parseEmailLanguage(emailLanguageHeader !== undefined ? row[emailLanguageHeader] : ''),
+        ccOrganizer: ccOrganizerHeader !== undefined && ['是', 'yes', '1', 'true', '启用', 'enabled'].includes(String(row[ccOrganizerHeader] || '').trim().toLowerCase()),
+        adminEmails: splitEmailList(adminEmailHeader !== undefined ? row[adminEmailHeader] : ''),
+        adminReportMode: parseAdminReportMode(adminReportModeHeader !== undefined ? row[adminReportModeHeader] : ''),
+        maxLessonMinutes: maxLessonMinutes > 0 ? maxLessonMinutes : CONFIG.MAX_LESSON_MINUTES
       };
       
       // 如果时区为空，使用默认时区
@@ -751,6 +1875,18 @@ function readSheetConfig(spreadsheet) {
       Logger.log(`    学生邮箱: ${config.studentEmail || '未配置'}`);
       Logger.log(`    时区: ${config.timezone}`);
       Logger.log(`    提醒时间: ${config.reminderMinutes ? config.reminderMinutes + '分钟' : '未配置'}`);
+      Logger.log(`    撞课处理: ${config.doubleBookingMode}`);
+      Logger.log(`    空闲检查: ${config.checkFreeBusy ? '启用' : '未启用'}`);
+      Logger.log(`    双向同步: ${config.twoWaySyncPolicy}`);
+      Logger.log(`    标题模板: ${config.titleTemplate || '未配置'}`);
+      Logger.log(`    描述模板: ${config.descriptionTemplate ? '已配置' : '未配置'}`);
+      Logger.log(`    静默列: ${config.silentColumns.length > 0 ? config.silentColumns.join(', ') : '未配置'}`);
+      Logger.log(`    忽略列: ${config.ignoredColumns.length > 0 ? config.ignoredColumns.join(', ') : '未配置'}`);
+      Logger.log(`    邮件语言: ${describeEmailLanguage(config.emailLanguage)}`);
+      Logger.log(`    抄送组织者: ${config.ccOrganizer ? '是' : '否'}`);
+      Logger.log(`    管理员报告: ${config.adminEmails.length > 0 ? config.adminEmails.join(', ') + '（' + config.adminReportMode + '）' : '未配置'}`);
+      Logger.log(`    最长课时: ${config.maxLessonMinutes}分钟`);
+      Logger.log(`    列映射: ${Object.keys(config.columnMapping).length > 0 ? Object.entries(config.columnMapping).map(([field, header]) => `${COURSE_COLUMN_FIELDS[field].label}=${header}`).join('; ') : '未配置'}`);
       
       sheetConfigMap.set(sheetNameTrimmed, config);
     }
@@ -770,741 +1906,3703 @@ function readSheetConfig(spreadsheet) {
   }
 }
 
-// ==================== 第三部分：课程数据处理和状态管理 ====================
+// ==================== 同步锁（防止同时执行） ====================
 
 /**
- * 处理单个 Sheet
+ * 在同步锁内执行同步；另一个同步正在执行时等待，超时则放弃本次执行并记录日志
+ * 同步锁是保存在 Document Properties 中的租约（带过期时间），读写租约时用文档锁保证原子性，
+ * 执行异常中断（如超时被终止）留下的租约过期后会被自动回收
+ * @param {string} owner - 执行入口名称（用于日志和提示）
+ * @param {Function} fn - 要执行的同步函数
+ * @returns {*} fn 的返回值；同步锁被占用时返回 { busy: true, holder }
  */
-function processSheet(spreadsheet, sheetName, config) {
+function runWithSyncLock(owner, fn) {
+  const lock = acquireSyncLock(owner);
+  if (!lock.acquired) {
+    Logger.log(`另一个同步正在执行（${describeSyncLockHolder(lock.holder)}），等待 ${Math.round(CONFIG.SYNC_LOCK.WAIT_MS / 1000)} 秒后仍未结束，本次 ${owner} 不执行`);
+    return { busy: true, holder: lock.holder };
+  }
+  
   try {
-    // 获取主表
-    const mainSheet = spreadsheet.getSheetByName(sheetName);
-    if (!mainSheet) {
-      throw new Error(`找不到 Sheet: ${sheetName}`);
-    }
-    
-    // 生成状态表名称
-    const statusSheetName = CONFIG.STATUS_SHEET_PREFIX + sheetName;
-    
-    // 确保隐藏状态表存在
-    ensureStatusSheet(spreadsheet, statusSheetName);
-    
-    // 确保正式表有"记录ID"列
-    ensureRecordIdColumn(mainSheet);
-    
-    // 读取课程数据，传入配置信息（包含时区）
-    const courses = readCourseData(mainSheet, config);
-    // 为每条课程记录添加时区和提醒时间信息
-    courses.forEach(course => {
-      course.timezone = config.timezone;
-      course.reminderMinutes = config.reminderMinutes;
-    });
-    Logger.log(`[${sheetName}] 读取到 ${courses.length} 条课程记录，时区: ${config.timezone}, 提醒时间: ${config.reminderMinutes ? config.reminderMinutes + '分钟' : '未配置'}`);
-    
-    // 读取已处理状态（在同步之前读取，以便检测被删除的记录）
-    const statusSheet = spreadsheet.getSheetByName(statusSheetName);
-    const processedRecords = readProcessedStatus(statusSheet);
-    
-    // 检测被删除的记录（在同步状态表之前检测，避免状态表被删除后无法检测）
-    const deletedRecords = findDeletedRecords(courses, processedRecords, statusSheet);
-    if (deletedRecords.length > 0) {
-      Logger.log(`[${sheetName}] 检测到 ${deletedRecords.length} 条被删除的记录，将取消课程`);
-      for (const deletedRecord of deletedRecords) {
-        try {
-          cancelCourse(deletedRecord, statusSheet, config);
-          const deletedDateStr = deletedRecord.date ? String(deletedRecord.date) : '未知日期';
-          Logger.log(`[${sheetName}] 取消课程成功: ${deletedRecord.lessonNumber} - ${deletedDateStr}`);
-        } catch (error) {
-          Logger.log(`[${sheetName}] 取消课程失败: ${deletedRecord.lessonNumber} - ${error.message}`);
-        }
-      }
-    }
-    
-    // 同步状态表，确保和正式表一一对应（在检测被删除记录之后）
-    syncStatusSheet(statusSheet, courses.length);
-    
-    // 重新读取已处理状态（同步后重新读取）
-    const processedRecordsAfterSync = readProcessedStatus(statusSheet);
-    
-    // 为每条课程记录分配或获取记录ID，并更新正式表
-    assignRecordIds(courses, processedRecordsAfterSync, statusSheet, mainSheet);
-    
-    // 计算每条课程的token并判断是否需要处理
-    const toProcess = courses.filter(course => {
-      // 优先通过记录ID查找，如果没有记录ID，则通过key查找（向后兼容）
-      let existingRecord = null;
-      if (course.recordId) {
-        existingRecord = processedRecords.byId.get(course.recordId);
-      }
-      if (!existingRecord) {
-        // 从开始时间中提取日期用于生成key（向后兼容）
-        const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
-        const key = `${course.lessonNumber}_${dateStr}`;
-        existingRecord = processedRecords.byKey.get(key);
-      }
-      
-      if (!existingRecord) {
-        // 新记录，需要处理
-        // 检查是否有相同课次但不同日期的旧记录（日期变化）
-        const timezone = course.timezone || CONFIG.TIMEZONE || Session.getScriptTimeZone();
-        const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
-        const oldRecords = findOldRecordsByLessonNumber(statusSheet, course.lessonNumber, dateStr, timezone);
-        if (oldRecords.length > 0) {
-          Logger.log(`[${sheetName}] 检测到日期变化: ${course.lessonNumber}，将在处理时删除旧日期的日历事件`);
-          // 标记需要删除的旧记录，在processCourse中处理（因为需要日历ID）
-          course._oldRecords = oldRecords;
-        }
-        return true;
-      }
-      
-      // 计算当前记录的token
-      const currentToken = calculateCourseToken(course);
-      const existingToken = existingRecord.token || '';
-      
-      // 如果token不同，说明关键信息有变化，需要更新
-      if (currentToken !== existingToken) {
-        Logger.log(`[${sheetName}] 检测到关键信息变化: ${course.lessonNumber} (旧token: ${existingToken}, 新token: ${currentToken})`);
-        return true;
-      }
-      
-      // token相同，说明关键信息没有变化
-      // 检查是否已有日历事件ID，如果有则验证事件是否真实存在
-      // 注意：只有当事件ID非空字符串时才检查
-      const hasOrganizerEventId = existingRecord.organizerEventId && String(existingRecord.organizerEventId).trim() !== '';
-      
-      if (hasOrganizerEventId) {
-        // 验证事件是否真实存在于日历中
-        let organizerEventExists = false;
-        let needRecreate = false;
-        
-        // 验证组织者日历事件（只有当事件ID非空时才验证）
-        if (hasOrganizerEventId && existingRecord.organizerCalendarId) {
-          try {
-            organizerEventExists = verifyCalendarEventExists(existingRecord.organizerCalendarId, existingRecord.organizerEventId);
-            if (!organizerEventExists) {
-              Logger.log(`[${sheetName}] 组织者日历事件不存在（可能被删除）: ${existingRecord.organizerEventId}，将重新创建`);
-              needRecreate = true;
-              // 更新状态表，清除无效的事件ID
-              statusSheet.getRange(existingRecord.rowIndex, 6).setValue(''); // 第6列是组织者日历事件ID
-              existingRecord.organizerEventId = '';
-            }
-          } catch (error) {
-            Logger.log(`[${sheetName}] 验证组织者日历事件失败: ${existingRecord.organizerEventId} - ${error.message}`);
-            organizerEventExists = false; // 验证失败，认为不存在
-            needRecreate = true;
-            // 更新状态表，清除无效的事件ID
-            statusSheet.getRange(existingRecord.rowIndex, 6).setValue('');
-            existingRecord.organizerEventId = '';
-          }
-        } else if (hasOrganizerEventId) {
-          // 有事件ID但没有日历ID，无法验证，需要重新创建
-          Logger.log(`[${sheetName}] 组织者日历事件ID存在但缺少日历ID，将重新创建`);
-          needRecreate = true;
-          statusSheet.getRange(existingRecord.rowIndex, 6).setValue('');
-          existingRecord.organizerEventId = '';
-        }
-        
-        // 如果事件存在，跳过处理
-        if (organizerEventExists) {
-          Logger.log(`[${sheetName}] 跳过处理（token相同且日历事件已验证存在）: ${course.lessonNumber}`);
-          return false;
-        }
-        
-        // 如果有事件不存在或需要重新创建，需要重新处理
-        if (needRecreate || !organizerEventExists) {
-          Logger.log(`[${sheetName}] 需要重新处理（日历事件不存在或需要创建）: ${course.lessonNumber}`);
-          return true;
-        }
-      }
-      
-      // token相同但没有日历事件ID，可能是之前创建失败，需要重试
-      // 但只有在状态不是已完成时才处理
-      if (existingRecord.status !== '已完成') {
-        Logger.log(`[${sheetName}] 重试处理（token相同但之前失败）: ${course.lessonNumber}`);
-        return true;
-      }
-      
-      // token相同且已完成，跳过
-      return false;
-    });
-    
-    Logger.log(`[${sheetName}] 需要处理 ${toProcess.length} 条记录`);
-    
-    // 处理每条记录
-    const results = [];
-    for (let i = 0; i < toProcess.length; i++) {
-      const course = toProcess[i];
+    return fn();
+  } finally {
+    releaseSyncLock(lock.lease);
+  }
+}
+
+/**
+ * 获取同步锁（在 CONFIG.SYNC_LOCK.WAIT_MS 内等待）
+ * @param {string} owner - 执行入口名称
+ * @returns {Object} { acquired: true, lease } 或 { acquired: false, holder }
+ */
+function acquireSyncLock(owner) {
+  const properties = getSyncLockProperties();
+  const deadline = Date.now() + CONFIG.SYNC_LOCK.WAIT_MS;
+  let holder = null;
+  
+  while (true) {
+    const documentLock = LockService.getDocumentLock() || LockService.getScriptLock();
+    if (documentLock.tryLock(Math.max(0, Math.min(CONFIG.SYNC_LOCK.POLL_INTERVAL_MS, deadline - Date.now())))) {
       try {
-        const result = processCourse(course, statusSheet, config);
-        results.push(result);
-        Logger.log(`[${sheetName}] 处理完成: ${course.lessonNumber} - ${result.status}`);
-        
-        // 如果不是最后一条记录，添加延迟，避免连续处理多条记录时触发速率限制
-        if (i < toProcess.length - 1) {
-          addOperationDelay();
-        }
-      } catch (error) {
-        Logger.log(`[${sheetName}] 处理失败: ${course.lessonNumber} - ${error.message}`);
-        results.push({
-          course: course,
-          status: '失败',
-          error: error.message
-        });
-        
-        // 即使失败，也添加延迟，避免连续处理时触发速率限制
-        if (i < toProcess.length - 1) {
-          addOperationDelay();
+        holder = readSyncLease(properties);
+        const now = Date.now();
+        if (!holder || holder.expiresAt <= now) {
+          if (holder) {
+            Logger.log(`回收过期的同步锁（${describeSyncLockHolder(holder)}），上次执行可能异常中断`);
+          }
+          const lease = {
+            id: Utilities.getUuid(),
+            owner: owner,
+            startedAt: new Date(now).toISOString(),
+            expiresAt: now + CONFIG.SYNC_LOCK.STALE_AFTER_MS
+          };
+          properties.setProperty(CONFIG.SYNC_LOCK.PROPERTY, JSON.stringify(lease));
+          return { acquired: true, lease: lease };
         }
+      } finally {
+        documentLock.releaseLock();
       }
     }
     
-    // 输出处理结果
-    Logger.log(`\n[${sheetName}] === 处理结果汇总 ===`);
-    let successCount = 0;
-    let failedCount = 0;
-    for (const result of results) {
-      if (result.status === '已完成') {
-        successCount++;
-      } else {
-        failedCount++;
-      }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return { acquired: false, holder: holder };
     }
-    Logger.log(`[${sheetName}] 成功: ${successCount}, 失败: ${failedCount}`);
-    
-    return {
-      success: true,
-      total: courses.length,
-      processed: toProcess.length,
-      failed: failedCount
-    };
-    
+    Utilities.sleep(Math.min(CONFIG.SYNC_LOCK.POLL_INTERVAL_MS, remaining));
+  }
+}
+
+/**
+ * 释放同步锁（只释放自己持有的租约，过期后被其他执行回收的不再删除）
+ * @param {Object} lease - acquireSyncLock() 返回的租约
+ */
+function releaseSyncLock(lease) {
+  const properties = getSyncLockProperties();
+  const documentLock = LockService.getDocumentLock() || LockService.getScriptLock();
+  if (!documentLock.tryLock(CONFIG.SYNC_LOCK.WAIT_MS)) {
+    Logger.log('释放同步锁失败：无法获取文档锁，同步锁将在过期后自动回收');
+    return;
+  }
+  try {
+    const holder = readSyncLease(properties);
+    if (holder && holder.id === lease.id) {
+      properties.deleteProperty(CONFIG.SYNC_LOCK.PROPERTY);
+    }
+  } finally {
+    documentLock.releaseLock();
+  }
+}
+
+/**
+ * 同步锁所在的属性存储（绑定在表格上的脚本使用 Document Properties）
+ * @returns {Properties}
+ */
+function getSyncLockProperties() {
+  return PropertiesService.getDocumentProperties() || PropertiesService.getScriptProperties();
+}
+
+/**
+ * 读取当前的同步锁租约
+ * @param {Properties} properties - 属性存储
+ * @returns {Object|null} { id, owner, startedAt, expiresAt }
+ */
+function readSyncLease(properties) {
+  const value = properties.getProperty(CONFIG.SYNC_LOCK.PROPERTY);
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
   } catch (error) {
-    Logger.log(`处理 Sheet ${sheetName} 失败: ${error.message}`);
-    return {
-      success: false,
-      total: 0,
-      processed: 0,
-      failed: 0,
-      error: error.message
-    };
+    Logger.log(`同步锁格式错误，将视为已过期: ${error.message}`);
+    return { id: '', owner: '未知', startedAt: '', expiresAt: 0 };
   }
 }
 
 /**
- * 读取课程数据
+ * 同步锁持有者的说明文字
+ * @param {Object|null} holder - 租约
+ * @returns {string}
  */
-function readCourseData(sheet, config) {
-  const dataRange = sheet.getDataRange();
-  // 使用 getDisplayValues() 获取显示值，避免格式问题
-  const values = dataRange.getDisplayValues();
+function describeSyncLockHolder(holder) {
+  if (!holder) {
+    return '未知';
+  }
+  const startedAt = holder.startedAt ?
+    Utilities.formatDate(new Date(holder.startedAt), CONFIG.TIMEZONE, 'yyyy-MM-dd HH:mm:ss') : '未知时间';
+  return `${holder.owner}，开始于 ${startedAt}`;
+}
+
+// ==================== 自动同步（触发器管理） ====================
+
+/**
+ * 读取自动同步触发器的说明（触发器本身无法读取频率，安装时记录在 Script Properties 中）
+ * @returns {Object} { 触发器ID: { type, hour } }
+ */
+function readAutoSyncTriggerInfo() {
+  const value = PropertiesService.getScriptProperties().getProperty(CONFIG.AUTO_SYNC_TRIGGERS_PROPERTY);
+  if (!value) {
+    return {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    Logger.log(`自动同步触发器说明格式错误，将忽略: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * 保存自动同步触发器的说明（只保留仍然存在的触发器）
+ * @param {Object} info - { 触发器ID: { type, hour } }
+ */
+function saveAutoSyncTriggerInfo(info) {
+  const existingIds = new Set(ScriptApp.getProjectTriggers().map(trigger => trigger.getUniqueId()));
+  const cleaned = {};
+  Object.keys(info).forEach(id => {
+    if (existingIds.has(id)) {
+      cleaned[id] = info[id];
+    }
+  });
+  PropertiesService.getScriptProperties().setProperty(CONFIG.AUTO_SYNC_TRIGGERS_PROPERTY, JSON.stringify(cleaned));
+}
+
+/**
+ * 获取指定函数的触发器
+ * @param {string} handlerFunction - 触发器调用的函数名
+ * @param {string} eventType - 事件类型（可选，如 ScriptApp.EventType.CLOCK）
+ * @returns {Array<Trigger>}
+ */
+function getTriggersForHandler(handlerFunction, eventType) {
+  return ScriptApp.getProjectTriggers().filter(trigger =>
+    trigger.getHandlerFunction() === handlerFunction &&
+    (!eventType || trigger.getEventType() === eventType)
+  );
+}
+
+/**
+ * 安装定时同步触发器（每小时或每天定时），已有的定时同步会被替换，避免重复执行
+ * @param {Object} schedule - { type: 'hourly' } 或 { type: 'daily', hour: 0-23 }
+ * @returns {string} 触发器说明
+ */
+function installScheduledSyncTrigger(schedule) {
+  const info = readAutoSyncTriggerInfo();
+  getTriggersForHandler(AUTO_SYNC_HANDLERS.SCHEDULED, ScriptApp.EventType.CLOCK).forEach(trigger => {
+    Logger.log(`替换已有的定时同步触发器: ${trigger.getUniqueId()}`);
+    delete info[trigger.getUniqueId()];
+    ScriptApp.deleteTrigger(trigger);
+  });
   
-  if (values.length < 2) {
-    return [];
+  let builder = ScriptApp.newTrigger(AUTO_SYNC_HANDLERS.SCHEDULED).timeBased();
+  if (schedule.type === 'daily') {
+    builder = builder.everyDays(1).atHour(schedule.hour).nearMinute(0).inTimezone(CONFIG.TIMEZONE);
+  } else {
+    builder = builder.everyHours(1);
   }
+  const trigger = builder.create();
   
-  // 表头行（第1行，索引0）
-  const headers = values[0];
-  const headerMap = {};
-  headers.forEach((header, index) => {
-    // 使用清理后的文本作为键，但保留原始表头用于匹配
-    const rawHeader = String(header || '').trim();
-    const cleanedHeader = cleanHeaderText(rawHeader);
-    // 同时存储原始表头和清理后的表头
-    headerMap[rawHeader] = index;
-    headerMap[cleanedHeader] = index;
-  });
+  info[trigger.getUniqueId()] = schedule.type === 'daily' ? { type: 'daily', hour: schedule.hour } : { type: 'hourly' };
+  saveAutoSyncTriggerInfo(info);
   
-  // 数据行（从第2行开始，索引1）
-  const courses = [];
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i];
-    
-    // 跳过空行（检查第一列或开始时间列）
-    if (!row[0] || !row[headerMap['开始时间']]) {
-      continue;
-    }
-    
-    try {
-      // 读取开始时间和结束时间（支持日期+时间组合或只有日期）
-      const startTimeInput = row[headerMap['开始时间']] || '';
-      const endTimeInput = row[headerMap['结束时间']] || '';
-      
-      // 验证必要字段
-      if (!startTimeInput) {
-        Logger.log(`跳过无效记录（第${i+1}行）: 缺少必要字段（开始时间）`);
-        continue;
-      }
-      
-      // 获取记录ID（如果正式表有"记录ID"列，使用它）
-      let recordId = '';
-      if (headerMap['记录ID'] !== undefined) {
-        recordId = row[headerMap['记录ID']] || '';
-      }
-      
-      // 读取所有自定义字段（排除"开始时间"、"结束时间"、"记录ID"）
-      const customFields = {};
-      // 定义需要排除的字段（不区分大小写）
-      // 使用精确匹配的字段（必须完全匹配）
-      const exactMatchFields = [
-        '开始时间', '结束时间', 
-        'start time', 'end time', 'starttime', 'endtime',
-        '开始', '结束', 'start', 'end'
-      ];
-      // 使用部分匹配的字段（包含这些关键词即可）
-      const partialMatchFields = [
-        '记录ID', '记录id', 'record id', 'recordid', 'id'
-      ];
-      
-      headers.forEach((header, index) => {
-        const rawHeader = String(header || '').trim();
-        if (!rawHeader) return; // 跳过空表头
-        
-        const cleanedHeader = cleanHeaderText(rawHeader);
-        const rawHeaderLower = rawHeader.toLowerCase();
-        const cleanedHeaderLower = cleanedHeader.toLowerCase();
-        
-        // 检查是否应该排除此字段
-        let shouldExclude = false;
-        
-        // 精确匹配检查（用于"开始时间"、"结束时间"等）
-        shouldExclude = exactMatchFields.some(excluded => {
-          const excludedLower = excluded.toLowerCase();
-          return rawHeaderLower === excludedLower || cleanedHeaderLower === excludedLower;
-        });
-        
-        // 部分匹配检查（用于"记录ID"等，避免误判）
-        if (!shouldExclude) {
-          shouldExclude = partialMatchFields.some(excluded => {
-            const excludedLower = excluded.toLowerCase();
-            // 对于"记录ID"相关字段，使用更严格的匹配：必须同时包含"记录"和"id"
+  const description = describeAutoSyncSchedule(info[trigger.getUniqueId()]);
+  Logger.log(`已安装定时同步触发器: ${description}`);
+  return description;
+}
+
+/**
+ * 安装编辑后自动同步的触发器（可安装的 onEdit 触发器），已安装时不重复安装
+ * @returns {boolean} 是否新安装
+ */
+function installEditSyncTrigger() {
+  if (getTriggersForHandler(AUTO_SYNC_HANDLERS.EDIT).length > 0) {
+    Logger.log('编辑后自动同步触发器已存在');
+    return false;
+  }
+  
+  const trigger = ScriptApp.newTrigger(AUTO_SYNC_HANDLERS.EDIT)
+    .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+    .onEdit()
+    .create();
+  
+  const info = readAutoSyncTriggerInfo();
+  info[trigger.getUniqueId()] = { type: 'edit' };
+  saveAutoSyncTriggerInfo(info);
+  Logger.log('已安装编辑后自动同步触发器');
+  return true;
+}
+
+/**
+ * 移除所有自动同步触发器（定时同步、编辑触发器和尚未执行的编辑后同步）
+ * @returns {number} 移除的触发器数量
+ */
+function removeAutoSyncTriggers() {
+  const triggers = getTriggersForHandler(AUTO_SYNC_HANDLERS.SCHEDULED, ScriptApp.EventType.CLOCK)
+    .concat(getTriggersForHandler(AUTO_SYNC_HANDLERS.EDIT))
+    .concat(getTriggersForHandler(AUTO_SYNC_HANDLERS.QUEUED));
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  PropertiesService.getScriptProperties().deleteProperty(CONFIG.AUTO_SYNC_TRIGGERS_PROPERTY);
+  Logger.log(`已移除 ${triggers.length} 个自动同步触发器`);
+  return triggers.length;
+}
+
+/**
+ * 列出当前的自动同步（用于菜单和"关于"对话框）
+ * @returns {Array<string>} 每个触发器一条说明
+ */
+function describeAutoSyncTriggers() {
+  const info = readAutoSyncTriggerInfo();
+  const descriptions = getTriggersForHandler(AUTO_SYNC_HANDLERS.SCHEDULED, ScriptApp.EventType.CLOCK)
+    .map(trigger => describeAutoSyncSchedule(info[trigger.getUniqueId()] || { type: 'unknown' }));
+  
+  if (getTriggersForHandler(AUTO_SYNC_HANDLERS.EDIT).length > 0) {
+    descriptions.push(describeAutoSyncSchedule({ type: 'edit' }));
+  }
+  if (getTriggersForHandler(AUTO_SYNC_HANDLERS.QUEUED).length > 0) {
+    descriptions.push('课程表已编辑，几分钟内将自动同步');
+  }
+  if (getTriggersForHandler('continueSync').length > 0) {
+    descriptions.push('上次同步未全部完成，等待续跑');
+  }
+  return descriptions;
+}
+
+/**
+ * 自动同步触发器的说明文字
+ * @param {Object} schedule - { type, hour }
+ * @returns {string}
+ */
+function describeAutoSyncSchedule(schedule) {
+  switch (schedule.type) {
+    case 'hourly':
+      return '每小时同步一次';
+    case 'daily':
+      return `每天 ${schedule.hour} 点左右同步（${CONFIG.TIMEZONE}）`;
+    case 'edit':
+      return `编辑课程表约 ${Math.round(CONFIG.EDIT_SYNC_DELAY_MS / 60000)} 分钟后自动同步`;
+    default:
+      return '定时同步（在 Apps Script 触发器页面中创建）';
+  }
+}
+
+/**
+ * 可安装的编辑触发器：编辑启用的课程表后，安排几分钟后执行一次同步
+ * 只响应用户的编辑（脚本写入记录ID等不会触发），内部表（以 _ 开头）的编辑会被忽略
+ * @param {Object} e - 编辑事件
+ */
+function onCourseSheetEdit(e) {
+  const range = e && e.range;
+  if (!range) {
+    return;
+  }
+  const sheetName = range.getSheet().getName();
+  if (sheetName.startsWith('_')) {
+    return;
+  }
+  
+  const spreadsheet = e.source || SpreadsheetApp.getActiveSpreadsheet();
+  if (!readSheetConfig(spreadsheet).has(sheetName)) {
+    return;
+  }
+  
+  queueSyncAfterEdit(sheetName);
+}
+
+/**
+ * 安排编辑后的同步：已有尚未执行的同步时不再重复安排（多次编辑合并为一次同步）
+ * @param {string} sheetName - 被编辑的 Sheet 名称（用于日志）
+ * @returns {boolean} 是否新安排了同步
+ */
+function queueSyncAfterEdit(sheetName) {
+  if (getTriggersForHandler(AUTO_SYNC_HANDLERS.QUEUED).length > 0) {
+    Logger.log(`[${sheetName}] 已编辑，同步已在排队中`);
+    return false;
+  }
+  ScriptApp.newTrigger(AUTO_SYNC_HANDLERS.QUEUED)
+    .timeBased()
+    .after(CONFIG.EDIT_SYNC_DELAY_MS)
+    .create();
+  Logger.log(`[${sheetName}] 已编辑，将在 ${Math.round(CONFIG.EDIT_SYNC_DELAY_MS / 60000)} 分钟后自动同步`);
+  return true;
+}
+
+/**
+ * 编辑后的一次性同步（由 queueSyncAfterEdit() 创建的触发器调用）
+ */
+function runQueuedSync() {
+  getTriggersForHandler(AUTO_SYNC_HANDLERS.QUEUED).forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  const summary = main({ source: SYNC_SOURCE.TRIGGER });
+  if (summary && summary.busy) {
+    // 另一个同步正在执行，可能没有包含最新的编辑，稍后再同步一次
+    queueSyncAfterEdit('编辑后同步');
+  }
+  return summary;
+}
+
+// ==================== 续跑（执行时间预算） ====================
+
+/**
+ * 判断本次执行的时间预算是否已用完
+ * @param {Object} config - Sheet 配置（syncDeadline 由 syncAllSheets() 设置）
+ * @returns {boolean}
+ */
+function isSyncTimeBudgetExhausted(config) {
+  return !!(config && config.syncDeadline) && Date.now() >= config.syncDeadline;
+}
+
+/**
+ * 读取续跑进度（各部分的保存位置见 saveSyncCursor()）
+ * @returns {Object|null} { sheetName, phase, rowIndex, continuations, startedAt, scope, results, pendingTokens, blockedRows }
+ */
+function loadSyncCursor() {
+  const properties = PropertiesService.getScriptProperties();
+  const value = properties.getProperty(CONFIG.SYNC_CURSOR_PROPERTY);
+  if (!value) {
+    return null;
+  }
+  let cursor;
+  try {
+    cursor = JSON.parse(value);
+  } catch (error) {
+    Logger.log(`续跑进度格式错误，将忽略: ${error.message}`);
+    return null;
+  }
+  
+  const stateText = readSplitValues(
+    () => properties.getProperties(),
+    getSyncCursorChunkKeys(CONFIG.SYNC_CURSOR_PROPERTY + '_state_', cursor.stateChunks));
+  if (stateText === null) {
+    Logger.log('续跑进度不完整（同步范围和 syncToken 缺失），将忽略');
+    return null;
+  }
+  const state = JSON.parse(stateText);
+  cursor.scope = state.scope;
+  cursor.pendingTokens = state.pendingTokens;
+  cursor.blockedRows = state.blockedRows;
+  
+  // 失败的行和已取消的课程只用于同步报告，缓存过期时报告中只有计数
+  let details = {};
+  try {
+    const detailsText = cursor.detailChunks ? readSplitValues(
+      (keys) => CacheService.getScriptCache().getAll(keys),
+      getSyncCursorChunkKeys(`${CONFIG.SYNC_CURSOR_PROPERTY}_details_${cursor.runId}_`, cursor.detailChunks)) : null;
+    if (detailsText === null) {
+      Logger.log('续跑进度中失败的行和已取消的课程已过期，同步报告中只有计数');
+    } else {
+      details = JSON.parse(detailsText);
+    }
+  } catch (error) {
+    Logger.log(`读取续跑进度中失败的行和已取消的课程失败，同步报告中只有计数: ${error.message}`);
+  }
+  cursor.results = cursor.results.map(result =>
+    Object.assign({ failures: [], cancellations: [] }, result, details[result.sheetName] || {}));
+  return cursor;
+}
+
+/**
+ * 保存续跑进度
+ * Script Properties 单个值最大 9KB，所以分开保存：
+ * - CONFIG.SYNC_CURSOR_PROPERTY：中断的位置和各 Sheet 的计数
+ * - 同步范围（只重试失败的行时包含所有记录ID）、待保存的 syncToken 和撞课检测结果：分段保存在 Script Properties 中
+ * - 各 Sheet 失败的行、已取消的课程和错误信息：分段保存在 CacheService 中（只用于同步报告，保存失败不影响续跑）
+ * @param {Object} cursor - 续跑进度（格式同 loadSyncCursor() 的返回值）
+ */
+function saveSyncCursor(cursor) {
+  const properties = PropertiesService.getScriptProperties();
+  deleteSyncCursorStorage(properties);
+  
+  const details = {};
+  cursor.results.forEach(result => {
+    details[result.sheetName] = { failures: result.failures || [], cancellations: result.cancellations || [], error: result.error };
+  });
+  let detailChunks = 0;
+  try {
+    const chunks = splitText(JSON.stringify(details), SYNC_CURSOR_STORAGE.CACHE_CHUNK_CHARS);
+    const keys = getSyncCursorChunkKeys(`${CONFIG.SYNC_CURSOR_PROPERTY}_details_${cursor.runId}_`, chunks.length);
+    CacheService.getScriptCache().putAll(zipObject(keys, chunks), SYNC_CURSOR_STORAGE.CACHE_EXPIRATION_SECONDS);
+    detailChunks = chunks.length;
+  } catch (error) {
+    Logger.log(`保存失败的行和已取消的课程失败，同步报告中只有计数: ${error.message}`);
+  }
+  
+  const state = { scope: cursor.scope || null, pendingTokens: cursor.pendingTokens || {}, blockedRows: cursor.blockedRows || null };
+  const stateChunks = splitText(JSON.stringify(state), SYNC_CURSOR_STORAGE.PROPERTY_CHUNK_CHARS);
+  properties.setProperties(zipObject(getSyncCursorChunkKeys(CONFIG.SYNC_CURSOR_PROPERTY + '_state_', stateChunks.length), stateChunks));
+  
+  const position = Object.assign({}, cursor, {
+    stateChunks: stateChunks.length,
+    detailChunks: detailChunks,
+    results: cursor.results.map(result => ({
+      sheetName: result.sheetName,
+      success: result.success,
+      total: result.total,
+      processed: result.processed,
+      failed: result.failed,
+      created: result.created || 0,
+      updated: result.updated || 0,
+      skipped: result.skipped || 0,
+      cancelled: result.cancelled || 0
+    }))
+  });
+  delete position.scope;
+  delete position.pendingTokens;
+  delete position.blockedRows;
+  properties.setProperty(CONFIG.SYNC_CURSOR_PROPERTY, JSON.stringify(position));
+}
+
+/**
+ * 清除续跑进度
+ */
+function clearSyncCursor() {
+  deleteSyncCursorStorage(PropertiesService.getScriptProperties());
+}
+
+/**
+ * 删除续跑进度的所有部分（缓存中的部分按运行ID删除，没有删除的会自动过期）
+ * @param {Properties} properties - Script Properties
+ */
+function deleteSyncCursorStorage(properties) {
+  const value = properties.getProperty(CONFIG.SYNC_CURSOR_PROPERTY);
+  if (value) {
+    try {
+      const cursor = JSON.parse(value);
+      if (cursor.detailChunks) {
+        CacheService.getScriptCache().removeAll(getSyncCursorChunkKeys(`${CONFIG.SYNC_CURSOR_PROPERTY}_details_${cursor.runId}_`, cursor.detailChunks));
+      }
+    } catch (error) {
+      Logger.log(`清除续跑进度的缓存失败: ${error.message}`);
+    }
+  }
+  properties.getKeys()
+    .filter(key => key === CONFIG.SYNC_CURSOR_PROPERTY || key.startsWith(CONFIG.SYNC_CURSOR_PROPERTY + '_state_'))
+    .forEach(key => properties.deleteProperty(key));
+}
+
+/**
+ * 分段保存的各段的键名
+ * @param {string} prefix - 键名前缀
+ * @param {number} count - 段数
+ * @returns {Array<string>}
+ */
+function getSyncCursorChunkKeys(prefix, count) {
+  return Array.from({ length: count }, (value, index) => prefix + index);
+}
+
+/**
+ * 按顺序读取并拼接分段保存的文本
+ * @param {Function} getAll - 按键名列表读取的函数，返回 键名 → 值 的对象
+ * @param {Array<string>} keys - 各段的键名
+ * @returns {string|null} 任何一段缺失时返回 null
+ */
+function readSplitValues(getAll, keys) {
+  const values = getAll(keys);
+  if (keys.some(key => typeof values[key] !== 'string')) {
+    return null;
+  }
+  return keys.map(key => values[key]).join('');
+}
+
+/**
+ * 把文本按长度切分为多段
+ * @param {string} text - 文本
+ * @param {number} size - 每段的最大字符数
+ * @returns {Array<string>} 至少一段
+ */
+function splitText(text, size) {
+  const chunks = [];
+  for (let index = 0; index < text.length; index += size) {
+    chunks.push(text.substring(index, index + size));
+  }
+  return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * 把键名列表和值列表组合为对象
+ * @param {Array<string>} keys - 键名
+ * @param {Array} values - 值（与键名一一对应）
+ * @returns {Object}
+ */
+function zipObject(keys, values) {
+  const object = {};
+  keys.forEach((key, index) => {
+    object[key] = values[index];
+  });
+  return object;
+}
+
+/**
+ * 创建一次性续跑触发器（先删除已有的续跑触发器，避免重复续跑）
+ */
+function scheduleSyncContinuation() {
+  deleteContinuationTriggers();
+  ScriptApp.newTrigger('continueSync')
+    .timeBased()
+    .after(CONFIG.CONTINUATION_DELAY_MS)
+    .create();
+}
+
+/**
+ * 删除所有续跑触发器
+ */
+function deleteContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'continueSync')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * 放弃尚未完成的续跑（删除续跑触发器和进度）
+ */
+function clearSyncContinuation() {
+  deleteContinuationTriggers();
+  clearSyncCursor();
+}
+
+/**
+ * 合并多次执行中同一 Sheet 的处理结果（续跑时一个 Sheet 可能分几次处理完）
+ * @param {Array<Object>} results - 各次执行的 Sheet 结果
+ *   { sheetName, success, total, processed, failed, created, updated, skipped, cancelled, failures, cancellations, error }
+ * @returns {Array<Object>} 每个 Sheet 一条结果，按首次出现的顺序
+ */
+function mergeSheetResults(results) {
+  const merged = new Map();
+  results.forEach(result => {
+    const existing = merged.get(result.sheetName);
+    if (!existing) {
+      merged.set(result.sheetName, Object.assign({}, result));
+      return;
+    }
+    existing.success = existing.success && result.success;
+    existing.total = result.total || existing.total;
+    existing.processed += result.processed;
+    existing.failed += result.failed;
+    ['created', 'updated', 'skipped', 'cancelled'].forEach(key => {
+      existing[key] = (existing[key] || 0) + (result[key] || 0);
+    });
+    existing.failures = (existing.failures || []).concat(result.failures || []).slice(0, CONFIG.ADMIN_REPORT.MAX_ROWS);
+    existing.cancellations = (existing.cancellations || []).concat(result.cancellations || []).slice(0, CONFIG.ADMIN_REPORT.MAX_ROWS);
+    existing.error = result.error || existing.error;
+  });
+  return Array.from(merged.values());
+}
+
+/**
+ * 把 Map 转换为普通对象（用于 JSON 保存）
+ * @param {Map} map - Map 对象
+ * @returns {Object}
+ */
+function mapToObject(map) {
+  const object = {};
+  map.forEach((value, key) => {
+    object[key] = value;
+  });
+  return object;
+}
+
+// ==================== 同步报告（管理员邮件） ====================
+
+/**
+ * 同步（含续跑）全部完成后给管理员发送汇总邮件
+ * CONFIG.ADMIN_REPORT.RECIPIENTS 中的管理员收到所有 Sheet 的报告，配置表"管理员邮箱"列中的管理员只收到该 Sheet 的报告；
+ * 发送方式为"仅失败时"的管理员只在报告中有 Sheet 处理失败或有记录失败时收到邮件
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Map<string, Object>} sheetConfigMap - readSheetConfig() 返回的配置
+ * @param {Object} summary - 同步汇总 { results, runs, startedAt }
+ * @returns {number} 发送成功的报告数
+ */
+function sendAdminReports(spreadsheet, sheetConfigMap, summary) {
+  // 收件人 → { sheetNames, mode }（同一管理员负责多个 Sheet 时合并为一封邮件，任一 Sheet 为"总是"即按"总是"发送）
+  const reports = new Map();
+  const addRecipient = (email, sheetNames, mode) => {
+    const key = email.toLowerCase();
+    const report = reports.get(key) || { email: email, sheetNames: new Set(), mode: ADMIN_REPORT_MODE.ON_FAILURE };
+    sheetNames.forEach(sheetName => report.sheetNames.add(sheetName));
+    if (mode === ADMIN_REPORT_MODE.ALWAYS) {
+      report.mode = ADMIN_REPORT_MODE.ALWAYS;
+    }
+    reports.set(key, report);
+  };
+  
+  const allSheetNames = summary.results.map(result => result.sheetName);
+  splitEmailList(CONFIG.ADMIN_REPORT.RECIPIENTS).forEach(email => addRecipient(email, allSheetNames, parseAdminReportMode('')));
+  for (const [sheetName, config] of sheetConfigMap) {
+    (config.adminEmails || []).forEach(email => addRecipient(email, [sheetName], config.adminReportMode));
+  }
+  if (reports.size === 0) {
+    return 0;
+  }
+  
+  let sentCount = 0;
+  reports.forEach(report => {
+    const results = summary.results.filter(result => report.sheetNames.has(result.sheetName));
+    if (results.length === 0) {
+      return;
+    }
+    const hasFailure = results.some(result => !result.success || result.failed > 0);
+    if (report.mode === ADMIN_REPORT_MODE.ON_FAILURE && !hasFailure) {
+      Logger.log(`同步报告: ${report.email} 只在失败时接收，本次没有失败，不发送`);
+      return;
+    }
+    
+    const message = buildAdminReport(spreadsheet, results, summary);
+    try {
+      MailApp.sendEmail({ to: report.email, subject: message.subject, htmlBody: message.htmlBody });
+      Logger.log(`同步报告发送成功: ${report.email}（${results.map(result => result.sheetName).join(', ')}）`);
+      sentCount++;
+    } catch (error) {
+      Logger.log(`同步报告发送失败: ${report.email} - ${error.message}`);
+    }
+  });
+  return sentCount;
+}
+
+/**
+ * 生成同步报告邮件：各 Sheet 汇总、失败的行、发出的取消通知和执行时长
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Array<Object>} results - 报告中包含的 Sheet 结果（mergeSheetResults() 的结果）
+ * @param {Object} summary - 同步汇总 { runs, startedAt }
+ * @returns {Object} { subject, htmlBody }
+ */
+function buildAdminReport(spreadsheet, results, summary) {
+  const cellStyle = 'border:1px solid #ccc;padding:4px 8px;text-align:left';
+  const table = (headers, rows) => '<table style="border-collapse:collapse">' +
+    '<tr>' + headers.map(header => `<th style="${cellStyle};background:#f3f3f3">${escapeHtmlText(header)}</th>`).join('') + '</tr>' +
+    rows.map(row => '<tr>' + row.map(value => `<td style="${cellStyle}">${escapeHtmlText(value === undefined || value === null ? '' : value)}</td>`).join('') + '</tr>').join('') +
+    '</table>';
+  
+  const startedAt = new Date(summary.startedAt);
+  const durationSeconds = Math.max(0, Math.round((Date.now() - startedAt.getTime()) / 1000));
+  const duration = durationSeconds >= 60 ? `${Math.floor(durationSeconds / 60)} 分 ${durationSeconds % 60} 秒` : `${durationSeconds} 秒`;
+  
+  const failedSheetCount = results.filter(result => !result.success || result.failed > 0).length;
+  const failedRecordCount = results.reduce((sum, result) => sum + result.failed, 0);
+  const failures = [];
+  const cancellations = [];
+  results.forEach(result => {
+    if (result.error) {
+      failures.push([result.sheetName, '', '', '', result.error]);
+    }
+    (result.failures || []).forEach(failure => {
+      failures.push([result.sheetName, failure.rowIndex, failure.recordId, failure.lessonNumber, `${failure.status}${failure.error ? '：' + failure.error : ''}`]);
+    });
+    (result.cancellations || []).forEach(cancellation => {
+      cancellations.push([result.sheetName, cancellation.recordId, cancellation.lessonNumber, cancellation.date, cancellation.emailCount]);
+    });
+  });
+  
+  const html = [];
+  html.push(`<p>表格：<a href="${escapeHtmlText(spreadsheet.getUrl())}">${escapeHtmlText(spreadsheet.getName())}</a></p>`);
+  html.push(`<p>开始时间：${escapeHtmlText(Utilities.formatDate(startedAt, CONFIG.TIMEZONE, 'yyyy-MM-dd HH:mm'))}，用时 ${duration}` +
+    `${summary.runs > 1 ? `（共执行 ${summary.runs} 次，含 ${summary.runs - 1} 次续跑）` : ''}</p>`);
+  
+  html.push('<h3>各 Sheet 汇总</h3>');
+  html.push(table(['Sheet', '状态', '课程数', '处理', '成功', '失败', '取消'], results.map(result => [
+    result.sheetName,
+    result.success ? (result.failed > 0 ? '部分失败' : '成功') : '失败',
+    result.total,
+    result.processed,
+    result.processed - result.failed,
+    result.failed,
+    result.cancelled || 0
+  ])));
+  
+  html.push('<h3>失败的行</h3>');
+  html.push(failures.length > 0 ? table(['Sheet', '行', '记录ID', '课次', '错误'], failures) : '<p>无</p>');
+  if (results.some(result => result.failed > (result.failures || []).length)) {
+    html.push(`<p>（每个 Sheet 最多列出 ${CONFIG.ADMIN_REPORT.MAX_ROWS} 行，其余请查看执行日志）</p>`);
+  }
+  
+  html.push('<h3>已取消的课程</h3>');
+  html.push(cancellations.length > 0 ? table(['Sheet', '记录ID', '课次', '日期', '取消邮件'], cancellations) : '<p>无</p>');
+  
+  const status = failedSheetCount > 0 ? `${failedSheetCount} 个 Sheet 有失败（${failedRecordCount} 条记录）` : '全部成功';
+  return {
+    subject: `[课程同步] ${spreadsheet.getName()}：${status}`,
+    htmlBody: html.join('\n')
+  };
+}
+
+/**
+ * 同步中途出错（如无法读取配置表）时通知 CONFIG.ADMIN_REPORT.RECIPIENTS 中的管理员
+ * @param {string} errorMessage - 错误信息
+ */
+function sendAdminErrorReport(errorMessage) {
+  const recipients = splitEmailList(CONFIG.ADMIN_REPORT.RECIPIENTS);
+  if (recipients.length === 0) {
+    return;
+  }
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const name = spreadsheet ? spreadsheet.getName() : '';
+  MailApp.sendEmail({
+    to: recipients.join(','),
+    subject: `[课程同步] ${name}：同步失败`,
+    htmlBody: `<p>同步执行失败：${escapeHtmlText(errorMessage)}</p>`
+  });
+  Logger.log(`已通知管理员同步失败: ${recipients.join(', ')}`);
+}
+
+// ==================== 同步记录（_SyncRunLog） ====================
+
+/**
+ * 把一次同步（含续跑）追加到同步记录表：每个 Sheet 一行，同一次同步的各行运行ID相同；
+ * 同步中途出错时另外追加一行错误。记录失败不影响同步结果
+ * @param {Object} summary - { runId, source, startedAt, runs, results, error }
+ */
+function appendRunLog(summary) {
+  try {
+    const finishedAt = new Date();
+    const user = getRunLogUser();
+    const base = [summary.runId, summary.source || SYNC_SOURCE.API, new Date(summary.startedAt), finishedAt, user, summary.runs || 1];
+    const rows = (summary.results || []).map(result => base.concat([
+      result.sheetName,
+      result.created || 0,
+      result.updated || 0,
+      result.skipped || 0,
+      result.cancelled || 0,
+      result.failed || 0,
+      result.error || ''
+    ]));
+    if (summary.error) {
+      rows.push(base.concat(['', '', '', '', '', '', summary.error]));
+    }
+    if (rows.length === 0) {
+      return;
+    }
+    
+    const sheet = ensureRunLogSheet(SpreadsheetApp.getActiveSpreadsheet());
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, RUN_LOG_HEADERS.length).setValues(rows);
+    pruneRunLog(sheet);
+    Logger.log(`已写入同步记录: ${summary.runId}（${rows.length} 行）`);
+  } catch (error) {
+    Logger.log(`写入同步记录失败: ${error.message}`);
+  }
+}
+
+/**
+ * 记录因另一个同步正在执行而没有执行的同步
+ * @param {string} source - 触发来源
+ * @param {string} reason - 原因
+ */
+function appendSkippedRunLog(source, reason) {
+  appendRunLog({ runId: Utilities.getUuid(), source: source, startedAt: new Date().toISOString(), runs: 0, results: [], error: reason });
+}
+
+/**
+ * 获取同步记录表，不存在时创建（隐藏，可通过菜单"查看同步记录"打开）
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @returns {Sheet}
+ */
+function ensureRunLogSheet(spreadsheet) {
+  let sheet = spreadsheet.getSheetByName(CONFIG.RUN_LOG.SHEET_NAME);
+  if (sheet) {
+    return sheet;
+  }
+  sheet = spreadsheet.insertSheet(CONFIG.RUN_LOG.SHEET_NAME);
+  sheet.getRange(1, 1, 1, RUN_LOG_HEADERS.length).setValues([RUN_LOG_HEADERS]);
+  sheet.getRange(1, 1, 1, RUN_LOG_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF');
+  sheet.setFrozenRows(1);
+  sheet.hideSheet();
+  Logger.log(`创建同步记录表: ${CONFIG.RUN_LOG.SHEET_NAME}`);
+  return sheet;
+}
+
+/**
+ * 同步记录超过 CONFIG.RUN_LOG.MAX_ROWS 行时删除最早的记录
+ * @param {Sheet} sheet - 同步记录表
+ */
+function pruneRunLog(sheet) {
+  const excess = sheet.getLastRow() - 1 - CONFIG.RUN_LOG.MAX_ROWS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+    Logger.log(`同步记录超过 ${CONFIG.RUN_LOG.MAX_ROWS} 行，已删除最早的 ${excess} 行`);
+  }
+}
+
+/**
+ * 执行同步的用户（定时触发时通常取不到当前用户，使用安装触发器的账号）
+ * @returns {string}
+ */
+function getRunLogUser() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// ==================== 第三部分：课程数据处理和状态管理 ====================
+
+/**
+ * 处理单个 Sheet
+ */
+function processSheet(spreadsheet, sheetName, config) {
+  try {
+    // 获取主表
+    const mainSheet = spreadsheet.getSheetByName(sheetName);
+    if (!mainSheet) {
+      throw new Error(`找不到 Sheet: ${sheetName}`);
+    }
+    
+    // 生成状态表名称
+    const statusSheetName = CONFIG.STATUS_SHEET_PREFIX + sheetName;
+    
+    // 确保隐藏状态表存在
+    ensureStatusSheet(spreadsheet, statusSheetName);
+    
+    // 确保正式表有"记录ID"列
+    ensureRecordIdColumn(mainSheet);
+    
+    // 读取课程数据，传入配置信息（包含时区）
+    const courses = readCourseData(mainSheet, config);
+    // 为每条课程记录添加时区和提醒时间信息
+    courses.forEach(course => {
+      course.timezone = config.timezone;
+      course.reminderMinutes = config.reminderMinutes;
+    });
+    Logger.log(`[${sheetName}] 读取到 ${courses.length} 条课程记录，时区: ${config.timezone}, 提醒时间: ${config.reminderMinutes ? config.reminderMinutes + '分钟' : '未配置'}`);
+    
+    // 读取已处理状态（在同步之前读取，以便检测被删除的记录）
+    const statusSheet = spreadsheet.getSheetByName(statusSheetName);
+    const processedRecords = readProcessedStatus(statusSheet);
+    
+    // 检测被删除的记录（在同步状态表之前检测，避免状态表被删除后无法检测）
+    const deletedRecords = findDeletedRecords(courses, processedRecords, statusSheet);
+    const cancellations = []; // 本次取消的课程（用于管理员报告）
+    let cancelledCount = 0;
+    
+    // 本 Sheet 的处理结果（正常完成和中途暂停时返回相同的字段；暂停时，中断处之后的行由续跑统计）
+    const buildSheetResult = (results, skippedRows, interrupted) => {
+      const completed = results.filter(result => result.status === '已完成');
+      // 失败的行（用于管理员报告）
+      const failures = results.filter(result => result.status !== '已完成').map(result => ({
+        rowIndex: result.course.rowIndex,
+        recordId: result.course.recordId || '',
+        lessonNumber: String(result.course.lessonNumber || ''),
+        status: result.status,
+        error: getResultErrorMessage(result)
+      }));
+      return {
+        success: true,
+        total: courses.length,
+        processed: results.length,
+        failed: failures.length,
+        created: completed.filter(result => result.created).length,
+        updated: completed.filter(result => !result.created).length,
+        skipped: interrupted ? skippedRows.filter(rowIndex => rowIndex < interrupted.rowIndex).length : skippedRows.length,
+        cancelled: cancelledCount,
+        failures: failures.slice(0, CONFIG.ADMIN_REPORT.MAX_ROWS),
+        cancellations: cancellations.slice(0, CONFIG.ADMIN_REPORT.MAX_ROWS),
+        interrupted: interrupted
+      };
+    };
+    
+    if (deletedRecords.length > 0) {
+      Logger.log(`[${sheetName}] 检测到 ${deletedRecords.length} 条被删除的记录，将取消课程`);
+      for (let i = 0; i < deletedRecords.length; i++) {
+        const deletedRecord = deletedRecords[i];
+        if (i > 0 && isSyncTimeBudgetExhausted(config)) {
+          // 在同步状态表之前暂停，剩余被删除的记录续跑时会再次检测到
+          return buildSheetResult([], [], { phase: SYNC_PHASE.CANCEL, rowIndex: deletedRecord.rowIndex });
+        }
+        try {
+          const emailCount = cancelCourse(deletedRecord, statusSheet, config);
+          const deletedDateStr = deletedRecord.date ? String(deletedRecord.date) : '未知日期';
+          cancellations.push({
+            recordId: deletedRecord.recordId || '',
+            lessonNumber: String(deletedRecord.lessonNumber || ''),
+            date: deletedRecord.date instanceof Date ? Utilities.formatDate(deletedRecord.date, config.timezone, 'yyyy-MM-dd') : deletedDateStr,
+            emailCount: emailCount
+          });
+          cancelledCount++;
+          Logger.log(`[${sheetName}] 取消课程成功: ${deletedRecord.lessonNumber} - ${deletedDateStr}`);
+        } catch (error) {
+          Logger.log(`[${sheetName}] 取消课程失败: ${deletedRecord.lessonNumber} - ${error.message}`);
+        }
+      }
+    }
+    
+    // 同步状态表，确保和正式表一一对应（在检测被删除记录之后）
+    syncStatusSheet(statusSheet, courses.length);
+    
+    // 重新读取已处理状态（同步后重新读取）
+    const processedRecordsAfterSync = readProcessedStatus(statusSheet);
+    
+    // 为每条课程记录分配或获取记录ID，并更新正式表
+    assignRecordIds(courses, processedRecordsAfterSync, statusSheet, mainSheet);
+    
+    // 判断操作时使用同步前读取的状态（同步状态表可能删除末尾的行），但排除本次取消的记录
+    const remainingRecords = excludeDeletedRecords(processedRecords, deletedRecords);
+    
+    // 记录ID重复的行（复制行时连记录ID一起复制）：事件ID由记录ID生成，这些行会写入同一个日历事件，不拉回日历端的修改
+    const duplicateRows = findDuplicateRecordIds(courses);
+    
+    // 双向同步：先把日历端的修改（拖动时间、修改标题）拉回表格，再执行表格 → 日历的同步
+    const pulled = pullCalendarChanges(sheetName, mainSheet, courses.filter(course => !duplicateRows.has(course.rowIndex)), remainingRecords, statusSheet, config);
+    if (pulled.stoppedAtRow) {
+      Logger.log(`[${sheetName}] 执行时间预算已用完，从第${pulled.stoppedAtRow}行起的日历端修改将在续跑中检查`);
+      return buildSheetResult([], [], { phase: SYNC_PHASE.PULL, rowIndex: pulled.stoppedAtRow });
+    }
+    
+    // 判断每条课程需要执行的操作（与预览共用）
+    const planning = planSheetCourses(sheetName, courses, remainingRecords, statusSheet, config, {
+      verifyEvents: true,
+      flaggedRows: pulled.flaggedRows
+    });
+    const planningStoppedAt = planning.stoppedAtRow;
+    
+    const tokensToRefresh = [];
+    const skippedRows = []; // 本次不需要处理的行（用于同步记录中的统计）
+    const duplicateCourses = [];
+    const toProcess = [];
+    planning.plans.forEach(({ course, plan }) => {
+      if (plan.clearEventId) {
+        // 更新状态表，清除无效的事件ID
+        statusSheet.getRange(plan.existingRecord.rowIndex, 6).setValue(''); // 第6列是组织者日历事件ID
+        plan.existingRecord.organizerEventId = '';
+      }
+      
+      if (plan.action === SYNC_ACTION.DUPLICATE) {
+        duplicateCourses.push({ course: course, error: plan.reason });
+        return;
+      }
+      
+      if (plan.action === SYNC_ACTION.SKIP || plan.action === SYNC_ACTION.CONFLICT) {
+        skippedRows.push(course.rowIndex);
+        if (plan.refreshToken) {
+          tokensToRefresh.push(course);
+        }
+        return;
+      }
+      
+      if (plan.oldRecords.length > 0) {
+        // 标记需要删除的旧记录，在processCourse中处理（因为需要日历ID）
+        course._oldRecords = plan.oldRecords;
+      }
+      
+      course._silentUpdate = plan.action === SYNC_ACTION.SILENT_UPDATE;
+      course._forceUpdate = plan.forceUpdate;
+      course._rescheduledFrom = plan.rescheduledFrom;
+      toProcess.push(course);
+    });
+    
+    // 只有忽略列变化的行：不修改日历事件，只更新状态表中的 token 和字段指纹
+    refreshStatusTokens(statusSheet, tokensToRefresh);
+    
+    Logger.log(`[${sheetName}] 需要处理 ${toProcess.length} 条记录`);
+    if (planningStoppedAt) {
+      Logger.log(`[${sheetName}] 执行时间预算已用完，从第${planningStoppedAt}行起的记录将在续跑中检查`);
+    }
+    
+    // 记录ID重复的行记为失败（不写入状态表，避免覆盖第一次出现的那一行的状态记录）
+    const results = [];
+    duplicateCourses.forEach(duplicate => {
+      const result = {
+        course: duplicate.course,
+        status: '失败',
+        error: duplicate.error
+      };
+      Logger.log(`[${sheetName}] 第${duplicate.course.rowIndex}行${result.error}，本次不同步`);
+      results.push(result);
+      updateRowSyncNote(mainSheet, duplicate.course, result);
+    });
+    
+    // 处理每条记录（时间预算用完时记录下一行，由续跑继续处理）
+    let interrupted = null;
+    for (let i = 0; i < toProcess.length; i++) {
+      const course = toProcess[i];
+      if (i > 0 && isSyncTimeBudgetExhausted(config)) {
+        interrupted = { phase: SYNC_PHASE.SYNC, rowIndex: course.rowIndex };
+        Logger.log(`[${sheetName}] 执行时间预算已用完，剩余 ${toProcess.length - i} 条记录将在续跑中处理`);
+        break;
+      }
+      try {
+        const result = processCourse(course, statusSheet, config);
+        results.push(result);
+        updateRowSyncNote(mainSheet, course, result);
+        Logger.log(`[${sheetName}] 处理完成: ${course.lessonNumber} - ${result.status}`);
+        
+        // 如果不是最后一条记录，添加延迟，避免连续处理多条记录时触发速率限制
+        if (i < toProcess.length - 1) {
+          addOperationDelay();
+        }
+      } catch (error) {
+        Logger.log(`[${sheetName}] 处理失败: ${course.lessonNumber} - ${error.message}`);
+        const result = {
+          course: course,
+          status: '失败',
+          error: error.message
+        };
+        results.push(result);
+        try {
+          updateRowSyncNote(mainSheet, course, result);
+        } catch (noteError) {
+          Logger.log(`[${sheetName}] 写入失败备注失败: ${noteError.message}`);
+        }
+        
+        // 即使失败，也添加延迟，避免连续处理时触发速率限制
+        if (i < toProcess.length - 1) {
+          addOperationDelay();
+        }
+      }
+    }
+    
+    // 已检查的行都处理完后，从停止检查的行继续
+    if (!interrupted && planningStoppedAt) {
+      interrupted = { phase: SYNC_PHASE.PLAN, rowIndex: planningStoppedAt };
+    }
+    
+    // 输出处理结果
+    Logger.log(`\n[${sheetName}] === 处理结果汇总 ===`);
+    let successCount = 0;
+    let failedCount = 0;
+    for (const result of results) {
+      if (result.status === '已完成') {
+        successCount++;
+      } else {
+        failedCount++;
+      }
+    }
+    Logger.log(`[${sheetName}] 成功: ${successCount}, 失败: ${failedCount}`);
+    
+    return buildSheetResult(results, skippedRows, interrupted);
+    
+  } catch (error) {
+    Logger.log(`处理 Sheet ${sheetName} 失败: ${error.message}`);
+    return {
+      success: false,
+      total: 0,
+      processed: 0,
+      failed: 0,
+      failures: [],
+      cancellations: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 更新状态表中指定课程的 Token 和字段指纹（不修改日历事件），整列读取后一次写回
+ * @param {Sheet} statusSheet - 状态表
+ * @param {Array<Object>} courses - 课程列表（状态表的行号与 course.rowIndex 相同）
+ */
+function refreshStatusTokens(statusSheet, courses) {
+  if (courses.length === 0 || statusSheet.getLastRow() < 2) {
+    return;
+  }
+  
+  const headers = statusSheet.getRange(1, 1, 1, statusSheet.getLastColumn()).getValues()[0]
+    .map(header => String(header).trim());
+  const tokenColumn = headers.indexOf('Token') + 1;
+  const fingerprintColumn = headers.indexOf('字段指纹') + 1;
+  const courseInfoColumn = headers.indexOf('课程信息') + 1;
+  if (tokenColumn === 0 || fingerprintColumn === 0 || courseInfoColumn === 0) {
+    return;
+  }
+  
+  const rowCount = statusSheet.getLastRow() - 1;
+  const tokens = statusSheet.getRange(2, tokenColumn, rowCount, 1).getValues();
+  const fingerprints = statusSheet.getRange(2, fingerprintColumn, rowCount, 1).getValues();
+  const courseInfos = statusSheet.getRange(2, courseInfoColumn, rowCount, 1).getValues();
+  courses.forEach(course => {
+    if (course.rowIndex - 2 < rowCount) {
+      tokens[course.rowIndex - 2][0] = calculateCourseToken(course);
+      fingerprints[course.rowIndex - 2][0] = calculateCourseFingerprint(course);
+      courseInfos[course.rowIndex - 2][0] = buildCourseInfo(course);
+    }
+  });
+  statusSheet.getRange(2, tokenColumn, rowCount, 1).setValues(tokens);
+  statusSheet.getRange(2, fingerprintColumn, rowCount, 1).setValues(fingerprints);
+  statusSheet.getRange(2, courseInfoColumn, rowCount, 1).setValues(courseInfos);
+  Logger.log(`更新了 ${courses.length} 条记录的 token、字段指纹和课程信息（日历事件无需修改）`);
+}
+
+/**
+ * 判断 Sheet 中每条课程记录需要执行的操作（只做检测，不修改表格和日历）
+ * 同步和预览共用此逻辑，按以下顺序检查：记录ID重复 → 日历和表格都被修改（待确认）→ planCourseAction() → 撞课拒绝同步
+ * @param {string} sheetName - Sheet名称
+ * @param {Array<Object>} courses - 课程记录（已分配记录ID）
+ * @param {Object} processedRecords - 已处理状态（不含本次取消的记录，见 excludeDeletedRecords()）
+ * @param {Sheet|null} statusSheet - 状态表（预览时可能尚未创建）
+ * @param {Object} config - Sheet 配置（resumeFromRow、onlyRecordIds、blockedRowIndexes、calendarChangeTracker）
+ * @param {Object} options - { verifyEvents: 是否验证日历事件真实存在, flaggedRows: 标记为待确认的行号（pullCalendarChanges() 的结果） }
+ * @returns {Object} { plans: [{ course, plan }], stoppedAtRow: 时间预算用完时停止检查的行号，否则为 0 }
+ */
+function planSheetCourses(sheetName, courses, processedRecords, statusSheet, config, options) {
+  const duplicateRows = findDuplicateRecordIds(courses);
+  const flaggedRows = options.flaggedRows || new Set();
+  const plans = [];
+  
+  for (const course of courses) {
+    if (config.resumeFromRow && course.rowIndex < config.resumeFromRow) {
+      // 续跑：这些行在上次执行中已处理
+      continue;
+    }
+    
+    if (config.onlyRecordIds && !config.onlyRecordIds.has(course.recordId)) {
+      // 重试失败：只处理指定的记录（被删除的行仍然照常取消，保持状态表与课程表对应）
+      continue;
+    }
+    
+    // 逐行验证日历事件较慢：时间预算用完时停止检查，先处理已检查的行，其余的行由续跑检查
+    if (plans.length > 0 && isSyncTimeBudgetExhausted(config)) {
+      return { plans: plans, stoppedAtRow: course.rowIndex };
+    }
+    
+    if (duplicateRows.has(course.rowIndex)) {
+      plans.push({
+        course: course,
+        plan: {
+          action: SYNC_ACTION.DUPLICATE,
+          reason: `记录ID与第${duplicateRows.get(course.rowIndex)}行重复: ${course.recordId}（复制行时请清空记录ID）`,
+          oldRecords: []
+        }
+      });
+      continue;
+    }
+    
+    if (flaggedRows.has(course.rowIndex)) {
+      // 日历和表格都被修改，等待人工确认，本次不同步
+      plans.push({ course: course, plan: { action: SYNC_ACTION.SKIP, reason: '日历和表格都被修改，等待确认', oldRecords: [] } });
+      continue;
+    }
+    
+    const plan = planCourseAction(sheetName, course, processedRecords, statusSheet, options.verifyEvents, config.calendarChangeTracker);
+    
+    if (plan.action !== SYNC_ACTION.SKIP && config.blockedRowIndexes && config.blockedRowIndexes.has(course.rowIndex)) {
+      // 撞课且配置为"拒绝"：本次不同步（已有的日历事件保持不变），解决撞课后再同步
+      Logger.log(`[${sheetName}] 撞课，拒绝同步: 第${course.rowIndex}行 ${course.lessonNumber}（详见 ${CONFIG.CONFLICT_SHEET_NAME}）`);
+      plan.reason = `撞课，拒绝同步（原计划：${plan.action}）`;
+      plan.action = SYNC_ACTION.CONFLICT;
+    }
+    
+    plans.push({ course: course, plan: plan });
+  }
+  
+  return { plans: plans, stoppedAtRow: 0 };
+}
+
+/**
+ * 判断单条课程记录需要执行的操作（只做检测，不修改表格和日历）
+ * 同步和预览共用此逻辑，确保预览结果与实际同步一致
+ * @param {string} sheetName - Sheet名称（用于日志）
+ * @param {Object} course - 课程对象
+ * @param {Object} processedRecords - readProcessedStatus() 返回的已处理状态
+ * @param {Sheet|null} statusSheet - 状态表（预览时可能尚未创建）
+ * @param {boolean} verifyEvents - 是否验证日历事件真实存在（预览模式为 false，不访问日历）
+ * @param {Object} calendarChangeTracker - 增量变更检测缓存（可选，有可用的 syncToken 时不再逐行验证）
+ * @returns {Object} { action, reason, existingRecord, oldRecords, clearEventId, refreshToken, forceUpdate, rescheduledFrom }
+ */
+function planCourseAction(sheetName, course, processedRecords, statusSheet, verifyEvents, calendarChangeTracker) {
+  const plan = {
+    action: SYNC_ACTION.SKIP,
+    reason: '',
+    existingRecord: null,
+    oldRecords: [],
+    clearEventId: false, // 状态表中的事件ID已失效，需要清除
+    refreshToken: false, // 只有忽略列变化，需要更新状态表中的 token 和字段指纹
+    forceUpdate: false, // token 没有变化也要更新已有事件（上次更新失败）
+    rescheduledFrom: null // 同一条记录的开始时间变化（改期）时为调整前的课程信息，更新后发送课程调整通知
+  };
+
+  // 优先通过记录ID查找，如果没有记录ID，则通过key查找（向后兼容）
+  let existingRecord = null;
+  if (course.recordId) {
+    existingRecord = processedRecords.byId.get(course.recordId);
+  }
+  if (!existingRecord) {
+    // 从开始时间中提取日期用于生成key（向后兼容）
+    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
+    const key = `${course.lessonNumber}_${dateStr}`;
+    existingRecord = processedRecords.byKey.get(key);
+  }
+  plan.existingRecord = existingRecord || null;
+
+  if (!existingRecord) {
+    // 新记录，需要处理
+    // 检查是否有相同课次但不同日期的旧记录（日期变化）
+    const timezone = course.timezone || CONFIG.TIMEZONE || Session.getScriptTimeZone();
+    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
+    const oldRecords = findOldRecordsByLessonNumber(statusSheet, course.lessonNumber, dateStr, timezone);
+    if (oldRecords.length > 0) {
+      Logger.log(`[${sheetName}] 检测到日期变化: ${course.lessonNumber}，将在处理时删除旧日期的日历事件`);
+      plan.oldRecords = oldRecords;
+      const sameRecordIdOldRecord = oldRecords.find(oldRecord =>
+        oldRecord.recordId && course.recordId && oldRecord.recordId === course.recordId
+      );
+      if (sameRecordIdOldRecord && sameRecordIdOldRecord.organizerEventId) {
+        plan.action = SYNC_ACTION.UPDATE;
+        plan.rescheduledFrom = getRescheduledFrom(course, sameRecordIdOldRecord);
+        plan.reason = plan.rescheduledFrom ? '改期，更新现有事件（发送课程调整通知）' : '日期变化，更新现有事件';
+        return plan;
+      }
+    }
+    plan.action = SYNC_ACTION.CREATE;
+    plan.reason = oldRecords.length > 0 ? '日期变化，删除旧事件后重新创建' : '新记录';
+    return plan;
+  }
+
+  // 计算当前记录的token，token不同时按字段指纹判断变化的是哪些列
+  const change = classifyCourseChange(course, existingRecord);
+  const hasEvent = existingRecord.organizerEventId && String(existingRecord.organizerEventId).trim() !== '';
+
+  // 重要列变化（或还没有成功创建事件），需要更新并通知受邀者
+  if (change === COURSE_CHANGE.SIGNIFICANT || (change === COURSE_CHANGE.SILENT && (!hasEvent || existingRecord.status !== '已完成'))) {
+    Logger.log(`[${sheetName}] 检测到关键信息变化: ${course.lessonNumber} (旧token: ${existingRecord.token || ''}, 新token: ${calculateCourseToken(course)})`);
+    plan.action = SYNC_ACTION.UPDATE;
+    plan.rescheduledFrom = getRescheduledFrom(course, existingRecord);
+    plan.reason = plan.rescheduledFrom ? '改期（发送课程调整通知）' : '关键信息变化';
+    return plan;
+  }
+
+  // 上次更新已有事件失败：状态表中的 token 已是新内容，但日历事件还是旧内容，需要重新更新
+  if (hasEvent && FAILED_STATUSES.includes(existingRecord.status)) {
+    Logger.log(`[${sheetName}] 重试更新（上次处理${existingRecord.status}）: ${course.lessonNumber}`);
+    plan.action = SYNC_ACTION.RETRY;
+    plan.forceUpdate = true;
+    plan.reason = `上次处理未完成（${existingRecord.status}）`;
+    return plan;
+  }
+
+  // 只有静默列变化：只更新事件描述，不通知受邀者
+  if (change === COURSE_CHANGE.SILENT) {
+    Logger.log(`[${sheetName}] 只有静默列变化: ${course.lessonNumber}，只更新事件描述`);
+    plan.action = SYNC_ACTION.SILENT_UPDATE;
+    plan.reason = '只有静默列变化（不通知受邀者）';
+    return plan;
+  }
+
+  // 只有忽略列变化：不修改日历事件，只更新状态表中的 token（按 token 相同继续检查）
+  if (change === COURSE_CHANGE.IGNORED) {
+    Logger.log(`[${sheetName}] 只有忽略列变化: ${course.lessonNumber}，不更新日历事件`);
+    plan.refreshToken = true;
+  } else if (!existingRecord.fingerprint) {
+    // 旧版本写入的状态记录没有字段指纹，补上后才能区分之后的变化
+    plan.refreshToken = true;
+  }
+
+  // token相同（或只有忽略列变化），说明关键信息没有变化
+  // 检查是否已有日历事件ID，如果有则验证事件是否真实存在
+  // 注意：只有当事件ID非空字符串时才检查
+  const hasOrganizerEventId = existingRecord.organizerEventId && String(existingRecord.organizerEventId).trim() !== '';
+
+  if (hasOrganizerEventId) {
+    if (!existingRecord.organizerCalendarId) {
+      // 有事件ID但没有日历ID，无法验证，需要重新创建
+      Logger.log(`[${sheetName}] 组织者日历事件ID存在但缺少日历ID，将重新创建`);
+      plan.action = SYNC_ACTION.RECREATE;
+      plan.reason = '事件ID存在但缺少日历ID';
+      plan.clearEventId = true;
+      return plan;
+    }
+
+    if (!verifyEvents) {
+      // 预览模式不访问日历，无法发现被手动删除的事件
+      plan.reason = 'token相同（未验证日历事件是否存在）';
+      return plan;
+    }
+
+    // 增量检测：有可用的 syncToken 时，只有自上次同步以来被删除的事件才需要重新创建
+    if (calendarChangeTracker) {
+      const changes = getCalendarChanges(calendarChangeTracker, existingRecord.organizerCalendarId);
+      if (!changes.fullSync) {
+        if (!isEventDeletedSinceLastSync(changes, existingRecord.organizerEventId)) {
+          plan.reason = 'token相同且日历事件未被删除（增量检测）';
+          return plan;
+        }
+        Logger.log(`[${sheetName}] 增量检测发现组织者日历事件已被删除: ${existingRecord.organizerEventId}，将重新创建`);
+        plan.action = SYNC_ACTION.RECREATE;
+        plan.reason = '日历事件不存在（可能被手动删除）';
+        plan.clearEventId = true;
+        return plan;
+      }
+    }
+    
+    // 验证组织者日历事件是否真实存在于日历中
+    let organizerEventExists = false;
+    try {
+      organizerEventExists = verifyCalendarEventExists(existingRecord.organizerCalendarId, existingRecord.organizerEventId);
+      if (!organizerEventExists) {
+        Logger.log(`[${sheetName}] 组织者日历事件不存在（可能被删除）: ${existingRecord.organizerEventId}，将重新创建`);
+      }
+    } catch (error) {
+      Logger.log(`[${sheetName}] 验证组织者日历事件失败: ${existingRecord.organizerEventId} - ${error.message}`);
+      organizerEventExists = false; // 验证失败，认为不存在
+    }
+
+    // 如果事件存在，跳过处理
+    if (organizerEventExists) {
+      Logger.log(`[${sheetName}] 跳过处理（token相同且日历事件已验证存在）: ${course.lessonNumber}`);
+      plan.reason = 'token相同且日历事件已存在';
+      return plan;
+    }
+
+    // 事件不存在，需要重新处理
+    Logger.log(`[${sheetName}] 需要重新处理（日历事件不存在或需要创建）: ${course.lessonNumber}`);
+    plan.action = SYNC_ACTION.RECREATE;
+    plan.reason = '日历事件不存在（可能被手动删除）';
+    plan.clearEventId = true;
+    return plan;
+  }
+
+  // token相同但没有日历事件ID，可能是之前创建失败，需要重试
+  // 但只有在状态不是已完成时才处理
+  if (existingRecord.status !== '已完成') {
+    Logger.log(`[${sheetName}] 重试处理（token相同但之前失败）: ${course.lessonNumber}`);
+    plan.action = SYNC_ACTION.RETRY;
+    plan.reason = `上次处理未完成（${existingRecord.status || '无状态'}）`;
+    return plan;
+  }
+
+  // token相同且已完成，跳过
+  plan.reason = 'token相同且已完成';
+  return plan;
+}
+
+/**
+ * 读取课程数据
+ */
+function readCourseData(sheet, config) {
+  const dataRange = sheet.getDataRange();
+  // 使用 getDisplayValues() 获取显示值，避免格式问题
+  const values = dataRange.getDisplayValues();
+  
+  if (values.length < 2) {
+    return [];
+  }
+  
+  // 表头行（第1行，索引0）
+  const headers = values[0];
+  const headerMap = {};
+  headers.forEach((header, index) => {
+    // 使用清理后的文本作为键，但保留原始表头用于匹配
+    const rawHeader = String(header || '').trim();
+    const cleanedHeader = cleanHeaderText(rawHeader);
+    // 同时存储原始表头和清理后的表头
+    headerMap[rawHeader] = index;
+    headerMap[cleanedHeader] = index;
+  });
+  
+  // 按列映射找到开始时间、课次、老师等逻辑字段所在的列（缺少必需的列时抛出错误）
+  const columns = resolveCourseColumns(headers, config.columnMapping, sheet.getName());
+  const startColumnIndex = columns.start.index;
+  const endColumnIndex = columns.end ? columns.end.index : undefined;
+  const readColumn = (row, field) => columns[field] ? String(row[columns[field].index] || '').trim() : '';
+  
+  // 课程表的链接（加上行号即为某一行的链接）
+  const sheetUrl = `${sheet.getParent().getUrl()}#gid=${sheet.getSheetId()}`;
+  
+  // 数据行（从第2行开始，索引1）
+  const courses = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    
+    // 跳过空行（必需列为空的行）
+    if (getMissingRequiredCourseColumns(row, columns).length > 0) {
+      continue;
+    }
+    
+    try {
+      // 读取开始时间和结束时间（支持日期+时间组合或只有日期）
+      const startTimeInput = row[startColumnIndex] || '';
+      const endTimeInput = endColumnIndex !== undefined ? (row[endColumnIndex] || '') : '';
+      
+      // 验证必要字段
+      if (!startTimeInput) {
+        Logger.log(`跳过无效记录（第${i+1}行）: 缺少必要字段（开始时间）`);
+        continue;
+      }
+      
+      // 获取记录ID（如果正式表有"记录ID"列，使用它）
+      let recordId = '';
+      if (headerMap['记录ID'] !== undefined) {
+        recordId = row[headerMap['记录ID']] || '';
+      }
+      
+      // 读取重复规则（可选列，如"每周二,四 共12次"或 RRULE），整行同步为一个重复日程
+      let recurrenceRule = '';
+      const recurrenceHeader = ['重复', '重复规则', 'recurrence', 'repeat', 'rrule'].find(name => headerMap[name] !== undefined);
+      if (recurrenceHeader) {
+        recurrenceRule = String(row[headerMap[recurrenceHeader]] || '').trim();
+      }
+
+      // 读取本行的老师/学生邮箱（可选列），填写后覆盖配置表中的邮箱（用于老师轮换的课程表）
+      // 小班课：一个单元格可以填写多个邮箱（逗号或换行分隔），也可以使用多列（如"学生邮箱2"）
+      const rowTeacherCells = [];
+      const rowStudentCells = [];
+      headers.forEach((header, index) => {
+        const role = getCourseEmailColumnRole(header, index, columns);
+        if (role === 'teacher') rowTeacherCells.push(row[index]);
+        if (role === 'student') rowStudentCells.push(row[index]);
+      });
+      const rowTeacherEmail = splitEmailList(rowTeacherCells.join(',')).join(',');
+      const rowStudentEmail = splitEmailList(rowStudentCells.join(',')).join(',');
+
+      // 读取所有自定义字段（排除"开始时间"、"结束时间"、"记录ID"和邮箱列）
+      const customFields = {};
+      // 定义需要排除的字段（不区分大小写）
+      // 使用精确匹配的字段（必须完全匹配）
+      const exactMatchFields = [
+        '开始时间', '结束时间', 
+        'start time', 'end time', 'starttime', 'endtime',
+        '开始', '结束', 'start', 'end'
+      ];
+      // 使用部分匹配的字段（包含这些关键词即可）
+      const partialMatchFields = [
+        '记录ID', '记录id', 'record id', 'recordid', 'id'
+      ];
+      
+      headers.forEach((header, index) => {
+        const rawHeader = String(header || '').trim();
+        if (!rawHeader) return; // 跳过空表头
+        
+        const cleanedHeader = cleanHeaderText(rawHeader);
+        const rawHeaderLower = rawHeader.toLowerCase();
+        const cleanedHeaderLower = cleanedHeader.toLowerCase();
+        
+        // 检查是否应该排除此字段（列映射中的开始/结束时间列也排除）
+        let shouldExclude = index === startColumnIndex || index === endColumnIndex;
+        
+        // 精确匹配检查（用于"开始时间"、"结束时间"等）
+        shouldExclude = shouldExclude || exactMatchFields.some(excluded => {
+          const excludedLower = excluded.toLowerCase();
+          return rawHeaderLower === excludedLower || cleanedHeaderLower === excludedLower;
+        });
+        
+        // 部分匹配检查（用于"记录ID"等，避免误判）
+        if (!shouldExclude) {
+          shouldExclude = partialMatchFields.some(excluded => {
+            const excludedLower = excluded.toLowerCase();
+            // 对于"记录ID"相关字段，使用更严格的匹配：必须同时包含"记录"和"id"
             if (excludedLower.includes('记录') || excludedLower.includes('record')) {
               return (rawHeaderLower.includes('记录') || rawHeaderLower.includes('record')) && 
                      rawHeaderLower.includes('id');
             }
-            // 对于单独的"id"，只精确匹配（避免误判包含"id"的其他字段，如"地点"、"学生ID"等）
-            return rawHeaderLower === excludedLower || cleanedHeaderLower === excludedLower;
+            // 对于单独的"id"，只精确匹配（避免误判包含"id"的其他字段，如"地点"、"学生ID"等）
+            return rawHeaderLower === excludedLower || cleanedHeaderLower === excludedLower;
+          });
+        }
+        
+        // 老师/学生邮箱列只用于邀请，不作为自定义字段
+        if (!shouldExclude && getCourseEmailColumnRole(rawHeader, index, columns)) {
+          shouldExclude = true;
+        }
+        
+        if (!shouldExclude && row[index] !== undefined && String(row[index]).trim() !== '') {
+          // 存储原始表头和值
+          customFields[rawHeader] = String(row[index]).trim();
+        }
+      });
+      
+      // 创建课程记录
+      const course = {
+        // 保留原有字段以保持向后兼容
+        lessonNumber: readColumn(row, 'lesson'),
+        courseTitle: readColumn(row, 'title'),
+        teacherName: readColumn(row, 'teacher'),
+        studentName: readColumn(row, 'student'),
+        location: readColumn(row, 'location'),
+        reason: readColumn(row, 'reason'), // 调整/取消原因（填写到通知邮件的 {原因}）
+        hasLocationColumn: !!columns.location, // 有地点列时同步事件的地点（没有时不修改日历中的地点）
+        // 时间字段
+        startTimeInput: startTimeInput, // 保留原始开始时间输入（用于日志和调试）
+        endTimeInput: endTimeInput, // 保留原始结束时间输入（用于日志和调试）
+        recurrenceRule: recurrenceRule, // 原始重复规则（为空表示单次课程）
+        // 所有自定义字段（包括上述字段，用于动态显示）
+        customFields: customFields,
+        // 邮箱：优先使用本行填写的邮箱，否则使用配置中的邮箱
+        teacherEmail: rowTeacherEmail || config.teacherEmail || '',
+        studentEmail: rowStudentEmail || config.studentEmail || '',
+        hasRowEmails: !!(rowTeacherEmail || rowStudentEmail), // 本行是否覆盖了配置中的邮箱（参与token计算）
+        // 从配置中获取日历ID
+        organizerCalendarId: config.organizerCalendarId || '',
+        rowIndex: i + 1, // 记录行号（正式表的行号，从1开始，包含表头），用于和状态表一一对应
+        sheetName: sheet.getName(), // Sheet名称（和记录ID一起生成固定的事件ID）
+        recordId: recordId,
+        recordIdColumnIndex: headerMap['记录ID'], // 记录记录ID列的索引（用于后续更新）
+        startTimeColumnIndex: startColumnIndex, // 开始时间列的索引（用于写入冲突备注和双向同步）
+        endTimeColumnIndex: endColumnIndex, // 结束时间列的索引（用于双向同步）
+        titleHeader: columns.title ? columns.title.header : '', // 标题列（用于事件标题和双向同步）
+        timezone: config.timezone, // 时区（计算 token 时渲染标题模板需要）
+        silentColumns: (config.silentColumns || []).map(header => cleanHeaderText(header)), // 静默列（清理后的表头）
+        ignoredColumns: (config.ignoredColumns || []).map(header => cleanHeaderText(header)), // 忽略列（清理后的表头）
+        titleTemplate: config.titleTemplate || CONFIG.TITLE_TEMPLATE || '', // 事件标题模板（为空时沿用原有规则）
+        descriptionTemplate: config.descriptionTemplate || CONFIG.DESCRIPTION_TEMPLATE || '', // 事件描述模板（为空时列出所有自定义字段）
+        sheetRowUrl: `${sheetUrl}&range=${i + 1}:${i + 1}` // 课程表中该行的链接（描述模板的 {表格链接}）
+      };
+      
+      // 验证必要字段
+      if (!course.organizerCalendarId) {
+        Logger.log(`跳过无效记录（第${i+1}行）: 缺少必要字段（组织者日历ID）`);
+        continue;
+      }
+      
+      // 计算token
+      course.token = calculateCourseToken(course);
+      
+      courses.push(course);
+    } catch (error) {
+      Logger.log(`解析第${i+1}行数据时出错: ${error.message}`);
+      continue;
+    }
+  }
+  
+  return courses;
+}
+
+/**
+ * 读取已处理状态（通过记录ID或行号索引，和正式表一一对应）
+ */
+function readProcessedStatus(statusSheet) {
+  const processedMap = new Map();
+  const processedMapById = new Map(); // 通过记录ID索引
+  
+  if (!statusSheet || statusSheet.getLastRow() < 2) {
+    return { byKey: processedMap, byId: processedMapById };
+  }
+  
+  const dataRange = statusSheet.getDataRange();
+  const values = dataRange.getValues();
+  
+  // 读取表头，建立表头名称到列索引的映射
+  const headers = values[0];
+  const headerMap = {};
+  headers.forEach((header, index) => {
+    const headerKey = String(header).trim().toLowerCase();
+    headerMap[headerKey] = index;
+  });
+  
+  // 定义表头名称的多种变体（支持中英文）
+  const getColumnIndex = (headerNames) => {
+    for (const name of headerNames) {
+      const key = name.toLowerCase();
+      if (headerMap[key] !== undefined) {
+        return headerMap[key];
+      }
+    }
+    return undefined;
+  };
+  
+  // 获取各列的索引（使用表头名称而不是固定索引）
+  const recordIdCol = getColumnIndex(['记录id', 'record id', '记录id', 'recordid', 'id']);
+  const lessonNumberCol = getColumnIndex(['课次', 'lesson', 'lesson number', '课程次数']);
+  const dateCol = getColumnIndex(['日期', 'date', '课程日期']);
+  const tokenCol = getColumnIndex(['token', '令牌', '哈希']);
+  const organizerCalendarIdCol = getColumnIndex(['组织者日历id', 'organizer calendar id', '组织者日历', 'organizer calendar', '管理员日历id', 'admin calendar id']);
+  const organizerEventIdCol = getColumnIndex(['组织者日历事件id', 'organizer event id', '组织者事件id', 'organizer event id', '管理员日历事件id', 'admin event id']);
+  const organizerEventTimeCol = getColumnIndex(['组织者日历创建时间', 'organizer event time', '组织者事件时间', 'organizer event time', '管理员日历创建时间', 'admin event time']);
+  const statusCol = getColumnIndex(['处理状态', 'status', '状态']);
+  const lastUpdateTimeCol = getColumnIndex(['最后更新时间', 'last update time', '更新时间']);
+  const calendarSnapshotCol = getColumnIndex(['日历快照', 'calendar snapshot']);
+  const fingerprintCol = getColumnIndex(['字段指纹', 'field fingerprint']);
+  const courseInfoCol = getColumnIndex(['课程信息', 'course info']);
+  const attendeesCol = getColumnIndex(['受邀者', 'attendees']);
+  const errorCol = getColumnIndex(['错误信息', 'error']);
+  const attemptsCol = getColumnIndex(['尝试次数', 'attempts']);
+  const recurrenceCol = getColumnIndex(['重复规则', 'recurrence']);
+  
+  // 从第2行开始读取（第1行为表头）
+  // 状态表的第i行对应正式表的第i行（都有表头）
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    
+    // 使用表头映射获取值
+    const getValue = (colIndex) => {
+      if (colIndex === undefined) return '';
+      return row[colIndex] || '';
+    };
+    
+    // 如果课次和日期都为空，跳过（空行）
+    const lessonNumber = getValue(lessonNumberCol);
+    const date = getValue(dateCol);
+    if (!lessonNumber && !date) {
+      continue;
+    }
+    
+    const recordId = getValue(recordIdCol);
+    const key = `${lessonNumber}_${date}`; // 课次_日期（向后兼容）
+    
+    // 读取组织者日历ID和事件ID（确保不是Date对象）
+    let organizerCalendarId = getValue(organizerCalendarIdCol);
+    if (organizerCalendarId instanceof Date) {
+      organizerCalendarId = '';
+    } else {
+      organizerCalendarId = String(organizerCalendarId).trim();
+    }
+    
+    let organizerEventId = getValue(organizerEventIdCol);
+    if (organizerEventId instanceof Date) {
+      organizerEventId = '';
+    } else {
+      organizerEventId = String(organizerEventId).trim();
+    }
+    
+    const record = {
+      recordId: recordId, // 记录ID
+      lessonNumber: lessonNumber,
+      date: date,
+      token: getValue(tokenCol), // Token（关键信息哈希）
+      organizerCalendarId: organizerCalendarId, // 组织者日历ID（用于删除事件）
+      organizerEventId: organizerEventId, // 组织者日历事件ID
+      status: getValue(statusCol), // 处理状态
+      calendarSnapshot: String(getValue(calendarSnapshotCol)), // 上次写入日历的时间和标题（JSON）
+      fingerprint: String(getValue(fingerprintCol)), // 字段指纹（JSON）
+      courseInfo: String(getValue(courseInfoCol)), // 上次同步时的课程信息（JSON，见 buildCourseInfo()）
+      attendees: String(getValue(attendeesCol)), // 上次写入日历的受邀者及角色（JSON，见 buildCourseAttendees()）
+      error: String(getValue(errorCol)), // 最近一次处理失败的原因
+      attempts: Number(getValue(attemptsCol)) || 0, // 尝试次数
+      recurrence: String(getValue(recurrenceCol)), // 上次写入日历的重复规则（JSON，见 createOrUpdateCalendarEvent()）
+      updatedAt: getValue(lastUpdateTimeCol), // 最后更新时间
+      rowIndex: i + 1 // 状态表的行号（从1开始，包含表头）
+    };
+    
+    // 验证事件ID格式：如果事件ID是"已发送"或其他状态文本，说明是错误的数据，应该清空
+    const invalidStatusTexts = ['已发送', '未发送', '失败', '部分失败', '已完成', '处理中', '冲突', '待确认'];
+    if (record.organizerEventId && invalidStatusTexts.includes(record.organizerEventId)) {
+      Logger.log(`警告：组织者事件ID包含状态文本，将被清空: "${record.organizerEventId}"`);
+      record.organizerEventId = '';
+    }
+    
+    // 通过key索引（向后兼容）
+    processedMap.set(key, record);
+    
+    // 通过记录ID索引（优先使用）
+    if (recordId) {
+      processedMapById.set(recordId, record);
+    }
+  }
+  
+  return { byKey: processedMap, byId: processedMapById };
+}
+
+/**
+ * 确保正式表有"记录ID"列
+ */
+function ensureRecordIdColumn(mainSheet) {
+  const headers = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getValues()[0];
+  const hasRecordIdColumn = headers.some(header => String(header || '').trim() === '记录ID');
+  
+  if (!hasRecordIdColumn) {
+    // 在最后一列添加"记录ID"列
+    const lastColumn = mainSheet.getLastColumn();
+    const newColumnIndex = lastColumn + 1;
+    mainSheet.getRange(1, newColumnIndex).setValue('记录ID');
+    Logger.log(`在正式表添加"记录ID"列: 第${newColumnIndex}列`);
+  }
+}
+
+/**
+ * 为课程记录分配或获取记录ID，并更新正式表
+ * @param {boolean} dryRun - 预览模式：只在内存中解析已有的记录ID，不读取状态表、不写入正式表，也不生成新ID
+ */
+function assignRecordIds(courses, processedRecords, statusSheet, mainSheet, dryRun) {
+  // 获取记录ID列的索引
+  const headers = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getValues()[0];
+  const recordIdColumnIndex = headers.findIndex(header => String(header || '').trim() === '记录ID');
+  
+  if (recordIdColumnIndex === -1 && !dryRun) {
+    Logger.log(`警告：正式表中没有"记录ID"列`);
+    return;
+  }
+  
+  // 写入正式表的记录ID列（预览模式不写入）
+  const writeRecordId = (course, recordId) => {
+    if (!dryRun) {
+      mainSheet.getRange(course.rowIndex, recordIdColumnIndex + 1).setValue(recordId);
+    }
+  };
+  
+  for (const course of courses) {
+    let recordId = course.recordId;
+    
+    // 如果正式表中已有记录ID，使用它
+    if (recordId) {
+      continue;
+    }
+    
+    // 尝试通过行号从状态表中获取记录ID
+    // 预览模式不读取状态表（被删除记录的状态行在预览时尚未清空），改为从传入的已处理状态中按行号查找
+    let statusRecordId = '';
+    if (dryRun) {
+      const rowRecord = Array.from(processedRecords.byKey.values()).find(record => record.rowIndex === course.rowIndex);
+      statusRecordId = rowRecord ? rowRecord.recordId : '';
+    } else {
+      const statusRow = statusSheet.getRange(course.rowIndex, 1, 1, statusSheet.getLastColumn()).getValues()[0];
+      statusRecordId = statusRow[0];
+    }
+    if (statusRecordId) {
+      // 状态表中已有记录ID，使用它并更新正式表
+      recordId = statusRecordId;
+      course.recordId = recordId;
+      writeRecordId(course, recordId);
+      Logger.log(`从状态表获取记录ID并更新正式表: ${recordId} (第${course.rowIndex}行)`);
+      continue;
+    }
+    
+    // 尝试通过key查找（向后兼容）
+    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
+    const key = `${course.lessonNumber}_${dateStr}`;
+    const existingRecord = processedRecords.byKey.get(key);
+    if (existingRecord && existingRecord.recordId) {
+      recordId = existingRecord.recordId;
+      course.recordId = recordId;
+      writeRecordId(course, recordId);
+      Logger.log(`从状态表（通过key）获取记录ID并更新正式表: ${recordId} (第${course.rowIndex}行)`);
+      continue;
+    }
+    
+    if (dryRun) {
+      // 预览模式不生成新ID，保持为空（预览表中显示为"待生成"）
+      continue;
+    }
+    
+    // 生成新的记录ID
+    recordId = generateRecordId();
+    course.recordId = recordId;
+    writeRecordId(course, recordId);
+    Logger.log(`为新记录生成ID并写入正式表: ${recordId} (第${course.rowIndex}行)`);
+  }
+}
+
+/**
+ * 查找记录ID重复的行（复制行时连记录ID一起复制）
+ * 事件ID由 Sheet 名称和记录ID生成（见 generateEventIdForRecord()），第一次出现之后的行不能同步，否则会覆盖同一个日历事件
+ * @param {Array<Object>} courses - 课程记录（已分配记录ID）
+ * @returns {Map<number, number>} 重复的行号 → 第一次出现的行号
+ */
+function findDuplicateRecordIds(courses) {
+  const firstRowById = new Map();
+  const duplicateRows = new Map();
+  courses.forEach(course => {
+    if (!course.recordId) {
+      return;
+    }
+    const recordId = String(course.recordId);
+    if (firstRowById.has(recordId)) {
+      duplicateRows.set(course.rowIndex, firstRowById.get(recordId));
+    } else {
+      firstRowById.set(recordId, course.rowIndex);
+    }
+  });
+  return duplicateRows;
+}
+
+/**
+ * 生成唯一记录ID
+ */
+function generateRecordId() {
+  // 使用时间戳 + 随机数生成唯一ID
+  const timestamp = new Date().getTime();
+  const random = Math.floor(Math.random() * 10000);
+  return `REC_${timestamp}_${random}`;
+}
+
+/**
+ * 获取已有的事件ID和token
+ */
+function getExistingEventIds(statusSheet, course) {
+  // 优先通过记录ID查找
+  let existingRecord = null;
+  const processedRecords = readProcessedStatus(statusSheet);
+  
+  if (course.recordId) {
+    existingRecord = processedRecords.byId.get(course.recordId);
+  }
+  
+  // 如果没有找到，尝试通过key查找（向后兼容）
+  if (!existingRecord) {
+    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
+    const key = `${course.lessonNumber}_${dateStr}`;
+    existingRecord = processedRecords.byKey.get(key);
+  }
+  
+  return {
+    organizerEventId: existingRecord ? (existingRecord.organizerEventId || null) : null,
+    token: existingRecord ? (existingRecord.token || null) : null,
+    attendees: existingRecord ? (existingRecord.attendees || '') : '', // 上次由脚本邀请的受邀者（JSON）
+    recurrence: existingRecord ? (existingRecord.recurrence || '') : '', // 上次写入日历的重复规则（JSON）
+    hasChanges: existingRecord ? (existingRecord.token !== course.token) : true
+  };
+}
+
+/**
+ * 查找被删除的记录（状态表中有但正式表中没有的记录）
+ * 通过记录ID匹配
+ */
+function findDeletedRecords(courses, processedRecords, statusSheet) {
+  const deletedRecords = [];
+  
+  // 创建正式表中所有记录的ID集合
+  const courseIds = new Set();
+  courses.forEach(course => {
+    if (course.recordId) {
+      courseIds.add(course.recordId);
+    }
+  });
+  
+  // 检查状态表中的每条记录是否还在正式表中（通过记录ID匹配）
+  processedRecords.byId.forEach((record, recordId) => {
+    if (recordId && !courseIds.has(recordId)) {
+      // 这条记录在状态表中但不在正式表中，说明被删除了
+      deletedRecords.push({
+        recordId: recordId,
+        lessonNumber: record.lessonNumber,
+        date: record.date,
+        organizerCalendarId: record.organizerCalendarId || '',
+        organizerEventId: record.organizerEventId || '',
+        rowIndex: record.rowIndex,
+        token: record.token || '',
+        courseInfo: record.courseInfo || '',
+        attendees: record.attendees || ''
+      });
+    }
+  });
+  
+  // 检查通过key索引的记录（向后兼容，处理没有记录ID的旧记录）
+  const courseKeys = new Set();
+  courses.forEach(course => {
+    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
+    const key = `${course.lessonNumber}_${dateStr}`;
+    courseKeys.add(key);
+  });
+  
+  processedRecords.byKey.forEach((record, key) => {
+    // 如果已经有记录ID且已处理过，跳过
+    if (record.recordId && courseIds.has(record.recordId)) {
+      return;
+    }
+    
+    // 如果没有记录ID，通过key检查（向后兼容）
+    if (!record.recordId && !courseKeys.has(key)) {
+      deletedRecords.push({
+        recordId: record.recordId || '',
+        lessonNumber: record.lessonNumber,
+        date: record.date,
+        organizerCalendarId: record.organizerCalendarId || '',
+        organizerEventId: record.organizerEventId || '',
+        rowIndex: record.rowIndex,
+        token: record.token || '',
+        courseInfo: record.courseInfo || '',
+        attendees: record.attendees || ''
+      });
+    }
+  });
+  
+  return deletedRecords;
+}
+
+/**
+ * 排除被删除的记录（取消课程时会清空它们在状态表中的行）
+ * @param {Object} processedRecords - readProcessedStatus() 返回的已处理状态
+ * @param {Array<Object>} deletedRecords - findDeletedRecords() 的结果
+ * @returns {Object} { byKey, byId }（不修改 processedRecords）
+ */
+function excludeDeletedRecords(processedRecords, deletedRecords) {
+  const deletedRows = new Set(deletedRecords.map(record => record.rowIndex));
+  const remainingRecords = { byKey: new Map(), byId: new Map() };
+  processedRecords.byKey.forEach((record, key) => {
+    if (!deletedRows.has(record.rowIndex)) {
+      remainingRecords.byKey.set(key, record);
+    }
+  });
+  processedRecords.byId.forEach((record, recordId) => {
+    if (!deletedRows.has(record.rowIndex)) {
+      remainingRecords.byId.set(recordId, record);
+    }
+  });
+  return remainingRecords;
+}
+
+/**
+ * 查找相同课次但不同日期的旧记录（日期变化）
+ */
+function findOldRecordsByLessonNumber(statusSheet, lessonNumber, currentDate, timezone) {
+  const oldRecords = [];
+  
+  if (!statusSheet || statusSheet.getLastRow() < 2) {
+    return oldRecords;
+  }
+  
+  // 获取时区（优先使用传入的时区，否则使用默认时区）
+  const tz = timezone || CONFIG.TIMEZONE || Session.getScriptTimeZone();
+  
+  const dataRange = statusSheet.getDataRange();
+  const values = dataRange.getValues();
+  
+  // 读取表头，建立表头名称到列索引的映射
+  const headers = values[0];
+  const headerMap = {};
+  headers.forEach((header, index) => {
+    const headerKey = String(header).trim().toLowerCase();
+    headerMap[headerKey] = index;
+  });
+  
+  // 定义表头名称的多种变体（支持中英文）
+  const getColumnIndex = (headerNames) => {
+    for (const name of headerNames) {
+      const key = name.toLowerCase();
+      if (headerMap[key] !== undefined) {
+        return headerMap[key];
+      }
+    }
+    return undefined;
+  };
+  
+  // 获取各列的索引（使用表头名称而不是固定索引）
+  const lessonNumberCol = getColumnIndex(['课次', 'lesson', 'lesson number', '课程次数']);
+  const dateCol = getColumnIndex(['日期', 'date', '课程日期']);
+  const organizerCalendarIdCol = getColumnIndex(['组织者日历id', 'organizer calendar id', '组织者日历', 'organizer calendar', '管理员日历id', 'admin calendar id']);
+  const organizerEventIdCol = getColumnIndex(['组织者日历事件id', 'organizer event id', '组织者事件id', 'organizer event id', '管理员日历事件id', 'admin event id']);
+  const recordIdCol = getColumnIndex(['记录id', 'record id', '记录id', 'recordid', 'id']);
+  const courseInfoCol = getColumnIndex(['课程信息', 'course info']);
+  const attendeesCol = getColumnIndex(['受邀者', 'attendees']);
+  const recurrenceCol = getColumnIndex(['重复规则', 'recurrence']);
+  
+  // 标准化当前日期用于比较
+  const currentDateStr = currentDate instanceof Date ?
+    Utilities.formatDate(currentDate, tz, 'yyyy-MM-dd') :
+    String(currentDate);
+  
+  // 使用表头映射获取值
+  const getValue = (row, colIndex) => {
+    if (colIndex === undefined) return '';
+    return row[colIndex] || '';
+  };
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const rowLessonNumber = getValue(row, lessonNumberCol);
+    const rowDate = getValue(row, dateCol);
+    
+    // 如果课次相同但日期不同
+    if (rowLessonNumber === lessonNumber && rowDate) {
+      const rowDateStr = rowDate instanceof Date ?
+        Utilities.formatDate(rowDate, tz, 'yyyy-MM-dd') :
+        String(rowDate);
+      
+      if (rowDateStr !== currentDateStr) {
+        // 获取记录ID（如果存在）
+        const recordId = getValue(row, recordIdCol);
+        
+        oldRecords.push({
+          recordId: recordId, // 添加记录ID，用于判断是否是同一条记录
+          lessonNumber: rowLessonNumber,
+          date: rowDate,
+          organizerCalendarId: getValue(row, organizerCalendarIdCol),
+          organizerEventId: getValue(row, organizerEventIdCol),
+          courseInfo: String(getValue(row, courseInfoCol)), // 调整前的课程信息（用于课程调整通知）
+          attendees: String(getValue(row, attendeesCol)), // 上次写入日历的受邀者
+          recurrence: String(getValue(row, recurrenceCol)), // 上次写入日历的重复规则
+          rowIndex: i + 1
+        });
+      }
+    }
+  }
+  
+  return oldRecords;
+}
+
+/**
+ * 删除旧状态记录
+ */
+function deleteOldStatusRecords(statusSheet, oldRecords) {
+  // 从后往前删除，避免索引变化
+  const rowsToDelete = oldRecords.map(r => r.rowIndex).sort((a, b) => b - a);
+  
+  for (const rowIndex of rowsToDelete) {
+    try {
+      statusSheet.deleteRow(rowIndex);
+      Logger.log(`删除旧状态记录: 第${rowIndex}行`);
+    } catch (error) {
+      Logger.log(`删除旧状态记录失败: 第${rowIndex}行 - ${error.message}`);
+    }
+  }
+}
+
+// ==================== 同步预览（只读模式） ====================
+
+/**
+ * 生成同步预览：执行与 main() 相同的检测逻辑，但只把计划的操作写入预览表
+ * 不调用 CalendarApp、Calendar.Events 或 MailApp，也不修改课程表和状态表
+ * @returns {Array<Object>} 计划执行的操作列表
+ */
+function previewSync() {
+  Logger.log('previewSync: 开始生成同步预览');
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet) {
+    throw new Error('无法获取当前表格对象，请确保在 Google 表格中运行此脚本');
+  }
+
+  const sheetConfigMap = readSheetConfig(spreadsheet);
+  const entries = [];
+
+  // 撞课检测只读取数据，预览时同样执行，但不写入撞课报告表
+  try {
+    const doubleBookings = detectDoubleBookings(spreadsheet, sheetConfigMap);
+    for (const [sheetName, config] of sheetConfigMap) {
+      config.blockedRowIndexes = doubleBookings.blockedRows.get(sheetName) || new Set();
+    }
+  } catch (error) {
+    Logger.log(`撞课检测失败: ${error.message}`);
+  }
+
+  for (const [sheetName, config] of sheetConfigMap) {
+    try {
+      const sheetEntries = previewSheet(spreadsheet, sheetName, config);
+      Logger.log(`[${sheetName}] 预览：计划执行 ${sheetEntries.length} 项操作`);
+      entries.push(...sheetEntries);
+    } catch (error) {
+      Logger.log(`[${sheetName}] 预览失败: ${error.message}`);
+      entries.push({
+        sheetName: sheetName,
+        rowIndex: '',
+        recordId: '',
+        lessonNumber: '',
+        action: '错误',
+        reason: error.message,
+        oldTime: '',
+        newTime: ''
+      });
+    }
+  }
+
+  writeSyncPreview(spreadsheet, entries);
+  Logger.log(`previewSync: 预览完成，共 ${entries.length} 项操作，已写入 ${CONFIG.PREVIEW_SHEET_NAME}`);
+  return entries;
+}
+
+/**
+ * 生成单个 Sheet 的同步计划（与 processSheet() 的检测顺序保持一致）
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {string} sheetName - Sheet名称
+ * @param {Object} config - Sheet 配置
+ * @returns {Array<Object>} 计划执行的操作列表
+ */
+function previewSheet(spreadsheet, sheetName, config) {
+  const mainSheet = spreadsheet.getSheetByName(sheetName);
+  if (!mainSheet) {
+    throw new Error(`找不到 Sheet: ${sheetName}`);
+  }
+
+  // 状态表可能尚未创建（从未同步过），预览时不创建
+  const statusSheet = spreadsheet.getSheetByName(CONFIG.STATUS_SHEET_PREFIX + sheetName);
+
+  const courses = readCourseData(mainSheet, config);
+  courses.forEach(course => {
+    course.timezone = config.timezone;
+    course.reminderMinutes = config.reminderMinutes;
+  });
+
+  const processedRecords = readProcessedStatus(statusSheet);
+  const entries = [];
+
+  // 被删除的记录：将删除日历事件并发送取消邮件
+  const deletedRecords = findDeletedRecords(courses, processedRecords, statusSheet);
+  for (const deletedRecord of deletedRecords) {
+    entries.push({
+      sheetName: sheetName,
+      rowIndex: '',
+      recordId: deletedRecord.recordId,
+      lessonNumber: deletedRecord.lessonNumber,
+      action: SYNC_ACTION.CANCEL,
+      reason: deletedRecord.organizerEventId ? '正式表中已删除，将删除日历事件并发送取消邮件' : '正式表中已删除，将发送取消邮件',
+      oldTime: formatDate(deletedRecord.date),
+      newTime: ''
+    });
+  }
+
+  // 实际同步时，被删除记录的状态行会在分配记录ID之前被清空，这里在内存中排除它们
+  const remainingRecords = excludeDeletedRecords(processedRecords, deletedRecords);
+
+  // 只在内存中解析记录ID，不写入正式表
+  assignRecordIds(courses, remainingRecords, statusSheet, mainSheet, true);
+
+  // 与实际同步使用相同的判断（预览不访问日历，因此不拉回日历端的修改，也不验证日历事件是否存在）
+  const planning = planSheetCourses(sheetName, courses, remainingRecords, statusSheet, config, { verifyEvents: false });
+
+  for (const { course, plan } of planning.plans) {
+    if (plan.action === SYNC_ACTION.SKIP) {
+      continue;
+    }
+
+    const newTime = course.endTimeInput ? `${course.startTimeInput} ~ ${course.endTimeInput}` : String(course.startTimeInput);
+
+    if (plan.action === SYNC_ACTION.DUPLICATE || plan.action === SYNC_ACTION.CONFLICT) {
+      entries.push({
+        sheetName: sheetName,
+        rowIndex: course.rowIndex,
+        recordId: course.recordId || '待生成',
+        lessonNumber: course.lessonNumber,
+        action: plan.action,
+        reason: plan.reason,
+        oldTime: plan.existingRecord ? formatDate(plan.existingRecord.date) : '',
+        newTime: newTime
+      });
+      continue;
+    }
+
+    // 日期变化：与 processCourse() 相同，保留同一记录ID的事件，删除其他旧事件
+    let oldTime = plan.existingRecord ? formatDate(plan.existingRecord.date) : '';
+    for (const oldRecord of plan.oldRecords) {
+      const isSameRecord = oldRecord.recordId && course.recordId && oldRecord.recordId === course.recordId;
+      if (isSameRecord) {
+        oldTime = formatDate(oldRecord.date);
+        continue;
+      }
+      if (!oldRecord.organizerEventId) {
+        continue;
+      }
+      entries.push({
+        sheetName: sheetName,
+        rowIndex: course.rowIndex,
+        recordId: oldRecord.recordId,
+        lessonNumber: oldRecord.lessonNumber,
+        action: SYNC_ACTION.DELETE_OLD,
+        reason: `课次 ${course.lessonNumber} 日期变化`,
+        oldTime: formatDate(oldRecord.date),
+        newTime: ''
+      });
+    }
+
+    entries.push({
+      sheetName: sheetName,
+      rowIndex: course.rowIndex,
+      recordId: course.recordId || '待生成',
+      lessonNumber: course.lessonNumber,
+      action: plan.action,
+      reason: willCheckFreeBusy(course, plan, config) ? `${plan.reason}（同步时先检查受邀者的忙闲状态，忙碌时记为冲突）` : plan.reason,
+      oldTime: oldTime,
+      newTime: newTime
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * 判断同步时是否会检查受邀者的忙闲状态（与 createOrUpdateCalendarEvent() 一致：创建事件，或修改已有事件的时间）
+ * 预览不访问日历，按状态表中记录的课程信息判断时间是否变化，没有记录时按会检查处理
+ * @param {Object} course - 课程对象
+ * @param {Object} plan - planCourseAction() 的结果
+ * @param {Object} config - Sheet 配置
+ * @returns {boolean}
+ */
+function willCheckFreeBusy(course, plan, config) {
+  if (!config.checkFreeBusy || buildCourseAttendees(course, config).length === 0) {
+    return false;
+  }
+  if (plan.action === SYNC_ACTION.CREATE || plan.action === SYNC_ACTION.RECREATE) {
+    return true;
+  }
+  if (plan.action !== SYNC_ACTION.UPDATE && plan.action !== SYNC_ACTION.RETRY) {
+    return false;
+  }
+  const record = plan.existingRecord || plan.oldRecords.find(oldRecord =>
+    oldRecord.recordId && course.recordId && oldRecord.recordId === course.recordId
+  );
+  const previous = record ? parseCourseInfo(record.courseInfo) : null;
+  if (!previous) {
+    return true;
+  }
+  // 与 getRescheduledFrom() 相同，按解析后的时间比较（课程信息中的时间是 JSON 字符串）
+  const timezone = course.timezone || CONFIG.TIMEZONE;
+  const isSameTime = (previousValue, currentValue, isStart) => {
+    if (!previousValue && !currentValue) {
+      return true;
+    }
+    const previousTime = parseDateTimeCombined(previousValue, timezone, isStart);
+    const currentTime = parseDateTimeCombined(currentValue, timezone, isStart);
+    return !!previousTime && !!currentTime && previousTime.getTime() === currentTime.getTime();
+  };
+  // 重复课程的每一次课都可能变化，按会检查处理
+  const storedRecurrence = parseStoredRecurrence(record.recurrence) || [];
+  return !isSameTime(previous.start, course.startTimeInput, true) ||
+         !isSameTime(previous.end, course.endTimeInput, false) ||
+         !!course.recurrenceRule || storedRecurrence.length > 0;
+}
+
+/**
+ * 将同步计划写入预览表（每次预览覆盖上一次的结果）
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Array<Object>} entries - previewSheet() 生成的操作列表
+ */
+function writeSyncPreview(spreadsheet, entries) {
+  let sheet = spreadsheet.getSheetByName(CONFIG.PREVIEW_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.PREVIEW_SHEET_NAME);
+    Logger.log(`创建预览表: ${CONFIG.PREVIEW_SHEET_NAME}`);
+  }
+  sheet.clear();
+
+  const headers = ['Sheet', '行号', '记录ID', '课次', '操作', '原因', '原时间', '新时间'];
+  const rows = entries.map(entry => [
+    entry.sheetName,
+    entry.rowIndex,
+    entry.recordId,
+    entry.lessonNumber,
+    entry.action,
+    entry.reason,
+    entry.oldTime,
+    entry.newTime
+  ]);
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
+// ==================== 数据校验 ====================
+
+/**
+ * 校验所有启用的课程表（只读取数据，不修改日历和表格）
+ * 检查每一行：日期无法识别、结束时间不晚于开始时间、课时超过最长课时、邮箱格式错误、记录ID重复，
+ * 以及同步时会被跳过的行（缺少开始时间）；同时检查配置表中的时区、邮箱和被跳过的 Sheet
+ * @returns {Array<Object>} 问题列表 { sheetName, rowIndex, level, message }，level 为"错误"或"警告"
+ */
+function validateCourseData() {
+  Logger.log('validateCourseData: 开始校验数据');
+  
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet) {
+    throw new Error('无法获取当前表格对象，请确保在 Google 表格中运行此脚本');
+  }
+  
+  const skippedSheets = [];
+  const sheetConfigMap = readSheetConfig(spreadsheet, skippedSheets);
+  const issues = skippedSheets.map(skipped => ({
+    sheetName: CONFIG.CONFIG_SHEET_NAME,
+    rowIndex: skipped.rowIndex,
+    level: '错误',
+    message: skipped.reason
+  }));
+  
+  for (const [sheetName, config] of sheetConfigMap) {
+    validateSheetConfig(config).forEach(issue => issues.push(issue));
+    try {
+      validateCourseSheet(spreadsheet.getSheetByName(sheetName), config).forEach(issue => issues.push(issue));
+    } catch (error) {
+      // 如缺少"开始时间"列或列映射错误，整个 Sheet 无法同步
+      issues.push({ sheetName: sheetName, rowIndex: 1, level: '错误', message: error.message });
+    }
+  }
+  
+  Logger.log(`validateCourseData: 校验完成，发现 ${issues.length} 个问题`);
+  return issues;
+}
+
+/**
+ * 校验配置表中一个 Sheet 的配置（时区、老师和学生邮箱）
+ * @param {Object} config - readSheetConfig() 返回的配置
+ * @returns {Array<Object>} 问题列表（位于配置表中该 Sheet 所在的行）
+ */
+function validateSheetConfig(config) {
+  const issues = [];
+  const add = (message) => issues.push({ sheetName: CONFIG.CONFIG_SHEET_NAME, rowIndex: config.configRowIndex, level: '错误', message: message });
+  
+  if (!isValidTimezone(config.timezone)) {
+    add(`${config.sheetName}：无法识别的时区 "${config.timezone}"（示例：Asia/Shanghai）`);
+  }
+  [['老师邮箱', config.teacherEmail], ['学生邮箱', config.studentEmail]].forEach(([label, value]) => {
+    splitEmailList(value).filter(email => !isValidEmail(email)).forEach(email => {
+      add(`${config.sheetName}：${label}格式错误 "${email}"`);
+    });
+  });
+  return issues;
+}
+
+/**
+ * 校验一个课程表的每一行
+ * @param {Sheet} sheet - 课程表
+ * @param {Object} config - readSheetConfig() 返回的配置
+ * @returns {Array<Object>} 问题列表
+ */
+function validateCourseSheet(sheet, config) {
+  const sheetName = sheet.getName();
+  const values = sheet.getDataRange().getDisplayValues();
+  if (values.length < 2) {
+    return [];
+  }
+  
+  const headers = values[0];
+  const columns = resolveCourseColumns(headers, config.columnMapping, sheetName);
+  const recordIdIndex = headers.findIndex(header => String(header || '').trim() === '记录ID');
+  const emailIndexes = headers
+    .map((header, index) => getCourseEmailColumnRole(header, index, columns) ? index : -1)
+    .filter(index => index !== -1);
+  const timezone = isValidTimezone(config.timezone) ? config.timezone : CONFIG.TIMEZONE;
+  const maxLessonMinutes = config.maxLessonMinutes || CONFIG.MAX_LESSON_MINUTES;
+  
+  const issues = [];
+  const firstRowById = {};
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const rowIndex = i + 1;
+    const add = (level, message) => issues.push({ sheetName: sheetName, rowIndex: rowIndex, level: level, message: message });
+    const cell = (index) => index === undefined ? '' : String(row[index] || '').trim();
+    
+    // 空行（只剩记录ID的行也视为空行）
+    if (row.every((value, index) => index === recordIdIndex || String(value || '').trim() === '')) {
+      continue;
+    }
+    
+    // 与 readCourseData() 一致：必需列为空的行不会同步
+    const missingColumns = getMissingRequiredCourseColumns(row, columns);
+    if (missingColumns.length > 0) {
+      add('警告', `缺少${missingColumns.join('、')}，此行不会同步`);
+      continue;
+    }
+    const startInput = cell(columns.start.index);
+    
+    const start = parseDateTimeCombined(startInput, timezone, true);
+    if (!start) {
+      add('错误', `${columns.start.header}无法识别: ${startInput}`);
+    }
+    const endInput = columns.end ? cell(columns.end.index) : '';
+    const end = endInput ? parseDateTimeCombined(endInput, timezone, false) : null;
+    if (endInput && !end) {
+      add('错误', `${columns.end.header}无法识别: ${endInput}`);
+    }
+    if (start && end) {
+      const minutes = Math.round((end.getTime() - start.getTime()) / 60000);
+      if (minutes <= 0) {
+        add('错误', `${columns.end.header}（${endInput}）不晚于${columns.start.header}（${startInput}）`);
+      } else if (startInput.includes(':') && minutes > maxLessonMinutes) {
+        // 只有日期的课程（全天事件）不检查时长
+        add('警告', `课时 ${minutes} 分钟，超过最长课时 ${maxLessonMinutes} 分钟`);
+      }
+    }
+    
+    emailIndexes.forEach(index => {
+      splitEmailList(row[index]).filter(email => !isValidEmail(email)).forEach(email => {
+        add('错误', `${String(headers[index]).trim()}格式错误: ${email}`);
+      });
+    });
+    
+    const recordId = cell(recordIdIndex === -1 ? undefined : recordIdIndex);
+    if (recordId) {
+      if (firstRowById[recordId]) {
+        add('错误', `记录ID与第${firstRowById[recordId]}行重复: ${recordId}（复制行时请清空记录ID）`);
+      } else {
+        firstRowById[recordId] = rowIndex;
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * 菜单项：校验数据，在侧边栏中列出问题（侧边栏通过 google.script.run 读取校验结果）
+ */
+function menuValidateData() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const html = HtmlService.createHtmlOutput(buildValidationSidebarHtml()).setTitle('数据校验');
+    ui.showSidebar(html);
+  } catch (error) {
+    Logger.log('数据校验错误: ' + error.message);
+    ui.alert(
+      '数据校验错误',
+      '校验数据时发生错误：\n' + error.message,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * 数据校验侧边栏的数据（由侧边栏调用），问题按 Sheet 和行号排列
+ * @returns {Object} { generatedAt, errorCount, warningCount, issues }；出错时为 { error }
+ */
+function getValidationReport() {
+  try {
+    const issues = validateCourseData();
+    const errorCount = issues.filter(issue => issue.level === '错误').length;
+    return {
+      generatedAt: formatDashboardValue(new Date()),
+      errorCount: errorCount,
+      warningCount: issues.length - errorCount,
+      issues: issues.slice().sort((a, b) => a.sheetName.localeCompare(b.sheetName) || a.rowIndex - b.rowIndex)
+    };
+  } catch (error) {
+    Logger.log('数据校验错误: ' + error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * 数据校验侧边栏的 HTML（数据由 getValidationReport() 提供，点击一项调用 selectSheetRow() 定位到该行）
+ * @returns {string}
+ */
+function buildValidationSidebarHtml() {
+  return `
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 13px; margin: 0; padding: 12px; }
+      ul { list-style: none; padding: 0; margin: 0; }
+      .issue { padding: 8px; margin-bottom: 6px; border-left: 4px solid; border-radius: 2px; cursor: pointer; }
+      .issue:hover { filter: brightness(0.95); }
+      .error { border-color: #d93025; background: #fce8e6; }
+      .warning { border-color: #f9ab00; background: #fef7e0; }
+      .where { font-weight: bold; margin-bottom: 2px; }
+      .failed { color: #d93025; }
+      button { width: 100%; padding: 8px; margin-top: 8px; background: #4285F4; color: white; border: none; border-radius: 4px; cursor: pointer; }
+      button:disabled { opacity: 0.5; cursor: default; }
+    </style>
+    <p id="header">校验中…</p>
+    <ul id="issues"></ul>
+    <button id="reload" onclick="load()">重新校验</button>
+    <script>
+      function load() {
+        document.getElementById('reload').disabled = true;
+        showHeader('校验中…');
+        google.script.run
+          .withSuccessHandler(render)
+          .withFailureHandler(function (error) { render({ error: error.message }); })
+          .getValidationReport();
+      }
+
+      function showHeader(text, isError) {
+        var header = document.getElementById('header');
+        header.textContent = text;
+        header.className = isError ? 'failed' : '';
+      }
+
+      function element(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      }
+
+      function render(data) {
+        document.getElementById('reload').disabled = false;
+        var list = document.getElementById('issues');
+        list.innerHTML = '';
+        if (data.error) {
+          showHeader('校验失败：' + data.error, true);
+          return;
+        }
+        showHeader(data.issues.length === 0 ? '✅ 没有发现问题。' :
+          '发现 ' + data.errorCount + ' 个错误、' + data.warningCount + ' 个警告，点击一项定位到该行。（' + data.generatedAt + '）');
+        data.issues.forEach(function (issue) {
+          var item = element('li', 'issue ' + (issue.level === '错误' ? 'error' : 'warning'));
+          item.appendChild(element('div', 'where', issue.sheetName + ' 第' + issue.rowIndex + '行 · ' + issue.level));
+          item.appendChild(element('div', '', issue.message));
+          item.onclick = function () { jumpTo(issue.sheetName, issue.rowIndex); };
+          list.appendChild(item);
+        });
+      }
+
+      function jumpTo(sheetName, rowIndex) {
+        google.script.run
+          .withFailureHandler(function (error) { alert(error.message); })
+          .selectSheetRow(sheetName, rowIndex);
+      }
+
+      load();
+    </script>
+  `;
+}
+
+/**
+ * 定位到指定 Sheet 的一行（由数据校验侧边栏调用）
+ * @param {string} sheetName - Sheet 名称
+ * @param {number} rowIndex - 行号（从1开始）
+ */
+function selectSheetRow(sheetName, rowIndex) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) {
+    throw new Error(`找不到 Sheet: ${sheetName}`);
+  }
+  sheet.activate();
+  sheet.getRange(rowIndex, 1, 1, Math.max(sheet.getLastColumn(), 1)).activate();
+}
+
+// ==================== 同步面板（侧边栏） ====================
+
+/**
+ * 菜单项：打开同步面板（侧边栏通过 google.script.run 读取数据和执行操作）
+ */
+function menuShowDashboard() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const html = HtmlService.createHtmlOutput(buildDashboardHtml()).setTitle('同步面板');
+    ui.showSidebar(html);
+  } catch (error) {
+    Logger.log('打开同步面板错误: ' + error.message);
+    ui.alert(
+      '打开同步面板错误',
+      '打开同步面板时发生错误：\n' + error.message,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * 同步面板的数据（由侧边栏调用；返回的对象中没有日期对象，可以直接传给客户端）
+ * @returns {Object} { generatedAt, autoSync, sheets: [{ sheetName, lastSyncTime, total, counts, failures }] }；出错时为 { error }
+ */
+function getDashboardData() {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetConfigMap = readSheetConfig(spreadsheet);
+    const lastRunTimes = readLastRunTimes(spreadsheet);
+    
+    let autoSync = [];
+    try {
+      autoSync = describeAutoSyncTriggers();
+    } catch (error) {
+      Logger.log(`读取自动同步触发器失败: ${error.message}`);
+    }
+    
+    return {
+      generatedAt: formatDashboardValue(new Date()),
+      autoSync: autoSync,
+      sheets: Array.from(sheetConfigMap.entries()).map(([sheetName, config]) =>
+        buildDashboardSheet(spreadsheet, sheetName, config, lastRunTimes.get(sheetName)))
+    };
+  } catch (error) {
+    Logger.log('读取同步面板数据失败: ' + error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * 一个 Sheet 的同步面板数据：上次同步时间、各状态的记录数和失败的行
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {string} sheetName - Sheet 名称
+ * @param {Object} config - 该 Sheet 的配置
+ * @param {Date} lastRunTime - 同步记录表中该 Sheet 最近一次同步的结束时间（可选）
+ * @returns {Object} { sheetName, lastSyncTime, total, counts, failures }（failures 中的 rowIndex 为课程表的行号，找不到该行时为 null）
+ */
+function buildDashboardSheet(spreadsheet, sheetName, config, lastRunTime) {
+  const records = readStatusRecordList(spreadsheet.getSheetByName(CONFIG.STATUS_SHEET_PREFIX + sheetName));
+  
+  // 状态表的行号与课程表不一定相同，按记录ID找到课程表中的行
+  const courseRows = new Map();
+  const mainSheet = spreadsheet.getSheetByName(sheetName);
+  if (mainSheet) {
+    try {
+      readCourseData(mainSheet, config).forEach(course => courseRows.set(String(course.recordId), course.rowIndex));
+    } catch (error) {
+      Logger.log(`[${sheetName}] 同步面板读取课程表失败: ${error.message}`);
+    }
+  }
+  
+  const counts = {};
+  const failures = [];
+  let lastUpdatedAt = '';
+  records.forEach(record => {
+    const status = String(record.status || '未处理');
+    counts[status] = (counts[status] || 0) + 1;
+    const updatedAt = formatDashboardValue(record.updatedAt);
+    if (updatedAt > lastUpdatedAt) {
+      lastUpdatedAt = updatedAt;
+    }
+    if (FAILED_STATUSES.includes(status)) {
+      failures.push({
+        rowIndex: courseRows.get(String(record.recordId)) || null,
+        recordId: String(record.recordId || ''),
+        lessonNumber: String(record.lessonNumber || ''),
+        date: formatDashboardValue(record.date),
+        status: status,
+        error: record.error || '',
+        attempts: record.attempts || 0
+      });
+    }
+  });
+  
+  return {
+    sheetName: sheetName,
+    // 旧版本没有同步记录表时，使用状态表中最晚的更新时间
+    lastSyncTime: lastRunTime ? formatDashboardValue(lastRunTime) : lastUpdatedAt,
+    total: records.length,
+    counts: counts,
+    failures: failures
+  };
+}
+
+/**
+ * 状态表中的所有记录（每行一条，按行号排序）
+ * @param {Sheet} statusSheet - 状态表（可以为空）
+ * @returns {Array<Object>} readProcessedStatus() 中的记录对象
+ */
+function readStatusRecordList(statusSheet) {
+  const processed = readProcessedStatus(statusSheet);
+  const byRow = new Map();
+  processed.byKey.forEach(record => byRow.set(record.rowIndex, record));
+  processed.byId.forEach(record => byRow.set(record.rowIndex, record));
+  return Array.from(byRow.values()).sort((a, b) => a.rowIndex - b.rowIndex);
+}
+
+/**
+ * 从同步记录表读取每个 Sheet 最近一次同步的结束时间
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @returns {Map<string, Date>} Sheet 名称 → 结束时间（没有同步记录表时为空）
+ */
+function readLastRunTimes(spreadsheet) {
+  const lastRunTimes = new Map();
+  const sheet = spreadsheet.getSheetByName(CONFIG.RUN_LOG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return lastRunTimes;
+  }
+  const values = sheet.getDataRange().getValues();
+  const sheetColumn = values[0].indexOf('Sheet');
+  const finishedColumn = values[0].indexOf('结束时间');
+  if (sheetColumn === -1 || finishedColumn === -1) {
+    return lastRunTimes;
+  }
+  // 记录按时间顺序追加，后面的行覆盖前面的行
+  values.slice(1).forEach(row => {
+    if (row[sheetColumn] && row[finishedColumn]) {
+      lastRunTimes.set(String(row[sheetColumn]), row[finishedColumn]);
+    }
+  });
+  return lastRunTimes;
+}
+
+/**
+ * 把状态表或同步记录表中的值转换为显示文本（日期格式化为 yyyy-MM-dd HH:mm）
+ * @param {*} value - 单元格的值
+ * @returns {string}
+ */
+function formatDashboardValue(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, CONFIG.TIMEZONE, 'yyyy-MM-dd HH:mm');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * 同步面板："同步此表"，只同步一个 Sheet（与"执行同步"相同，会放弃尚未完成的续跑）
+ * @param {string} sheetName - Sheet 名称
+ * @returns {Object} { success, busy, interrupted, message, result }
+ */
+function dashboardSyncSheet(sheetName) {
+  return runDashboardSync(sheetName, null);
+}
+
+/**
+ * 同步面板："重试失败"，只重新处理一个 Sheet 中处理失败的行（FAILED_STATUSES）
+ * @param {string} sheetName - Sheet 名称
+ * @returns {Object} { success, busy, interrupted, message, result }
+ */
+function dashboardRetryFailures(sheetName) {
+  try {
+    const statusSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.STATUS_SHEET_PREFIX + sheetName);
+    const recordIds = readStatusRecordList(statusSheet)
+      .filter(record => FAILED_STATUSES.includes(String(record.status)) && record.recordId)
+      .map(record => String(record.recordId));
+    if (recordIds.length === 0) {
+      return { success: true, message: '没有需要重试的失败记录' };
+    }
+    return runDashboardSync(sheetName, recordIds);
+  } catch (error) {
+    Logger.log(`同步面板重试失败记录出错: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * 在同步锁内同步一个 Sheet（可以只处理指定的记录），并整理成同步面板显示的结果
+ * @param {string} sheetName - Sheet 名称
+ * @param {Array<string>|null} recordIds - 只处理的记录ID（null 表示处理整个 Sheet）
+ * @returns {Object} { success, busy, interrupted, message, result }
+ */
+function runDashboardSync(sheetName, recordIds) {
+  try {
+    const scope = { sheetNames: [sheetName] };
+    if (recordIds) {
+      scope.recordIds = { [sheetName]: recordIds };
+    }
+    const summary = runWithSyncLock('runDashboardSync', () => {
+      clearSyncContinuation();
+      return syncAllSheets(null, SYNC_SOURCE.MENU, scope);
+    });
+    
+    if (summary && summary.busy) {
+      appendSkippedRunLog(SYNC_SOURCE.MENU, `另一个同步正在执行（${describeSyncLockHolder(summary.holder)}），本次没有执行`);
+      return { success: false, busy: true, message: `另一个同步正在执行（${describeSyncLockHolder(summary.holder)}），请稍后再试` };
+    }
+    const result = summary && summary.results.find(item => item.sheetName === sheetName);
+    if (!result) {
+      return { success: false, message: `Sheet "${sheetName}" 不在配置表中或未启用` };
+    }
+    
+    const counts = {
+      created: result.created || 0,
+      updated: result.updated || 0,
+      skipped: result.skipped || 0,
+      cancelled: result.cancelled || 0,
+      failed: result.failed || 0
+    };
+    const countText = `创建 ${counts.created}、更新 ${counts.updated}、取消 ${counts.cancelled}、失败 ${counts.failed}`;
+    let message = result.error ? `同步失败：${result.error}` : `同步完成：${countText}`;
+    if (summary.interrupted) {
+      message = `执行时间已用完（${countText}），剩余部分将在 ${Math.round(CONFIG.CONTINUATION_DELAY_MS / 1000)} 秒后自动继续同步`;
+    }
+    return {
+      success: !result.error && counts.failed === 0,
+      interrupted: !!summary.interrupted,
+      message: message,
+      result: Object.assign({ error: result.error || '' }, counts)
+    };
+  } catch (error) {
+    Logger.log(`同步面板执行同步失败: ${error.message}`);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * 同步面板侧边栏的 HTML（数据由 getDashboardData() 提供，按钮调用 dashboardSyncSheet()、dashboardRetryFailures() 和 selectSheetRow()）
+ * @returns {string}
+ */
+function buildDashboardHtml() {
+  return `
+    <style>
+      body { font-family: Arial, sans-serif; font-size: 13px; margin: 0; padding: 12px; }
+      .card { border: 1px solid #dadce0; border-radius: 6px; padding: 10px; margin-bottom: 12px; }
+      .card h3 { margin: 0 0 4px; font-size: 14px; }
+      .muted { color: #5f6368; font-size: 12px; }
+      .counts span { display: inline-block; margin: 4px 6px 4px 0; padding: 2px 6px; border-radius: 10px; background: #f1f3f4; }
+      .failure { border-left: 4px solid #d93025; background: #fce8e6; padding: 6px; margin-top: 6px; }
+      .message { margin-top: 6px; }
+      .error { color: #d93025; }
+      button { padding: 5px 8px; margin: 6px 4px 0 0; background: #4285F4; color: white; border: none; border-radius: 4px; cursor: pointer; }
+      button.secondary { background: #fff; color: #1a73e8; border: 1px solid #dadce0; }
+      button:disabled { opacity: 0.5; cursor: default; }
+    </style>
+    <div id="header" class="muted">加载中…</div>
+    <div id="sheets"></div>
+    <button class="secondary" onclick="load()">刷新</button>
+    <script>
+      var messages = {};
+
+      function load() {
+        google.script.run
+          .withSuccessHandler(render)
+          .withFailureHandler(function (error) { showHeader(error.message, true); })
+          .getDashboardData();
+      }
+
+      function showHeader(text, isError) {
+        var header = document.getElementById('header');
+        header.textContent = text;
+        header.className = isError ? 'error' : 'muted';
+      }
+
+      function element(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+      }
+
+      function render(data) {
+        if (data.error) {
+          showHeader('读取失败：' + data.error, true);
+          return;
+        }
+        showHeader('更新于 ' + data.generatedAt + (data.autoSync.length > 0 ? '；' + data.autoSync.join('；') : '；未设置自动同步'));
+        var container = document.getElementById('sheets');
+        container.innerHTML = '';
+        if (data.sheets.length === 0) {
+          container.appendChild(element('p', '', '配置表中没有启用的 Sheet。'));
+        }
+        data.sheets.forEach(function (sheet) {
+          var card = element('div', 'card');
+          card.appendChild(element('h3', '', sheet.sheetName));
+          card.appendChild(element('div', 'muted', '上次同步：' + (sheet.lastSyncTime || '尚未同步') + '，共 ' + sheet.total + ' 条记录'));
+          var counts = element('div', 'counts');
+          Object.keys(sheet.counts).forEach(function (status) {
+            counts.appendChild(element('span', '', status + ' ' + sheet.counts[status]));
+          });
+          card.appendChild(counts);
+
+          card.appendChild(actionButton('同步此表', 'dashboardSyncSheet', sheet.sheetName));
+          var retry = actionButton('重试失败', 'dashboardRetryFailures', sheet.sheetName);
+          retry.disabled = sheet.failures.length === 0;
+          card.appendChild(retry);
+
+          sheet.failures.forEach(function (failure) {
+            var item = element('div', 'failure');
+            item.appendChild(element('div', '', (failure.rowIndex ? '第' + failure.rowIndex + '行 ' : '') + failure.lessonNumber + ' ' + failure.date + ' · ' + failure.status + '（尝试 ' + failure.attempts + ' 次）'));
+            item.appendChild(element('div', 'muted', failure.error || '没有错误信息'));
+            if (failure.rowIndex) {
+              var open = element('button', 'secondary', '打开该行');
+              open.onclick = function () {
+                google.script.run
+                  .withFailureHandler(function (error) { showHeader(error.message, true); })
+                  .selectSheetRow(sheet.sheetName, failure.rowIndex);
+              };
+              item.appendChild(open);
+            }
+            card.appendChild(item);
           });
+
+          if (messages[sheet.sheetName]) {
+            card.appendChild(element('div', 'message' + (messages[sheet.sheetName].success ? '' : ' error'), messages[sheet.sheetName].message));
+          }
+          container.appendChild(card);
+        });
+      }
+
+      function actionButton(label, functionName, sheetName) {
+        var button = element('button', '', label);
+        button.onclick = function () {
+          document.querySelectorAll('button').forEach(function (node) { node.disabled = true; });
+          showHeader(label + '：' + sheetName + ' 执行中…');
+          google.script.run
+            .withSuccessHandler(function (result) {
+              messages[sheetName] = result;
+              load();
+            })
+            .withFailureHandler(function (error) {
+              messages[sheetName] = { success: false, message: error.message };
+              load();
+            })[functionName](sheetName);
+        };
+        return button;
+      }
+
+      load();
+    </script>
+  `;
+}
+
+// ==================== 撞课检测（跨 Sheet） ====================
+
+/**
+ * 解析配置表中的"撞课处理"列
+ * @param {string} value - 单元格内容（拒绝/阻止/不同步/block 表示拒绝，其他值表示警告）
+ * @returns {string} '警告' 或 '拒绝'
+ */
+function parseDoubleBookingMode(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return CONFIG.DOUBLE_BOOKING_MODE === '拒绝' ? '拒绝' : '警告';
+  }
+  return ['拒绝', '阻止', '不同步', 'block', 'refuse', 'reject'].includes(text) ? '拒绝' : '警告';
+}
+
+/**
+ * 解析配置表中的"管理员报告"列
+ * @param {string} value - 单元格内容（'总是' 或 '仅失败时'；为空时使用 CONFIG.ADMIN_REPORT.MODE）
+ * @returns {string} ADMIN_REPORT_MODE 中的值
+ */
+function parseAdminReportMode(value) {
+  const text = String(value || '').trim().toLowerCase() || String(CONFIG.ADMIN_REPORT.MODE || '').trim().toLowerCase();
+  return ['仅失败时', '失败时', '失败', 'on failure', 'failure', 'failed', 'fail'].includes(text) ? ADMIN_REPORT_MODE.ON_FAILURE : ADMIN_REPORT_MODE.ALWAYS;
+}
+
+/**
+ * 检测所有 Sheet 之间的撞课：同一老师或同一学生的两节课时间重叠
+ * 人员优先按邮箱识别（行内邮箱或配置邮箱），没有邮箱时按"老师"/"学生"列的姓名识别
+ * 重复课程按规则展开为每一次课分别检测（见 expandRecurrenceStarts()）
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Map<string, Object>} sheetConfigMap - readSheetConfig() 返回的配置
+ * @param {number} syncDeadline - 可选，本次执行时间预算的截止时间；读取每个 Sheet 前检查，用完时返回 { interrupted: true }
+ * @returns {Object} { conflicts: Array, blockedRows: Map<Sheet名称, Set<行号>>, interrupted: boolean }
+ */
+function detectDoubleBookings(spreadsheet, sheetConfigMap, syncDeadline) {
+  // 按人员分组的课程列表，key 为 "角色:人员"
+  const lessonsByPerson = new Map();
+
+  let sheetsRead = 0;
+  for (const [sheetName, config] of sheetConfigMap) {
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      continue;
+    }
+    if (sheetsRead > 0 && isSyncTimeBudgetExhausted({ syncDeadline: syncDeadline })) {
+      Logger.log(`撞课检测：执行时间预算已用完（已读取 ${sheetsRead} 个 Sheet），将在续跑中重新检测`);
+      return { conflicts: [], blockedRows: new Map(), interrupted: true };
+    }
+    sheetsRead++;
+
+    const timezone = config.timezone || CONFIG.TIMEZONE;
+    const courses = readCourseData(sheet, config);
+    for (const course of courses) {
+      const start = parseDateTimeCombined(course.startTimeInput, timezone, true);
+      if (!start) {
+        continue;
+      }
+      // 与 createOrUpdateCalendarEvent() 一致：没有结束时间时到开始日期的 23:59:59
+      let end = parseDateTimeCombined(course.endTimeInput, timezone, false);
+      if (!end) {
+        end = new Date(start);
+        end.setHours(23, 59, 59, 999);
+      }
+
+      // 重复课程：每一次课都参与检测；规则无法识别时只检测第一次课（该行同步时会记为失败）
+      let occurrenceStarts = [start];
+      if (course.recurrenceRule) {
+        try {
+          // 全天课程的截止日期和跳过日期按日期比较，与有时间的写法展开结果相同
+          occurrenceStarts = expandRecurrenceStarts(parseRecurrenceRule(course.recurrenceRule, start, timezone, false), start, timezone);
+        } catch (error) {
+          Logger.log(`撞课检测：${sheetName} 第${course.rowIndex}行的重复规则无法识别，只检测第一次课 - ${error.message}`);
         }
-        
-        if (!shouldExclude && row[index] !== undefined && String(row[index]).trim() !== '') {
-          // 存储原始表头和值
-          customFields[rawHeader] = String(row[index]).trim();
-        }
+      }
+      const duration = end.getTime() - start.getTime();
+      const lessons = occurrenceStarts.map(occurrenceStart => {
+        const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+        return {
+          sheetName: sheetName,
+          rowIndex: course.rowIndex,
+          lessonNumber: course.lessonNumber,
+          start: occurrenceStart,
+          end: occurrenceEnd,
+          timeText: `${Utilities.formatDate(occurrenceStart, timezone, 'yyyy-MM-dd HH:mm')} ~ ${Utilities.formatDate(occurrenceEnd, timezone, 'HH:mm')}`,
+          mode: config.doubleBookingMode || parseDoubleBookingMode('')
+        };
       });
-      
-      // 创建课程记录
-      const course = {
-        // 保留原有字段以保持向后兼容
-        lessonNumber: customFields['课次'] || '',
-        courseTitle: customFields['课程内容/主题'] || customFields['课程内容'] || customFields['主题'] || '',
-        teacherName: customFields['老师'] || '',
-        studentName: customFields['学生'] || '',
-        // 时间字段
-        startTimeInput: startTimeInput, // 保留原始开始时间输入（用于日志和调试）
-        endTimeInput: endTimeInput, // 保留原始结束时间输入（用于日志和调试）
-        // 所有自定义字段（包括上述字段，用于动态显示）
-        customFields: customFields,
-        // 从配置中获取邮箱和日历ID
-        teacherEmail: config.teacherEmail || '',
-        studentEmail: config.studentEmail || '',
-        organizerCalendarId: config.organizerCalendarId || '',
-        rowIndex: i + 1, // 记录行号（正式表的行号，从1开始，包含表头），用于和状态表一一对应
-        recordId: recordId,
-        recordIdColumnIndex: headerMap['记录ID'] // 记录记录ID列的索引（用于后续更新）
-      };
-      
-      // 验证必要字段
-      if (!course.organizerCalendarId) {
-        Logger.log(`跳过无效记录（第${i+1}行）: 缺少必要字段（组织者日历ID）`);
-        continue;
+
+      const people = [];
+      const teachers = splitEmailList(course.teacherEmail);
+      const students = splitEmailList(course.studentEmail);
+      (teachers.length > 0 ? teachers : [course.teacherName]).forEach(person => people.push(['老师', person]));
+      (students.length > 0 ? students : [course.studentName]).forEach(person => people.push(['学生', person]));
+
+      const seenKeys = new Set();
+      for (const [role, person] of people) {
+        if (!person) continue;
+        const key = `${role}:${String(person).toLowerCase()}`;
+        if (seenKeys.has(key)) continue;
+        seenKeys.add(key);
+        if (!lessonsByPerson.has(key)) {
+          lessonsByPerson.set(key, { role: role, person: person, lessons: [] });
+        }
+        lessonsByPerson.get(key).lessons.push(...lessons);
+      }
+    }
+  }
+
+  const conflicts = [];
+  const blockedRows = new Map();
+  const blockRow = (lesson) => {
+    if (!blockedRows.has(lesson.sheetName)) {
+      blockedRows.set(lesson.sheetName, new Set());
+    }
+    blockedRows.get(lesson.sheetName).add(lesson.rowIndex);
+  };
+
+  lessonsByPerson.forEach(group => {
+    const lessons = group.lessons.slice().sort((a, b) => a.start.getTime() - b.start.getTime());
+    for (let i = 0; i < lessons.length; i++) {
+      for (let j = i + 1; j < lessons.length; j++) {
+        const a = lessons[i];
+        const b = lessons[j];
+        // 已按开始时间排序：b 开始时 a 已结束，后面的课也不会再与 a 重叠
+        if (b.start.getTime() >= a.end.getTime()) {
+          break;
+        }
+        // 同一行（重复课程）的课次之间不算撞课
+        if (a.sheetName === b.sheetName && a.rowIndex === b.rowIndex) {
+          continue;
+        }
+        conflicts.push({ role: group.role, person: group.person, a: a, b: b });
+        if (a.mode === '拒绝') blockRow(a);
+        if (b.mode === '拒绝') blockRow(b);
       }
-      
-      // 计算token
-      course.token = calculateCourseToken(course);
-      
-      courses.push(course);
-    } catch (error) {
-      Logger.log(`解析第${i+1}行数据时出错: ${error.message}`);
-      continue;
     }
+  });
+
+  if (conflicts.length > 0) {
+    Logger.log(`⚠️ 检测到 ${conflicts.length} 处撞课，详见 ${CONFIG.CONFLICT_SHEET_NAME}`);
+  } else {
+    Logger.log('撞课检测：没有发现撞课');
   }
-  
-  return courses;
+
+  return { conflicts: conflicts, blockedRows: blockedRows, interrupted: false };
 }
 
 /**
- * 读取已处理状态（通过记录ID或行号索引，和正式表一一对应）
+ * 将撞课检测结果写入撞课报告表（每次同步覆盖上一次的结果）
+ * 没有撞课且报告表不存在时不创建报告表
+ * @param {Spreadsheet} spreadsheet - 表格对象
+ * @param {Array<Object>} conflicts - detectDoubleBookings() 返回的撞课列表
  */
-function readProcessedStatus(statusSheet) {
-  const processedMap = new Map();
-  const processedMapById = new Map(); // 通过记录ID索引
-  
-  if (!statusSheet || statusSheet.getLastRow() < 2) {
-    return { byKey: processedMap, byId: processedMapById };
+function writeConflictReport(spreadsheet, conflicts) {
+  let sheet = spreadsheet.getSheetByName(CONFIG.CONFLICT_SHEET_NAME);
+  if (!sheet) {
+    if (conflicts.length === 0) {
+      return;
+    }
+    sheet = spreadsheet.insertSheet(CONFIG.CONFLICT_SHEET_NAME);
+    Logger.log(`创建撞课报告表: ${CONFIG.CONFLICT_SHEET_NAME}`);
   }
-  
-  const dataRange = statusSheet.getDataRange();
-  const values = dataRange.getValues();
-  
-  // 读取表头，建立表头名称到列索引的映射
-  const headers = values[0];
-  const headerMap = {};
-  headers.forEach((header, index) => {
-    const headerKey = String(header).trim().toLowerCase();
-    headerMap[headerKey] = index;
+  sheet.clear();
+
+  const headers = ['类型', '人员', 'Sheet', '行号', '课次', '时间', '冲突Sheet', '冲突行号', '冲突课次', '冲突时间', '处理方式'];
+  const rows = conflicts.map(conflict => {
+    const blocked = [conflict.a, conflict.b]
+      .filter(lesson => lesson.mode === '拒绝')
+      .map(lesson => `${lesson.sheetName} 第${lesson.rowIndex}行`);
+    return [
+      conflict.role,
+      conflict.person,
+      conflict.a.sheetName,
+      conflict.a.rowIndex,
+      conflict.a.lessonNumber,
+      conflict.a.timeText,
+      conflict.b.sheetName,
+      conflict.b.rowIndex,
+      conflict.b.lessonNumber,
+      conflict.b.timeText,
+      blocked.length > 0 ? `拒绝同步：${blocked.join('、')}` : '仅警告'
+    ];
   });
-  
-  // 定义表头名称的多种变体（支持中英文）
-  const getColumnIndex = (headerNames) => {
-    for (const name of headerNames) {
-      const key = name.toLowerCase();
-      if (headerMap[key] !== undefined) {
-        return headerMap[key];
-      }
-    }
-    return undefined;
+
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285F4')
+    .setFontColor('#FFFFFF');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+}
+
+// ==================== 增量变更检测（Calendar syncToken） ====================
+
+/**
+ * 创建本次执行的日历变更缓存（每个日历只查询一次变更，多个 Sheet 共用）
+ * @returns {Object} { calendars: Map<日历ID, 变更>, pendingTokens: Map<属性名, 新的 syncToken> }
+ */
+function createCalendarChangeTracker() {
+  return {
+    calendars: new Map(),
+    pendingTokens: new Map()
   };
+}
+
+/**
+ * 获取日历自上次同步以来变更和删除的事件（使用保存在 Script Properties 中的 syncToken）
+ * 没有可用的 syncToken（首次运行，或 syncToken 过期返回 410）时返回 fullSync，
+ * 调用方需要逐行验证事件是否存在；同时取得新的 syncToken，供下次增量检测使用
+ * @param {Object} tracker - createCalendarChangeTracker() 创建的缓存
+ * @param {string} calendarId - 日历ID
+ * @returns {Object} { fullSync, changed: Set<事件ID>, deleted: Set<事件ID> }（事件ID不带 @google.com 后缀）
+ */
+function getCalendarChanges(tracker, calendarId) {
+  if (tracker.calendars.has(calendarId)) {
+    return tracker.calendars.get(calendarId);
+  }
   
-  // 获取各列的索引（使用表头名称而不是固定索引）
-  const recordIdCol = getColumnIndex(['记录id', 'record id', '记录id', 'recordid', 'id']);
-  const lessonNumberCol = getColumnIndex(['课次', 'lesson', 'lesson number', '课程次数']);
-  const dateCol = getColumnIndex(['日期', 'date', '课程日期']);
-  const tokenCol = getColumnIndex(['token', '令牌', '哈希']);
-  const organizerCalendarIdCol = getColumnIndex(['组织者日历id', 'organizer calendar id', '组织者日历', 'organizer calendar', '管理员日历id', 'admin calendar id']);
-  const organizerEventIdCol = getColumnIndex(['组织者日历事件id', 'organizer event id', '组织者事件id', 'organizer event id', '管理员日历事件id', 'admin event id']);
-  const organizerEventTimeCol = getColumnIndex(['组织者日历创建时间', 'organizer event time', '组织者事件时间', 'organizer event time', '管理员日历创建时间', 'admin event time']);
-  const statusCol = getColumnIndex(['处理状态', 'status', '状态']);
-  const lastUpdateTimeCol = getColumnIndex(['最后更新时间', 'last update time', '更新时间']);
+  const properties = PropertiesService.getScriptProperties();
+  const propertyKey = CONFIG.CALENDAR_SYNC_TOKEN_PREFIX + calendarId;
+  const storedToken = properties.getProperty(propertyKey);
+  let changes = { fullSync: true, changed: new Set(), deleted: new Set() };
   
-  // 从第2行开始读取（第1行为表头）
-  // 状态表的第i行对应正式表的第i行（都有表头）
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i];
-    
-    // 使用表头映射获取值
-    const getValue = (colIndex) => {
-      if (colIndex === undefined) return '';
-      return row[colIndex] || '';
-    };
-    
-    // 如果课次和日期都为空，跳过（空行）
-    const lessonNumber = getValue(lessonNumberCol);
-    const date = getValue(dateCol);
-    if (!lessonNumber && !date) {
-      continue;
-    }
-    
-    const recordId = getValue(recordIdCol);
-    const key = `${lessonNumber}_${date}`; // 课次_日期（向后兼容）
-    
-    // 读取组织者日历ID和事件ID（确保不是Date对象）
-    let organizerCalendarId = getValue(organizerCalendarIdCol);
-    if (organizerCalendarId instanceof Date) {
-      organizerCalendarId = '';
-    } else {
-      organizerCalendarId = String(organizerCalendarId).trim();
-    }
-    
-    let organizerEventId = getValue(organizerEventIdCol);
-    if (organizerEventId instanceof Date) {
-      organizerEventId = '';
-    } else {
-      organizerEventId = String(organizerEventId).trim();
-    }
-    
-    const record = {
-      recordId: recordId, // 记录ID
-      lessonNumber: lessonNumber,
-      date: date,
-      token: getValue(tokenCol), // Token（关键信息哈希）
-      organizerCalendarId: organizerCalendarId, // 组织者日历ID（用于删除事件）
-      organizerEventId: organizerEventId, // 组织者日历事件ID
-      status: getValue(statusCol), // 处理状态
-      rowIndex: i + 1 // 状态表的行号（从1开始，包含表头）
-    };
-    
-    // 验证事件ID格式：如果事件ID是"已发送"或其他状态文本，说明是错误的数据，应该清空
-    const invalidStatusTexts = ['已发送', '未发送', '失败', '部分失败', '已完成', '处理中'];
-    if (record.organizerEventId && invalidStatusTexts.includes(record.organizerEventId)) {
-      Logger.log(`警告：组织者事件ID包含状态文本，将被清空: "${record.organizerEventId}"`);
-      record.organizerEventId = '';
+  try {
+    if (storedToken) {
+      try {
+        const result = listCalendarEvents(calendarId, { syncToken: storedToken, showDeleted: true });
+        result.items.forEach(item => {
+          (item.status === 'cancelled' ? changes.deleted : changes.changed).add(item.id);
+        });
+        changes.fullSync = false;
+        tracker.pendingTokens.set(propertyKey, result.nextSyncToken);
+        Logger.log(`增量检测: ${calendarId} 自上次同步以来变更 ${changes.changed.size} 个事件，删除 ${changes.deleted.size} 个事件`);
+      } catch (error) {
+        if (!isSyncTokenExpiredError(error)) {
+          throw error;
+        }
+        Logger.log(`syncToken 已过期（410），将逐行验证事件是否存在: ${calendarId}`);
+        properties.deleteProperty(propertyKey);
+      }
     }
     
-    // 通过key索引（向后兼容）
-    processedMap.set(key, record);
-    
-    // 通过记录ID索引（优先使用）
-    if (recordId) {
-      processedMapById.set(recordId, record);
+    if (changes.fullSync) {
+      // 完整列出一次事件，只为取得新的 syncToken（本次仍逐行验证）
+      const timeMin = new Date(Date.now() - CONFIG.CALENDAR_FULL_SYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const result = listCalendarEvents(calendarId, { timeMin: timeMin.toISOString() });
+      tracker.pendingTokens.set(propertyKey, result.nextSyncToken);
+      Logger.log(`完整检查: ${calendarId}，已取得新的 syncToken`);
     }
+  } catch (error) {
+    // 查询变更失败时退回逐行验证，不影响同步
+    Logger.log(`获取日历变更失败，将逐行验证事件是否存在: ${calendarId} - ${error.message}`);
+    changes = { fullSync: true, changed: new Set(), deleted: new Set() };
   }
   
-  return { byKey: processedMap, byId: processedMapById };
+  tracker.calendars.set(calendarId, changes);
+  return changes;
 }
 
 /**
- * 确保正式表有"记录ID"列
+ * 分页列出日历事件（Calendar.Events.list），返回所有事件和最后一页的 nextSyncToken
+ * @param {string} calendarId - 日历ID
+ * @param {Object} options - 查询参数（syncToken、showDeleted 等）
+ * @returns {Object} { items, nextSyncToken }
  */
-function ensureRecordIdColumn(mainSheet) {
-  const headers = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getValues()[0];
-  const hasRecordIdColumn = headers.some(header => String(header || '').trim() === '记录ID');
+function listCalendarEvents(calendarId, options) {
+  const items = [];
+  let pageToken = null;
+  let response = null;
+  do {
+    const params = Object.assign({ maxResults: 2500 }, options);
+    if (pageToken) {
+      params.pageToken = pageToken;
+    }
+    response = Calendar.Events.list(calendarId, params);
+    (response.items || []).forEach(item => items.push(item));
+    pageToken = response.nextPageToken;
+  } while (pageToken);
   
-  if (!hasRecordIdColumn) {
-    // 在最后一列添加"记录ID"列
-    const lastColumn = mainSheet.getLastColumn();
-    const newColumnIndex = lastColumn + 1;
-    mainSheet.getRange(1, newColumnIndex).setValue('记录ID');
-    Logger.log(`在正式表添加"记录ID"列: 第${newColumnIndex}列`);
+  return { items: items, nextSyncToken: response.nextSyncToken || '' };
+}
+
+/**
+ * 判断是否是 syncToken 过期错误（410 Gone，需要完整同步）
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+function isSyncTokenExpiredError(error) {
+  const message = String(error && error.message || '');
+  return (error && error.code === 410) || /\b410\b|full sync is required|sync token is no longer valid/i.test(message);
+}
+
+/**
+ * 判断事件是否在增量检测中被删除
+ * @param {Object} changes - getCalendarChanges() 的返回值
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @returns {boolean}
+ */
+function isEventDeletedSinceLastSync(changes, eventId) {
+  return changes.deleted.has(String(eventId).split('@')[0]);
+}
+
+/**
+ * 判断事件是否在增量检测中被修改
+ * @param {Object} changes - getCalendarChanges() 的返回值
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @returns {boolean}
+ */
+function isEventChangedSinceLastSync(changes, eventId) {
+  return changes.changed.has(String(eventId).split('@')[0]);
+}
+
+/**
+ * 保存本次取得的 syncToken（所有 Sheet 处理完成后调用，
+ * 中途失败时不保存，下次执行会重新取得同一批变更）
+ * @param {Object} tracker - createCalendarChangeTracker() 创建的缓存
+ */
+function commitCalendarSyncTokens(tracker) {
+  const properties = PropertiesService.getScriptProperties();
+  tracker.pendingTokens.forEach((token, propertyKey) => {
+    if (token) {
+      properties.setProperty(propertyKey, token);
+    }
+  });
+}
+
+// ==================== 双向同步（日历 → 表格） ====================
+
+/**
+ * 解析配置表中的"双向同步"列
+ * @param {string} value - 单元格内容
+ * @returns {string} '表格优先'、'日历优先'、'标记待确认' 或 '关闭'
+ */
+function parseTwoWaySyncPolicy(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return CONFIG.TWO_WAY_SYNC_POLICY;
   }
+  if (['关闭', '否', 'no', 'off', 'false', '0'].includes(text)) {
+    return '关闭';
+  }
+  if (text.includes('日历') || text.includes('calendar')) {
+    return '日历优先';
+  }
+  if (text.includes('标记') || text.includes('确认') || text.includes('review') || text.includes('flag')) {
+    return '标记待确认';
+  }
+  return '表格优先';
 }
 
 /**
- * 为课程记录分配或获取记录ID，并更新正式表
+ * 生成日历快照：事件当前的开始/结束时间和标题（JSON 字符串，保存在状态表"日历快照"列）
+ * @param {CalendarEvent} event - 日历事件
+ * @returns {string} 快照，事件不存在时返回空字符串
  */
-function assignRecordIds(courses, processedRecords, statusSheet, mainSheet) {
-  // 获取记录ID列的索引
-  const headers = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getValues()[0];
-  const recordIdColumnIndex = headers.findIndex(header => String(header || '').trim() === '记录ID');
-  
-  if (recordIdColumnIndex === -1) {
-    Logger.log(`警告：正式表中没有"记录ID"列`);
-    return;
+function buildCalendarSnapshot(event) {
+  if (!event) {
+    return '';
+  }
+  return JSON.stringify({
+    start: event.getStartTime().toISOString(),
+    end: event.getEndTime().toISOString(),
+    title: event.getTitle() || ''
+  });
+}
+
+/**
+ * 按表头名称写入状态表的指定字段（只修改给定的列）
+ * @param {Sheet} statusSheet - 状态表
+ * @param {number} rowIndex - 行号
+ * @param {Object} fields - { 表头名称: 值 }
+ */
+function setStatusFields(statusSheet, rowIndex, fields) {
+  const headers = statusSheet.getRange(1, 1, 1, statusSheet.getLastColumn()).getValues()[0]
+    .map(header => String(header).trim());
+  Object.keys(fields).forEach(name => {
+    const colIndex = headers.indexOf(name);
+    if (colIndex !== -1) {
+      statusSheet.getRange(rowIndex, colIndex + 1).setValue(fields[name]);
+    }
+  });
+}
+
+/**
+ * 双向同步：检测老师在日历中拖动时间或修改标题的事件，把修改拉回课程表
+ * 以状态表中的"日历快照"（上次写入日历的内容）为基准：
+ * - 只有日历被修改：更新表格中的开始时间/结束时间（和标题），并更新 token
+ * - 日历和表格都被修改：按 Sheet 的双向同步策略处理（表格优先 / 日历优先 / 标记待确认）
+ * - 表格中的新值与日历一致：视为已同步
+ * @param {string} sheetName - Sheet名称
+ * @param {Sheet} mainSheet - 正式表
+ * @param {Array<Object>} courses - 课程列表（已分配记录ID）
+ * @param {Object} processedRecords - 已处理状态（与 planCourseAction() 使用的相同）
+ * @param {Sheet} statusSheet - 状态表
+ * @param {Object} config - Sheet 配置（resumePullFromRow：续跑时，此行之前已完成的行在上次执行中已检查）
+ * @returns {Object} { flaggedRows: 标记为待确认的行号（本次不同步）, stoppedAtRow: 时间预算用完时停止检查的行号，否则为 0 }
+ */
+function pullCalendarChanges(sheetName, mainSheet, courses, processedRecords, statusSheet, config) {
+  const flaggedRows = new Set();
+  const policy = config.twoWaySyncPolicy || CONFIG.TWO_WAY_SYNC_POLICY;
+  if (policy === '关闭') {
+    return { flaggedRows: flaggedRows, stoppedAtRow: 0 };
   }
   
+  const calendarCache = {};
+  let eventsRead = 0;
+  
   for (const course of courses) {
-    let recordId = course.recordId;
+    const existingRecord = course.recordId ? processedRecords.byId.get(course.recordId) : null;
+    if (!existingRecord || !existingRecord.calendarSnapshot || !existingRecord.organizerEventId ||
+        !existingRecord.organizerCalendarId || course.recurrenceRule) {
+      continue;
+    }
+    if (existingRecord.status !== '已完成' && existingRecord.status !== '待确认') {
+      continue;
+    }
+    // 待确认的行本次不同步，续跑时仍需重新检查
+    if (config.resumePullFromRow && course.rowIndex < config.resumePullFromRow && existingRecord.status === '已完成') {
+      continue;
+    }
     
-    // 如果正式表中已有记录ID，使用它
-    if (recordId) {
+    // 增量检测：日历事件自上次同步以来没有变更时不需要读取（待确认的行每次都重新检查）
+    if (existingRecord.status === '已完成' && config.calendarChangeTracker) {
+      const changes = getCalendarChanges(config.calendarChangeTracker, existingRecord.organizerCalendarId);
+      if (!changes.fullSync && !isEventChangedSinceLastSync(changes, existingRecord.organizerEventId)) {
+        continue;
+      }
+    }
+    
+    let stored;
+    try {
+      stored = JSON.parse(existingRecord.calendarSnapshot);
+    } catch (error) {
+      Logger.log(`[${sheetName}] 日历快照格式错误，跳过双向同步: 第${course.rowIndex}行`);
       continue;
     }
     
-    // 尝试通过行号从状态表中获取记录ID
-    const statusRow = statusSheet.getRange(course.rowIndex, 1, 1, statusSheet.getLastColumn()).getValues()[0];
-    if (statusRow[0]) {
-      // 状态表中已有记录ID，使用它并更新正式表
-      recordId = statusRow[0];
-      course.recordId = recordId;
-      mainSheet.getRange(course.rowIndex, recordIdColumnIndex + 1).setValue(recordId);
-      Logger.log(`从状态表获取记录ID并更新正式表: ${recordId} (第${course.rowIndex}行)`);
+    // 读取日历事件较慢：时间预算用完时停止，其余的行由续跑检查
+    if (eventsRead > 0 && isSyncTimeBudgetExhausted(config)) {
+      return { flaggedRows: flaggedRows, stoppedAtRow: course.rowIndex };
+    }
+    eventsRead++;
+    
+    // 读取日历中事件的当前状态（事件不存在时交给后续的同步流程重新创建）
+    let event = null;
+    try {
+      const calendarId = existingRecord.organizerCalendarId;
+      if (calendarCache[calendarId] === undefined) {
+        calendarCache[calendarId] = getCalendarByIdOrEmail(calendarId, course);
+      }
+      event = calendarCache[calendarId] ? calendarCache[calendarId].getEventById(existingRecord.organizerEventId) : null;
+    } catch (error) {
+      Logger.log(`[${sheetName}] 读取日历事件失败，跳过双向同步: ${existingRecord.organizerEventId} - ${error.message}`);
+      continue;
+    }
+    if (!event) {
       continue;
     }
     
-    // 尝试通过key查找（向后兼容）
-    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
-    const key = `${course.lessonNumber}_${dateStr}`;
-    const existingRecord = processedRecords.byKey.get(key);
-    if (existingRecord && existingRecord.recordId) {
-      recordId = existingRecord.recordId;
-      course.recordId = recordId;
-      mainSheet.getRange(course.rowIndex, recordIdColumnIndex + 1).setValue(recordId);
-      Logger.log(`从状态表（通过key）获取记录ID并更新正式表: ${recordId} (第${course.rowIndex}行)`);
+    const current = JSON.parse(buildCalendarSnapshot(event));
+    // 使用标题模板时，日历标题由多列拼接而成，不拉回标题列
+    const hasTitleColumn = !!course.titleHeader && !course.titleTemplate;
+    const calendarChanged = current.start !== stored.start || current.end !== stored.end ||
+                            (hasTitleColumn && current.title !== stored.title);
+    if (!calendarChanged) {
+      continue;
+    }
+    
+    const timezone = course.timezone || config.timezone || CONFIG.TIMEZONE;
+    const sheetChanged = calculateCourseToken(course) !== existingRecord.token;
+    
+    // 表格中的新值与日历一致（例如按日历的时间手动修改了表格），视为已同步
+    const sheetStart = parseDateTimeCombined(course.startTimeInput, timezone, true);
+    const sheetEnd = parseDateTimeCombined(course.endTimeInput, timezone, false);
+    const sheetTitle = hasTitleColumn ? (course.customFields[course.titleHeader] || '') : current.title;
+    const sheetMatchesCalendar = sheetStart && sheetEnd && sheetTitle === current.title &&
+      sheetStart.toISOString() === current.start && sheetEnd.toISOString() === current.end;
+    
+    if (sheetMatchesCalendar) {
+      Logger.log(`[${sheetName}] 表格与日历的修改一致，视为已同步: 第${course.rowIndex}行 ${course.lessonNumber}`);
+      recordPulledCourse(course, existingRecord, statusSheet, mainSheet, JSON.stringify(current));
+      continue;
+    }
+    
+    if (!sheetChanged || policy === '日历优先') {
+      Logger.log(`[${sheetName}] 检测到日历端修改，更新课程表: 第${course.rowIndex}行 ${course.lessonNumber}${sheetChanged ? '（日历优先，覆盖表格的修改）' : ''}`);
+      writeCalendarValuesToSheet(mainSheet, course, event, timezone);
+      recordPulledCourse(course, existingRecord, statusSheet, mainSheet, JSON.stringify(current));
       continue;
     }
-    
-    // 生成新的记录ID
-    recordId = generateRecordId();
-    course.recordId = recordId;
-    mainSheet.getRange(course.rowIndex, recordIdColumnIndex + 1).setValue(recordId);
-    Logger.log(`为新记录生成ID并写入正式表: ${recordId} (第${course.rowIndex}行)`);
+    
+    if (policy === '标记待确认') {
+      const calendarText = `${Utilities.formatDate(event.getStartTime(), timezone, 'yyyy/MM/dd HH:mm')} ~ ${Utilities.formatDate(event.getEndTime(), timezone, 'yyyy/MM/dd HH:mm')}「${current.title}」`;
+      Logger.log(`[${sheetName}] 日历和表格都被修改，标记待确认: 第${course.rowIndex}行 ${course.lessonNumber}`);
+      setStatusFields(statusSheet, course.rowIndex, { '处理状态': '待确认' });
+      updateConflictNote(mainSheet, course, `日历和表格都被修改，请确认以哪边为准（修改表格使其与日历一致，或把双向同步改为"表格优先"/"日历优先"）。\n日历中为：${calendarText}`);
+      flaggedRows.add(course.rowIndex);
+      continue;
+    }
+    
+    // 表格优先：不拉回日历的修改，后续同步会用表格的内容覆盖日历
+    Logger.log(`[${sheetName}] 日历和表格都被修改，表格优先: 第${course.rowIndex}行 ${course.lessonNumber}`);
+  }
+  
+  return { flaggedRows: flaggedRows, stoppedAtRow: 0 };
+}
+
+/**
+ * 把日历事件的开始/结束时间和标题写回课程表，并更新课程对象
+ * @param {Sheet} mainSheet - 正式表
+ * @param {Object} course - 课程对象
+ * @param {CalendarEvent} event - 日历事件
+ * @param {string} timezone - 时区
+ */
+function writeCalendarValuesToSheet(mainSheet, course, event, timezone) {
+  let startText;
+  let endText;
+  if (event.isAllDayEvent()) {
+    // 全天事件的结束日期是独占的，写回表格时使用最后一天
+    const lastDay = new Date(event.getEndTime().getTime() - 24 * 60 * 60 * 1000);
+    startText = Utilities.formatDate(event.getStartTime(), timezone, 'yyyy/MM/dd');
+    endText = Utilities.formatDate(lastDay, timezone, 'yyyy/MM/dd');
+  } else {
+    startText = Utilities.formatDate(event.getStartTime(), timezone, 'yyyy/MM/dd HH:mm');
+    endText = Utilities.formatDate(event.getEndTime(), timezone, 'yyyy/MM/dd HH:mm');
+  }
+  
+  // 写入后重新读取显示值，保证 token 与下次读取表格时一致
+  const startCell = mainSheet.getRange(course.rowIndex, course.startTimeColumnIndex + 1);
+  startCell.setValue(startText);
+  course.startTimeInput = startCell.getDisplayValue();
+  
+  if (course.endTimeColumnIndex !== undefined) {
+    const endCell = mainSheet.getRange(course.rowIndex, course.endTimeColumnIndex + 1);
+    endCell.setValue(endText);
+    course.endTimeInput = endCell.getDisplayValue();
+  }
+  
+  if (course.titleHeader && !course.titleTemplate && event.getTitle()) {
+    const titleColumnIndex = mainSheet.getRange(1, 1, 1, mainSheet.getLastColumn()).getDisplayValues()[0]
+      .map(header => String(header).trim())
+      .indexOf(course.titleHeader);
+    if (titleColumnIndex !== -1) {
+      const titleCell = mainSheet.getRange(course.rowIndex, titleColumnIndex + 1);
+      titleCell.setValue(event.getTitle());
+      course.customFields[course.titleHeader] = titleCell.getDisplayValue();
+    }
   }
 }
 
 /**
- * 生成唯一记录ID
+ * 记录已拉回（或表格已一致）的课程：更新状态表（与正式表同行）的 Token、日期、日历快照、状态和字段指纹，并清除冲突和失败备注
+ * @param {Object} course - 课程对象（已包含拉回后的值）
+ * @param {Object} existingRecord - 同步前读取的状态记录（同步更新，供 planCourseAction() 判断）
+ * @param {Sheet} statusSheet - 状态表
+ * @param {Sheet} mainSheet - 正式表
+ * @param {string} snapshot - 新的日历快照
  */
-function generateRecordId() {
-  // 使用时间戳 + 随机数生成唯一ID
-  const timestamp = new Date().getTime();
-  const random = Math.floor(Math.random() * 10000);
-  return `REC_${timestamp}_${random}`;
+function recordPulledCourse(course, existingRecord, statusSheet, mainSheet, snapshot) {
+  const token = calculateCourseToken(course);
+  const fingerprint = calculateCourseFingerprint(course);
+  setStatusFields(statusSheet, course.rowIndex, {
+    'Token': token,
+    '日期': extractDateFromDateTimeInput(course.startTimeInput),
+    '日历快照': snapshot,
+    '处理状态': '已完成',
+    '字段指纹': fingerprint,
+    '课程信息': buildCourseInfo(course),
+    '错误信息': ''
+  });
+  existingRecord.token = token;
+  existingRecord.fingerprint = fingerprint;
+  existingRecord.courseInfo = buildCourseInfo(course);
+  existingRecord.status = '已完成';
+  updateConflictNote(mainSheet, course, '');
+  updateErrorNote(mainSheet, course, '');
 }
 
+// ==================== 事件标题和描述模板 ====================
+
 /**
- * 获取已有的事件ID和token
+ * 生成事件标题：配置了标题模板时按模板渲染，否则优先使用"课程内容/主题"，
+ * 否则使用第一个非时间字段，否则使用"未命名事件"
+ * @param {Object} course - 课程对象
+ * @returns {string} 事件标题
  */
-function getExistingEventIds(statusSheet, course) {
-  // 优先通过记录ID查找
-  let existingRecord = null;
-  const processedRecords = readProcessedStatus(statusSheet);
-  
-  if (course.recordId) {
-    existingRecord = processedRecords.byId.get(course.recordId);
+function getEventTitle(course) {
+  if (course.titleTemplate) {
+    const rendered = renderTitleTemplate(course.titleTemplate, course);
+    if (rendered) {
+      return rendered;
+    }
+    Logger.log(`标题模板渲染结果为空，使用默认标题: 第${course.rowIndex}行 ${course.titleTemplate}`);
   }
   
-  // 如果没有找到，尝试通过key查找（向后兼容）
-  if (!existingRecord) {
-    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
-    const key = `${course.lessonNumber}_${dateStr}`;
-    existingRecord = processedRecords.byKey.get(key);
+  let title = '';
+  if (course.customFields) {
+    // 优先使用标题列（列映射中的"标题"，默认为"课程内容/主题"相关字段）
+    title = (course.titleHeader ? course.customFields[course.titleHeader] : '') ||
+            course.customFields['课程内容/主题'] || 
+            course.customFields['课程内容'] || 
+            course.customFields['主题'] || 
+            course.customFields['Course Title'] || 
+            course.customFields['课程主题'] || '';
+    
+    // 如果没有找到标题字段，使用第一个自定义字段的值
+    if (!title && Object.keys(course.customFields).length > 0) {
+      const firstFieldName = Object.keys(course.customFields)[0];
+      title = course.customFields[firstFieldName];
+    }
   }
   
-  return {
-    organizerEventId: existingRecord ? (existingRecord.organizerEventId || null) : null,
-    token: existingRecord ? (existingRecord.token || null) : null,
-    hasChanges: existingRecord ? (existingRecord.token !== course.token) : true
-  };
+  // 如果还是没有，使用向后兼容的字段
+  return title || course.courseTitle || '未命名事件';
 }
 
 /**
- * 查找被删除的记录（状态表中有但正式表中没有的记录）
- * 通过记录ID匹配
+ * 渲染标题模板（占位符见 fillTemplatePlaceholders()）
+ * @param {string} template - 标题模板
+ * @param {Object} course - 课程对象
+ * @returns {string} 渲染后的标题（合并多余空白并去除首尾空白）
  */
-function findDeletedRecords(courses, processedRecords, statusSheet) {
-  const deletedRecords = [];
-  
-  // 创建正式表中所有记录的ID集合
-  const courseIds = new Set();
-  courses.forEach(course => {
-    if (course.recordId) {
-      courseIds.add(course.recordId);
-    }
-  });
+function renderTitleTemplate(template, course) {
+  return fillTemplatePlaceholders(template, course, {}, false).text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 生成事件描述：配置了描述模板时按模板渲染，否则列出所有自定义字段（按字段名排序）
+ * @param {Object} course - 课程对象
+ * @param {string} meetLink - 事件的 Google Meet 链接（还没有时为空）
+ * @returns {string} 事件描述
+ */
+function buildEventDescription(course, meetLink) {
+  if (course.descriptionTemplate) {
+    return renderDescriptionTemplate(course.descriptionTemplate, course, meetLink);
+  }
   
-  // 检查状态表中的每条记录是否还在正式表中（通过记录ID匹配）
-  processedRecords.byId.forEach((record, recordId) => {
-    if (recordId && !courseIds.has(recordId)) {
-      // 这条记录在状态表中但不在正式表中，说明被删除了
-      deletedRecords.push({
-        recordId: recordId,
-        lessonNumber: record.lessonNumber,
-        date: record.date,
-        organizerCalendarId: record.organizerCalendarId || '',
-        organizerEventId: record.organizerEventId || '',
-        rowIndex: record.rowIndex,
-        token: record.token || ''
-      });
-    }
-  });
+  if (course.customFields && Object.keys(course.customFields).length > 0) {
+    // 按字段名排序，确保描述的一致性
+    const sortedFieldNames = Object.keys(course.customFields).sort();
+    return sortedFieldNames.map(fieldName => `${fieldName}：${course.customFields[fieldName]}`).join('\n');
+  }
   
-  // 检查通过key索引的记录（向后兼容，处理没有记录ID的旧记录）
-  const courseKeys = new Set();
-  courses.forEach(course => {
-    const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
-    const key = `${course.lessonNumber}_${dateStr}`;
-    courseKeys.add(key);
-  });
+  // 向后兼容：如果没有 customFields，使用原有字段
+  return `课程：${course.courseTitle || ''}\n老师：${course.teacherName || ''}\n学生：${course.studentName || ''}\n课次：${course.lessonNumber || ''}`;
+}
+
+/**
+ * 渲染描述模板
+ * 
+ * 模板按行渲染，只显示模板中写出的字段，顺序和标签都由模板决定，例如：
+ *   课次：{课次}
+ *   老师：{老师}
+ *   上课链接：{Meet链接}
+ * 除标题模板的占位符外，还支持 {Meet链接} 和 {表格链接}（课程表中该行的链接）。
+ * 某一行的占位符全部为空时，整行不显示（例如没有填写"教材"时不显示"教材："）。
+ * 模板中包含 HTML 标签时（如 <b>、<a href="{Meet链接}">），按 HTML 输出，字段值会被转义。
+ * @param {string} template - 描述模板
+ * @param {Object} course - 课程对象
+ * @param {string} meetLink - Google Meet 链接
+ * @returns {string} 渲染后的描述
+ */
+function renderDescriptionTemplate(template, course, meetLink) {
+  const isHtml = /<[a-z][^>]*>/i.test(template);
+  const extraValues = {
+    'Meet链接': meetLink || '',
+    '会议链接': meetLink || '',
+    '表格链接': course.sheetRowUrl || ''
+  };
   
-  processedRecords.byKey.forEach((record, key) => {
-    // 如果已经有记录ID且已处理过，跳过
-    if (record.recordId && courseIds.has(record.recordId)) {
+  return renderTemplateLines(template, course, extraValues, isHtml);
+}
+
+/**
+ * 按行渲染模板：某一行的占位符全部为空时，整行不显示
+ * （描述模板和邮件正文共用）
+ * @param {string} template - 模板
+ * @param {Object} course - 课程对象
+ * @param {Object} extraValues - 额外的占位符值（名称 → 值）
+ * @param {boolean} escapeHtml - 是否对替换的值进行 HTML 转义
+ * @returns {string} 渲染后的文本
+ */
+function renderTemplateLines(template, course, extraValues, escapeHtml) {
+  const lines = [];
+  String(template).split(/\r?\n/).forEach(line => {
+    const result = fillTemplatePlaceholders(line, course, extraValues, escapeHtml);
+    if (result.placeholderCount > 0 && result.filledCount === 0) {
       return;
     }
-    
-    // 如果没有记录ID，通过key检查（向后兼容）
-    if (!record.recordId && !courseKeys.has(key)) {
-      deletedRecords.push({
-        recordId: record.recordId || '',
-        lessonNumber: record.lessonNumber,
-        date: record.date,
-        organizerCalendarId: record.organizerCalendarId || '',
-        organizerEventId: record.organizerEventId || '',
-        rowIndex: record.rowIndex,
-        token: record.token || ''
-      });
-    }
+    lines.push(result.text.replace(/\s+$/, ''));
   });
   
-  return deletedRecords;
+  return lines.join('\n').trim();
 }
 
 /**
- * 查找相同课次但不同日期的旧记录（日期变化）
+ * 描述模板中是否使用了 Meet 链接（需要在事件创建后回填）
+ * @param {string} template - 描述模板
+ * @returns {boolean}
  */
-function findOldRecordsByLessonNumber(statusSheet, lessonNumber, currentDate, timezone) {
-  const oldRecords = [];
-  
-  if (!statusSheet || statusSheet.getLastRow() < 2) {
-    return oldRecords;
-  }
-  
-  // 获取时区（优先使用传入的时区，否则使用默认时区）
-  const tz = timezone || CONFIG.TIMEZONE || Session.getScriptTimeZone();
-  
-  const dataRange = statusSheet.getDataRange();
-  const values = dataRange.getValues();
-  
-  // 读取表头，建立表头名称到列索引的映射
-  const headers = values[0];
-  const headerMap = {};
-  headers.forEach((header, index) => {
-    const headerKey = String(header).trim().toLowerCase();
-    headerMap[headerKey] = index;
-  });
-  
-  // 定义表头名称的多种变体（支持中英文）
-  const getColumnIndex = (headerNames) => {
-    for (const name of headerNames) {
-      const key = name.toLowerCase();
-      if (headerMap[key] !== undefined) {
-        return headerMap[key];
-      }
+function usesMeetLinkPlaceholder(template) {
+  return /\{\s*(Meet链接|会议链接)\s*(\|[^{}]*)?\}/.test(String(template || ''));
+}
+
+/**
+ * 替换模板中的占位符
+ * 
+ * 支持的占位符：
+ * - {列名}：该列的值（课程表中的自定义字段）
+ * - {列名|默认值}：该列为空时使用默认值，例如 {老师|待定}
+ * - {日期}、{开始时间}、{结束时间}、{星期}：课程的日期（yyyy/MM/dd）、开始/结束时间（HH:mm）和星期（周一 ~ 周日）
+ * - {开始时间:格式}、{结束时间:格式}、{日期:格式}：按 Utilities.formatDate 的格式输出，例如 {开始时间:MM/dd HH:mm}
+ * - {原日期}、{原开始时间}、{原结束时间}、{原星期}：调整前的时间（course.previousStartTimeInput/previousEndTimeInput，用于课程调整通知）
+ * - extraValues 中的名称（如描述模板的 {Meet链接}）
+ * 
+ * 课程表中有同名列时优先使用列的值；找不到的占位符替换为空（或默认值）
+ * @param {string} template - 模板
+ * @param {Object} course - 课程对象
+ * @param {Object} extraValues - 额外的占位符值（名称 → 值）
+ * @param {boolean} escapeHtml - 是否对替换的值进行 HTML 转义
+ * @returns {Object} {text, placeholderCount, filledCount}（filledCount 为有值的占位符个数，不含默认值）
+ */
+function fillTemplatePlaceholders(template, course, extraValues, escapeHtml) {
+  const timezone = course.timezone || CONFIG.TIMEZONE;
+  const customFields = course.customFields || {};
+  const parsedTimes = {}; // 输入 → 解析后的时间（每个时间只解析一次）
+  const parseTime = (input, isStartTime) => {
+    const key = `${isStartTime ? 'start' : 'end'}:${input}`;
+    if (parsedTimes[key] === undefined) {
+      parsedTimes[key] = input ? parseDateTimeCombined(input, timezone, isStartTime) : null;
     }
-    return undefined;
-  };
-  
-  // 获取各列的索引（使用表头名称而不是固定索引）
-  const lessonNumberCol = getColumnIndex(['课次', 'lesson', 'lesson number', '课程次数']);
-  const dateCol = getColumnIndex(['日期', 'date', '课程日期']);
-  const organizerCalendarIdCol = getColumnIndex(['组织者日历id', 'organizer calendar id', '组织者日历', 'organizer calendar', '管理员日历id', 'admin calendar id']);
-  const organizerEventIdCol = getColumnIndex(['组织者日历事件id', 'organizer event id', '组织者事件id', 'organizer event id', '管理员日历事件id', 'admin event id']);
-  const recordIdCol = getColumnIndex(['记录id', 'record id', '记录id', 'recordid', 'id']);
-  
-  // 标准化当前日期用于比较
-  const currentDateStr = currentDate instanceof Date ?
-    Utilities.formatDate(currentDate, tz, 'yyyy-MM-dd') :
-    String(currentDate);
-  
-  // 使用表头映射获取值
-  const getValue = (row, colIndex) => {
-    if (colIndex === undefined) return '';
-    return row[colIndex] || '';
+    return parsedTimes[key];
   };
+  let placeholderCount = 0;
+  let filledCount = 0;
   
-  for (let i = 1; i < values.length; i++) {
-    const row = values[i];
-    const rowLessonNumber = getValue(row, lessonNumberCol);
-    const rowDate = getValue(row, dateCol);
-    
-    // 如果课次相同但日期不同
-    if (rowLessonNumber === lessonNumber && rowDate) {
-      const rowDateStr = rowDate instanceof Date ?
-        Utilities.formatDate(rowDate, tz, 'yyyy-MM-dd') :
-        String(rowDate);
-      
-      if (rowDateStr !== currentDateStr) {
-        // 获取记录ID（如果存在）
-        const recordId = getValue(row, recordIdCol);
-        
-        oldRecords.push({
-          recordId: recordId, // 添加记录ID，用于判断是否是同一条记录
-          lessonNumber: rowLessonNumber,
-          date: rowDate,
-          organizerCalendarId: getValue(row, organizerCalendarIdCol),
-          organizerEventId: getValue(row, organizerEventIdCol),
-          rowIndex: i + 1
-        });
+  const text = String(template).replace(/\{([^{}:|]+)(?::([^{}|]+))?(?:\|([^{}]*))?\}/g, (match, rawName, rawFormat, defaultValue) => {
+    const name = rawName.trim();
+    const format = rawFormat ? rawFormat.trim() : '';
+    let value = '';
+    placeholderCount++;
+    
+    if (customFields[name] !== undefined && !format) {
+      value = String(customFields[name]);
+    } else if (extraValues[name] !== undefined) {
+      value = String(extraValues[name]);
+    } else if (/^原?(日期|开始时间|结束时间|星期)$/.test(name)) {
+      const previous = name.charAt(0) === '原';
+      const field = previous ? name.slice(1) : name;
+      const isStartTime = field !== '结束时间';
+      const input = String((previous ?
+        (isStartTime ? course.previousStartTimeInput : course.previousEndTimeInput) :
+        (isStartTime ? course.startTimeInput : course.endTimeInput)) || '');
+      const date = parseTime(input, isStartTime);
+      if (date) {
+        if (format) {
+          value = Utilities.formatDate(date, timezone, format);
+        } else if (field === '日期') {
+          value = Utilities.formatDate(date, timezone, 'yyyy/MM/dd');
+        } else if (field === '星期') {
+          const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(Utilities.formatDate(date, timezone, 'EEE'));
+          value = weekday !== -1 ? '周' + '日一二三四五六'[weekday] : '';
+        } else if (input.includes(':')) {
+          // 只填写了日期（全天课程）时没有时间可显示
+          value = Utilities.formatDate(date, timezone, 'HH:mm');
+        }
       }
     }
-  }
+    
+    if (value !== '') {
+      filledCount++;
+    } else {
+      value = defaultValue !== undefined ? defaultValue.trim() : '';
+    }
+    return escapeHtml ? escapeHtmlText(value) : value;
+  });
   
-  return oldRecords;
+  return { text: text, placeholderCount: placeholderCount, filledCount: filledCount };
 }
 
 /**
- * 删除旧状态记录
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string}
  */
-function deleteOldStatusRecords(statusSheet, oldRecords) {
-  // 从后往前删除，避免索引变化
-  const rowsToDelete = oldRecords.map(r => r.rowIndex).sort((a, b) => b - a);
+function escapeHtmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 描述模板使用了 {Meet链接} 时，用事件实际的 Meet 链接更新描述
+ * （新建事件时 Meet 链接在创建后才生成，描述中先留空）
+ * @param {string} calendarId - 日历ID
+ * @param {string} eventId - 事件ID
+ * @param {Object} course - 课程对象
+ * @param {string} renderedMeetLink - 已写入描述的 Meet 链接
+ */
+function fillDescriptionMeetLink(calendarId, eventId, course, renderedMeetLink) {
+  if (!usesMeetLinkPlaceholder(course.descriptionTemplate)) {
+    return;
+  }
   
-  for (const rowIndex of rowsToDelete) {
-    try {
-      statusSheet.deleteRow(rowIndex);
-      Logger.log(`删除旧状态记录: 第${rowIndex}行`);
-    } catch (error) {
-      Logger.log(`删除旧状态记录失败: 第${rowIndex}行 - ${error.message}`);
-    }
+  const resource = getCalendarEventResource(calendarId, eventId);
+  const meetLink = resource ? (resource.hangoutLink || '') : '';
+  if (!meetLink || meetLink === renderedMeetLink) {
+    return;
+  }
+  
+  try {
+    Calendar.Events.patch({
+      description: buildEventDescription(course, meetLink)
+    }, calendarId, String(eventId).split('@')[0], {
+      sendUpdates: 'none'
+    });
+    Logger.log(`✓ 已在事件描述中填入 Google Meet 链接: ${eventId}`);
+  } catch (error) {
+    // 描述更新失败不影响同步结果，下次更新事件时会再次填入
+    Logger.log(`⚠️ 在事件描述中填入 Google Meet 链接失败: ${error.message}`);
   }
 }
 
@@ -1538,6 +5636,8 @@ function processCourse(course, statusSheet, config) {
         // 将旧记录的事件ID传递给existingInfo，以便后续更新时使用
         if (sameRecordIdOldRecord.organizerEventId && !existingInfo.organizerEventId) {
           existingInfo.organizerEventId = sameRecordIdOldRecord.organizerEventId;
+          existingInfo.attendees = sameRecordIdOldRecord.attendees || '';
+          existingInfo.recurrence = sameRecordIdOldRecord.recurrence || '';
           Logger.log(`使用旧记录的组织者事件ID进行更新: ${sameRecordIdOldRecord.organizerEventId}`);
         }
         
@@ -1595,19 +5695,34 @@ function processCourse(course, statusSheet, config) {
       }
     }
     
-    // 判断是否需要更新事件（关键信息有变化时）
-    const needsUpdate = existingInfo.hasChanges;
+    // 判断是否需要更新事件（关键信息有变化，或上次更新失败时）
+    const needsUpdate = existingInfo.hasChanges || !!course._forceUpdate;
+    result.created = !existingInfo.organizerEventId; // 新建事件（用于同步记录中的统计）
     
-    // 创建或更新组织者日历事件（在组织者日历上创建，老师和学生作为受邀者）
-    // 系统会自动发送邀请邮件给受邀者
-    if (needsUpdate || !existingInfo.organizerEventId) {
+    if (course._silentUpdate && existingInfo.organizerEventId) {
+      // 只有静默列变化：只更新事件描述，不通知受邀者
+      try {
+        updateEventDescriptionSilently(config.organizerCalendarId, existingInfo.organizerEventId, course);
+        result.organizerEvent.eventId = String(existingInfo.organizerEventId);
+        Logger.log(`组织者日历事件描述已更新（未通知受邀人）: ${existingInfo.organizerEventId}`);
+        addOperationDelay();
+      } catch (error) {
+        result.organizerEvent.error = error.message;
+        result.organizerEvent.eventId = String(existingInfo.organizerEventId);
+        Logger.log(`组织者日历事件描述更新失败: ${error.message}`);
+      }
+    } else if (needsUpdate || !existingInfo.organizerEventId) {
+      // 创建或更新组织者日历事件（在组织者日历上创建，老师和学生作为受邀者）
+      // 系统会自动发送邀请邮件给受邀者
       try {
         // 在组织者日历上创建或更新事件，添加老师和学生作为受邀者
         const organizerEventId = createOrUpdateCalendarEvent(
           config.organizerCalendarId,
           course,
           existingInfo.organizerEventId,
-          config
+          config,
+          parseStoredAttendees(existingInfo.attendees).map(attendee => attendee.email),
+          existingInfo.recurrence
         );
         if (organizerEventId) {
           result.organizerEvent.eventId = String(organizerEventId);
@@ -1626,6 +5741,10 @@ function processCourse(course, statusSheet, config) {
         addOperationDelay();
       } catch (error) {
         result.organizerEvent.error = error.message;
+        if (error.freeBusyConflict) {
+          // 受邀者在该时段忙碌，记为"冲突"而不是"失败"
+          result.conflictNote = error.message;
+        }
         Logger.log(`组织者日历事件处理失败: ${error.message}`);
         // 如果是速率限制错误，记录详细信息
         if (isRateLimitError(error)) {
@@ -1651,6 +5770,17 @@ function processCourse(course, statusSheet, config) {
     
     if (organizerSuccess) {
       result.status = '已完成';
+      
+      // 改期：通知受邀者调整前后的时间（邮件发送失败不影响同步结果）
+      if (course._rescheduledFrom && !course._silentUpdate) {
+        try {
+          result.rescheduleEmailCount = sendRescheduleEmails(course, course._rescheduledFrom, config);
+        } catch (error) {
+          Logger.log(`发送课程调整通知失败: ${error.message}`);
+        }
+      }
+    } else if (result.conflictNote) {
+      result.status = '冲突';
     } else {
       result.status = '失败';
     }
@@ -1674,6 +5804,7 @@ function processCourse(course, statusSheet, config) {
 
 /**
  * 取消课程（删除日历事件并发送取消邮件）
+ * @returns {number} 发送成功的取消邮件数
  */
 function cancelCourse(deletedRecord, statusSheet, config) {
   // 从状态表中获取日历ID和事件ID信息
@@ -1710,10 +5841,16 @@ function cancelCourse(deletedRecord, statusSheet, config) {
   const organizerEventId = deletedRecord.organizerEventId || 
                            (organizerEventIdCol !== undefined ? statusRow[organizerEventIdCol] : '') || '';
   
+  // 先读取事件信息（标题、时间、全部受邀者），删除后就无法再从日历中获取
+  const eventInfo = organizerEventId ? getCancellationEventInfo(organizerCalendarId, organizerEventId) : null;
+  
   // 1. 删除组织者日历事件
   if (organizerEventId) {
     try {
-      if (organizerCalendarId) {
+      if (organizerCalendarId && cancelRecurringEvent(organizerCalendarId, organizerEventId)) {
+        // 重复日程：只取消剩余的未来课次，已上过的课次保留在日历中
+        Logger.log(`取消重复日程剩余课次成功: ${organizerEventId} (日历: ${organizerCalendarId})`);
+      } else if (organizerCalendarId) {
         // 如果有日历ID，直接删除
         deleteCalendarEvent(organizerCalendarId, organizerEventId);
         Logger.log(`删除组织者日历事件成功: ${organizerEventId} (日历: ${organizerCalendarId})`);
@@ -1735,154 +5872,179 @@ function cancelCourse(deletedRecord, statusSheet, config) {
   
   // 2. 发送取消邮件给所有受邀者（老师和学生）
   // 从日历事件中获取参与者信息，或者从config中获取
+  let emailCount = 0;
   try {
-    sendCancellationEmails(deletedRecord, config);
+    emailCount = sendCancellationEmails(deletedRecord, config, eventInfo);
   } catch (error) {
     Logger.log(`发送取消邮件失败: ${error.message}`);
   }
   
   // 3. 清空状态记录（保留行，但清空内容）
-  const emptyRow = ['', '', '', '', '', '', '', '', '']; // 9列（包含记录ID和组织者日历ID）
+  const emptyRow = new Array(statusSheet.getLastColumn()).fill(''); // 清空状态表的所有列
   statusSheet.getRange(deletedRecord.rowIndex, 1, 1, emptyRow.length).setValues([emptyRow]);
+  return emailCount;
 }
 
 /**
- * 发送课程取消邮件
+ * 读取取消邮件需要的事件信息（标题、开始时间、全部受邀者）
+ * 需要在删除事件之前调用，删除后就无法再从日历中获取受邀者
+ * @param {string} calendarId - 组织者日历ID（为空时遍历所有日历）
+ * @param {string} eventId - 组织者日历事件ID
+ * @returns {Object|null} { title, startTime, endTime, guests }，找不到事件时返回 null
  */
-function sendCancellationEmails(deletedRecord, config) {
-  // 由于记录已被删除，我们需要从日历事件中获取参与者信息
-  // 或者从状态表中获取之前保存的信息
+function getCancellationEventInfo(calendarId, eventId) {
+  if (!eventId) {
+    return null;
+  }
   
-  // 尝试从日历事件中获取参与者信息
   let event = null;
-  let calendar = null;
-  
-  // 尝试通过组织者日历事件ID获取
-  if (deletedRecord.organizerEventId) {
-    try {
-      // 优先使用组织者日历ID
-      if (deletedRecord.organizerCalendarId) {
-        calendar = getCalendarByIdOrEmail(deletedRecord.organizerCalendarId, null);
-        if (calendar) {
-          event = calendar.getEventById(deletedRecord.organizerEventId);
-        }
+  try {
+    // 优先使用组织者日历ID
+    if (calendarId) {
+      const calendar = getCalendarByIdOrEmail(calendarId, null);
+      if (calendar) {
+        event = calendar.getEventById(eventId);
       }
-      
-      // 如果没找到，尝试遍历所有日历
-      if (!event) {
-        const calendars = CalendarApp.getAllCalendars();
-        for (const cal of calendars) {
-          try {
-            event = cal.getEventById(deletedRecord.organizerEventId);
-            if (event) {
-              calendar = cal;
-              break;
-            }
-          } catch (error) {
-            continue;
+    }
+    
+    // 如果没找到，尝试遍历所有日历
+    if (!event) {
+      const calendars = CalendarApp.getAllCalendars();
+      for (const cal of calendars) {
+        try {
+          event = cal.getEventById(eventId);
+          if (event) {
+            break;
           }
+        } catch (error) {
+          continue;
         }
       }
-    } catch (error) {
-      Logger.log(`获取日历事件失败: ${error.message}`);
     }
+  } catch (error) {
+    Logger.log(`获取日历事件失败: ${error.message}`);
   }
   
-  // 如果无法从事件中获取参与者信息，使用config中的邮箱
-  let teacherEmail = null;
-  let studentEmail = null;
-  
-  if (event) {
-    // 从事件中获取参与者信息
-    const guests = event.getGuestList();
-    teacherEmail = guests.length > 0 ? guests[0].getEmail() : null;
-    studentEmail = guests.length > 1 ? guests[1].getEmail() : null;
+  if (!event) {
+    return null;
   }
   
-  // 如果从事件中无法获取，使用config中的邮箱
-  if (!teacherEmail && config && config.teacherEmail) {
-    teacherEmail = config.teacherEmail;
-  }
-  if (!studentEmail && config && config.studentEmail) {
-    studentEmail = config.studentEmail;
-  }
+  return {
+    title: event.getTitle(),
+    startTime: event.getStartTime(),
+    endTime: event.getEndTime(),
+    guests: event.getGuestList().map(guest => guest.getEmail())
+  };
+}
+
+/**
+ * 发送课程取消邮件（发给每一位受邀者，每人只发一封）
+ * 主题和正文使用邮件模板（见 getEmailTemplate()），按收件人的邮件语言分别渲染
+ * @param {Object} deletedRecord - 已删除的记录（其中的课程信息和受邀者用于填写占位符和确定收件人）
+ * @param {Object} config - 配置对象（邮件语言、是否抄送组织者；无法获取受邀者时使用其中的老师和学生邮箱）
+ * @param {Object} eventInfo - 删除前读取的事件信息（可选，见 getCancellationEventInfo）
+ * @returns {number} 发送成功的邮件数
+ */
+function sendCancellationEmails(deletedRecord, config, eventInfo) {
+  // 优先使用删除前读取的事件信息，否则尝试从日历事件中获取
+  const info = eventInfo || getCancellationEventInfo(deletedRecord.organizerCalendarId, deletedRecord.organizerEventId);
   
-  if (!teacherEmail && !studentEmail) {
+  const recipients = getCancellationRecipients(deletedRecord, info, config);
+  if (recipients.length === 0) {
     Logger.log(`无法获取参与者邮箱，跳过发送取消邮件`);
-    return;
+    return 0;
   }
   
-  // 构建取消邮件内容
-  const courseTitle = event ? (event.getTitle() || '课程') : '课程';
-  const eventDate = event ? event.getStartTime() : new Date();
-  // 使用默认时区格式化日期（取消邮件时可能没有 course 对象）
-  const timezone = CONFIG.TIMEZONE || Session.getScriptTimeZone();
-  const dateStr = Utilities.formatDate(eventDate, timezone, 'yyyy-MM-dd');
+  const timezone = (config && config.timezone) || CONFIG.TIMEZONE;
+  const context = buildEmailTemplateContext(getDeletedCourseInfo(deletedRecord, info, timezone), timezone);
+  return sendNotificationEmails(EMAIL_TYPE.CANCEL, recipients, context, config, deletedRecord.organizerCalendarId, CANCELLATION_REASONS);
+}
+
+/**
+ * 判断课程是否改期（同一条记录的开始时间与上次同步时不同）
+ * @param {Object} course - 课程对象
+ * @param {Object} record - 同一条记录的状态记录（需要包含课程信息）
+ * @returns {Object|null} 调整前的课程信息；没有改期、还没有日历事件或状态表中没有课程信息（旧版本）时返回 null
+ */
+function getRescheduledFrom(course, record) {
+  if (!record || !record.organizerEventId) {
+    return null;
+  }
+  const previous = parseCourseInfo(record.courseInfo);
+  if (!previous || !previous.start) {
+    return null;
+  }
   
-  // 发送给老师
-  if (teacherEmail) {
-    try {
-      const subject = `课程取消通知：${courseTitle}`;
-      const body = `
-        <html>
-          <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #d32f2f;">课程取消通知</h2>
-            <p>您好，</p>
-            <p>很遗憾地通知您，以下课程已被取消：</p>
-            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <p><strong>课程主题：</strong>${courseTitle}</p>
-              <p><strong>原定日期：</strong>${dateStr}</p>
-            </div>
-            <p>课程事件已从您的日历中删除。</p>
-            <p>如有任何问题，请及时联系。</p>
-            <p style="margin-top: 30px; color: #666; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>
-          </body>
-        </html>
-      `;
-      
-      MailApp.sendEmail({
-        to: teacherEmail,
-        subject: subject,
-        htmlBody: body
-      });
-      
-      Logger.log(`取消邮件发送成功（老师）: ${teacherEmail}`);
-    } catch (error) {
-      Logger.log(`取消邮件发送失败（老师）: ${teacherEmail} - ${error.message}`);
-    }
+  const timezone = course.timezone || CONFIG.TIMEZONE;
+  const previousStart = parseDateTimeCombined(previous.start, timezone, true);
+  const currentStart = parseDateTimeCombined(course.startTimeInput, timezone, true);
+  if (!previousStart || !currentStart || previousStart.getTime() === currentStart.getTime()) {
+    return null;
+  }
+  return previous;
+}
+
+/**
+ * 发送课程调整通知（显示调整前后的时间和"原因"列的内容），发给课程当前的每一位受邀者
+ * @param {Object} course - 课程对象
+ * @param {Object} previousInfo - 调整前的课程信息（getRescheduledFrom() 的结果）
+ * @param {Object} config - 配置对象
+ * @returns {number} 发送成功的邮件数
+ */
+function sendRescheduleEmails(course, previousInfo, config) {
+  const recipients = buildCourseAttendees(course, config);
+  if (recipients.length === 0) {
+    Logger.log(`没有受邀者，跳过发送课程调整通知: ${course.lessonNumber}`);
+    return 0;
   }
   
-  // 发送给学生
-  if (studentEmail) {
-    try {
-      const subject = `课程取消通知：${courseTitle}`;
-      const body = `
-        <html>
-          <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-            <h2 style="color: #d32f2f;">课程取消通知</h2>
-            <p>您好，</p>
-            <p>很遗憾地通知您，以下课程已被取消：</p>
-            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <p><strong>课程主题：</strong>${courseTitle}</p>
-              <p><strong>原定日期：</strong>${dateStr}</p>
-            </div>
-            <p>课程事件已从您的日历中删除。</p>
-            <p>如有任何问题，请及时联系。</p>
-            <p style="margin-top: 30px; color: #666; font-size: 12px;">此邮件由系统自动发送，请勿回复。</p>
-          </body>
-        </html>
-      `;
-      
-      MailApp.sendEmail({
-        to: studentEmail,
-        subject: subject,
-        htmlBody: body
-      });
-      
-      Logger.log(`取消邮件发送成功（学生）: ${studentEmail}`);
-    } catch (error) {
-      Logger.log(`取消邮件发送失败（学生）: ${studentEmail} - ${error.message}`);
+  const context = buildEmailTemplateContext(getCourseInfo(course), course.timezone, previousInfo);
+  Logger.log(`课程改期，发送课程调整通知: ${course.lessonNumber}（${previousInfo.start} → ${course.startTimeInput}）`);
+  return sendNotificationEmails(EMAIL_TYPE.RESCHEDULE, recipients, context, config, course.organizerCalendarId);
+}
+
+/**
+ * 取消邮件的收件人：状态表中记录的受邀者（含角色），加上日历事件中的其他受邀者（如在日历中手动添加的），
+ * 都没有时使用配置中的老师和学生邮箱；同一邮箱只出现一次（不区分大小写）
+ * @param {Object} deletedRecord - 已删除的记录
+ * @param {Object} eventInfo - 删除前读取的事件信息（可能为 null）
+ * @param {Object} config - 配置对象
+ * @returns {Array<Object>} [{ email, role }]
+ */
+function getCancellationRecipients(deletedRecord, eventInfo, config) {
+  const recipients = [];
+  const seen = {};
+  const add = (email, role) => {
+    const trimmed = String(email || '').trim();
+    if (trimmed && !seen[trimmed.toLowerCase()]) {
+      seen[trimmed.toLowerCase()] = true;
+      recipients.push({ email: trimmed, role: role });
     }
+  };
+  
+  parseStoredAttendees(deletedRecord.attendees).forEach(attendee => add(attendee.email, attendee.role || '受邀者'));
+  (eventInfo ? eventInfo.guests : []).forEach(email => add(email, '受邀者'));
+  if (recipients.length === 0 && config) {
+    buildCourseAttendees({}, config).forEach(attendee => add(attendee.email, attendee.role));
+  }
+  return recipients;
+}
+
+/**
+ * 组织者的邮箱：组织者日历ID是个人邮箱时使用日历ID，否则（如 xxx@group.calendar.google.com）使用运行脚本的账号
+ * @param {string} calendarId - 组织者日历ID
+ * @returns {string} 邮箱，无法获取时为空
+ */
+function getOrganizerEmail(calendarId) {
+  const id = String(calendarId || '').trim();
+  if (id.includes('@') && !/calendar\.google\.com$/i.test(id)) {
+    return id;
+  }
+  try {
+    return Session.getEffectiveUser().getEmail() || '';
+  } catch (error) {
+    Logger.log(`无法获取组织者邮箱: ${error.message}`);
+    return '';
   }
 }
 
@@ -1918,6 +6080,316 @@ function deleteCalendarEventById(eventId) {
   Logger.log(`未找到日历事件: ${eventId}`);
 }
 
+/**
+ * 通过 Calendar API 读取事件资源（用于判断是否是重复日程）
+ * @param {string} calendarId - 日历ID
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @returns {Object|null} 事件资源，不存在或已取消时返回 null
+ */
+function getCalendarEventResource(calendarId, eventId) {
+  if (!calendarId || !eventId) {
+    return null;
+  }
+
+  try {
+    const resource = Calendar.Events.get(calendarId, String(eventId).split('@')[0]);
+    if (!resource || resource.status === 'cancelled') {
+      return null;
+    }
+    return resource;
+  } catch (error) {
+    Logger.log(`读取日历事件失败: ${eventId} - ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 取消重复日程中剩余的未来课次
+ * 系列尚未开始：删除整个系列；已开始：把 RRULE 截止到当前时间，保留已上过的课次
+ * @param {string} calendarId - 日历ID
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @returns {boolean} 是否是重复日程并已处理（false 表示普通事件，由调用方按原逻辑删除）
+ */
+function cancelRecurringEvent(calendarId, eventId) {
+  const resource = getCalendarEventResource(calendarId, eventId);
+  if (!resource || !resource.recurrence || resource.recurrence.length === 0) {
+    return false;
+  }
+
+  const baseEventId = String(eventId).split('@')[0];
+  const isAllDay = !!(resource.start && resource.start.date);
+  const seriesStart = isAllDay ? new Date(resource.start.date + 'T00:00:00') : new Date(resource.start.dateTime);
+  const now = new Date();
+
+  if (seriesStart.getTime() > now.getTime()) {
+    Calendar.Events.remove(calendarId, baseEventId, { sendUpdates: 'all' });
+    Logger.log(`重复日程尚未开始，删除整个系列: ${baseEventId}`);
+    return true;
+  }
+
+  // UNTIL 的格式需要和 DTSTART 一致：全天事件用日期，有时间的事件用 UTC 时间
+  const until = isAllDay ?
+    Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyyMMdd') :
+    Utilities.formatDate(now, 'UTC', "yyyyMMdd'T'HHmmss'Z'");
+  const truncated = resource.recurrence.map(line => {
+    if (!/^RRULE:/i.test(line)) {
+      return line;
+    }
+    const parts = line.substring('RRULE:'.length).split(';').filter(part => part && !/^(COUNT|UNTIL)=/i.test(part));
+    parts.push(`UNTIL=${until}`);
+    return 'RRULE:' + parts.join(';');
+  });
+
+  updateRecurringEventWithRetry(calendarId, baseEventId, { recurrence: truncated });
+  Logger.log(`重复日程已截止到 ${until}，取消剩余课次: ${baseEventId}`);
+  return true;
+}
+
+// ==================== 通知邮件模板 ====================
+
+/**
+ * 课程信息：标题、课次、老师、学生、地点、原因、开始/结束时间和各列的值（通知邮件的占位符来源）
+ * @param {Object} course - 课程对象
+ * @returns {Object}
+ */
+function getCourseInfo(course) {
+  return {
+    title: getEventTitle(course),
+    lesson: course.lessonNumber || '',
+    teacher: course.teacherName || '',
+    student: course.studentName || '',
+    location: course.location || '',
+    reason: course.reason || '',
+    start: course.startTimeInput || '',
+    end: course.endTimeInput || '',
+    fields: course.customFields || {}
+  };
+}
+
+/**
+ * 生成状态表"课程信息"列的内容（JSON，见 getCourseInfo()）
+ * 课程表中的行被删除或改期后，通知邮件用它填写原来的课程信息
+ * @param {Object} course - 课程对象
+ * @returns {string}
+ */
+function buildCourseInfo(course) {
+  return JSON.stringify(getCourseInfo(course));
+}
+
+/**
+ * 解析状态表"课程信息"列的内容
+ * @param {string} text - buildCourseInfo() 生成的 JSON
+ * @returns {Object|null} 没有内容或无法解析时返回 null（旧版本的状态表）
+ */
+function parseCourseInfo(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    Logger.log(`无法解析课程信息: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 生成邮件模板的占位符：除课程表中的列名和 {日期}、{开始时间}、{结束时间}、{星期}（见 fillTemplatePlaceholders()）外，
+ * 还支持 {标题}（事件标题）、{课次}、{老师}、{学生}、{地点}、{原因}（按列映射读取，英文表头的课程表也可以使用）；
+ * 提供了调整前的课程信息时，支持 {原日期}、{原开始时间}、{原结束时间}、{原星期}
+ * @param {Object} info - 课程信息（getCourseInfo() 或 parseCourseInfo() 的结果）
+ * @param {string} timezone - 时区
+ * @param {Object} previousInfo - 调整前的课程信息（可选）
+ * @returns {Object} { course, extraValues }（传给 renderEmailTemplate()）
+ */
+function buildEmailTemplateContext(info, timezone, previousInfo) {
+  return {
+    course: {
+      customFields: info.fields || {},
+      startTimeInput: info.start || '',
+      endTimeInput: info.end || '',
+      previousStartTimeInput: previousInfo ? previousInfo.start || '' : '',
+      previousEndTimeInput: previousInfo ? previousInfo.end || '' : '',
+      timezone: timezone || CONFIG.TIMEZONE
+    },
+    extraValues: {
+      '标题': info.title || '课程',
+      '课次': info.lesson || '',
+      '老师': info.teacher || '',
+      '学生': info.student || '',
+      '地点': info.location || '',
+      '原因': info.reason || ''
+    }
+  };
+}
+
+/**
+ * 已删除记录的课程信息：优先使用状态表中保存的课程信息；
+ * 旧版本的状态表没有课程信息时，使用日历事件的标题和时间
+ * @param {Object} record - 状态记录（readProcessedStatus() 的结果）
+ * @param {Object} eventInfo - 日历事件信息（见 getCancellationEventInfo，可能为 null）
+ * @param {string} timezone - 时区
+ * @returns {Object} 课程信息（格式同 getCourseInfo()）
+ */
+function getDeletedCourseInfo(record, eventInfo, timezone) {
+  const stored = parseCourseInfo(record.courseInfo) || {};
+  const formatEventTime = date => date ? Utilities.formatDate(date, timezone, 'yyyy/MM/dd HH:mm') : '';
+  return Object.assign({}, stored, {
+    title: stored.title || (eventInfo ? eventInfo.title : ''),
+    lesson: stored.lesson || record.lessonNumber || '',
+    start: stored.start || formatEventTime(eventInfo && eventInfo.startTime),
+    end: stored.end || formatEventTime(eventInfo && eventInfo.endTime)
+  });
+}
+
+/**
+ * 发送通知邮件（取消、调整等）：按收件人的邮件语言渲染模板，逐个发送，每人只发一封
+ * （逐个发送，避免受邀者互相看到邮箱，也避免一个地址失败影响其他人）
+ * 配置了抄送组织者时，只抄送在第一封发送成功的邮件上（组织者本身是收件人时不抄送），避免组织者收到多封
+ * @param {string} type - 邮件类型（EMAIL_TYPE）
+ * @param {Array<Object>} recipients - 收件人 [{ email, role }]
+ * @param {Object} context - buildEmailTemplateContext() 的结果
+ * @param {Object} config - 配置对象（邮件语言、是否抄送组织者）
+ * @param {string} calendarId - 组织者日历ID（抄送组织者时使用）
+ * @param {Object} defaultReasons - 语言 → {原因} 为空时的默认值（可选）
+ * @returns {number} 发送成功的邮件数
+ */
+function sendNotificationEmails(type, recipients, context, config, calendarId, defaultReasons) {
+  const organizerEmail = config && config.ccOrganizer ? getOrganizerEmail(calendarId || config.organizerCalendarId) : '';
+  let pendingCc = organizerEmail && !recipients.some(recipient => recipient.email.toLowerCase() === organizerEmail.toLowerCase()) ?
+    organizerEmail : '';
+  
+  const templates = readEmailTemplates(SpreadsheetApp.getActiveSpreadsheet());
+  const messages = {}; // 语言 → 渲染后的邮件（同一语言只渲染一次）
+  const sentTo = {};
+  let sentCount = 0;
+  
+  for (const recipient of recipients) {
+    const email = recipient.email;
+    if (sentTo[email.toLowerCase()]) {
+      continue;
+    }
+    sentTo[email.toLowerCase()] = true;
+    
+    const language = getRecipientLanguage(config ? config.emailLanguage : null, email);
+    if (!messages[language]) {
+      const extraValues = Object.assign({}, context.extraValues);
+      if (!extraValues['原因'] && defaultReasons) {
+        extraValues['原因'] = defaultReasons[language] || '';
+      }
+      messages[language] = renderEmailTemplate(getEmailTemplate(templates, type, language), context.course, extraValues);
+    }
+    const message = messages[language];
+    
+    try {
+      MailApp.sendEmail(Object.assign({
+        to: email,
+        subject: message.subject
+      }, message.isHtml ? { htmlBody: message.body } : { body: message.body }, pendingCc ? { cc: pendingCc } : {}));
+      
+      Logger.log(`${type}邮件发送成功: ${email}（${recipient.role}，${language}）${pendingCc ? '，抄送 ' + pendingCc : ''}`);
+      pendingCc = '';
+      sentCount++;
+    } catch (error) {
+      Logger.log(`${type}邮件发送失败: ${email} - ${error.message}`);
+    }
+  }
+  
+  return sentCount;
+}
+
+/**
+ * 读取邮件模板表（CONFIG.EMAIL_TEMPLATE_SHEET_NAME）
+ * 表头：类型、语言、主题、正文；每行一个模板，如"取消 | en | Lesson cancelled: {标题} | ..."
+ * 语言为空的模板适用于所有语言（没有该语言的模板时使用）
+ * @param {Spreadsheet} spreadsheet - 表格
+ * @returns {Map} "类型|语言" → { subject, body }（没有模板表时为空）
+ */
+function readEmailTemplates(spreadsheet) {
+  const templates = new Map();
+  const sheet = spreadsheet ? spreadsheet.getSheetByName(CONFIG.EMAIL_TEMPLATE_SHEET_NAME) : null;
+  if (!sheet || sheet.getLastRow() < 2) {
+    return templates;
+  }
+  
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0].map(header => cleanHeaderText(header));
+  const findColumn = names => {
+    for (const name of names) {
+      const index = headers.indexOf(cleanHeaderText(name));
+      if (index !== -1) {
+        return index;
+      }
+    }
+    return -1;
+  };
+  
+  const typeCol = findColumn(['类型', 'type']);
+  const languageCol = findColumn(['语言', 'language']);
+  const subjectCol = findColumn(['主题', '邮件主题', 'subject']);
+  const bodyCol = findColumn(['正文', '邮件正文', '内容', 'body']);
+  if (typeCol === -1 || subjectCol === -1 || bodyCol === -1) {
+    Logger.log(`⚠️ 邮件模板表 ${CONFIG.EMAIL_TEMPLATE_SHEET_NAME} 缺少"类型"、"主题"或"正文"列，使用内置模板`);
+    return templates;
+  }
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const type = String(row[typeCol] || '').trim();
+    const language = languageCol !== -1 ? normalizeEmailLanguage(row[languageCol]) : '';
+    const subject = String(row[subjectCol] || '').trim();
+    const body = String(row[bodyCol] || '').trim();
+    if (!type || !subject || !body) {
+      continue;
+    }
+    templates.set(`${type}|${language}`, { subject: subject, body: body });
+  }
+  
+  Logger.log(`读取到 ${templates.size} 个邮件模板`);
+  return templates;
+}
+
+/**
+ * 查找邮件模板，依次使用：
+ * 邮件模板表中该语言的模板 → 邮件模板表中不限语言的模板 → 该语言的内置模板 → 默认语言（CONFIG.EMAIL_LANGUAGE）的模板
+ * （管理员在模板表中自定义的模板优先于内置模板）
+ * @param {Map} templates - readEmailTemplates() 的结果
+ * @param {string} type - 邮件类型（EMAIL_TYPE）
+ * @param {string} language - 语言
+ * @returns {Object} { subject, body }
+ */
+function getEmailTemplate(templates, type, language) {
+  const defaults = DEFAULT_EMAIL_TEMPLATES[type] || {};
+  const defaultLanguage = normalizeEmailLanguage(CONFIG.EMAIL_LANGUAGE) || 'zh';
+  
+  const candidates = [
+    templates.get(`${type}|${language}`),
+    templates.get(`${type}|`),
+    defaults[language],
+    templates.get(`${type}|${defaultLanguage}`),
+    defaults[defaultLanguage],
+    defaults.zh
+  ];
+  return candidates.find(template => template) || { subject: type, body: '' };
+}
+
+/**
+ * 渲染邮件模板（占位符见 buildEmailTemplateContext()）
+ * 正文按行渲染，占位符全部为空的行不显示；正文包含 HTML 标签时按 HTML 邮件发送，字段值会被转义
+ * @param {Object} template - { subject, body }
+ * @param {Object} course - 课程对象（或 buildEmailTemplateContext() 生成的对象）
+ * @param {Object} extraValues - 额外的占位符值
+ * @returns {Object} { subject, body, isHtml }
+ */
+function renderEmailTemplate(template, course, extraValues) {
+  const isHtml = /<[a-z][^>]*>/i.test(template.body);
+  return {
+    subject: fillTemplatePlaceholders(template.subject, course, extraValues, false).text.replace(/\s+/g, ' ').trim(),
+    body: renderTemplateLines(template.body, course, extraValues, isHtml),
+    isHtml: isHtml
+  };
+}
+
 // ==================== 第六部分：工具函数和辅助功能 ====================
 
 /**
@@ -2057,6 +6529,18 @@ function calculateCourseToken(course) {
     sortedFieldNames.forEach(fieldName => {
       fieldValues.push(String(course.customFields[fieldName] || ''));
     });
+    // 本行填写了老师/学生邮箱时，受邀者变化也算作变化（未填写时保持原有token不变）
+    if (course.hasRowEmails) {
+      fieldValues.push(`guests:${course.teacherEmail || ''},${course.studentEmail || ''}`);
+    }
+    // 配置了标题模板时，渲染后的标题也算作变化（修改模板后会更新已同步的事件；未配置时保持原有token不变）
+    if (course.titleTemplate) {
+      fieldValues.push(`title:${getEventTitle(course)}`);
+    }
+    // 描述模板同理：字段的值已在上面，这里只需加入模板本身
+    if (course.descriptionTemplate) {
+      fieldValues.push(`description:${course.descriptionTemplate}`);
+    }
     keyInfo = fieldValues.join('|');
   } else {
     // 向后兼容：如果没有 customFields，使用原有字段
@@ -2072,18 +6556,210 @@ function calculateCourseToken(course) {
   }
   
   // 计算MD5哈希作为token
+  return computeMd5Hex(keyInfo);
+}
+
+/**
+ * 计算文本的 MD5 哈希（十六进制字符串）
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function computeMd5Hex(text) {
   const hash = Utilities.computeDigest(
     Utilities.DigestAlgorithm.MD5,
-    keyInfo,
+    text,
     Utilities.Charset.UTF_8
   );
   
   // 转换为十六进制字符串
-  const token = hash.map(function(byte) {
+  return hash.map(function(byte) {
     return ('0' + (byte & 0xFF).toString(16)).slice(-2);
   }).join('');
+}
+
+/**
+ * 计算课程的字段指纹：时间、受邀者、模板和每一列各自的短哈希（JSON，保存在状态表"字段指纹"列）
+ * token 变化时与上次的指纹逐项比较，判断变化的是哪些列；指纹与静默列/忽略列的配置无关，
+ * 修改配置不会让所有行看起来都有变化
+ * @param {Object} course - 课程对象
+ * @returns {string} 指纹 JSON
+ */
+function calculateCourseFingerprint(course) {
+  const shortHash = (value) => computeMd5Hex(String(value)).substring(0, 8);
+  const fingerprint = {
+    '@时间': shortHash(`${course.startTimeInput || ''}|${course.endTimeInput || ''}`)
+  };
+  if (course.hasRowEmails) {
+    fingerprint['@受邀者'] = shortHash(`${course.teacherEmail || ''},${course.studentEmail || ''}`);
+  }
+  if (course.titleTemplate) {
+    fingerprint['@标题'] = shortHash(getEventTitle(course));
+  }
+  if (course.descriptionTemplate) {
+    fingerprint['@描述模板'] = shortHash(course.descriptionTemplate);
+  }
+  Object.keys(course.customFields || {}).sort().forEach(fieldName => {
+    fingerprint[fieldName] = shortHash(course.customFields[fieldName]);
+  });
+  return JSON.stringify(fingerprint);
+}
+
+/**
+ * 判断课程相对于状态记录的变化级别
+ * - token 相同：无变化
+ * - 状态记录没有字段指纹（旧版本写入的）：无法区分，视为重要变化
+ * - 否则逐项比较字段指纹：忽略列的变化不算，静默列和描述模板的变化为静默，其他变化为重要
+ * @param {Object} course - 课程对象
+ * @param {Object} existingRecord - 状态记录
+ * @returns {string} COURSE_CHANGE 中的值
+ */
+function classifyCourseChange(course, existingRecord) {
+  if (calculateCourseToken(course) === (existingRecord.token || '')) {
+    return COURSE_CHANGE.NONE;
+  }
+  
+  let stored;
+  try {
+    stored = existingRecord.fingerprint ? JSON.parse(existingRecord.fingerprint) : null;
+  } catch (error) {
+    stored = null;
+  }
+  if (!stored) {
+    return COURSE_CHANGE.SIGNIFICANT;
+  }
+  
+  const current = JSON.parse(calculateCourseFingerprint(course));
+  const changedKeys = Object.keys(Object.assign({}, stored, current)).filter(key => stored[key] !== current[key]);
+  if (changedKeys.length === 0) {
+    // token 的计算方式与指纹不一致（如没有自定义字段的旧格式），保守处理
+    return COURSE_CHANGE.SIGNIFICANT;
+  }
+  
+  // 忽略列优先：同时出现在两个列表中的列按忽略列处理
+  let level = COURSE_CHANGE.IGNORED;
+  for (const key of changedKeys) {
+    if (key === '@描述模板') {
+      level = COURSE_CHANGE.SILENT;
+      continue;
+    }
+    if (key.startsWith('@')) {
+      return COURSE_CHANGE.SIGNIFICANT;
+    }
+    const cleanedKey = cleanHeaderText(key);
+    if ((course.ignoredColumns || []).includes(cleanedKey)) {
+      continue;
+    }
+    if ((course.silentColumns || []).includes(cleanedKey)) {
+      level = COURSE_CHANGE.SILENT;
+      continue;
+    }
+    return COURSE_CHANGE.SIGNIFICANT;
+  }
+  return level;
+}
+
+/**
+ * 根据 Sheet 名称和记录ID生成固定的事件ID（base32hex：0-9 和 a-v，Calendar API 允许自定义事件ID）
+ * 同一条记录每次生成的ID相同，创建请求超时但实际已成功时，重试会得到"ID已存在"，从而采用已有的事件
+ * @param {string} sheetName - Sheet名称
+ * @param {string} recordId - 记录ID
+ * @returns {string} 事件ID（没有记录ID时返回空字符串，由日历随机生成）
+ */
+function generateEventIdForRecord(sheetName, recordId) {
+  if (!recordId) {
+    return '';
+  }
+  
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    `${sheetName || ''}|${recordId}`,
+    Utilities.Charset.UTF_8
+  );
+  
+  // 按 5 位一组编码为 base32hex（小写）
+  const alphabet = '0123456789abcdefghijklmnopqrstuv';
+  let eventId = '';
+  let buffer = 0;
+  let bits = 0;
+  digest.forEach(byte => {
+    buffer = (buffer << 8) | (byte & 0xFF);
+    bits += 8;
+    while (bits >= 5) {
+      eventId += alphabet[(buffer >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  });
+  if (bits > 0) {
+    eventId += alphabet[(buffer << (5 - bits)) & 31];
+  }
+  return eventId;
+}
+
+/**
+ * 通过 Calendar API 创建事件；指定的事件ID已存在时采用已有的事件，不重复创建
+ * - 已有的事件已被删除（如手动删除后重建、改期后重建）：恢复该事件并更新为当前内容，通知受邀者
+ * - 已有的事件未被删除（如上次创建请求超时但实际已成功）：更新为当前内容，不再发送通知
+ * @param {Object} eventResource - 事件资源（可包含 id）
+ * @param {string} calendarId - 日历ID
+ * @param {Object} insertOptions - Calendar.Events.insert 的参数（sendUpdates、conferenceDataVersion）
+ * @returns {string} 事件ID
+ */
+function insertEventWithId(eventResource, calendarId, insertOptions) {
+  try {
+    return Calendar.Events.insert(eventResource, calendarId, insertOptions).id;
+  } catch (error) {
+    if (!eventResource.id || !isEventIdConflictError(error)) {
+      throw error;
+    }
+  }
+  
+  const eventId = eventResource.id;
+  const existing = Calendar.Events.get(calendarId, eventId);
+  const wasDeleted = existing.status === 'cancelled';
+  
+  const patch = Object.assign({}, eventResource, { status: 'confirmed' });
+  delete patch.id;
+  const patchOptions = { sendUpdates: wasDeleted ? insertOptions.sendUpdates : 'none' };
+  if (patch.conferenceData) {
+    if (existing.conferenceData) {
+      // 保留已有的 Meet 链接
+      delete patch.conferenceData;
+    } else {
+      patchOptions.conferenceDataVersion = 1;
+    }
+  }
+  Calendar.Events.patch(patch, calendarId, eventId, patchOptions);
   
-  return token;
+  Logger.log(`事件ID已存在，采用已有的事件（不重复创建）: ${eventId}${wasDeleted ? '（已恢复被删除的事件）' : ''}`);
+  return eventId;
+}
+
+/**
+ * 判断是否是"事件ID已存在"错误（409）
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+function isEventIdConflictError(error) {
+  const message = String(error && error.message || '');
+  return (error && error.code === 409) || /already exists|identifier already exists|\b409\b/i.test(message);
+}
+
+/**
+ * 查找使用固定事件ID创建的事件（Calendar API 创建的事件ID相同，CalendarApp 创建的事件带有标签）
+ * @param {Calendar} calendar - 日历对象
+ * @param {string} eventId - 固定事件ID
+ * @param {Date} startTime - 开始时间（用于按标签查找）
+ * @param {Date} endTime - 结束时间
+ * @returns {CalendarEvent|null} 找不到时返回 null
+ */
+function findEventByFixedId(calendar, eventId, startTime, endTime) {
+  // 查找失败时抛出错误（交给外层重试），不在不确定的情况下创建可能重复的事件
+  const event = calendar.getEventById(eventId);
+  if (event) {
+    return event;
+  }
+  return calendar.getEvents(startTime, endTime).find(candidate => candidate.getTag(EVENT_KEY_TAG) === eventId) || null;
 }
 
 /**
@@ -2108,7 +6784,7 @@ function isRateLimitError(error) {
  * @param {string} title - 事件标题
  * @param {Date} startTime - 开始时间
  * @param {Date} endTime - 结束时间
- * @param {Object} options - 选项（description, guests, sendInvites）
+ * @param {Object} options - 选项（description, guests, sendInvites, recurrence, location）
  * @returns {CalendarEvent} 创建的事件对象
  */
 function createEventWithRetry(calendar, title, startTime, endTime, options) {
@@ -2184,20 +6860,32 @@ function createEventWithRetry(calendar, title, startTime, endTime, options) {
               }
             }
           };
+          if (options.recurrence) {
+            eventResource.recurrence = options.recurrence;
+          }
+          if (options.location) {
+            eventResource.location = options.location;
+          }
+          if (options.eventId) {
+            eventResource.id = options.eventId;
+          }
           
-          // 使用 Calendar API 创建事件
-          const createdEvent = Calendar.Events.insert(eventResource, calendarId, {
+          // 使用 Calendar API 创建事件（事件ID已存在时采用已有的事件）
+          const eventId = insertEventWithId(eventResource, calendarId, {
             sendUpdates: options && options.sendInvites ? 'all' : 'none',
             conferenceDataVersion: 1 // 确保 conferenceData 被处理
           });
           
           // 获取创建的事件对象（用于返回）
-          const eventId = createdEvent.id;
           const event = calendar.getEventById(eventId);
           
           Logger.log(`✓ 使用 Calendar API 创建事件（包含 Meet 链接）: ${eventId}`);
           return event;
         } catch (error) {
+          // 重复日程只能通过 Calendar API 创建，不回退（交给外层按速率限制重试）
+          if (options.recurrence) {
+            throw error;
+          }
           // 如果使用 Calendar API 创建失败，回退到使用 CalendarApp
           Logger.log(`⚠️ 使用 Calendar API 创建事件失败，回退到 CalendarApp: ${error.message}`);
           if (error.stack) {
@@ -2238,14 +6926,22 @@ function createEventWithRetry(calendar, title, startTime, endTime, options) {
             },
             attendees: attendees
           };
+          if (options.recurrence) {
+            eventResource.recurrence = options.recurrence;
+          }
+          if (options.location) {
+            eventResource.location = options.location;
+          }
+          if (options.eventId) {
+            eventResource.id = options.eventId;
+          }
           
-          // 使用 Calendar API 创建事件
-          const createdEvent = Calendar.Events.insert(eventResource, calendarId, {
+          // 使用 Calendar API 创建事件（事件ID已存在时采用已有的事件）
+          const eventId = insertEventWithId(eventResource, calendarId, {
             sendUpdates: options && options.sendInvites ? 'all' : 'none'
           });
           
           // 获取创建的事件对象（用于返回）
-          const eventId = createdEvent.id;
           const event = calendar.getEventById(eventId);
           
           Logger.log(`✓ 使用 Calendar API 创建全天事件: ${eventId} (${options.startDate} 到 ${options.endDate})`);
@@ -2260,12 +6956,43 @@ function createEventWithRetry(calendar, title, startTime, endTime, options) {
       }
       
       // 使用 CalendarApp 创建事件（回退方案或未启用 Meet 链接时）
+      // CalendarApp 无法指定事件ID：先按固定事件ID或标签查找之前（如超时前）已创建的事件
+      if (options && options.eventId) {
+        const adoptedEvent = findEventByFixedId(calendar, options.eventId, startTime, endTime);
+        if (adoptedEvent) {
+          // 与 insertEventWithId() 一致，把已有的事件更新为当前内容（更新已有事件失败后回退到创建时，该事件还是旧内容）
+          adoptedEvent.setTitle(title);
+          adoptedEvent.setTime(startTime, endTime);
+          adoptedEvent.setDescription(options.description || '');
+          if (options.location) {
+            adoptedEvent.setLocation(options.location);
+          }
+          const existingGuests = getEventGuestEmails(adoptedEvent).map(email => String(email).toLowerCase());
+          const guests = typeof options.guests === 'string' ?
+            options.guests.split(',').map(email => email.trim()).filter(email => email) :
+            (options.guests || []);
+          guests.filter(guest => !existingGuests.includes(guest.toLowerCase())).forEach(guest => adoptedEvent.addGuest(guest));
+          Logger.log(`事件已存在，采用已有的事件并更新为当前内容（不重复创建）: ${adoptedEvent.getId()}`);
+          return adoptedEvent;
+        }
+      }
+      
       const event = calendar.createEvent(title, startTime, endTime);
+      if (options && options.eventId) {
+        try {
+          event.setTag(EVENT_KEY_TAG, options.eventId);
+        } catch (error) {
+          Logger.log(`设置事件标签失败: ${error.message}`);
+        }
+      }
       
-      // 设置描述
+      // 设置描述和地点
       if (options && options.description) {
         event.setDescription(options.description);
       }
+      if (options && options.location) {
+        event.setLocation(options.location);
+      }
       
       // 添加受邀者（如果提供了 guests）
       if (options && options.guests) {
@@ -2362,8 +7089,9 @@ function deleteEventWithRetry(event) {
  * @param {boolean} isAllDay - 是否是全天事件（可选）
  * @param {string} startDate - 全天事件的开始日期（格式：yyyy-MM-dd，可选）
  * @param {string} endDate - 全天事件的结束日期（格式：yyyy-MM-dd，可选）
+ * @param {Array<string>} previousGuests - 上次由脚本邀请的受邀者（可选，只移除其中不在新列表中的邮箱）
  */
-function updateEventWithRetry(event, title, description, startTime, endTime, guests, isAllDay, startDate, endDate) {
+function updateEventWithRetry(event, title, description, startTime, endTime, guests, isAllDay, startDate, endDate, previousGuests) {
   let lastError;
   const maxRetries = CONFIG.RATE_LIMIT.MAX_RETRIES;
   const retryDelay = CONFIG.RATE_LIMIT.RETRY_DELAY;
@@ -2380,18 +7108,12 @@ function updateEventWithRetry(event, title, description, startTime, endTime, gue
       if (isAllDay && startDate && endDate) {
         try {
           const eventId = event.getId().split('@')[0]; // 获取事件ID（去掉日历ID后缀）
-          const calendarId = event.getCalendar().getId();
+          const calendarId = event.getOriginalCalendarId(); // CalendarEvent 没有 getCalendar() 方法
           
-          // 构建受邀者列表
-          const attendees = [];
-          if (guests) {
-            const guestEmails = guests.split(',').map(email => email.trim()).filter(email => email);
-            for (const email of guestEmails) {
-              if (email) {
-                attendees.push({ email: email });
-              }
-            }
-          }
+          // 构建受邀者列表（保留在日历中手动添加的受邀者）
+          const guestEmails = (guests || '').split(',').map(email => email.trim()).filter(email => email);
+          const attendees = mergeEventGuests(getEventGuestEmails(event), guestEmails, previousGuests)
+            .map(email => ({ email: email }));
           
           // 使用 Calendar API 更新全天事件
           const eventResource = {
@@ -2430,15 +7152,26 @@ function updateEventWithRetry(event, title, description, startTime, endTime, gue
       const existingEmails = existingGuests.map(guest => guest.getEmail());
       const newEmails = guests.split(',').map(email => email.trim()).filter(email => email);
       
+      const newEmailsLower = newEmails.map(email => email.toLowerCase());
+      const existingEmailsLower = existingEmails.map(email => String(email).toLowerCase());
+      const previousEmailsLower = (previousGuests || []).map(email => String(email).toLowerCase());
+      
       // 添加新参与者
       for (const email of newEmails) {
-        if (email && !existingEmails.includes(email)) {
+        if (email && !existingEmailsLower.includes(email.toLowerCase())) {
           event.addGuest(email);
         }
       }
       
-      // 移除不在新列表中的参与者（可选，根据需求决定）
-      // 这里不删除，只添加新的参与者
+      // 移除之前由脚本邀请、但不在新列表中的参与者（如老师轮换后，原老师不再受邀）
+      // 在日历中手动添加的参与者（如旁听、代课老师）不在状态表的受邀者记录中，保留不动
+      for (const email of existingEmails) {
+        const emailLower = String(email).toLowerCase();
+        if (email && previousEmailsLower.includes(emailLower) && !newEmailsLower.includes(emailLower)) {
+          event.removeGuest(email);
+          Logger.log(`移除受邀者: ${email}`);
+        }
+      }
       
       return;
     } catch (error) {
@@ -2463,6 +7196,90 @@ function updateEventWithRetry(event, title, description, startTime, endTime, gue
   throw lastError || new Error('更新日历事件失败');
 }
 
+/**
+ * 带重试的更新重复日程（整个系列）
+ * CalendarApp 的 setTime 只能修改单次实例，重复日程统一通过 Calendar API patch 更新
+ * @param {string} calendarId - 日历ID
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @param {Object} eventResource - 要更新的字段（summary, description, start, end, attendees, recurrence）
+ */
+function updateRecurringEventWithRetry(calendarId, eventId, eventResource) {
+  let lastError;
+  const maxRetries = CONFIG.RATE_LIMIT.MAX_RETRIES;
+  const retryDelay = CONFIG.RATE_LIMIT.RETRY_DELAY;
+  const baseEventId = String(eventId).split('@')[0];
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      // 添加延迟（除了第一次尝试）
+      if (attempt > 1) {
+        Logger.log(`重试更新重复日程（第${attempt}次尝试）...`);
+        Utilities.sleep(retryDelay * (attempt - 1)); // 递增延迟
+      }
+
+      Calendar.Events.patch(eventResource, calendarId, baseEventId, {
+        sendUpdates: 'all' // 发送更新通知给所有参与者
+      });
+      Logger.log(`✓ 使用 Calendar API 更新重复日程: ${baseEventId} (${(eventResource.recurrence || []).join(' ')})`);
+      return;
+    } catch (error) {
+      lastError = error;
+
+      if (isRateLimitError(error)) {
+        Logger.log(`遇到速率限制错误（第${attempt}次尝试）: ${error.message}`);
+        if (attempt < maxRetries) {
+          Logger.log(`等待 ${retryDelay * attempt} 毫秒后重试...`);
+          continue;
+        } else {
+          Logger.log(`已达到最大重试次数（${maxRetries}），放弃更新重复日程`);
+          throw new Error(`更新重复日程失败（速率限制）: ${error.message}`);
+        }
+      } else {
+        // 非速率限制错误，直接抛出
+        throw error;
+      }
+    }
+  }
+
+  throw lastError || new Error('更新重复日程失败');
+}
+
+/**
+ * 只更新事件描述，不通知受邀者（只有静默列变化时使用）
+ * @param {string} calendarId - 日历ID
+ * @param {string} eventId - 事件ID（可带 @google.com 后缀）
+ * @param {Object} course - 课程对象
+ */
+function updateEventDescriptionSilently(calendarId, eventId, course) {
+  const resource = getCalendarEventResource(calendarId, eventId);
+  if (!resource) {
+    throw new Error(`找不到日历事件: ${eventId}`);
+  }
+  
+  const maxRetries = CONFIG.RATE_LIMIT.MAX_RETRIES;
+  const retryDelay = CONFIG.RATE_LIMIT.RETRY_DELAY;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      if (attempt > 1) {
+        Logger.log(`重试更新事件描述（第${attempt}次尝试）...`);
+        Utilities.sleep(retryDelay * (attempt - 1)); // 递增延迟
+      }
+      Calendar.Events.patch({
+        description: buildEventDescription(course, resource.hangoutLink || '')
+      }, calendarId, String(eventId).split('@')[0], {
+        sendUpdates: 'none' // 静默更新：不发送更新通知
+      });
+      Logger.log(`✓ 已静默更新事件描述: ${eventId}`);
+      return;
+    } catch (error) {
+      if (!isRateLimitError(error) || attempt === maxRetries) {
+        throw error;
+      }
+      Logger.log(`遇到速率限制错误（第${attempt}次尝试）: ${error.message}`);
+    }
+  }
+}
+
 /**
  * 添加操作延迟（用于避免速率限制）
  */
@@ -2470,15 +7287,203 @@ function addOperationDelay() {
   Utilities.sleep(CONFIG.RATE_LIMIT.DELAY_BETWEEN_OPERATIONS);
 }
 
+/**
+ * 查询受邀者在指定时段内的忙碌时间（Calendar 高级服务的 Freebusy 接口）
+ * 无权查看忙闲状态的日历（如外部邮箱）会被跳过，查询失败时不阻止创建事件
+ * @param {Array<string>} guests - 受邀者邮箱列表
+ * @param {Date} startTime - 开始时间
+ * @param {Date} endTime - 结束时间
+ * @param {string} timezone - 时区
+ * @returns {Array<Object>} 忙碌时段列表 [{ email, start, end }]
+ */
+function queryGuestBusySlots(guests, startTime, endTime, timezone) {
+  let response;
+  try {
+    response = Calendar.Freebusy.query({
+      timeMin: startTime.toISOString(),
+      timeMax: endTime.toISOString(),
+      timeZone: timezone,
+      items: guests.map(email => ({ id: email }))
+    });
+  } catch (error) {
+    Logger.log(`⚠️ 查询忙闲状态失败，跳过空闲检查: ${error.message}`);
+    return [];
+  }
+  
+  const busySlots = [];
+  for (const email of guests) {
+    const calendarInfo = response && response.calendars ? response.calendars[email] : null;
+    if (!calendarInfo) {
+      continue;
+    }
+    if (calendarInfo.errors && calendarInfo.errors.length > 0) {
+      Logger.log(`无法查询 ${email} 的忙闲状态（${calendarInfo.errors.map(error => error.reason).join(', ')}），跳过`);
+      continue;
+    }
+    (calendarInfo.busy || []).forEach(slot => {
+      busySlots.push({ email: email, start: new Date(slot.start), end: new Date(slot.end) });
+    });
+  }
+  
+  return busySlots;
+}
+
+/**
+ * 计算每一次课的时段（重复课程按 expandRecurrenceStarts() 展开，范围与撞课检测相同）
+ * @param {Array<string>|null} recurrence - 重复规则（单次课程为 null 或空数组）
+ * @param {Date} startTime - （第一次课的）开始时间
+ * @param {Date} endTime - （第一次课的）结束时间
+ * @param {string} timezone - 时区
+ * @returns {Array<Object>} 按时间顺序排列的时段 [{ start, end }]
+ */
+function buildLessonSlots(recurrence, startTime, endTime, timezone) {
+  const duration = endTime.getTime() - startTime.getTime();
+  const starts = recurrence && recurrence.length > 0 ? expandRecurrenceStarts(recurrence, startTime, timezone) : [startTime];
+  return starts.map(start => ({ start: start, end: new Date(start.getTime() + duration) }));
+}
+
+/**
+ * 空闲检查：受邀者在任意一次课的时段内忙碌时抛出 freeBusyConflict 错误（本行记为"冲突"）
+ * 课次按 FREE_BUSY_QUERY_MAX_DAYS 分段查询忙闲状态
+ * 修改已有事件的时间时，受邀者日历中这个事件原来的时段也显示为忙碌，完全落在原来时段内的重叠不算冲突
+ * @param {Array<string>} guests - 受邀者邮箱列表
+ * @param {Array<Object>} lessonSlots - buildLessonSlots() 的结果
+ * @param {string} timezone - 时区
+ * @param {Array<Object>} ownSlots - 可选，事件原来的时段（buildLessonSlots() 的结果）
+ */
+function assertGuestsAvailable(guests, lessonSlots, timezone, ownSlots) {
+  const windowMs = FREE_BUSY_QUERY_MAX_DAYS * 24 * 60 * 60 * 1000;
+  const details = [];
+  const seen = {};
+  for (let first = 0; first < lessonSlots.length;) {
+    let last = first;
+    while (last + 1 < lessonSlots.length && lessonSlots[last + 1].end.getTime() - lessonSlots[first].start.getTime() <= windowMs) {
+      last++;
+    }
+    const batch = lessonSlots.slice(first, last + 1);
+    queryGuestBusySlots(guests, batch[0].start, batch[batch.length - 1].end, timezone).forEach(slot => {
+      const conflicting = batch.some(lesson => {
+        const overlapStart = Math.max(slot.start.getTime(), lesson.start.getTime());
+        const overlapEnd = Math.min(slot.end.getTime(), lesson.end.getTime());
+        return overlapStart < overlapEnd &&
+          !(ownSlots || []).some(own => own.start.getTime() <= overlapStart && own.end.getTime() >= overlapEnd);
+      });
+      const key = `${slot.email}|${slot.start.getTime()}|${slot.end.getTime()}`;
+      if (conflicting && !seen[key]) {
+        seen[key] = true;
+        details.push(`${slot.email} 忙碌 ${Utilities.formatDate(slot.start, timezone, 'yyyy-MM-dd HH:mm')} ~ ${Utilities.formatDate(slot.end, timezone, 'HH:mm')}`);
+      }
+    });
+    first = last + 1;
+  }
+  
+  if (details.length > 0) {
+    const conflictError = new Error(`受邀者时间冲突：${details.join('；')}`);
+    conflictError.freeBusyConflict = true;
+    throw conflictError;
+  }
+}
+
+/**
+ * 写入、替换或清除单元格备注中本脚本写入的一段（以 prefix 开头），用户自己的备注保留在前面
+ * 本脚本写入的各段（冲突、失败）追加在备注末尾，每段到下一段的前缀或备注末尾为止
+ * @param {Range} cell - 单元格
+ * @param {string} prefix - 这一段的前缀（CONFLICT_NOTE_PREFIX 或 ERROR_NOTE_PREFIX）
+ * @param {string} text - 这一段的内容（为空表示清除这一段）
+ */
+function setScriptNoteSection(cell, prefix, text) {
+  const note = String(cell.getNote() || '');
+  let remaining = note;
+  const start = note.indexOf(prefix);
+  if (start !== -1) {
+    const nextStarts = [CONFLICT_NOTE_PREFIX, ERROR_NOTE_PREFIX]
+      .map(otherPrefix => note.indexOf(otherPrefix, start + prefix.length))
+      .filter(index => index !== -1);
+    const end = nextStarts.length > 0 ? Math.min(...nextStarts) : note.length;
+    remaining = (note.substring(0, start).replace(/\s+$/, '') + '\n\n' + note.substring(end)).trim();
+  }
+  const newNote = text ? (remaining ? `${remaining}\n\n${prefix}${text}` : prefix + text) : remaining;
+  if (newNote !== note) {
+    cell.setNote(newNote);
+  }
+}
+
+/**
+ * 在正式表的"开始时间"单元格上写入或清除冲突备注
+ * 只替换或清除本脚本写入的冲突说明，用户自己的备注保留
+ * @param {Sheet} mainSheet - 正式表
+ * @param {Object} course - 课程对象
+ * @param {string} conflictNote - 冲突说明（为空表示没有冲突）
+ */
+function updateConflictNote(mainSheet, course, conflictNote) {
+  if (course.startTimeColumnIndex === undefined) {
+    return;
+  }
+  
+  const cell = mainSheet.getRange(course.rowIndex, course.startTimeColumnIndex + 1);
+  setScriptNoteSection(cell, CONFLICT_NOTE_PREFIX, conflictNote);
+}
+
+/**
+ * 在正式表的"开始时间"单元格上写入或清除失败备注，并标记背景色
+ * 只替换或清除本脚本写入的失败原因和背景色，用户自己的备注和背景色保留（已有背景色时不标记）
+ * @param {Sheet} mainSheet - 正式表
+ * @param {Object} course - 课程对象
+ * @param {string} errorMessage - 失败原因（为空表示没有失败）
+ */
+function updateErrorNote(mainSheet, course, errorMessage) {
+  if (course.startTimeColumnIndex === undefined) {
+    return;
+  }
+  
+  const cell = mainSheet.getRange(course.rowIndex, course.startTimeColumnIndex + 1);
+  setScriptNoteSection(cell, ERROR_NOTE_PREFIX, errorMessage);
+  const background = String(cell.getBackground() || '').toLowerCase();
+  if (errorMessage) {
+    if (DEFAULT_CELL_BACKGROUNDS.includes(background)) {
+      cell.setBackground(ERROR_HIGHLIGHT_COLOR);
+    }
+  } else if (background === ERROR_HIGHLIGHT_COLOR) {
+    cell.setBackground(null);
+  }
+}
+
+/**
+ * 按处理结果更新正式表中该行的备注：失败时写入失败原因，冲突时写入冲突说明，成功时清除
+ * @param {Sheet} mainSheet - 正式表
+ * @param {Object} course - 课程对象
+ * @param {Object} result - processCourse() 的结果
+ */
+function updateRowSyncNote(mainSheet, course, result) {
+  if (result.status === '失败') {
+    updateConflictNote(mainSheet, course, '');
+    updateErrorNote(mainSheet, course, getResultErrorMessage(result) || '未知错误');
+    return;
+  }
+  updateErrorNote(mainSheet, course, '');
+  updateConflictNote(mainSheet, course, result.conflictNote || '');
+}
+
+/**
+ * 处理结果中的错误信息
+ * @param {Object} result - processCourse() 的结果
+ * @returns {string}
+ */
+function getResultErrorMessage(result) {
+  return result.error || (result.organizerEvent && result.organizerEvent.error) || result.conflictNote || '';
+}
+
 /**
  * 创建或更新日历事件（在组织者日历上创建，老师和学生作为受邀者）
  * @param {string} calendarId - 组织者日历ID
  * @param {Object} course - 课程对象
  * @param {string|null} existingEventId - 已有的事件ID（如果存在则更新，否则创建）
  * @param {Object} config - 配置对象（包含老师和学生邮箱）
+ * @param {Array<string>} previousGuests - 上次由脚本邀请的受邀者（状态表"受邀者"列，更新时只移除其中不再邀请的邮箱）
+ * @param {string} previousRecurrence - 上次写入日历的重复规则（状态表"重复规则"列，JSON；为空时读取事件确认）
  * @returns {string} 事件ID
  */
-function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config) {
+function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config, previousGuests, previousRecurrence) {
   if (!calendarId) {
     throw new Error('日历ID为空');
   }
@@ -2534,6 +7539,13 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
     Logger.log(`检测到全天事件: ${startDate} 到 ${endDate}`);
   }
   
+  // 解析重复规则（整行同步为一个重复日程，规则无法识别时抛出错误，本行记为失败）
+  let recurrence = null;
+  if (course.recurrenceRule) {
+    recurrence = parseRecurrenceRule(course.recurrenceRule, startDateTime, timezone, isAllDayEvent);
+    Logger.log(`重复规则: ${course.recurrenceRule} → ${recurrence.join(' | ')}`);
+  }
+  
   // 获取日历（直接通过ID获取，不遍历，不使用默认日历）
   const calendar = getCalendarByIdOrEmail(calendarId, course);
   
@@ -2545,41 +7557,16 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
   Logger.log(`使用日历: ${calendar.getName()} (${calendar.getId()})，目标ID: ${calendarId}`);
   
   // 构建事件信息
-  // 事件标题：优先使用"课程内容/主题"，否则使用第一个非时间字段，否则使用"未命名事件"
-  let eventSummary = '';
-  if (course.customFields) {
-    // 优先使用"课程内容/主题"相关字段
-    eventSummary = course.customFields['课程内容/主题'] || 
-                   course.customFields['课程内容'] || 
-                   course.customFields['主题'] || 
-                   course.customFields['Course Title'] || 
-                   course.customFields['课程主题'] || '';
-    
-    // 如果没有找到标题字段，使用第一个自定义字段的值
-    if (!eventSummary && Object.keys(course.customFields).length > 0) {
-      const firstFieldName = Object.keys(course.customFields)[0];
-      eventSummary = course.customFields[firstFieldName];
-    }
-  }
-  
-  // 如果还是没有，使用向后兼容的字段
-  if (!eventSummary) {
-    eventSummary = course.courseTitle || '未命名事件';
-  }
+  const eventSummary = getEventTitle(course);
   
-  // 构建事件描述：包含所有自定义字段（排除"开始时间"、"结束时间"、"记录ID"）
-  let eventDescription = '';
-  if (course.customFields && Object.keys(course.customFields).length > 0) {
-    // 按字段名排序，确保描述的一致性
-    const sortedFieldNames = Object.keys(course.customFields).sort();
-    const descriptionLines = sortedFieldNames.map(fieldName => {
-      return `${fieldName}：${course.customFields[fieldName]}`;
-    });
-    eventDescription = descriptionLines.join('\n');
-  } else {
-    // 向后兼容：如果没有 customFields，使用原有字段
-    eventDescription = `课程：${course.courseTitle || ''}\n老师：${course.teacherName || ''}\n学生：${course.studentName || ''}\n课次：${course.lessonNumber || ''}`;
+  // 构建事件描述：按描述模板渲染，或包含所有自定义字段（排除"开始时间"、"结束时间"、"记录ID"）
+  // 描述模板使用了 {Meet链接} 时，更新已有事件前先读取它的 Meet 链接
+  let meetLink = '';
+  if (existingEventId && usesMeetLinkPlaceholder(course.descriptionTemplate)) {
+    const existingResource = getCalendarEventResource(calendar.getId(), existingEventId);
+    meetLink = existingResource ? (existingResource.hangoutLink || '') : '';
   }
+  const eventDescription = buildEventDescription(course, meetLink);
   
   // 根据是否是全天事件，构建不同的开始和结束时间
   let eventStart, eventEnd;
@@ -2593,19 +7580,9 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
     eventEnd = new Date(finalEndDateTime);
   }
   
-  // 构建受邀者列表（老师和学生）
-  const guests = [];
-  if (config && config.teacherEmail) {
-    guests.push(config.teacherEmail);
-  }
-  if (config && config.studentEmail) {
-    guests.push(config.studentEmail);
-  }
-  // 如果配置中没有邮箱，尝试从课程对象中获取（向后兼容）
-  if (guests.length === 0) {
-    if (course.teacherEmail) guests.push(course.teacherEmail);
-    if (course.studentEmail) guests.push(course.studentEmail);
-  }
+  // 构建受邀者列表（老师和学生，每个邮箱单独邀请）
+  // 优先使用课程对象中的邮箱（本行填写的邮箱，或 readCourseData 填入的配置邮箱）
+  const guests = buildCourseAttendees(course, config).map(attendee => attendee.email);
   const eventGuests = guests.join(',');
   
   let event;
@@ -2615,8 +7592,55 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
     try {
       event = calendar.getEventById(existingEventId);
       
-      // 更新事件信息（带速率限制处理）
-      updateEventWithRetry(event, eventSummary, eventDescription, eventStart, eventEnd, eventGuests, isAllDayEvent, isAllDayEvent ? startDate : null, isAllDayEvent ? endDate : null);
+      // 修改时间或重复规则前检查受邀者的忙闲状态（配置表中启用了"空闲检查"时），排除这个事件原来的时段
+      if (event && config && config.checkFreeBusy && guests.length > 0) {
+        const storedRecurrence = parseStoredRecurrence(previousRecurrence) || [];
+        const timeChanged = event.getStartTime().getTime() !== eventStart.getTime() ||
+                            event.getEndTime().getTime() !== eventEnd.getTime() ||
+                            JSON.stringify(recurrence || []) !== JSON.stringify(storedRecurrence);
+        if (timeChanged) {
+          assertGuestsAvailable(guests, buildLessonSlots(recurrence, eventStart, eventEnd, timezone), timezone,
+            buildLessonSlots(storedRecurrence, event.getStartTime(), event.getEndTime(), timezone));
+        }
+      }
+      
+      // 重复日程（或刚清空规则的原重复日程）通过 Calendar API 更新整个系列
+      // 按状态表记录的重复规则判断原来是否是重复日程，旧版本没有记录时才读取事件
+      let wasRecurring = false;
+      if (!recurrence) {
+        const storedRecurrence = parseStoredRecurrence(previousRecurrence);
+        if (storedRecurrence) {
+          wasRecurring = storedRecurrence.length > 0;
+        } else {
+          const existingResource = getCalendarEventResource(calendar.getId(), existingEventId);
+          wasRecurring = !!(existingResource && existingResource.recurrence && existingResource.recurrence.length > 0);
+        }
+      }
+      
+      if (recurrence || wasRecurring) {
+        updateRecurringEventWithRetry(calendar.getId(), existingEventId, {
+          summary: eventSummary,
+          description: eventDescription,
+          start: isAllDayEvent ? { date: startDate } : {
+            dateTime: Utilities.formatDate(eventStart, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
+            timeZone: timezone
+          },
+          end: isAllDayEvent ? { date: endDate } : {
+            dateTime: Utilities.formatDate(eventEnd, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
+            timeZone: timezone
+          },
+          attendees: mergeEventGuests(getEventGuestEmails(event), guests, previousGuests).map(email => ({ email: email })),
+          location: course.hasLocationColumn ? course.location : undefined, // 没有地点列时不修改
+          recurrence: recurrence || [] // 空数组：把原重复日程改回单次事件
+        });
+      } else {
+        // 更新事件信息（带速率限制处理）
+        updateEventWithRetry(event, eventSummary, eventDescription, eventStart, eventEnd, eventGuests, isAllDayEvent, isAllDayEvent ? startDate : null, isAllDayEvent ? endDate : null, previousGuests);
+        // 课程表有地点列时同步地点（没有地点列时不修改日历中的地点）
+        if (course.hasLocationColumn && event.getLocation() !== course.location) {
+          event.setLocation(course.location);
+        }
+      }
       
       // 确保事件有 Google Meet 链接（全天事件不需要 Meet 链接）
       if (!isAllDayEvent) {
@@ -2663,6 +7687,8 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
         Logger.log(`全天事件，跳过添加 Google Meet 链接`);
       }
       
+      fillDescriptionMeetLink(calendar.getId(), existingEventId, course, meetLink);
+      
       // 更新提醒（如果配置了提醒时间）
       // 注意：提醒会发送给所有参与者，包括组织者和受邀者（老师和学生）
       if (course.reminderMinutes && course.reminderMinutes > 0) {
@@ -2688,15 +7714,28 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
         }
       }
       
+      // 记录本次写入日历的时间和标题（用于双向同步检测日历端的修改，重复日程不参与）
+      course._calendarSnapshot = recurrence ? '' : buildCalendarSnapshot(calendar.getEventById(existingEventId));
+      course._calendarRecurrence = JSON.stringify(recurrence || []);
+      
       Logger.log(`更新日历事件: ${existingEventId}`);
       return existingEventId;
     } catch (error) {
+      // 受邀者忙碌时不修改事件，也不创建新事件
+      if (error.freeBusyConflict) {
+        throw error;
+      }
       // 如果事件不存在或无法访问，则创建新事件
       Logger.log(`无法更新事件 ${existingEventId}，将创建新事件: ${error.message}`);
       // 继续执行创建逻辑
     }
   }
   
+  // 创建前检查受邀者的忙闲状态（配置表中启用了"空闲检查"时，重复课程检查每一次课）
+  if (config && config.checkFreeBusy && guests.length > 0) {
+    assertGuestsAvailable(guests, buildLessonSlots(recurrence, eventStart, eventEnd, timezone), timezone);
+  }
+  
   // 创建新事件（带速率限制处理）
   event = createEventWithRetry(
     calendar,
@@ -2711,10 +7750,15 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
       timezone: timezone, // 传递时区信息
       isAllDay: isAllDayEvent, // 传递全天事件标志
       startDate: isAllDayEvent ? startDate : null, // 全天事件的开始日期
-      endDate: isAllDayEvent ? endDate : null // 全天事件的结束日期
+      endDate: isAllDayEvent ? endDate : null, // 全天事件的结束日期
+      recurrence: recurrence, // 重复规则（RRULE/EXDATE，单次课程为 null）
+      location: course.location, // 地点（列映射中的"地点"列）
+      eventId: generateEventIdForRecord(course.sheetName, course.recordId) // 固定的事件ID（重试时不会重复创建）
     }
   );
   
+  fillDescriptionMeetLink(calendar.getId(), event.getId(), course, meetLink);
+  
   // 添加提醒（如果配置了提醒时间）
   // 注意：提醒会发送给所有参与者，包括组织者和受邀者（老师和学生）
   if (course.reminderMinutes && course.reminderMinutes > 0) {
@@ -2730,6 +7774,10 @@ function createOrUpdateCalendarEvent(calendarId, course, existingEventId, config
     }
   }
   
+  // 记录本次写入日历的时间和标题（用于双向同步检测日历端的修改，重复日程不参与）
+  course._calendarSnapshot = recurrence ? '' : buildCalendarSnapshot(event);
+  course._calendarRecurrence = JSON.stringify(recurrence || []);
+  
   Logger.log(`创建新日历事件: ${event.getId()}`);
   return event.getId();
 }
@@ -2746,24 +7794,45 @@ function ensureStatusSheet(spreadsheet, statusSheetName) {
   
   let statusSheet = spreadsheet.getSheetByName(targetStatusSheetName);
   
-  if (!statusSheet) {
+  // 表头（索引表结构）
+  const headers = [
+    '记录ID',            // 0 - 唯一标识符（用于正式表和索引表一一对应）
+    '课次',              // 1 - 索引字段
+    '日期',              // 2 - 索引字段
+    'Token',             // 3 - 关键信息哈希值（用于检测变化）
+    '组织者日历ID',      // 4 - 组织者日历ID（用于删除事件）
+    '组织者日历事件ID',  // 5 - 组织者日历事件ID
+    '组织者日历创建时间',// 6 - 组织者日历创建时间
+    '处理状态',          // 7 - 处理状态
+    '最后更新时间',      // 8 - 最后更新时间
+    '日历快照',          // 9 - 上次写入日历的开始/结束时间和标题（用于检测日历端的修改）
+    '字段指纹',          // 10 - 每一列的短哈希（用于区分重要列、静默列和忽略列的变化）
+    '课程信息',          // 11 - 上次同步时的标题、时间、老师、学生和各列的值（课程被删除后用于填写取消邮件）
+    '受邀者',            // 12 - 上次写入日历的受邀者及角色（JSON，取消课程时通知每一位受邀者）
+    '错误信息',          // 13 - 最近一次处理失败的原因（成功后清空）
+    '尝试次数',          // 14 - 当前内容的处理次数（上次已完成时从 1 开始，失败后每次重试加 1）
+    '重复规则'           // 15 - 上次写入日历的重复规则（JSON 数组，单次课程为 []；为空表示旧版本没有记录）
+  ];
+  
+  if (statusSheet) {
+    // 已有状态表：补齐新版本增加的列（追加在最后，不影响已有列）
+    const existingHeaders = statusSheet.getRange(1, 1, 1, statusSheet.getLastColumn()).getValues()[0]
+      .map(header => String(header).trim());
+    const missingHeaders = headers.filter(header => !existingHeaders.includes(header));
+    if (missingHeaders.length > 0) {
+      const startColumn = existingHeaders.length + 1;
+      statusSheet.getRange(1, startColumn, 1, missingHeaders.length).setValues([missingHeaders]);
+      statusSheet.getRange(1, startColumn, 1, missingHeaders.length)
+        .setFontWeight('bold')
+        .setBackground('#4285F4')
+        .setFontColor('#FFFFFF');
+      Logger.log(`状态表补充列: ${missingHeaders.join(', ')}`);
+    }
+  } else {
     // 创建隐藏表
     statusSheet = spreadsheet.insertSheet(targetStatusSheetName);
     statusSheet.hideSheet(); // 隐藏表
     
-    // 设置表头（索引表结构）
-    const headers = [
-      '记录ID',            // 0 - 唯一标识符（用于正式表和索引表一一对应）
-      '课次',              // 1 - 索引字段
-      '日期',              // 2 - 索引字段
-      'Token',             // 3 - 关键信息哈希值（用于检测变化）
-      '组织者日历ID',      // 4 - 组织者日历ID（用于删除事件）
-      '组织者日历事件ID',  // 5 - 组织者日历事件ID
-      '组织者日历创建时间',// 6 - 组织者日历创建时间
-      '处理状态',          // 7 - 处理状态
-      '最后更新时间'       // 8 - 最后更新时间
-    ];
-    
     statusSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
     statusSheet.getRange(1, 1, 1, headers.length)
       .setFontWeight('bold')
@@ -2790,7 +7859,7 @@ function syncStatusSheet(statusSheet, courseCount) {
   if (currentRowCount < targetRowCount) {
     // 需要添加行
     const rowsToAdd = targetRowCount - currentRowCount;
-    const emptyRow = ['', '', '', '', '', '', '', '', '']; // 9列（包含记录ID和组织者日历ID）
+    const emptyRow = new Array(statusSheet.getLastColumn()).fill(''); // 状态表的所有列
     const rows = [];
     for (let i = 0; i < rowsToAdd; i++) {
       rows.push(emptyRow);
@@ -2847,6 +7916,13 @@ function updateStatusRecord(statusSheet, course, result) {
   const organizerEventTimeCol = getColumnIndex(['组织者日历创建时间', 'organizer event time', '组织者事件时间', 'organizer event time', '管理员日历创建时间', 'admin event time']);
   const statusCol = getColumnIndex(['处理状态', 'status', '状态']);
   const lastUpdateTimeCol = getColumnIndex(['最后更新时间', 'last update time', '更新时间']);
+  const calendarSnapshotCol = getColumnIndex(['日历快照', 'calendar snapshot']);
+  const fingerprintCol = getColumnIndex(['字段指纹', 'field fingerprint']);
+  const courseInfoCol = getColumnIndex(['课程信息', 'course info']);
+  const attendeesCol = getColumnIndex(['受邀者', 'attendees']);
+  const errorCol = getColumnIndex(['错误信息', 'error']);
+  const attemptsCol = getColumnIndex(['尝试次数', 'attempts']);
+  const recurrenceCol = getColumnIndex(['重复规则', 'recurrence']);
   
   // 读取当前行的现有记录（如果有）
   let existingRecord = null;
@@ -2878,7 +7954,7 @@ function updateStatusRecord(statusSheet, course, result) {
   existingOrganizerEventId = existingOrganizerEventId && !(existingOrganizerEventId instanceof Date) ? String(existingOrganizerEventId).trim() : '';
   
   // 验证事件ID格式：如果事件ID是"已发送"或其他状态文本，说明是错误的数据，应该清空
-  const invalidStatusTexts = ['已发送', '未发送', '失败', '部分失败', '已完成', '处理中'];
+  const invalidStatusTexts = ['已发送', '未发送', '失败', '部分失败', '已完成', '处理中', '冲突', '待确认'];
   if (existingOrganizerEventId && invalidStatusTexts.includes(existingOrganizerEventId)) {
     Logger.log(`警告：组织者事件ID包含状态文本，将被清空: "${existingOrganizerEventId}"`);
     existingOrganizerEventId = '';
@@ -2929,6 +8005,9 @@ function updateStatusRecord(statusSheet, course, result) {
   
   // 获取或计算token
   const token = course.token || calculateCourseToken(course);
+  // 本次未完成（如更新事件失败）时保留上次的 token、字段指纹和课程信息，与日历事件的内容保持一致：
+  // 下次同步仍会发现变化，改期时仍能按原来的时间发送课程调整通知
+  const keepPrevious = result.status !== '已完成' && !!getExistingValue(tokenCol);
   
   // 从开始时间中提取日期（用于状态表）
   const dateStr = extractDateFromDateTimeInput(course.startTimeInput);
@@ -2938,7 +8017,8 @@ function updateStatusRecord(statusSheet, course, result) {
   const allColumns = [
     recordIdCol, lessonNumberCol, dateCol, tokenCol,
     organizerCalendarIdCol, organizerEventIdCol, organizerEventTimeCol,
-    statusCol, lastUpdateTimeCol
+    statusCol, lastUpdateTimeCol, calendarSnapshotCol, fingerprintCol, courseInfoCol, attendeesCol,
+    errorCol, attemptsCol, recurrenceCol
   ];
   
   // 找到最大列索引，确定需要写入的列数
@@ -2952,12 +8032,41 @@ function updateStatusRecord(statusSheet, course, result) {
   if (recordIdCol !== undefined) rowData[recordIdCol] = recordId;
   if (lessonNumberCol !== undefined) rowData[lessonNumberCol] = course.lessonNumber;
   if (dateCol !== undefined) rowData[dateCol] = dateStr;
-  if (tokenCol !== undefined) rowData[tokenCol] = token;
+  if (tokenCol !== undefined) rowData[tokenCol] = keepPrevious ? String(getExistingValue(tokenCol)) : token;
   if (organizerCalendarIdCol !== undefined) rowData[organizerCalendarIdCol] = String(organizerCalendarId || '');
   if (organizerEventIdCol !== undefined) rowData[organizerEventIdCol] = String(organizerEventId || '');
   if (organizerEventTimeCol !== undefined) rowData[organizerEventTimeCol] = String(organizerEventTime || '');
   if (statusCol !== undefined) rowData[statusCol] = result.status;
   if (lastUpdateTimeCol !== undefined) rowData[lastUpdateTimeCol] = nowStr;
+  // 日历快照：本次写入了日历则使用新快照，否则保留原有快照
+  if (calendarSnapshotCol !== undefined) {
+    rowData[calendarSnapshotCol] = course._calendarSnapshot !== undefined ? course._calendarSnapshot : String(getExistingValue(calendarSnapshotCol) || '');
+  }
+  if (fingerprintCol !== undefined) {
+    rowData[fingerprintCol] = keepPrevious ? String(getExistingValue(fingerprintCol) || '') : calculateCourseFingerprint(course);
+  }
+  if (courseInfoCol !== undefined) {
+    rowData[courseInfoCol] = keepPrevious ? String(getExistingValue(courseInfoCol) || '') : buildCourseInfo(course);
+  }
+  // 受邀者：本次成功写入了日历事件（createOrUpdateCalendarEvent() 设置了日历快照）则记录当前的受邀者，否则保留原有记录
+  // （更新失败时保留，下次重试才能移除原来的受邀者）
+  if (attendeesCol !== undefined) {
+    rowData[attendeesCol] = course._calendarSnapshot !== undefined ?
+      JSON.stringify(buildCourseAttendees(course)) :
+      String(getExistingValue(attendeesCol) || '');
+  }
+  if (errorCol !== undefined) {
+    rowData[errorCol] = result.status === '已完成' ? '' : getResultErrorMessage(result);
+  }
+  // 尝试次数：上次已完成（或没有记录）时重新计数，上次未完成时累加
+  if (attemptsCol !== undefined) {
+    const previousAttempts = existingRecord && getExistingValue(statusCol) !== '已完成' ? Number(getExistingValue(attemptsCol)) || 0 : 0;
+    rowData[attemptsCol] = previousAttempts + 1;
+  }
+  // 重复规则：与受邀者相同，本次成功写入了日历事件才记录，否则保留原有记录
+  if (recurrenceCol !== undefined) {
+    rowData[recurrenceCol] = course._calendarRecurrence !== undefined ? course._calendarRecurrence : String(getExistingValue(recurrenceCol) || '');
+  }
   
   // 直接更新对应行（状态表和正式表一一对应）
   statusSheet.getRange(rowIndex, 1, 1, totalCols).setValues([rowData]);
@@ -3548,6 +8657,214 @@ function parseDateTime(dateInput, timeInput, timezone) {
   }
 }
 
+/**
+ * 解析重复规则，生成 Calendar API 的 recurrence 数组
+ * 支持两种写法：
+ * 1. 中文：每周二,四 共12次 / 每两周一 至2025/12/31 / 每天 共5次 跳过2025/11/20（可带"重复:"前缀）
+ * 2. RRULE：RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=12（可多行，EXDATE/RDATE 行原样保留）
+ * 注意：系列从"开始时间"那一次课开始，开始时间应填写第一次课的时间
+ * @param {string} ruleInput - 重复规则
+ * @param {Date} startDateTime - 第一次课的开始时间（跳过日期沿用它的上课时间）
+ * @param {string} timezone - 时区
+ * @param {boolean} isAllDay - 是否是全天事件
+ * @returns {Array<string>} recurrence 数组，例如 ['RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=12']
+ */
+function parseRecurrenceRule(ruleInput, startDateTime, timezone, isAllDay) {
+  const text = String(ruleInput || '').trim().replace(/^重复\s*[:：]\s*/, '');
+
+  // 写法2：RRULE（包含 FREQ=）
+  if (/FREQ=/i.test(text)) {
+    const lines = text.split(/[\r\n]+/).map(line => line.trim()).filter(line => line);
+    const recurrence = lines.map(line => {
+      if (/^(EXDATE|RDATE)[:;]/i.test(line)) {
+        return line;
+      }
+      const rule = line.replace(/^RRULE:/i, '').toUpperCase();
+      return 'RRULE:' + rule;
+    });
+    const hasValidRule = recurrence.some(line => /^RRULE:(.*;)?FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)(;|$)/.test(line));
+    if (!hasValidRule) {
+      throw new Error(`无法识别的重复规则: ${ruleInput}`);
+    }
+    return recurrence;
+  }
+
+  // 写法1：中文规则
+  const freqMatch = text.match(/每\s*(\d+|[两二三四])?\s*(天|日|周|星期|个?月)/);
+  if (!freqMatch) {
+    throw new Error(`无法识别的重复规则: ${ruleInput}（示例：每周二,四 共12次）`);
+  }
+
+  const intervalMap = { '两': 2, '二': 2, '三': 3, '四': 4 };
+  const interval = freqMatch[1] ? (intervalMap[freqMatch[1]] || parseInt(freqMatch[1], 10)) : 1;
+  const unit = freqMatch[2];
+  const freq = (unit === '天' || unit === '日') ? 'DAILY' : (unit.endsWith('月') ? 'MONTHLY' : 'WEEKLY');
+
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  // 星期几：紧跟在"每周"后面，如"二,四"、"二、周四"、"一三五"
+  if (freq === 'WEEKLY') {
+    const weekdayMap = { '一': 'MO', '二': 'TU', '三': 'WE', '四': 'TH', '五': 'FR', '六': 'SA', '日': 'SU', '天': 'SU' };
+    const rest = text.substring(freqMatch.index + freqMatch[0].length).trim();
+    const weekdayText = rest.split(/\s|共|至|到|直到|截止|跳过|除/)[0];
+    const weekdays = [];
+    for (const char of weekdayText) {
+      if (weekdayMap[char] && !weekdays.includes(weekdayMap[char])) {
+        weekdays.push(weekdayMap[char]);
+      }
+    }
+    if (weekdays.length > 0) {
+      parts.push(`BYDAY=${weekdays.join(',')}`);
+    }
+  }
+
+  // 日期文本（2025/12/31、2025-12-31、2025年12月31日）转为 yyyyMMdd
+  const datePattern = /(\d{4})[\/\-.年](\d{1,2})[\/\-.月](\d{1,2})日?/g;
+  const toCompactDate = (match) => `${match[1]}${String(match[2]).padStart(2, '0')}${String(match[3]).padStart(2, '0')}`;
+
+  // 结束条件：共N次 或 至某日（二选一）
+  const countMatch = text.match(/共\s*(\d+)\s*[次节课]/);
+  const untilMatch = text.match(/(?:至|到|直到|截止)\s*(\d{4}[\/\-.年]\d{1,2}[\/\-.月]\d{1,2})/);
+  if (countMatch && untilMatch) {
+    throw new Error(`重复规则不能同时指定次数和截止日期: ${ruleInput}`);
+  }
+  if (countMatch) {
+    parts.push(`COUNT=${parseInt(countMatch[1], 10)}`);
+  }
+  if (untilMatch) {
+    const untilDate = toCompactDate(new RegExp(datePattern.source).exec(untilMatch[1]));
+    if (isAllDay) {
+      parts.push(`UNTIL=${untilDate}`);
+    } else {
+      // 有时间的事件：UNTIL 必须是 UTC 时间，取截止日当天结束
+      const untilTime = Utilities.parseDate(`${untilDate} 23:59:59`, timezone, 'yyyyMMdd HH:mm:ss');
+      parts.push(`UNTIL=${Utilities.formatDate(untilTime, 'UTC', "yyyyMMdd'T'HHmmss'Z'")}`);
+    }
+  }
+
+  const recurrence = ['RRULE:' + parts.join(';')];
+
+  // 跳过的日期（单次例外）：沿用第一次课的上课时间
+  const exceptMatch = text.match(/(?:跳过|除了?|不含)\s*[:：]?\s*(.+)$/);
+  if (exceptMatch) {
+    const exceptDates = [];
+    let dateMatch;
+    const exceptPattern = new RegExp(datePattern.source, 'g');
+    while ((dateMatch = exceptPattern.exec(exceptMatch[1])) !== null) {
+      exceptDates.push(toCompactDate(dateMatch));
+    }
+    if (exceptDates.length > 0) {
+      if (isAllDay) {
+        recurrence.push(`EXDATE;VALUE=DATE:${exceptDates.join(',')}`);
+      } else {
+        const startClock = Utilities.formatDate(startDateTime, timezone, 'HHmmss');
+        recurrence.push(`EXDATE;TZID=${timezone}:${exceptDates.map(date => `${date}T${startClock}`).join(',')}`);
+      }
+    }
+  }
+
+  return recurrence;
+}
+
+/**
+ * 展开重复日程，计算每一次课的开始时间（用于撞课检测和空闲检查）
+ * 支持 FREQ（DAILY/WEEKLY/MONTHLY/YEARLY）、INTERVAL、BYDAY（每周的星期几）、COUNT、UNTIL 和 EXDATE，
+ * 即 parseRecurrenceRule() 中文写法生成的全部规则；含其他规则部分（如 BYMONTHDAY、BYSETPOS）或 RDATE 时只返回第一次课
+ * 最多展开 RECURRENCE_EXPANSION_LIMIT 范围内的课次
+ * @param {Array<string>} recurrence - parseRecurrenceRule() 返回的 recurrence 数组
+ * @param {Date} startDateTime - 第一次课的开始时间
+ * @param {string} timezone - 时区
+ * @returns {Array<Date>} 按时间顺序排列的每一次课的开始时间（跳过的日期不包含在内）
+ */
+function expandRecurrenceStarts(recurrence, startDateTime, timezone) {
+  const ruleLines = recurrence.filter(line => /^RRULE:/i.test(line));
+  const rule = {};
+  if (ruleLines.length === 1) {
+    ruleLines[0].replace(/^RRULE:/i, '').split(';').forEach(part => {
+      const [name, value] = part.split('=');
+      if (name) {
+        rule[name.toUpperCase()] = String(value || '').toUpperCase();
+      }
+    });
+  }
+  const supportedParts = ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'];
+  const weekdayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : [];
+  const isSupported = ruleLines.length === 1 &&
+    ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ) &&
+    Object.keys(rule).every(name => supportedParts.includes(name)) &&
+    !recurrence.some(line => /^RDATE[:;]/i.test(line)) &&
+    (byDay.length === 0 || (rule.FREQ === 'WEEKLY' && byDay.every(code => weekdayCodes.includes(code))));
+  if (!isSupported) {
+    Logger.log(`重复规则 ${recurrence.join(' | ')} 无法展开，只检查第一次课`);
+    return [startDateTime];
+  }
+
+  // 按日期（yyyyMMdd）比较跳过的日期和截止日期；UTC 时间（以 Z 结尾）先换算为本地日期
+  const toLocalDateKey = (value) => {
+    if (/Z$/i.test(value)) {
+      return Utilities.formatDate(Utilities.parseDate(value.replace(/Z$/i, ''), 'UTC', "yyyyMMdd'T'HHmmss"), timezone, 'yyyyMMdd');
+    }
+    return value.substring(0, 8);
+  };
+  const exceptDateKeys = new Set();
+  recurrence.filter(line => /^EXDATE[:;]/i.test(line)).forEach(line => {
+    line.substring(line.lastIndexOf(':') + 1).split(',').forEach(value => exceptDateKeys.add(toLocalDateKey(value.trim())));
+  });
+  const untilDateKey = rule.UNTIL ? toLocalDateKey(rule.UNTIL) : '';
+  const maxCount = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const interval = parseInt(rule.INTERVAL, 10) || 1;
+
+  // 按本地日期逐日推进（用 UTC 日期计算，避免夏令时影响），上课时间沿用第一次课
+  const [startYear, startMonth, startDay] = Utilities.formatDate(startDateTime, timezone, 'yyyy-MM-dd').split('-').map(Number);
+  const startClock = Utilities.formatDate(startDateTime, timezone, 'HH:mm:ss');
+  const startWeekday = new Date(Date.UTC(startYear, startMonth - 1, startDay)).getUTCDay();
+  const weekdays = byDay.length > 0 ? byDay.map(code => weekdayCodes.indexOf(code)) : [startWeekday];
+  // 每周规则按周一开始的周计算间隔
+  const startWeekMonday = Date.UTC(startYear, startMonth - 1, startDay) - ((startWeekday + 6) % 7) * 86400000;
+
+  const starts = [];
+  let count = 0;
+  for (let dayOffset = 0; dayOffset < RECURRENCE_EXPANSION_LIMIT.MAX_DAYS; dayOffset++) {
+    const day = new Date(Date.UTC(startYear, startMonth - 1, startDay + dayOffset));
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth() + 1;
+    const date = day.getUTCDate();
+    let matches;
+    if (rule.FREQ === 'DAILY') {
+      matches = dayOffset % interval === 0;
+    } else if (rule.FREQ === 'WEEKLY') {
+      const weekIndex = Math.floor((day.getTime() - startWeekMonday) / (7 * 86400000));
+      matches = weekIndex % interval === 0 && weekdays.includes(day.getUTCDay());
+    } else if (rule.FREQ === 'MONTHLY') {
+      matches = date === startDay && ((year - startYear) * 12 + month - startMonth) % interval === 0;
+    } else {
+      matches = date === startDay && month === startMonth && (year - startYear) % interval === 0;
+    }
+    // 第一次课总是包含在内（与 Google 日历一致）
+    if (!matches && dayOffset > 0) {
+      continue;
+    }
+
+    const dateKey = `${year}${String(month).padStart(2, '0')}${String(date).padStart(2, '0')}`;
+    if (untilDateKey && dateKey > untilDateKey) {
+      break;
+    }
+    count++;
+    if (count > maxCount || starts.length >= RECURRENCE_EXPANSION_LIMIT.MAX_OCCURRENCES) {
+      break;
+    }
+    // 跳过的日期仍计入次数（与 RFC 5545 一致）
+    if (!exceptDateKeys.has(dateKey)) {
+      starts.push(Utilities.parseDate(`${dateKey} ${startClock}`, timezone, 'yyyyMMdd HH:mm:ss'));
+    }
+  }
+  return starts;
+}
+
 /**
  * 格式化日期显示
  */
@@ -0,0 +1,1467 @@
+/**
+ * 离线测试工具：在 Node 中加载 syncCalendarWithSheet.js，并用内存中的假对象替代 Apps Script 服务
+ *
+ * 提供的假服务：
+ * - SpreadsheetApp（表格、Sheet、Range、UI）
+ * - CalendarApp 和高级服务 Calendar.Events（共享同一份内存日历数据）
+ * - MailApp、Utilities、Session、Logger、LockService、PropertiesService、CacheService、HtmlService、ScriptApp
+ *
+ * 使用方法：
+ *   const { createHarness } = require('./harness');
+ *   const h = createHarness({ sheets: { _SheetConfig: [[...], [...]], 课程表: [[...], [...]] } });
+ *   h.run('main');
+ *   h.events('organizer@example.com');   // 查看日历事件（Calendar API 资源格式）
+ *   h.mail.sent;                         // 查看已发送的邮件
+ *   h.callsTo('Calendar.Events');        // 查看服务调用记录
+ *
+ * 注意：脚本中的 Date 本地时间方法（getHours 等）依赖进程时区，
+ * 所以这里把进程时区固定为 Asia/Shanghai（与 CONFIG.TIMEZONE 默认值一致）
+ */
+
+process.env.TZ = 'Asia/Shanghai';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'syncCalendarWithSheet.js');
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// ==================== 时间工具 ====================
+
+/**
+ * 获取指定时区在某个时刻的各个日期时间字段
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+/**
+ * 计算指定时区在某个时刻相对 UTC 的偏移（毫秒）
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 把指定时区的本地时间字段转换为 Date
+ */
+function zonedTimeToDate(fields, timezone) {
+  const guess = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour || 0, fields.minute || 0, fields.second || 0);
+  const offset = getTimezoneOffset(new Date(guess), timezone);
+  const result = new Date(guess - offset);
+  // 夏令时切换附近再校正一次
+  const correctedOffset = getTimezoneOffset(result, timezone);
+  return correctedOffset === offset ? result : new Date(guess - correctedOffset);
+}
+
+const FORMAT_TOKEN_REGEX = /'[^']*'|yyyy|yy|MMM|MM|M|dd|d|HH|H|mm|ss|SSS|XXX|Z|EEEE|EEE|E/g;
+
+/**
+ * Utilities.formatDate 的简化实现（支持常用的 SimpleDateFormat 格式）
+ */
+function formatDateInZone(date, timezone, pattern) {
+  const parts = getZonedParts(date, timezone);
+  const offsetMinutes = Math.round(getTimezoneOffset(date, timezone) / 60000);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const absMinutes = Math.abs(offsetMinutes);
+  const offsetHours = String(Math.floor(absMinutes / 60)).padStart(2, '0');
+  const offsetRest = String(absMinutes % 60).padStart(2, '0');
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const weekdayNames = { Sun: 'Sunday', Mon: 'Monday', Tue: 'Tuesday', Wed: 'Wednesday', Thu: 'Thursday', Fri: 'Friday', Sat: 'Saturday' };
+
+  return pattern.replace(FORMAT_TOKEN_REGEX, token => {
+    switch (token) {
+      case 'yyyy': return parts.year;
+      case 'yy': return parts.year.slice(-2);
+      case 'MMM': return monthNames[Number(parts.month) - 1];
+      case 'MM': return parts.month;
+      case 'M': return String(Number(parts.month));
+      case 'dd': return parts.day;
+      case 'd': return String(Number(parts.day));
+      case 'HH': return parts.hour;
+      case 'H': return String(Number(parts.hour));
+      case 'mm': return parts.minute;
+      case 'ss': return parts.second;
+      case 'SSS': return String(date.getMilliseconds()).padStart(3, '0');
+      case 'XXX': return `${sign}${offsetHours}:${offsetRest}`;
+      case 'Z': return `${sign}${offsetHours}${offsetRest}`;
+      case 'EEEE': return weekdayNames[parts.weekday];
+      case 'EEE':
+      case 'E': return parts.weekday;
+      default: return token.slice(1, -1);
+    }
+  });
+}
+
+/**
+ * Utilities.parseDate 的简化实现（支持由 yyyy/MM/dd/HH/mm/ss 组成的格式）
+ */
+function parseDateInZone(text, timezone, pattern) {
+  const fieldOrder = [];
+  const regexSource = pattern.replace(FORMAT_TOKEN_REGEX, token => {
+    const field = { yyyy: 'year', MM: 'month', M: 'month', dd: 'day', d: 'day', HH: 'hour', H: 'hour', mm: 'minute', ss: 'second' }[token];
+    if (!field) {
+      return token.startsWith("'") ? token.slice(1, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : token;
+    }
+    fieldOrder.push(field);
+    // 相邻的数字字段（如 yyyyMMdd）按字段宽度切分
+    return field === 'year' ? '(\\d{1,4})' : '(\\d{1,2})';
+  });
+  const match = new RegExp('^' + regexSource + '$').exec(String(text).trim());
+  if (!match) {
+    throw new Error(`Unparseable date: "${text}"`);
+  }
+  const fields = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+  fieldOrder.forEach((field, index) => {
+    fields[field] = Number(match[index + 1]);
+  });
+  return zonedTimeToDate(fields, timezone);
+}
+
+/**
+ * 解析 Calendar API 资源中的 start/end（dateTime 或 date）
+ */
+function parseEventDateTime(value) {
+  if (!value) {
+    return null;
+  }
+  if (value.date) {
+    const [year, month, day] = value.date.split('-').map(Number);
+    return { date: new Date(year, month - 1, day), allDay: true };
+  }
+  const dateTime = String(value.dateTime);
+  if (/([zZ]|[+-]\d{2}:?\d{2})$/.test(dateTime)) {
+    return { date: new Date(dateTime), allDay: false };
+  }
+  const [datePart, timePart] = dateTime.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute, second] = (timePart || '00:00:00').split(':').map(Number);
+  return {
+    date: zonedTimeToDate({ year, month, day, hour, minute, second: second || 0 }, value.timeZone || DEFAULT_TIMEZONE),
+    allDay: false
+  };
+}
+
+// ==================== 调用记录和故障注入 ====================
+
+/**
+ * 记录对 Apps Script 服务的调用，并支持注入故障（模拟速率限制、超时等）
+ */
+class CallRecorder {
+  constructor() {
+    this.calls = [];
+    this.faults = {};
+  }
+
+  /**
+   * 记录一次调用；如果该方法有待注入的故障，抛出对应错误
+   */
+  record(name, args) {
+    this.calls.push({ name: name, args: args || [] });
+    const queue = this.faults[name];
+    if (queue && queue.length > 0) {
+      const fault = queue.shift();
+      if (typeof fault === 'function') {
+        fault();
+      } else {
+        throw fault instanceof Error ? fault : new Error(String(fault));
+      }
+    }
+  }
+
+  /**
+   * 让某个方法接下来的 times 次调用失败
+   * @param {string} name - 方法名，如 'Calendar.Events.insert'、'CalendarApp.Calendar.createEvent'
+   * @param {Error|string|Function} fault - 抛出的错误，或在调用时执行的函数
+   */
+  failNext(name, fault, times) {
+    this.faults[name] = this.faults[name] || [];
+    for (let i = 0; i < (times || 1); i++) {
+      this.faults[name].push(fault);
+    }
+  }
+
+  /**
+   * 查询调用记录（前缀匹配）
+   */
+  callsTo(prefix) {
+    return this.calls.filter(call => call.name === prefix || call.name.startsWith(prefix + '.'));
+  }
+
+  reset() {
+    this.calls = [];
+  }
+}
+
+// ==================== SpreadsheetApp ====================
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`The coordinates or dimensions of the range are invalid. (${row}, ${column}, ${numRows}, ${numColumns})`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getSheet() { return this.sheet; }
+
+  getA1Notation() {
+    const columnName = (index) => {
+      let name = '';
+      while (index > 0) {
+        const rest = (index - 1) % 26;
+        name = String.fromCharCode(65 + rest) + name;
+        index = Math.floor((index - 1) / 26);
+      }
+      return name;
+    };
+    const start = `${columnName(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) {
+      return start;
+    }
+    return `${start}:${columnName(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  forEachCell(callback) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        callback(this.row + r, this.column + c, r, c);
+      }
+    }
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.getCell(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(row => row.map(value => {
+      if (value instanceof Date) {
+        return formatDateInZone(value, DEFAULT_TIMEZONE, 'yyyy/MM/dd HH:mm:ss');
+      }
+      return value === null || value === undefined ? '' : String(value);
+    }));
+  }
+
+  getValue() {
+    return this.sheet.getCell(this.row, this.column);
+  }
+
+  getDisplayValue() {
+    return this.getDisplayValues()[0][0];
+  }
+
+  setValue(value) {
+    this.forEachCell((row, column) => this.sheet.setCell(row, column, value));
+    return this;
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range. Expected ${this.numRows}x${this.numColumns}`);
+    }
+    this.forEachCell((row, column, r, c) => this.sheet.setCell(row, column, values[r][c]));
+    return this;
+  }
+
+  clearContent() {
+    this.forEachCell((row, column) => this.sheet.setCell(row, column, ''));
+    return this;
+  }
+
+  clear() {
+    this.clearContent();
+    this.forEachCell((row, column) => {
+      delete this.sheet.formats[`${row},${column}`];
+    });
+    return this;
+  }
+
+  setFormat(key, value) {
+    this.forEachCell((row, column) => {
+      const cellKey = `${row},${column}`;
+      this.sheet.formats[cellKey] = this.sheet.formats[cellKey] || {};
+      if (value === null || value === '') {
+        delete this.sheet.formats[cellKey][key];
+      } else {
+        this.sheet.formats[cellKey][key] = value;
+      }
+    });
+    return this;
+  }
+
+  getFormat(key) {
+    const format = this.sheet.formats[`${this.row},${this.column}`];
+    return format && format[key] !== undefined ? format[key] : '';
+  }
+
+  setNote(note) { return this.setFormat('note', note); }
+  getNote() { return this.getFormat('note'); }
+  clearNote() { return this.setFormat('note', null); }
+  setBackground(color) { return this.setFormat('background', color); }
+  getBackground() { return this.getFormat('background') || '#ffffff'; }
+  setFontWeight(weight) { return this.setFormat('fontWeight', weight); }
+  setFontColor(color) { return this.setFormat('fontColor', color); }
+  setNumberFormat(format) { return this.setFormat('numberFormat', format); }
+  setWrap(wrap) { return this.setFormat('wrap', wrap); }
+  activate() { this.sheet.activate(); return this; }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, rows, sheetId) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = (rows || []).map(row => row.slice());
+    this.formats = {};
+    this.hidden = false;
+    this.frozenRows = 0;
+    this.sheetId = sheetId;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+
+  getCell(row, column) {
+    const rowValues = this.rows[row - 1];
+    if (!rowValues || rowValues[column - 1] === undefined || rowValues[column - 1] === null) {
+      return '';
+    }
+    return rowValues[column - 1];
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) {
+      this.rows.push([]);
+    }
+    const rowValues = this.rows[row - 1];
+    while (rowValues.length < column) {
+      rowValues.push('');
+    }
+    rowValues[column - 1] = value;
+  }
+
+  getLastRow() {
+    for (let r = this.rows.length; r > 0; r--) {
+      if (this.rows[r - 1].some(value => value !== '' && value !== null && value !== undefined)) {
+        return r;
+      }
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows.forEach(row => {
+      for (let c = row.length; c > last; c--) {
+        if (row[c - 1] !== '' && row[c - 1] !== null && row[c - 1] !== undefined) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(row, column, numRows, numColumns) {
+    if (typeof row === 'string') {
+      const match = /^([A-Z]+)(\d+)$/.exec(row);
+      if (!match) {
+        throw new Error(`Unsupported A1 notation: ${row}`);
+      }
+      const columnIndex = match[1].split('').reduce((sum, ch) => sum * 26 + ch.charCodeAt(0) - 64, 0);
+      return new FakeRange(this, Number(match[2]), columnIndex, 1, 1);
+    }
+    return new FakeRange(this, row, column, numRows === undefined ? 1 : numRows, numColumns === undefined ? 1 : numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, index) => this.setCell(row, index + 1, value));
+    return this;
+  }
+
+  deleteRow(row) {
+    this.deleteRows(row, 1);
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+    const shifted = {};
+    Object.keys(this.formats).forEach(key => {
+      const [r, c] = key.split(',').map(Number);
+      if (r < row) {
+        shifted[key] = this.formats[key];
+      } else if (r >= row + howMany) {
+        shifted[`${r - howMany},${c}`] = this.formats[key];
+      }
+    });
+    this.formats = shifted;
+  }
+
+  insertRowAfter(row) {
+    this.rows.splice(row, 0, []);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    this.formats = {};
+    return this;
+  }
+
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+  isSheetHidden() { return this.hidden; }
+  activate() { this.spreadsheet.activeSheet = this; return this; }
+  setFrozenRows(rows) { this.frozenRows = rows; }
+  getFrozenRows() { return this.frozenRows; }
+  setColumnWidth() { return this; }
+  autoResizeColumns() { return this; }
+}
+
+class FakeSpreadsheet {
+  constructor(name, sheets) {
+    this.name = name;
+    this.id = 'spreadsheet-1';
+    this.sheets = [];
+    this.nextSheetId = 1;
+    this.activeSheet = null;
+    Object.keys(sheets || {}).forEach(sheetName => this.insertSheet(sheetName, sheets[sheetName]));
+    this.activeSheet = this.sheets[0] || null;
+  }
+
+  getName() { return this.name; }
+  getId() { return this.id; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+  getSheets() { return this.sheets.slice(); }
+  getSheetByName(name) { return this.sheets.find(sheet => sheet.getName() === name) || null; }
+  getActiveSheet() { return this.activeSheet; }
+  getSpreadsheetTimeZone() { return DEFAULT_TIMEZONE; }
+
+  insertSheet(name, rows) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(this, name, Array.isArray(rows) ? rows : [], this.nextSheetId++);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+
+  toast(message, title) {
+    this.toasts = this.toasts || [];
+    this.toasts.push({ message: message, title: title });
+  }
+}
+
+class FakeUi {
+  constructor() {
+    this.alerts = [];
+    this.dialogs = [];
+    this.sidebars = [];
+    this.menus = [];
+    // alert() 的返回值，测试可以修改（例如模拟用户点击"否"）
+    this.nextResponse = 'YES';
+    this.ButtonSet = { OK: 'OK', OK_CANCEL: 'OK_CANCEL', YES_NO: 'YES_NO', YES_NO_CANCEL: 'YES_NO_CANCEL' };
+    this.Button = { OK: 'OK', CANCEL: 'CANCEL', YES: 'YES', NO: 'NO', CLOSE: 'CLOSE' };
+  }
+
+  alert(title, message, buttons) {
+    this.alerts.push({ title: title, message: message === undefined ? '' : message, buttons: buttons });
+    return this.nextResponse;
+  }
+
+  prompt(title, message, buttons) {
+    this.alerts.push({ title: title, message: message, buttons: buttons, prompt: true });
+    const response = this.nextPromptText === undefined ? '' : this.nextPromptText;
+    const button = this.nextResponse;
+    return { getResponseText: () => response, getSelectedButton: () => button };
+  }
+
+  createMenu(title) {
+    const menu = { title: title, items: [] };
+    this.menus.push(menu);
+    const builder = {
+      addItem: (caption, functionName) => { menu.items.push({ caption: caption, functionName: functionName }); return builder; },
+      addSeparator: () => { menu.items.push({ separator: true }); return builder; },
+      addSubMenu: (subMenu) => { menu.items.push({ subMenu: subMenu }); return builder; },
+      addToUi: () => {}
+    };
+    return builder;
+  }
+
+  showModalDialog(output, title) { this.dialogs.push({ output: output, title: title }); }
+  showModelessDialog(output, title) { this.dialogs.push({ output: output, title: title }); }
+  showSidebar(output) { this.sidebars.push({ output: output }); }
+}
+
+// ==================== CalendarApp / Calendar.Events ====================
+
+let eventCounter = 0;
+
+/**
+ * 生成事件ID（Calendar API 允许的 base32hex 字符）
+ */
+function generateEventId() {
+  eventCounter++;
+  return 'evt' + String(eventCounter).padStart(5, '0') + crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * 内存中的日历：CalendarApp 和 Calendar.Events 读写同一份事件数据
+ */
+class FakeCalendarStore {
+  constructor(recorder, calendarIds) {
+    this.recorder = recorder;
+    this.calendars = new Map();
+    this.changeCounter = 0; // 逻辑时钟：每次修改事件递增，用于 syncToken 增量查询
+    (calendarIds || []).forEach(id => this.addCalendar(id));
+  }
+
+  addCalendar(id, name) {
+    const calendar = { id: id, name: name || id, events: new Map() };
+    this.calendars.set(id, calendar);
+    return calendar;
+  }
+
+  getCalendarData(calendarId) {
+    return this.calendars.get(calendarId) || null;
+  }
+
+  /**
+   * 去掉 CalendarApp 事件ID中的 "@google.com" 后缀
+   */
+  static baseId(eventId) {
+    return String(eventId).split('@')[0];
+  }
+
+  createEventData(calendarData, fields) {
+    const id = fields.id || generateEventId();
+    if (calendarData.events.has(id)) {
+      const error = new Error('API call to calendar.events.insert failed with error: The requested identifier already exists.');
+      error.code = 409;
+      throw error;
+    }
+    const now = new Date();
+    const data = {
+      id: id,
+      calendarId: calendarData.id,
+      summary: fields.summary || '',
+      description: fields.description || '',
+      location: fields.location || '',
+      start: fields.start,
+      end: fields.end,
+      allDay: !!fields.allDay,
+      attendees: (fields.attendees || []).map(attendee => ({ email: attendee.email, responseStatus: attendee.responseStatus || 'needsAction' })),
+      conferenceData: fields.conferenceData || null,
+      reminders: [],
+      extendedProperties: fields.extendedProperties || null,
+      recurrence: fields.recurrence || null,
+      status: 'confirmed',
+      created: now,
+      updated: now,
+      changeStamp: ++this.changeCounter,
+      sequence: 0
+    };
+    calendarData.events.set(id, data);
+    return data;
+  }
+
+  /**
+   * 记录事件被修改（更新时间和逻辑时钟）
+   */
+  touch(data) {
+    data.updated = new Date();
+    data.changeStamp = ++this.changeCounter;
+  }
+
+  findEvent(calendarId, eventId) {
+    const calendarData = this.getCalendarData(calendarId);
+    if (!calendarData) {
+      return null;
+    }
+    return calendarData.events.get(FakeCalendarStore.baseId(eventId)) || null;
+  }
+
+  /**
+   * 模拟在 Google 日历界面中手动删除事件
+   */
+  deleteEventManually(calendarId, eventId) {
+    const data = this.findEvent(calendarId, eventId);
+    if (data) {
+      data.status = 'cancelled';
+      this.touch(data);
+    }
+  }
+
+  /**
+   * 模拟在 Google 日历界面中手动修改事件
+   */
+  editEventManually(calendarId, eventId, changes) {
+    const data = this.findEvent(calendarId, eventId);
+    if (!data) {
+      throw new Error(`事件不存在: ${eventId}`);
+    }
+    Object.assign(data, changes);
+    this.touch(data);
+    data.sequence++;
+  }
+
+  toResource(data) {
+    const formatValue = (date) => data.allDay ?
+      { date: formatDateInZone(date, DEFAULT_TIMEZONE, 'yyyy-MM-dd') } :
+      { dateTime: formatDateInZone(date, DEFAULT_TIMEZONE, "yyyy-MM-dd'T'HH:mm:ssXXX"), timeZone: DEFAULT_TIMEZONE };
+    const resource = {
+      id: data.id,
+      iCalUID: data.id + '@google.com',
+      status: data.status,
+      summary: data.summary,
+      description: data.description,
+      location: data.location,
+      start: formatValue(data.start),
+      end: formatValue(data.end),
+      attendees: data.attendees.map(attendee => Object.assign({}, attendee)),
+      created: data.created.toISOString(),
+      updated: data.updated.toISOString(),
+      sequence: data.sequence,
+      htmlLink: `https://calendar.google.com/calendar/event?eid=${data.id}`
+    };
+    if (data.conferenceData) {
+      resource.conferenceData = JSON.parse(JSON.stringify(data.conferenceData));
+      resource.hangoutLink = data.conferenceData.entryPoints ? data.conferenceData.entryPoints[0].uri : undefined;
+    }
+    if (data.extendedProperties) {
+      resource.extendedProperties = JSON.parse(JSON.stringify(data.extendedProperties));
+    }
+    if (data.recurrence) {
+      resource.recurrence = data.recurrence.slice();
+    }
+    return resource;
+  }
+
+  /**
+   * 所有未删除的事件（测试断言用）
+   */
+  events(calendarId) {
+    const calendarData = this.getCalendarData(calendarId);
+    if (!calendarData) {
+      return [];
+    }
+    return Array.from(calendarData.events.values())
+      .filter(data => data.status !== 'cancelled')
+      .map(data => this.toResource(data));
+  }
+}
+
+/**
+ * Calendar.Events 错误对象（模拟高级服务抛出的错误消息）
+ */
+function calendarApiError(method, message, code) {
+  const error = new Error(`API call to calendar.events.${method} failed with error: ${message}`);
+  error.code = code;
+  return error;
+}
+
+function buildConferenceData(conferenceData, eventId) {
+  if (!conferenceData) {
+    return null;
+  }
+  if (conferenceData.createRequest) {
+    return {
+      conferenceId: 'meet-' + eventId,
+      entryPoints: [{ entryPointType: 'video', uri: `https://meet.google.com/${eventId.slice(0, 12)}` }],
+      conferenceSolution: { key: { type: 'hangoutsMeet' } }
+    };
+  }
+  return conferenceData;
+}
+
+function createCalendarService(store) {
+  const recorder = store.recorder;
+
+  const Events = {
+    insert(resource, calendarId, options) {
+      recorder.record('Calendar.Events.insert', [resource, calendarId, options]);
+      const calendarData = store.getCalendarData(calendarId);
+      if (!calendarData) {
+        throw calendarApiError('insert', 'Not Found', 404);
+      }
+      const start = parseEventDateTime(resource.start);
+      const end = parseEventDateTime(resource.end);
+      const id = resource.id || generateEventId();
+      if (calendarData.events.has(id)) {
+        throw calendarApiError('insert', 'The requested identifier already exists.', 409);
+      }
+      const data = store.createEventData(calendarData, {
+        id: id,
+        summary: resource.summary,
+        description: resource.description,
+        location: resource.location,
+        start: start.date,
+        end: end.date,
+        allDay: start.allDay,
+        attendees: resource.attendees,
+        conferenceData: buildConferenceData(resource.conferenceData, id),
+        extendedProperties: resource.extendedProperties,
+        recurrence: resource.recurrence
+      });
+      return store.toResource(data);
+    },
+
+    patch(resource, calendarId, eventId, options) {
+      recorder.record('Calendar.Events.patch', [resource, calendarId, eventId, options]);
+      const data = store.findEvent(calendarId, eventId);
+      if (!data) {
+        throw calendarApiError('patch', 'Not Found', 404);
+      }
+      if (resource.summary !== undefined) data.summary = resource.summary;
+      if (resource.description !== undefined) data.description = resource.description;
+      if (resource.location !== undefined) data.location = resource.location;
+      if (resource.start) {
+        const start = parseEventDateTime(resource.start);
+        data.start = start.date;
+        data.allDay = start.allDay;
+      }
+      if (resource.end) data.end = parseEventDateTime(resource.end).date;
+      if (resource.attendees) {
+        data.attendees = resource.attendees.map(attendee => ({ email: attendee.email, responseStatus: attendee.responseStatus || 'needsAction' }));
+      }
+      if (resource.conferenceData) data.conferenceData = buildConferenceData(resource.conferenceData, data.id);
+      if (resource.extendedProperties) data.extendedProperties = resource.extendedProperties;
+      if (resource.recurrence) data.recurrence = resource.recurrence;
+      if (resource.status) data.status = resource.status;
+      store.touch(data);
+      data.sequence++;
+      return store.toResource(data);
+    },
+
+    update(resource, calendarId, eventId, options) {
+      recorder.record('Calendar.Events.update', [resource, calendarId, eventId, options]);
+      return Events.patch(resource, calendarId, eventId, options);
+    },
+
+    get(calendarId, eventId) {
+      recorder.record('Calendar.Events.get', [calendarId, eventId]);
+      const data = store.findEvent(calendarId, eventId);
+      if (!data) {
+        throw calendarApiError('get', 'Not Found', 404);
+      }
+      return store.toResource(data);
+    },
+
+    remove(calendarId, eventId, options) {
+      recorder.record('Calendar.Events.remove', [calendarId, eventId, options]);
+      const data = store.findEvent(calendarId, eventId);
+      if (!data || data.status === 'cancelled') {
+        throw calendarApiError('remove', 'Resource has been deleted', 410);
+      }
+      data.status = 'cancelled';
+      store.touch(data);
+    },
+
+    list(calendarId, options) {
+      recorder.record('Calendar.Events.list', [calendarId, options]);
+      const calendarData = store.getCalendarData(calendarId);
+      if (!calendarData) {
+        throw calendarApiError('list', 'Not Found', 404);
+      }
+      const opts = options || {};
+      let items = Array.from(calendarData.events.values());
+      if (opts.syncToken) {
+        const since = Number(opts.syncToken.replace('sync-', ''));
+        if (isNaN(since) || (store.invalidSyncTokensBefore && since < store.invalidSyncTokensBefore)) {
+          throw calendarApiError('list', 'Sync token is no longer valid, a full sync is required.', 410);
+        }
+        items = items.filter(data => data.changeStamp > since);
+      } else if (!opts.showDeleted) {
+        items = items.filter(data => data.status !== 'cancelled');
+      }
+      if (opts.timeMin) {
+        const timeMin = new Date(opts.timeMin).getTime();
+        items = items.filter(data => data.end.getTime() > timeMin);
+      }
+      if (opts.timeMax) {
+        const timeMax = new Date(opts.timeMax).getTime();
+        items = items.filter(data => data.start.getTime() < timeMax);
+      }
+      return {
+        items: items.map(data => store.toResource(data)),
+        nextSyncToken: 'sync-' + store.changeCounter
+      };
+    }
+  };
+
+  const Freebusy = {
+    query(request) {
+      recorder.record('Calendar.Freebusy.query', [request]);
+      const timeMin = new Date(request.timeMin).getTime();
+      const timeMax = new Date(request.timeMax).getTime();
+      const calendars = {};
+      (request.items || []).forEach(item => {
+        const calendarData = store.getCalendarData(item.id);
+        if (!calendarData) {
+          calendars[item.id] = { busy: [], errors: [{ domain: 'global', reason: 'notFound' }] };
+          return;
+        }
+        const busy = Array.from(calendarData.events.values())
+          .filter(data => data.status !== 'cancelled' && data.start.getTime() < timeMax && data.end.getTime() > timeMin)
+          .map(data => ({ start: data.start.toISOString(), end: data.end.toISOString() }));
+        calendars[item.id] = { busy: busy };
+      });
+      return { calendars: calendars };
+    }
+  };
+
+  return { Events: Events, Freebusy: Freebusy };
+}
+
+/**
+ * CalendarApp 的 CalendarEvent 包装
+ */
+function wrapEvent(store, data) {
+  const recorder = store.recorder;
+  const event = {
+    getId: () => data.id + '@google.com',
+    getTitle: () => data.summary,
+    setTitle: (title) => { recorder.record('CalendarApp.Event.setTitle', [title]); data.summary = title; store.touch(data); return event; },
+    getDescription: () => data.description,
+    setDescription: (description) => { recorder.record('CalendarApp.Event.setDescription', [description]); data.description = description; store.touch(data); return event; },
+    getLocation: () => data.location,
+    setLocation: (location) => { data.location = location; store.touch(data); return event; },
+    getStartTime: () => new Date(data.start),
+    getEndTime: () => new Date(data.end),
+    getAllDayStartDate: () => new Date(data.start),
+    getAllDayEndDate: () => new Date(data.end),
+    isAllDayEvent: () => data.allDay,
+    getOriginalCalendarId: () => data.calendarId,
+    getLastUpdated: () => new Date(data.updated),
+    setTime: (start, end) => {
+      recorder.record('CalendarApp.Event.setTime', [start, end]);
+      data.start = new Date(start);
+      data.end = new Date(end);
+      data.allDay = false;
+      store.touch(data);
+      return event;
+    },
+    getGuestList: () => data.attendees.map(attendee => ({
+      getEmail: () => attendee.email,
+      getGuestStatus: () => attendee.responseStatus,
+      getName: () => attendee.email.split('@')[0]
+    })),
+    addGuest: (email) => {
+      recorder.record('CalendarApp.Event.addGuest', [email]);
+      if (!data.attendees.some(attendee => attendee.email === email)) {
+        data.attendees.push({ email: email, responseStatus: 'needsAction' });
+        store.touch(data);
+      }
+      return event;
+    },
+    removeGuest: (email) => {
+      recorder.record('CalendarApp.Event.removeGuest', [email]);
+      data.attendees = data.attendees.filter(attendee => attendee.email !== email);
+      store.touch(data);
+      return event;
+    },
+    deleteEvent: () => {
+      recorder.record('CalendarApp.Event.deleteEvent', [data.id]);
+      data.status = 'cancelled';
+      store.touch(data);
+    },
+    removeAllReminders: () => { data.reminders = []; return event; },
+    addEmailReminder: (minutes) => { data.reminders.push({ method: 'email', minutes: minutes }); return event; },
+    addPopupReminder: (minutes) => { data.reminders.push({ method: 'popup', minutes: minutes }); return event; },
+    getEmailReminders: () => data.reminders.filter(r => r.method === 'email').map(r => r.minutes),
+    getPopupReminders: () => data.reminders.filter(r => r.method === 'popup').map(r => r.minutes),
+    setTag: (key, value) => {
+      data.tags = data.tags || {};
+      data.tags[key] = value;
+      return event;
+    },
+    getTag: (key) => (data.tags && data.tags[key] !== undefined ? data.tags[key] : null)
+  };
+  return event;
+}
+
+function wrapCalendar(store, calendarData) {
+  const recorder = store.recorder;
+  return {
+    getId: () => calendarData.id,
+    getName: () => calendarData.name,
+    getTimeZone: () => DEFAULT_TIMEZONE,
+    getEventById: (eventId) => {
+      recorder.record('CalendarApp.Calendar.getEventById', [eventId]);
+      const data = calendarData.events.get(FakeCalendarStore.baseId(eventId));
+      return data && data.status !== 'cancelled' ? wrapEvent(store, data) : null;
+    },
+    createEvent: (title, start, end, options) => {
+      recorder.record('CalendarApp.Calendar.createEvent', [title, start, end, options]);
+      const data = store.createEventData(calendarData, {
+        summary: title,
+        start: new Date(start),
+        end: new Date(end),
+        description: options && options.description,
+        location: options && options.location,
+        attendees: options && options.guests ? options.guests.split(',').map(email => ({ email: email.trim() })) : []
+      });
+      return wrapEvent(store, data);
+    },
+    createAllDayEvent: (title, date) => {
+      recorder.record('CalendarApp.Calendar.createAllDayEvent', [title, date]);
+      const end = new Date(date);
+      end.setDate(end.getDate() + 1);
+      const data = store.createEventData(calendarData, { summary: title, start: new Date(date), end: end, allDay: true });
+      return wrapEvent(store, data);
+    },
+    getEvents: (start, end) => {
+      recorder.record('CalendarApp.Calendar.getEvents', [start, end]);
+      return Array.from(calendarData.events.values())
+        .filter(data => data.status !== 'cancelled' && data.start < end && data.end > start)
+        .map(data => wrapEvent(store, data));
+    }
+  };
+}
+
+function createCalendarApp(store) {
+  const recorder = store.recorder;
+  return {
+    getCalendarById: (calendarId) => {
+      recorder.record('CalendarApp.getCalendarById', [calendarId]);
+      const calendarData = store.getCalendarData(calendarId);
+      return calendarData ? wrapCalendar(store, calendarData) : null;
+    },
+    getAllCalendars: () => {
+      recorder.record('CalendarApp.getAllCalendars', []);
+      return Array.from(store.calendars.values()).map(calendarData => wrapCalendar(store, calendarData));
+    },
+    getDefaultCalendar: () => {
+      recorder.record('CalendarApp.getDefaultCalendar', []);
+      const first = store.calendars.values().next().value;
+      return first ? wrapCalendar(store, first) : null;
+    }
+  };
+}
+
+// ==================== 其他服务 ====================
+
+function createMailApp(recorder) {
+  const mail = {
+    sent: [],
+    quota: 100,
+    sendEmail(arg1, subject, body, options) {
+      const message = typeof arg1 === 'object' ?
+        Object.assign({}, arg1) :
+        Object.assign({ to: arg1, subject: subject, body: body }, options || {});
+      recorder.record('MailApp.sendEmail', [message]);
+      mail.sent.push(message);
+      mail.quota--;
+    },
+    getRemainingDailyQuota() {
+      return mail.quota;
+    }
+  };
+  return mail;
+}
+
+function createUtilities(state) {
+  return {
+    DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+    computeDigest(algorithm, value, charset) {
+      const buffer = crypto.createHash(algorithm).update(Buffer.from(String(value), charset || 'utf8')).digest();
+      // Apps Script 返回 Java 的有符号字节数组
+      return Array.from(buffer).map(byte => (byte > 127 ? byte - 256 : byte));
+    },
+    formatDate(date, timezone, pattern) {
+      return formatDateInZone(date, timezone || DEFAULT_TIMEZONE, pattern);
+    },
+    parseDate(text, timezone, pattern) {
+      return parseDateInZone(text, timezone || DEFAULT_TIMEZONE, pattern);
+    },
+    sleep(milliseconds) {
+      state.sleeps.push(milliseconds);
+      state.clock.advance(milliseconds);
+    },
+    getUuid() {
+      return crypto.randomUUID();
+    },
+    base64Encode(value) {
+      return Buffer.from(typeof value === 'string' ? value : Buffer.from(value)).toString('base64');
+    },
+    base64EncodeWebSafe(value) {
+      return Buffer.from(typeof value === 'string' ? value : Buffer.from(value)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    }
+  };
+}
+
+/**
+ * Script Properties 单个值的上限（与 Apps Script 一致，超过时 setProperty 抛出错误）
+ */
+const PROPERTY_VALUE_MAX_BYTES = 9 * 1024;
+
+/**
+ * CacheService 单个值的上限（与 Apps Script 一致）
+ */
+const CACHE_VALUE_MAX_BYTES = 100 * 1024;
+
+function createPropertiesStore() {
+  const values = {};
+  const store = {
+    getProperty: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    setProperty: (key, value) => {
+      if (Buffer.byteLength(String(value), 'utf8') > PROPERTY_VALUE_MAX_BYTES) {
+        throw new Error('Exception: Argument too large: value');
+      }
+      values[key] = String(value);
+      return store;
+    },
+    deleteProperty: (key) => { delete values[key]; },
+    getProperties: () => Object.assign({}, values),
+    getKeys: () => Object.keys(values),
+    setProperties: (properties, deleteAllOthers) => {
+      if (deleteAllOthers) {
+        Object.keys(values).forEach(key => delete values[key]);
+      }
+      Object.keys(properties).forEach(key => { values[key] = String(properties[key]); });
+    },
+    deleteAllProperties: () => { Object.keys(values).forEach(key => delete values[key]); }
+  };
+  return store;
+}
+
+/**
+ * CacheService.getScriptCache() 的简化实现（不处理过期时间）
+ */
+function createCacheStore() {
+  const values = {};
+  const cache = {
+    get: (key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null),
+    getAll: (keys) => {
+      const result = {};
+      keys.filter(key => Object.prototype.hasOwnProperty.call(values, key)).forEach(key => { result[key] = values[key]; });
+      return result;
+    },
+    put: (key, value) => {
+      if (Buffer.byteLength(String(value), 'utf8') > CACHE_VALUE_MAX_BYTES) {
+        throw new Error('Exception: Argument too large: value');
+      }
+      values[key] = String(value);
+    },
+    putAll: (entries) => { Object.keys(entries).forEach(key => cache.put(key, entries[key])); },
+    remove: (key) => { delete values[key]; },
+    removeAll: (keys) => { keys.forEach(key => delete values[key]); },
+    /** 清空缓存（模拟缓存过期或被回收） */
+    clear: () => { Object.keys(values).forEach(key => delete values[key]); },
+    keys: () => Object.keys(values)
+  };
+  return cache;
+}
+
+function createLockService(recorder) {
+  const locks = {};
+  const getLock = (type) => {
+    locks[type] = locks[type] || { heldByOther: false, held: false };
+    const state = locks[type];
+    return {
+      tryLock: (timeoutInMillis) => {
+        recorder.record('LockService.tryLock', [type, timeoutInMillis]);
+        if (state.heldByOther) {
+          return false;
+        }
+        state.held = true;
+        return true;
+      },
+      waitLock: (timeoutInMillis) => {
+        recorder.record('LockService.waitLock', [type, timeoutInMillis]);
+        if (state.heldByOther) {
+          throw new Error('Lock timeout: another process was holding the lock for too long.');
+        }
+        state.held = true;
+      },
+      releaseLock: () => {
+        recorder.record('LockService.releaseLock', [type]);
+        state.held = false;
+      },
+      hasLock: () => state.held
+    };
+  };
+  return {
+    locks: locks,
+    getDocumentLock: () => getLock('document'),
+    getScriptLock: () => getLock('script'),
+    getUserLock: () => getLock('user')
+  };
+}
+
+function createHtmlService(state) {
+  const wrapOutput = (content) => {
+    const output = {
+      content: content,
+      title: '',
+      getContent: () => output.content,
+      setContent: (value) => { output.content = value; return output; },
+      append: (value) => { output.content += value; return output; },
+      setTitle: (title) => { output.title = title; return output; },
+      getTitle: () => output.title,
+      setWidth: (width) => { output.width = width; return output; },
+      setHeight: (height) => { output.height = height; return output; },
+      setSandboxMode: () => output,
+      addMetaTag: () => output
+    };
+    return output;
+  };
+  return {
+    SandboxMode: { IFRAME: 'IFRAME' },
+    createHtmlOutput: (html) => wrapOutput(html || ''),
+    createTemplate: (html) => {
+      const template = {
+        evaluate: () => {
+          // 只支持 <?= expr ?> 和 <?!= expr ?>，足够测试使用
+          const rendered = String(html).replace(/<\?!?=([\s\S]*?)\?>/g, (match, expression) => {
+            const fn = new Function(...Object.keys(template).filter(key => key !== 'evaluate'), `return (${expression});`);
+            const args = Object.keys(template).filter(key => key !== 'evaluate').map(key => template[key]);
+            return String(fn(...args));
+          });
+          return wrapOutput(rendered);
+        }
+      };
+      return template;
+    },
+    createHtmlOutputFromFile: (name) => {
+      state.htmlFiles = state.htmlFiles || [];
+      state.htmlFiles.push(name);
+      return wrapOutput('');
+    }
+  };
+}
+
+function createScriptApp(recorder, state) {
+  let triggerCounter = 0;
+  const triggers = [];
+  const makeBuilder = (handlerFunction) => {
+    const trigger = { handlerFunction: handlerFunction, eventType: 'CLOCK', options: {} };
+    const builder = {
+      timeBased: () => builder,
+      forSpreadsheet: (spreadsheet) => { trigger.eventType = 'ON_EDIT_PENDING'; trigger.source = spreadsheet; return builder; },
+      onEdit: () => { trigger.eventType = 'ON_EDIT'; return builder; },
+      onChange: () => { trigger.eventType = 'ON_CHANGE'; return builder; },
+      everyMinutes: (n) => { trigger.options.everyMinutes = n; return builder; },
+      everyHours: (n) => { trigger.options.everyHours = n; return builder; },
+      everyDays: (n) => { trigger.options.everyDays = n; return builder; },
+      atHour: (h) => { trigger.options.atHour = h; return builder; },
+      nearMinute: (m) => { trigger.options.nearMinute = m; return builder; },
+      after: (ms) => { trigger.options.after = ms; return builder; },
+      at: (date) => { trigger.options.at = date; return builder; },
+      inTimezone: (tz) => { trigger.options.timezone = tz; return builder; },
+      create: () => {
+        triggerCounter++;
+        const id = 'trigger-' + triggerCounter;
+        const created = {
+          getUniqueId: () => id,
+          getHandlerFunction: () => trigger.handlerFunction,
+          getEventType: () => trigger.eventType,
+          getTriggerSource: () => (trigger.eventType === 'CLOCK' ? 'CLOCK' : 'SPREADSHEETS'),
+          options: trigger.options
+        };
+        recorder.record('ScriptApp.newTrigger.create', [trigger.handlerFunction, trigger.eventType, trigger.options]);
+        triggers.push(created);
+        return created;
+      }
+    };
+    return builder;
+  };
+  return {
+    triggers: triggers,
+    EventType: { CLOCK: 'CLOCK', ON_EDIT: 'ON_EDIT', ON_CHANGE: 'ON_CHANGE', ON_OPEN: 'ON_OPEN' },
+    TriggerSource: { CLOCK: 'CLOCK', SPREADSHEETS: 'SPREADSHEETS' },
+    AuthMode: { FULL: 'FULL', LIMITED: 'LIMITED', NONE: 'NONE' },
+    newTrigger: (handlerFunction) => makeBuilder(handlerFunction),
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger: (trigger) => {
+      recorder.record('ScriptApp.deleteTrigger', [trigger.getUniqueId()]);
+      const index = triggers.indexOf(trigger);
+      if (index >= 0) {
+        triggers.splice(index, 1);
+      }
+    },
+    getScriptId: () => 'script-1',
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/script-1/exec' })
+  };
+}
+
+/**
+ * 可控的时钟：Utilities.sleep() 会让时间前进，测试可以用它模拟执行时间
+ */
+function createClock() {
+  const RealDate = Date;
+  const clock = {
+    offset: 0,
+    advance: (milliseconds) => { clock.offset += milliseconds; },
+    now: () => RealDate.now() + clock.offset
+  };
+  return clock;
+}
+
+/**
+ * 构造一个与真实 Date 行为一致、但 now() 受可控时钟影响的 Date 类
+ */
+function createDateClass(clock) {
+  const RealDate = Date;
+  function FakeDate(...args) {
+    if (!new.target) {
+      return new RealDate(clock.now()).toString();
+    }
+    if (args.length === 0) {
+      return new RealDate(clock.now());
+    }
+    return new RealDate(...args);
+  }
+  FakeDate.prototype = RealDate.prototype;
+  FakeDate.now = () => clock.now();
+  FakeDate.UTC = RealDate.UTC;
+  FakeDate.parse = RealDate.parse;
+  Object.defineProperty(FakeDate, Symbol.hasInstance, { value: (instance) => instance instanceof RealDate });
+  return FakeDate;
+}
+
+// ==================== 组装 ====================
+
+/**
+ * 创建测试环境
+ * @param {Object} options
+ * @param {Object<string, Array<Array>>} options.sheets - 初始 Sheet 数据（Sheet名称 → 二维数组）
+ * @param {Array<string>} options.calendars - 可访问的日历ID（默认包含 organizer@example.com）
+ * @param {string} options.activeUser - 当前用户邮箱
+ * @returns {Object} 测试环境
+ */
+function createHarness(options) {
+  const opts = options || {};
+  const recorder = new CallRecorder();
+  const state = { logs: [], sleeps: [], clock: createClock() };
+
+  const spreadsheet = new FakeSpreadsheet(opts.spreadsheetName || '课程表测试', opts.sheets || {});
+  const ui = new FakeUi();
+  const calendarStore = new FakeCalendarStore(recorder, opts.calendars || ['organizer@example.com']);
+  const mail = createMailApp(recorder);
+  const lockService = createLockService(recorder);
+  const scriptProperties = createPropertiesStore();
+  const documentProperties = createPropertiesStore();
+  const userProperties = createPropertiesStore();
+  const scriptCache = createCacheStore();
+  const scriptApp = createScriptApp(recorder, state);
+  const activeUser = opts.activeUser || 'organizer@example.com';
+
+  const globals = {
+    console: console,
+    Date: createDateClass(state.clock),
+    Logger: {
+      log: (message) => {
+        state.logs.push(String(message));
+      }
+    },
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      getActive: () => spreadsheet,
+      openById: () => spreadsheet,
+      getUi: () => {
+        if (opts.noUi) {
+          throw new Error('Cannot call SpreadsheetApp.getUi() from this context.');
+        }
+        return ui;
+      },
+      flush: () => {}
+    },
+    CalendarApp: createCalendarApp(calendarStore),
+    Calendar: createCalendarService(calendarStore),
+    MailApp: mail,
+    Utilities: createUtilities(state),
+    Session: {
+      getScriptTimeZone: () => DEFAULT_TIMEZONE,
+      getActiveUser: () => ({ getEmail: () => activeUser }),
+      getEffectiveUser: () => ({ getEmail: () => activeUser })
+    },
+    LockService: lockService,
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getDocumentProperties: () => documentProperties,
+      getUserProperties: () => userProperties
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache
+    },
+    HtmlService: createHtmlService(state),
+    ScriptApp: scriptApp
+  };
+
+  const context = vm.createContext(globals);
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: 'syncCalendarWithSheet.js' });
+
+  return {
+    context: context,
+    spreadsheet: spreadsheet,
+    ui: ui,
+    mail: mail,
+    recorder: recorder,
+    locks: lockService.locks,
+    scriptProperties: scriptProperties,
+    documentProperties: documentProperties,
+    scriptCache: scriptCache,
+    triggers: scriptApp.triggers,
+    calendarStore: calendarStore,
+    logs: state.logs,
+    sleeps: state.sleeps,
+    clock: state.clock,
+
+    /**
+     * 调用脚本中的全局函数
+     */
+    run(functionName, ...args) {
+      const fn = context[functionName];
+      if (typeof fn !== 'function') {
+        throw new Error(`脚本中没有函数: ${functionName}`);
+      }
+      return fn(...args);
+    },
+
+    /**
+     * 在脚本上下文中求值（用于读取/修改 CONFIG 等 const 声明）
+     */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    },
+
+    /**
+     * 获取 Sheet 的全部值（二维数组）
+     */
+    sheetValues(name) {
+      const sheet = spreadsheet.getSheetByName(name);
+      if (!sheet) {
+        return null;
+      }
+      const lastRow = sheet.getLastRow();
+      const lastColumn = sheet.getLastColumn();
+      if (lastRow === 0 || lastColumn === 0) {
+        return [];
+      }
+      return sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+    },
+
+    /**
+     * 以对象数组形式读取 Sheet（第一行为表头）
+     */
+    sheetRecords(name) {
+      const values = this.sheetValues(name) || [];
+      if (values.length === 0) {
+        return [];
+      }
+      const headers = values[0];
+      return values.slice(1).map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = row[index];
+        });
+        return record;
+      });
+    },
+
+    /**
+     * 修改 Sheet 中某个单元格（行列从1开始）
+     */
+    setCell(name, row, column, value) {
+      spreadsheet.getSheetByName(name).setCell(row, column, value);
+    },
+
+    /**
+     * 按表头名修改课程表中某一行的值（行号从1开始，包含表头）
+     */
+    setField(name, row, header, value) {
+      const sheet = spreadsheet.getSheetByName(name);
+      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+      const column = headers.indexOf(header) + 1;
+      if (column === 0) {
+        throw new Error(`表头不存在: ${header}`);
+      }
+      sheet.setCell(row, column, value);
+    },
+
+    deleteRow(name, row) {
+      spreadsheet.getSheetByName(name).deleteRow(row);
+    },
+
+    /**
+     * 获取日历中所有未删除的事件（Calendar API 资源格式）
+     */
+    events(calendarId) {
+      // 复制一份，避免把脚本上下文中创建的数组/对象直接交给断言（跨 vm 上下文的原型不同）
+      return JSON.parse(JSON.stringify(calendarStore.events(calendarId || 'organizer@example.com')));
+    },
+
+    /**
+     * 调用记录（前缀匹配），如 callsTo('Calendar.Events')、callsTo('MailApp')
+     */
+    callsTo(prefix) {
+      return recorder.callsTo(prefix);
+    },
+
+    failNext(name, fault, times) {
+      recorder.failNext(name, fault, times);
+    }
+  };
+}
+
+module.exports = {
+  createHarness: createHarness,
+  formatDateInZone: formatDateInZone,
+  parseDateInZone: parseDateInZone
+};
@@ -0,0 +1,1567 @@
+/**
+ * 端到端场景测试：通过 main() 驱动完整同步流程
+ *
+ * 运行方式：node --test test/*.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const COURSE_SHEET = '张三课程表';
+const ORGANIZER = 'organizer@example.com';
+const TEACHER = 'teacher@example.com';
+const STUDENT = 'student@example.com';
+
+const CONFIG_HEADERS = ['Sheet名称', '启用状态', '组织者日历ID', '老师邮箱', '学生邮箱', '时区', '提醒时间'];
+const COURSE_HEADERS = ['课次', '课程内容/主题', '开始时间', '结束时间', '老师', '学生'];
+
+/**
+ * 创建包含一个课程表的测试环境
+ */
+function setup(courseRows, options) {
+  const opts = options || {};
+  return createHarness(Object.assign({
+    sheets: {
+      _SheetConfig: [
+        CONFIG_HEADERS,
+        [COURSE_SHEET, '是', ORGANIZER, TEACHER, STUDENT, 'Asia/Shanghai', '30']
+      ].concat(opts.extraConfigRows || []),
+      [COURSE_SHEET]: [opts.headers || COURSE_HEADERS].concat(courseRows || [
+        ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三'],
+        ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三']
+      ])
+    }
+  }, opts.harness || {}));
+}
+
+function statusRecords(h) {
+  return h.sheetRecords('_StatusLog_' + COURSE_SHEET).filter(record => record['记录ID']);
+}
+
+test('创建：新课程在组织者日历上创建事件并邀请老师和学生', () => {
+  const h = setup();
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  const titles = events.map(event => event.summary).sort();
+  assert.deepEqual(titles, ['基础线条', '透视入门']);
+  events.forEach(event => {
+    assert.deepEqual(event.attendees.map(a => a.email).sort(), [STUDENT, TEACHER]);
+    assert.ok(event.hangoutLink, '应包含 Meet 链接');
+  });
+
+  const first = events.find(event => event.summary === '基础线条');
+  assert.equal(first.start.dateTime, '2025-11-14T09:00:00+08:00');
+  assert.equal(first.end.dateTime, '2025-11-14T10:30:00+08:00');
+
+  // 正式表写入了记录ID，状态表记录为已完成
+  const courses = h.sheetRecords(COURSE_SHEET);
+  courses.forEach(course => assert.match(String(course['记录ID']), /^REC_/));
+  const statuses = statusRecords(h);
+  assert.equal(statuses.length, 2);
+  statuses.forEach(status => {
+    assert.equal(status['处理状态'], '已完成');
+    assert.ok(status['组织者日历事件ID']);
+  });
+
+  // 再次同步：没有变化，不创建也不更新
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+  assert.equal(h.callsTo('CalendarApp.Event.setTitle').length, 0);
+});
+
+test('编辑：修改课程内容会更新原有事件而不是新建', () => {
+  const h = setup();
+  h.run('main');
+  const before = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '基础线条（进阶）');
+  h.recorder.reset();
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  const updated = events.find(event => event.id === before.id);
+  assert.equal(updated.summary, '基础线条（进阶）');
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+  // 按状态表记录的重复规则判断是否是重复日程，只在确认 Meet 链接时读取一次事件
+  assert.equal(statusRecords(h)[0]['重复规则'], '[]');
+  assert.equal(h.callsTo('Calendar.Events.get').length, 1);
+});
+
+test('全天课程：只填写日期的行创建全天事件，修改后通过 Calendar API 更新组织者日历上的事件', () => {
+  const h = setup([
+    ['第1次', '户外写生', '2025/11/14', '', '李老师', '张三']
+  ]);
+  h.run('main');
+  const before = h.events(ORGANIZER)[0];
+  assert.equal(before.start.date, '2025-11-14');
+
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '户外写生（雨天改室内）');
+  h.recorder.reset();
+  h.run('main');
+
+  assert.equal(statusRecords(h)[0]['处理状态'], '已完成');
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0, '应更新原事件，而不是退回重新创建');
+  const patches = h.callsTo('Calendar.Events.patch');
+  assert.equal(patches.length, 1);
+  assert.equal(patches[0].args[1], ORGANIZER);
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, before.id);
+  assert.equal(events[0].summary, '户外写生（雨天改室内）');
+});
+
+test('重复记录ID：复制行时连记录ID一起复制，第二行记为失败，不覆盖原来的事件', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', 'REC_1'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三', 'REC_1']
+  ], { headers: COURSE_HEADERS.concat(['记录ID']) });
+  h.run('main');
+
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['基础线条']);
+  const startCell = h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(3, 3);
+  assert.match(startCell.getNote(), /记录ID与第2行重复: REC_1/);
+  assert.equal(h.sheetRecords('_SyncRunLog')[0]['失败'], 1);
+
+  // 修改重复的行不会更新原来的事件
+  h.setField(COURSE_SHEET, 3, '课程内容/主题', '透视进阶');
+  h.run('main');
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['基础线条']);
+
+  // 清空记录ID后作为新课程创建
+  h.setField(COURSE_SHEET, 3, '记录ID', '');
+  h.run('main');
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary).sort(), ['基础线条', '透视进阶']);
+  assert.notEqual(h.sheetRecords(COURSE_SHEET)[1]['记录ID'], 'REC_1');
+  assert.equal(startCell.getNote(), '');
+});
+
+test('标题模板：按列名和开始时间拼接标题，修改模板后更新已同步的事件', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '', '张三']
+  ]);
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['标题模板'], ['{课次} {学生} / {老师|待定}']]);
+  h.run('main');
+
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary).sort(), ['第1次 张三 / 李老师', '第2次 张三 / 待定']);
+
+  // 修改模板：表格内容没有变化，也会更新已同步的事件
+  configSheet.getRange(2, CONFIG_HEADERS.length + 1).setValue('{开始时间:MM/dd} {星期} {开始时间}-{结束时间} {课程内容/主题}');
+  h.recorder.reset();
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  assert.deepEqual(events.map(event => event.summary).sort(), ['11/14 周五 09:00-10:30 基础线条', '11/21 周五 09:00-10:30 透视入门']);
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+
+  // 再次同步：没有变化
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('CalendarApp.Event.setTitle').length, 0);
+});
+
+test('列映射：英文表头按配置表的列映射读取，映射的列不存在时该 Sheet 同步失败', () => {
+  const headers = ['Lesson', 'Topic', 'Begins', 'Ends', 'Tutor', 'Pupil', 'Room', 'Tutor Email'];
+  const h = setup([
+    ['L1', 'Basic Lines', '2025/11/14 09:00', '2025/11/14 10:30', 'Ms Li', 'Zhang', 'Room 101', 'tutor@example.com']
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  const mapping = '开始时间=Begins; 结束时间=Ends; 课次=Lesson; 标题=Topic\n老师=Tutor; 学生=Pupil; 地点=Room; 老师邮箱=Tutor Email';
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['列映射'], [mapping]]);
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary, 'Basic Lines');
+  assert.equal(events[0].start.dateTime, '2025-11-14T09:00:00+08:00');
+  assert.equal(events[0].end.dateTime, '2025-11-14T10:30:00+08:00');
+  assert.equal(events[0].location, 'Room 101');
+  assert.deepEqual(events[0].attendees.map(a => a.email).sort(), [STUDENT, 'tutor@example.com']);
+  assert.doesNotMatch(events[0].description, /Begins|Tutor Email/);
+  assert.equal(statusRecords(h)[0]['课次'], 'L1');
+
+  // 修改地点：更新事件的地点
+  h.setField(COURSE_SHEET, 2, 'Room', 'Room 202');
+  h.run('main');
+  assert.equal(h.events(ORGANIZER)[0].location, 'Room 202');
+
+  // 映射的表头写错：该 Sheet 同步失败并说明原因，已有的事件不会被当作删除
+  configSheet.getRange(2, CONFIG_HEADERS.length + 1).setValue('开始时间=Start Time; 结束时间=Ends');
+  const summary = h.run('main');
+  const result = summary.results.find(item => item.sheetName === COURSE_SHEET);
+  assert.equal(result.success, false);
+  assert.match(result.error, /列映射"开始时间=Start Time"找不到表头"Start Time"/);
+  assert.equal(h.events(ORGANIZER).length, 1);
+});
+
+test('列映射：第一列不是课次时，第一列为空的行照常同步，开始时间为空的行跳过', () => {
+  const headers = ['Note', 'Lesson', 'Topic', 'Begins', 'Ends'];
+  const h = setup([
+    ['', 'L1', 'Basic Lines', '2025/11/14 09:00', '2025/11/14 10:30'],
+    ['bring paper', 'L2', 'Perspective', '', '']
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['列映射'], ['开始时间=Begins; 结束时间=Ends; 课次=Lesson; 标题=Topic']]);
+  h.run('main');
+
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['Basic Lines']);
+
+  const issues = h.run('getValidationReport').issues.map(issue => `${issue.rowIndex}:${issue.message}`);
+  assert.deepEqual(Array.from(issues), ['3:缺少Begins，此行不会同步']);
+});
+
+test('变更检测：忽略列的修改不更新事件，静默列只更新描述且不通知，修改配置不会让所有行变化', () => {
+  const headers = COURSE_HEADERS.concat(['教材', '备注']);
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', '《素描基础》', '已缴费'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三', '《透视》', '']
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 2).setValues([['静默列', '忽略列'], ['教材', '备注']]);
+  h.run('main');
+  const first = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+  const eventWrites = () => ['CalendarApp.Event.setTitle', 'CalendarApp.Event.setDescription', 'CalendarApp.Event.setTime', 'Calendar.Events.patch']
+    .reduce((count, name) => count + h.callsTo(name).length, 0);
+
+  // 忽略列：不修改日历事件，下次同步也不会再次检测到变化
+  h.setField(COURSE_SHEET, 2, '备注', '学费未结清');
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(eventWrites(), 0);
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(eventWrites(), 0);
+
+  // 静默列：只更新描述，不发送更新通知
+  h.setField(COURSE_SHEET, 2, '教材', '《素描基础》第二版');
+  h.recorder.reset();
+  h.run('main');
+  const patches = h.callsTo('Calendar.Events.patch');
+  assert.equal(patches.length, 1);
+  assert.equal(patches[0].args[3].sendUpdates, 'none');
+  assert.deepEqual(Object.keys(patches[0].args[0]), ['description']);
+  assert.match(h.events(ORGANIZER).find(event => event.id === first.id).description, /教材：《素描基础》第二版/);
+  assert.equal(h.callsTo('CalendarApp.Event.setTitle').length, 0);
+
+  // 修改配置（备注改为静默列）：没有行需要更新
+  configSheet.getRange(2, CONFIG_HEADERS.length + 1, 1, 2).setValues([['教材, 备注', '']]);
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(eventWrites(), 0);
+
+  // 其他列仍然是重要列：更新事件
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '基础线条（进阶）');
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).find(event => event.id === first.id).summary, '基础线条（进阶）');
+});
+
+test('描述模板：只显示模板中的字段，按模板的顺序和标签，并填入 Meet 链接和表格链接', () => {
+  const headers = COURSE_HEADERS.concat(['教材', '备注']);
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', '《素描基础》', '学费未结清'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '<张三>', '', '']
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  const template = [
+    '<b>{课次}</b> {开始时间}-{结束时间}',
+    '学生：{学生}',
+    '教材：{教材}',
+    '上课链接：<a href="{Meet链接}">加入会议</a>',
+    '<a href="{表格链接}">在课程表中查看</a>'
+  ].join('\n');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['描述模板'], [template]]);
+  h.run('main');
+
+  const sheetId = h.spreadsheet.getSheetByName(COURSE_SHEET).getSheetId();
+  const first = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+  assert.ok(first.hangoutLink);
+  assert.equal(first.description, [
+    '<b>第1次</b> 09:00-10:30',
+    '学生：张三',
+    '教材：《素描基础》',
+    `上课链接：<a href="${first.hangoutLink}">加入会议</a>`,
+    `<a href="${h.spreadsheet.getUrl()}#gid=${sheetId}&amp;range=2:2">在课程表中查看</a>`
+  ].join('\n'));
+
+  // 没有填写教材的行不显示"教材："，字段值按 HTML 转义
+  const second = h.events(ORGANIZER).find(event => event.summary === '透视入门');
+  assert.doesNotMatch(second.description, /教材|学费/);
+  assert.match(second.description, /学生：&lt;张三&gt;/);
+
+  // 修改模板：更新已同步的事件，保留原有的 Meet 链接
+  configSheet.getRange(2, CONFIG_HEADERS.length + 1).setValue('上课链接：{Meet链接}\n{课次}');
+  h.recorder.reset();
+  h.run('main');
+  const updated = h.events(ORGANIZER).find(event => event.id === first.id);
+  assert.equal(updated.description, `上课链接：${first.hangoutLink}\n第1次`);
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+
+  // 再次同步：没有变化
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('Calendar.Events.patch').length, 0);
+  assert.equal(h.callsTo('CalendarApp.Event.setDescription').length, 0);
+});
+
+test('删除行：删除日历事件并给老师和学生发送取消邮件', () => {
+  const h = setup();
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).length, 2);
+
+  h.deleteRow(COURSE_SHEET, 3);
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].summary, '基础线条');
+
+  const recipients = h.mail.sent.map(message => message.to).sort();
+  assert.deepEqual(recipients, [STUDENT, TEACHER]);
+  h.mail.sent.forEach(message => {
+    assert.match(message.subject, /^课程取消通知/);
+  });
+});
+
+test('取消邮件模板：按收件人的语言使用邮件模板表中的模板，填入已删除课程的时间和老师', () => {
+  const h = setup();
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['邮件语言'], [`中文; English=${STUDENT}`]]);
+  h.spreadsheet.insertSheet('_EmailTemplates', [
+    ['类型', '语言', '主题', '正文'],
+    ['取消', 'en', 'Cancelled: {标题} ({日期:MMM d})', 'Hi {学生},\n{课次} with {老师} at {开始时间} is cancelled.\nRoom: {地点}\nReason: {原因}']
+  ]);
+  h.run('main');
+
+  h.deleteRow(COURSE_SHEET, 3);
+  h.run('main');
+
+  assert.equal(h.mail.sent.length, 2);
+  // 学生设置为英文：使用模板表中的英文模板，空的占位符所在行不显示
+  const english = h.mail.sent.find(message => message.to === STUDENT);
+  assert.equal(english.subject, 'Cancelled: 透视入门 (Nov 21)');
+  assert.equal(english.body, 'Hi 张三,\n第2次 with 李老师 at 09:00 is cancelled.\nReason: The lesson was removed from the schedule');
+  assert.equal(english.htmlBody, undefined);
+
+  // 模板表中没有中文模板：使用内置模板，包含时间、老师和取消原因
+  const chinese = h.mail.sent.find(message => message.to === TEACHER);
+  assert.equal(chinese.subject, '课程取消通知：透视入门');
+  assert.match(chinese.htmlBody, /2025-11-21 周五/);
+  assert.match(chinese.htmlBody, /09:00 - 10:30/);
+  assert.match(chinese.htmlBody, /李老师/);
+  assert.match(chinese.htmlBody, /课程已从课程表中删除/);
+});
+
+test('取消邮件模板：模板表中不限语言的模板优先于内置模板，该语言的模板仍然最优先', () => {
+  const h = setup();
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['邮件语言'], [`中文; English=${STUDENT}`]]);
+  h.spreadsheet.insertSheet('_EmailTemplates', [
+    ['类型', '语言', '主题', '正文'],
+    ['取消', '', '停课：{标题}', '{课次} 停课'],
+    ['取消', 'en', 'Cancelled: {标题}', '{课次} is cancelled']
+  ]);
+  h.run('main');
+
+  h.deleteRow(COURSE_SHEET, 3);
+  h.run('main');
+
+  assert.equal(h.mail.sent.find(message => message.to === TEACHER).subject, '停课：透视入门');
+  assert.equal(h.mail.sent.find(message => message.to === TEACHER).body, '第2次 停课');
+  assert.equal(h.mail.sent.find(message => message.to === STUDENT).subject, 'Cancelled: 透视入门');
+});
+
+test('日期变化：同一记录改期后更新原事件的时间', () => {
+  const h = setup();
+  h.run('main');
+  const before = h.events(ORGANIZER).find(event => event.summary === '透视入门');
+
+  h.setField(COURSE_SHEET, 3, '开始时间', '2025/11/22 14:00');
+  h.setField(COURSE_SHEET, 3, '结束时间', '2025/11/22 15:30');
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  const moved = events.find(event => event.id === before.id);
+  assert.ok(moved, '应保留原事件');
+  assert.equal(moved.start.dateTime, '2025-11-22T14:00:00+08:00');
+  assert.equal(moved.end.dateTime, '2025-11-22T15:30:00+08:00');
+
+  const status = statusRecords(h).find(record => record['课次'] === '第2次');
+  assert.equal(status['日期'], '2025-11-22');
+  assert.equal(h.mail.sent.filter(message => /取消/.test(message.subject)).length, 0, '改期不应发送取消邮件');
+
+  // 改期：给老师和学生各发一封课程调整通知，显示调整前后的时间
+  const notices = h.mail.sent.filter(message => message.subject === '课程调整通知：透视入门');
+  assert.deepEqual(notices.map(message => message.to).sort(), [STUDENT, TEACHER]);
+  assert.match(notices[0].htmlBody, /原定时间：<\/strong><s>2025-11-21 周五 09:00 - 10:30<\/s>/);
+  assert.match(notices[0].htmlBody, /调整后时间：<\/strong>2025-11-22 周六 14:00 - 15:30/);
+  assert.doesNotMatch(notices[0].htmlBody, /调整原因/, '没有原因列时不显示原因');
+
+  // 只修改结束时间或其他列不算改期
+  h.mail.sent.length = 0;
+  h.setField(COURSE_SHEET, 3, '结束时间', '2025/11/22 16:00');
+  h.run('main');
+  assert.equal(h.mail.sent.length, 0);
+});
+
+test('课程调整通知：填写原因列时显示原因，英文收件人使用英文模板', () => {
+  const headers = COURSE_HEADERS.concat(['调整原因']);
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', '']
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['邮件语言'], [`zh; en=${STUDENT}`]]);
+  h.run('main');
+  assert.equal(h.mail.sent.length, 0, '新建课程不发送调整通知');
+
+  h.setField(COURSE_SHEET, 2, '开始时间', '2025/11/15 10:00');
+  h.setField(COURSE_SHEET, 2, '结束时间', '2025/11/15 11:30');
+  h.setField(COURSE_SHEET, 2, '调整原因', '老师出差');
+  h.run('main');
+
+  const chinese = h.mail.sent.find(message => message.to === TEACHER);
+  assert.match(chinese.htmlBody, /调整原因：<\/strong>老师出差/);
+  const english = h.mail.sent.find(message => message.to === STUDENT);
+  assert.equal(english.subject, 'Lesson rescheduled: 基础线条');
+  assert.match(english.htmlBody, /Was:<\/strong> <s>Friday, Nov 14, 2025 09:00 - 10:30<\/s>/);
+  assert.match(english.htmlBody, /Now:<\/strong> Saturday, Nov 15, 2025 10:00 - 11:30/);
+
+  // 再次同步：没有变化，不重复发送
+  h.mail.sent.length = 0;
+  h.run('main');
+  assert.equal(h.mail.sent.length, 0);
+});
+
+test('课程调整通知：改期时更新事件失败，重试成功后仍按原来的时间发送通知', () => {
+  const h = setup();
+  h.run('main');
+  const before = statusRecords(h).find(record => record['课次'] === '第2次');
+
+  h.setField(COURSE_SHEET, 3, '开始时间', '2025/11/22 14:00');
+  h.setField(COURSE_SHEET, 3, '结束时间', '2025/11/22 15:30');
+  const outage = new Error('Service error: Calendar');
+  ['CalendarApp.Calendar.getEventById', 'Calendar.Events.get', 'Calendar.Events.insert'].forEach(name => h.failNext(name, outage, 10));
+  h.run('main');
+  h.recorder.faults = {};
+
+  // 更新失败：保留上次的 token 和课程信息
+  const failed = statusRecords(h).find(record => record['课次'] === '第2次');
+  assert.equal(failed['处理状态'], '失败');
+  assert.equal(failed['Token'], before['Token']);
+  assert.equal(failed['课程信息'], before['课程信息']);
+  assert.equal(h.mail.sent.length, 0);
+
+  h.run('main');
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第2次')['处理状态'], '已完成');
+  const notices = h.mail.sent.filter(message => message.subject === '课程调整通知：透视入门');
+  assert.deepEqual(notices.map(message => message.to).sort(), [STUDENT, TEACHER]);
+  assert.match(notices[0].htmlBody, /原定时间：<\/strong><s>2025-11-21 周五 09:00 - 10:30<\/s>/);
+  assert.match(notices[0].htmlBody, /调整后时间：<\/strong>2025-11-22 周六 14:00 - 15:30/);
+});
+
+test('手动删除事件：下次同步时重新创建', () => {
+  const h = setup();
+  h.run('main');
+  const removed = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+  h.calendarStore.deleteEventManually(ORGANIZER, removed.id);
+  assert.equal(h.events(ORGANIZER).length, 1);
+
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  // 事件ID由记录ID固定生成，重新创建时恢复原来的事件
+  const recreated = events.find(event => event.summary === '基础线条');
+  assert.equal(recreated.id, removed.id);
+  assert.equal(recreated.status, 'confirmed');
+  const status = statusRecords(h).find(record => record['课次'] === '第1次');
+  assert.equal(status['处理状态'], '已完成');
+  assert.ok(String(status['组织者日历事件ID']).startsWith(recreated.id));
+});
+
+test('增量检测：有 syncToken 时不逐行验证事件，410 后退回完整检查', () => {
+  const h = setup();
+  h.run('main');
+  assert.ok(h.scriptProperties.getProperty('calendarSyncToken_' + ORGANIZER), '首次同步后保存 syncToken');
+
+  // 没有变化：只查询一次变更，不逐个读取事件
+  // （上次同步自己创建的事件也在变更列表中，下一次同步后才完全没有变更）
+  h.run('main');
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('Calendar.Events.list').length, 1);
+  assert.equal(h.callsTo('Calendar.Events.list')[0].args[1].syncToken !== undefined, true);
+  assert.equal(h.callsTo('CalendarApp.Calendar.getEventById').length, 0);
+
+  // 手动删除的事件通过变更列表发现并重新创建
+  const removed = h.events(ORGANIZER).find(event => event.summary === '透视入门');
+  h.calendarStore.deleteEventManually(ORGANIZER, removed.id);
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.equal(h.callsTo('Calendar.Events.list').length, 1);
+
+  // syncToken 过期（410）：逐行验证事件是否存在，并取得新的 syncToken
+  h.calendarStore.invalidSyncTokensBefore = Number.MAX_SAFE_INTEGER;
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('CalendarApp.Calendar.getEventById').length >= 2, true);
+  assert.equal(h.events(ORGANIZER).length, 2);
+  // 完整列出事件时只列出最近的事件，不翻遍日历的全部历史
+  const fullList = h.callsTo('Calendar.Events.list').find(call => call.args[1].syncToken === undefined);
+  const lookbackDays = h.evaluate('CONFIG.CALENDAR_FULL_SYNC_LOOKBACK_DAYS');
+  const lookbackMs = h.evaluate('Date.now()') - new Date(fullList.args[1].timeMin).getTime();
+  assert.ok(lookbackMs >= lookbackDays * 24 * 60 * 60 * 1000 && lookbackMs < (lookbackDays + 1) * 24 * 60 * 60 * 1000);
+  h.calendarStore.invalidSyncTokensBefore = 0;
+  h.run('main');
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('CalendarApp.Calendar.getEventById').length, 0);
+});
+
+test('速率限制：创建事件遇到速率限制时等待后重试', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三']
+  ]);
+  const rateLimitError = new Error('Rate Limit Exceeded: too many requests');
+  // 第一次尝试：Calendar API 和 CalendarApp 回退都失败
+  h.failNext('Calendar.Events.insert', rateLimitError);
+  h.failNext('CalendarApp.Calendar.createEvent', rateLimitError);
+
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1);
+  assert.equal(statusRecords(h)[0]['处理状态'], '已完成');
+  assert.ok(h.sleeps.includes(h.evaluate('CONFIG.RATE_LIMIT.RETRY_DELAY')), '重试前应等待');
+});
+
+test('固定事件ID：创建请求超时但实际已成功时，重试采用已有的事件而不重复创建', () => {
+  /**
+   * 让 Calendar.Events.insert 第一次实际创建成功后再抛出错误（模拟响应超时）
+   */
+  const failAfterInsert = (h, error) => {
+    const events = h.context.Calendar.Events;
+    const realInsert = events.insert;
+    let failed = false;
+    events.insert = function (resource, calendarId, options) {
+      const created = realInsert.call(events, resource, calendarId, options);
+      if (!failed) {
+        failed = true;
+        throw error;
+      }
+      return created;
+    };
+  };
+  const rows = [['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三']];
+
+  // 超时：回退到 CalendarApp 时按固定事件ID找到已创建的事件
+  const h = setup(rows);
+  failAfterInsert(h, new Error('Timed out waiting for response'));
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).length, 1);
+  assert.equal(h.callsTo('CalendarApp.Calendar.createEvent').length, 0);
+  const recordId = h.sheetRecords(COURSE_SHEET)[0]['记录ID'];
+  const eventId = h.events(ORGANIZER)[0].id;
+  assert.match(eventId, /^[0-9a-v]{5,1024}$/);
+  assert.equal(eventId, h.run('generateEventIdForRecord', COURSE_SHEET, recordId));
+  assert.ok(String(statusRecords(h)[0]['组织者日历事件ID']).startsWith(eventId));
+
+  // 速率限制：重试时 insert 返回"ID已存在"，采用已有的事件
+  const h2 = setup(rows);
+  const rateLimitError = new Error('Rate Limit Exceeded: too many requests');
+  failAfterInsert(h2, rateLimitError);
+  h2.failNext('CalendarApp.Calendar.getEventById', rateLimitError);
+  h2.run('main');
+  assert.equal(h2.events(ORGANIZER).length, 1);
+  assert.equal(statusRecords(h2)[0]['处理状态'], '已完成');
+  assert.ok(h2.logs.some(line => /事件ID已存在，采用已有的事件/.test(line)));
+  assert.equal(h2.callsTo('Calendar.Events.patch')[0].args[3].sendUpdates, 'none', '不再重复发送邀请');
+});
+
+test('固定事件ID：更新失败后回退到 CalendarApp 创建时，采用已有的事件并更新为当前内容', () => {
+  const h = setup();
+  h.run('main');
+  const before = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '线条进阶');
+  const outage = new Error('Service error: Calendar');
+  h.failNext('CalendarApp.Event.setTitle', outage);
+  h.failNext('Calendar.Events.insert', outage);
+  h.run('main');
+
+  assert.equal(statusRecords(h)[0]['处理状态'], '已完成');
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 2);
+  assert.equal(events.find(event => event.id === before.id).summary, '线条进阶');
+});
+
+test('速率限制：超过最大重试次数后记录为失败', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三']
+  ]);
+  const maxRetries = h.evaluate('CONFIG.RATE_LIMIT.MAX_RETRIES');
+  const rateLimitError = new Error('Quota exceeded, try again later');
+  h.failNext('Calendar.Events.insert', rateLimitError, maxRetries);
+  h.failNext('CalendarApp.Calendar.createEvent', rateLimitError, maxRetries);
+
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(statusRecords(h)[0]['处理状态'], '失败');
+});
+
+test('续跑：执行时间用完时保存进度，由一次性触发器从中断的行继续', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三'],
+    ['第3次', '明暗关系', '2025/11/28 09:00', '2025/11/28 10:30', '李老师', '张三']
+  ]);
+  // 每次执行只够处理一条记录
+  h.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+
+  const first = h.run('main');
+  assert.equal(first.interrupted, true);
+  assert.equal(h.events(ORGANIZER).length, 1);
+  // 只检查了第一行就用完时间：处理完这一行后，从下一行继续检查
+  const cursor = JSON.parse(h.scriptProperties.getProperty('syncResumeCursor'));
+  assert.equal(cursor.sheetName, COURSE_SHEET);
+  assert.equal(cursor.phase, '检查课程');
+  assert.equal(cursor.rowIndex, 3);
+  assert.deepEqual(h.triggers.map(trigger => trigger.getHandlerFunction()), ['continueSync']);
+
+  // 按触发器续跑，直到全部完成
+  let summary = null;
+  for (let run = 0; run < 5 && h.triggers.length > 0; run++) {
+    summary = h.run('continueSync');
+  }
+
+  assert.equal(summary.interrupted, false);
+  assert.equal(summary.runs, 3);
+  assert.equal(summary.results.length, 1);
+  assert.equal(summary.results[0].processed, 3);
+  assert.equal(h.events(ORGANIZER).length, 3);
+  assert.equal(h.triggers.length, 0);
+  assert.equal(h.scriptProperties.getProperty('syncResumeCursor'), null);
+  assert.ok(h.logs.some(line => /共执行 3 次（含 2 次续跑）/.test(line)));
+  assert.ok(h.scriptProperties.getProperty('calendarSyncToken_' + ORGANIZER), '续跑完成后保存 syncToken');
+});
+
+test('续跑：取消被删除的行时执行时间用完，续跑取消剩余的行并照常统计各项计数', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三'],
+    ['第3次', '明暗关系', '2025/11/28 09:00', '2025/11/28 10:30', '李老师', '张三']
+  ]);
+  h.run('main');
+  h.deleteRow(COURSE_SHEET, 3);
+  h.deleteRow(COURSE_SHEET, 2);
+  h.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+
+  const first = h.run('main');
+  assert.equal(first.interrupted, true);
+  const cursor = JSON.parse(h.scriptProperties.getProperty('syncResumeCursor'));
+  assert.equal(cursor.phase, '取消课程');
+  assert.equal(h.events(ORGANIZER).length, 2);
+
+  let summary = null;
+  for (let run = 0; run < 5 && h.triggers.length > 0; run++) {
+    summary = h.run('continueSync');
+  }
+  assert.equal(summary.interrupted, false);
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['明暗关系']);
+  const result = summary.results[0];
+  assert.deepEqual([result.created, result.updated, result.skipped, result.cancelled, result.failed], [0, 0, 1, 2, 0]);
+});
+
+test('续跑：失败的行超过 Script Properties 的大小限制时，进度只保存位置和计数，失败的行保存在缓存中', () => {
+  // 每行的错误信息约 7KB，累计的失败行放不进一个 Script Property（9KB）
+  const longRule = '偶尔上课' + '，视情况而定'.repeat(400);
+  const rows = [1, 2, 3, 4, 5].map(n => [`第${n}次`, '素描基础', `2025/11/${10 + n} 09:00`, `2025/11/${10 + n} 10:30`, '李老师', '张三', longRule]);
+  const continueAll = (h) => {
+    let summary = null;
+    for (let run = 0; run < 10 && h.triggers.length > 0; run++) {
+      summary = h.run('continueSync');
+    }
+    return summary;
+  };
+
+  const h = setup(rows, { headers: RECURRING_HEADERS });
+  h.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+  h.run('main');
+  const summary = continueAll(h);
+  assert.equal(summary.interrupted, false);
+  assert.equal(summary.runs, 5);
+  assert.equal(summary.results[0].failed, 5);
+  assert.deepEqual(Array.from(summary.results[0].failures, failure => failure.rowIndex), [2, 3, 4, 5, 6]);
+  assert.match(summary.results[0].failures[4].error, /视情况而定/);
+  // 完成后清除进度的所有部分
+  assert.deepEqual(h.scriptProperties.getKeys().filter(key => key.startsWith('syncResume')), []);
+  assert.deepEqual(h.scriptCache.keys(), []);
+
+  // 缓存过期：照常续跑完成，报告中只有计数和之后的失败行
+  const h2 = setup(rows, { headers: RECURRING_HEADERS });
+  h2.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+  h2.run('main');
+  const cursor = JSON.parse(h2.scriptProperties.getProperty('syncResumeCursor'));
+  assert.equal(cursor.results[0].failed, 1);
+  assert.equal(cursor.results[0].failures, undefined, '进度中不保存失败的行');
+  h2.scriptCache.clear();
+  const summary2 = continueAll(h2);
+  assert.equal(summary2.interrupted, false);
+  assert.equal(summary2.results[0].failed, 5);
+  assert.deepEqual(Array.from(summary2.results[0].failures, failure => failure.rowIndex), [3, 4, 5, 6]);
+  assert.ok(h2.logs.some(line => /失败的行和已取消的课程已过期/.test(line)));
+});
+
+test('续跑：拉取日历修改时执行时间用完，续跑从中断的行继续拉取', () => {
+  const h = setup();
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['双向同步'], ['日历优先']]);
+  h.run('main');
+
+  // 老师在日历中把两次课都推迟一天
+  for (const event of h.events(ORGANIZER)) {
+    const start = new Date(new Date(event.start.dateTime).getTime() + 24 * 60 * 60 * 1000);
+    const end = new Date(new Date(event.end.dateTime).getTime() + 24 * 60 * 60 * 1000);
+    h.calendarStore.editEventManually(ORGANIZER, event.id, { start: start, end: end });
+  }
+  h.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+
+  const first = h.run('main');
+  assert.equal(first.interrupted, true);
+  const cursor = JSON.parse(h.scriptProperties.getProperty('syncResumeCursor'));
+  assert.equal(cursor.phase, '拉取日历修改');
+  assert.equal(cursor.rowIndex, 3);
+  assert.deepEqual(h.sheetRecords(COURSE_SHEET).map(record => record['开始时间']), ['2025/11/15 09:00', '2025/11/21 09:00']);
+
+  let summary = null;
+  for (let run = 0; run < 5 && h.triggers.length > 0; run++) {
+    summary = h.run('continueSync');
+  }
+  assert.equal(summary.interrupted, false);
+  assert.deepEqual(h.sheetRecords(COURSE_SHEET).map(record => record['开始时间']), ['2025/11/15 09:00', '2025/11/22 09:00']);
+  assert.equal(h.callsTo('CalendarApp.Event.setTime').length, 0, '拉回后不应再写回日历');
+  assert.ok(h.scriptProperties.getProperty('calendarSyncToken_' + ORGANIZER), '续跑完成后保存 syncToken');
+});
+
+test('续跑：撞课检测时执行时间用完，续跑重新检测，之后的续跑沿用检测结果', () => {
+  const otherSheet = '李四课程表';
+  const h = createHarness({
+    sheets: {
+      _SheetConfig: [
+        CONFIG_HEADERS.concat(['撞课处理']),
+        [COURSE_SHEET, '是', ORGANIZER, TEACHER, STUDENT, 'Asia/Shanghai', '30', ''],
+        [otherSheet, '是', ORGANIZER, TEACHER, 'lisi@example.com', 'Asia/Shanghai', '30', '拒绝']
+      ],
+      [COURSE_SHEET]: [
+        COURSE_HEADERS,
+        ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三'],
+        ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三']
+      ],
+      [otherSheet]: [
+        COURSE_HEADERS,
+        ['第1次', '色彩基础', '2025/11/14 10:00', '2025/11/14 11:00', '李老师', '李四']
+      ]
+    }
+  });
+  h.evaluate('CONFIG.EXECUTION_TIME_BUDGET_MS = 1');
+
+  const first = h.run('main');
+  assert.equal(first.interrupted, true);
+  const cursor = JSON.parse(h.scriptProperties.getProperty('syncResumeCursor'));
+  assert.equal(cursor.phase, '撞课检测');
+  assert.equal(cursor.sheetName, COURSE_SHEET);
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(h.spreadsheet.getSheetByName('_ConflictReport'), null);
+
+  let summary = null;
+  for (let run = 0; run < 10 && h.triggers.length > 0; run++) {
+    summary = h.run('continueSync');
+  }
+  assert.equal(summary.interrupted, false);
+  assert.ok(summary.runs > 2, '检测之后的同步也分多次执行');
+  // 之后的续跑不再检测撞课，仍然不同步"拒绝"模式中冲突的行
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary).sort(), ['基础线条', '透视入门']);
+  assert.equal(h.sheetRecords('_ConflictReport').length, 1);
+  assert.deepEqual(h.scriptProperties.getKeys().filter(key => key.startsWith('syncResume')), []);
+});
+
+test('预览：只写入 _SyncPreview，不访问日历也不发送邮件', () => {
+  const h = setup();
+  h.run('main');
+
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '基础线条（进阶）');
+  h.deleteRow(COURSE_SHEET, 3);
+  h.spreadsheet.getSheetByName(COURSE_SHEET).appendRow(['第3次', '色彩基础', '2025/11/28 09:00', '2025/11/28 10:30', '李老师', '张三']);
+
+  const eventsBefore = JSON.stringify(h.events(ORGANIZER));
+  const courseBefore = JSON.stringify(h.sheetValues(COURSE_SHEET));
+  const statusBefore = JSON.stringify(h.sheetValues('_StatusLog_' + COURSE_SHEET));
+  h.recorder.reset();
+
+  h.run('previewSync');
+
+  assert.equal(h.callsTo('CalendarApp').length, 0);
+  assert.equal(h.callsTo('Calendar').length, 0);
+  assert.equal(h.callsTo('MailApp').length, 0);
+  assert.equal(JSON.stringify(h.events(ORGANIZER)), eventsBefore);
+  assert.equal(JSON.stringify(h.sheetValues(COURSE_SHEET)), courseBefore);
+  assert.equal(JSON.stringify(h.sheetValues('_StatusLog_' + COURSE_SHEET)), statusBefore);
+
+  const actions = h.sheetRecords('_SyncPreview').map(entry => `${entry['课次']}:${entry['操作']}`).sort();
+  assert.deepEqual(actions, ['第1次:更新', '第2次:取消', '第3次:创建']);
+});
+
+test('预览：与实际同步的判断一致（被取消的记录、记录ID重复、空闲检查）', () => {
+  const h = setup(null, {
+    harness: { calendars: [ORGANIZER, TEACHER] }
+  });
+  h.run('main');
+
+  // 启用空闲检查，老师在第1次课的时段内忙碌
+  h.spreadsheet.getSheetByName('_SheetConfig').getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['空闲检查'], ['是']]);
+  h.context.Calendar.Events.insert({
+    summary: '私人安排',
+    start: { dateTime: '2025-11-14T09:30:00', timeZone: 'Asia/Shanghai' },
+    end: { dateTime: '2025-11-14T10:00:00', timeZone: 'Asia/Shanghai' }
+  }, TEACHER);
+  // 删除第1次课后重新填写（没有记录ID），复制第2次课时连记录ID一起复制
+  const copiedId = h.sheetRecords(COURSE_SHEET)[1]['记录ID'];
+  h.setField(COURSE_SHEET, 2, '记录ID', '');
+  h.spreadsheet.getSheetByName(COURSE_SHEET).appendRow(['第2次', '透视进阶', '2025/11/28 09:00', '2025/11/28 10:30', '李老师', '张三', copiedId]);
+
+  h.run('previewSync');
+
+  const preview = h.sheetRecords('_SyncPreview');
+  assert.deepEqual(preview.map(entry => `${entry['课次']}:${entry['操作']}`).sort(), ['第1次:创建', '第1次:取消', '第2次:记录ID重复']);
+  assert.match(preview.find(entry => entry['操作'] === '创建')['原因'], /检查受邀者的忙闲状态/);
+  const duplicateReason = preview.find(entry => entry['操作'] === '记录ID重复')['原因'];
+  assert.equal(duplicateReason, `记录ID与第3行重复: ${copiedId}（复制行时请清空记录ID）`);
+
+  h.run('main');
+
+  // 被取消的记录不再匹配重新填写的行：重新创建时受邀者忙碌，记为冲突
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '冲突');
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['透视入门']);
+  assert.ok(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(4, 3).getNote().includes(duplicateReason));
+});
+
+const RECURRING_HEADERS = COURSE_HEADERS.concat(['重复']);
+
+test('重复课程：一行创建一个重复日程，修改规则会更新整个系列', () => {
+  const h = setup([
+    ['第1-12次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', '每周二,四 共12次']
+  ], { headers: RECURRING_HEADERS });
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].recurrence, ['RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=12']);
+  assert.equal(events[0].start.dateTime, '2025-11-11T09:00:00+08:00');
+  assert.equal(statusRecords(h)[0]['处理状态'], '已完成');
+
+  h.setField(COURSE_SHEET, 2, '重复', '重复：每周二,四 共16次 跳过2025/12/25');
+  h.recorder.reset();
+  h.run('main');
+
+  const updated = h.events(ORGANIZER);
+  assert.equal(updated.length, 1);
+  assert.equal(updated[0].id, events[0].id);
+  assert.deepEqual(updated[0].recurrence, [
+    'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=16',
+    'EXDATE;TZID=Asia/Shanghai:20251225T090000'
+  ]);
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+
+  // 清空规则：按状态表记录的原规则把系列改回单次事件，只在确认 Meet 链接时读取一次事件
+  h.setField(COURSE_SHEET, 2, '重复', '');
+  h.recorder.reset();
+  h.run('main');
+  const single = h.events(ORGANIZER);
+  assert.equal(single.length, 1);
+  assert.equal(single[0].id, events[0].id);
+  assert.ok(!single[0].recurrence || single[0].recurrence.length === 0);
+  assert.equal(statusRecords(h)[0]['重复规则'], '[]');
+  assert.equal(h.callsTo('Calendar.Events.get').length, 1);
+});
+
+test('重复课程：RRULE 写法和截止日期', () => {
+  const h = setup([
+    ['第1次起', '色彩', '2025/11/10 19:00', '2025/11/10 20:00', '李老师', '张三', 'FREQ=WEEKLY;BYDAY=MO'],
+    ['第1次起', '速写', '2025/11/12 19:00', '2025/11/12 20:00', '李老师', '张三', '每两周三 至2025/12/31']
+  ], { headers: RECURRING_HEADERS });
+  h.run('main');
+
+  const recurrences = h.events(ORGANIZER).map(event => event.recurrence[0]).sort();
+  assert.deepEqual(recurrences, [
+    'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=WE;UNTIL=20251231T155959Z'
+  ]);
+});
+
+test('重复课程：删除已开始的系列只取消剩余课次，未开始的系列整体删除', () => {
+  const h = setup([
+    ['第1-12次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', '每周二,四 共12次'],
+    ['第1-8次', '水彩', '2099/03/02 09:00', '2099/03/02 10:30', '李老师', '张三', '每周一 共8次']
+  ], { headers: RECURRING_HEADERS });
+  h.run('main');
+  const started = h.events(ORGANIZER).find(event => event.summary === '素描基础');
+
+  h.deleteRow(COURSE_SHEET, 3);
+  h.deleteRow(COURSE_SHEET, 2);
+  h.run('main');
+
+  const events = h.events(ORGANIZER);
+  assert.equal(events.length, 1, '未开始的系列应被删除');
+  assert.equal(events[0].id, started.id);
+  assert.match(events[0].recurrence[0], /^RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=\d{8}T\d{6}Z$/);
+  assert.equal(statusRecords(h).length, 0);
+  assert.ok(h.mail.sent.length > 0, '应发送取消邮件');
+});
+
+test('重复课程：无法识别的规则记为失败，不创建事件', () => {
+  const h = setup([
+    ['第1次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', '偶尔上课']
+  ], { headers: RECURRING_HEADERS });
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(statusRecords(h)[0]['处理状态'], '失败');
+});
+
+test('失败原因：写入状态表的错误信息和尝试次数，并在课程表中标记失败的行，成功后清除', () => {
+  const h = setup([
+    ['第1次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', '偶尔上课']
+  ], { headers: RECURRING_HEADERS });
+  const startCell = () => h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3);
+  h.run('main');
+
+  let status = statusRecords(h)[0];
+  assert.equal(status['处理状态'], '失败');
+  assert.match(status['错误信息'], /偶尔上课/);
+  assert.equal(status['尝试次数'], 1);
+  assert.match(startCell().getNote(), /^❌ 同步失败\n.*偶尔上课/);
+  assert.equal(startCell().getBackground(), '#f4cccc');
+
+  h.run('main');
+  assert.equal(statusRecords(h)[0]['尝试次数'], 2);
+
+  // 修正后同步成功：清除错误信息和标记，尝试次数累计到成功的这一次
+  h.setField(COURSE_SHEET, 2, '重复', '');
+  h.run('main');
+  status = statusRecords(h)[0];
+  assert.equal(status['处理状态'], '已完成');
+  assert.equal(status['错误信息'], '');
+  assert.equal(status['尝试次数'], 3);
+  assert.equal(startCell().getNote(), '');
+  assert.equal(startCell().getBackground(), '#ffffff');
+
+  // 下一次修改重新计数
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '素描进阶');
+  h.run('main');
+  assert.equal(statusRecords(h)[0]['尝试次数'], 1);
+
+  // 用户自己的备注和背景色：失败原因追加在备注后面，不覆盖背景色；成功后只清除失败原因
+  startCell().setNote('家长要求提前10分钟到');
+  startCell().setBackground('#fff2cc');
+  h.setField(COURSE_SHEET, 2, '重复', '偶尔上课');
+  h.run('main');
+  assert.match(startCell().getNote(), /^家长要求提前10分钟到\n\n❌ 同步失败\n.*偶尔上课/);
+  assert.equal(startCell().getBackground(), '#fff2cc');
+
+  h.run('main');
+  assert.equal((startCell().getNote().match(/❌ 同步失败/g) || []).length, 1, '再次失败时替换原来的失败原因');
+
+  h.setField(COURSE_SHEET, 2, '重复', '');
+  h.run('main');
+  assert.equal(startCell().getNote(), '家长要求提前10分钟到');
+  assert.equal(startCell().getBackground(), '#fff2cc');
+});
+
+test('重试：更新已有事件失败后，下次同步重新更新（状态表中的 token 已是新内容）', () => {
+  const h = setup();
+  h.run('main');
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '线条进阶');
+
+  // 日历暂时不可用：更新失败，回退创建也失败
+  const outage = new Error('Service error: Calendar');
+  ['CalendarApp.Calendar.getEventById', 'Calendar.Events.get', 'Calendar.Events.insert'].forEach(name => h.failNext(name, outage, 10));
+  h.run('main');
+  h.recorder.faults = {};
+  assert.equal(statusRecords(h)[0]['处理状态'], '失败');
+  assert.ok(statusRecords(h)[0]['组织者日历事件ID'], '保留已有的事件ID');
+
+  h.run('main');
+  assert.equal(statusRecords(h)[0]['处理状态'], '已完成');
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary).sort(), ['线条进阶', '透视入门']);
+});
+
+test('行内邮箱：老师邮箱列覆盖配置，修改后重新邀请正确的人', () => {
+  const headers = COURSE_HEADERS.concat(['老师邮箱', 'Student Email']);
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '王老师', '张三', 'wang@example.com', ''],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三', '', '']
+  ], { headers: headers });
+  h.run('main');
+
+  const attendeesOf = (summary) => h.events(ORGANIZER).find(event => event.summary === summary)
+    .attendees.map(attendee => attendee.email).sort();
+  assert.deepEqual(attendeesOf('基础线条'), [STUDENT, 'wang@example.com']);
+  assert.deepEqual(attendeesOf('透视入门'), [STUDENT, TEACHER]);
+  const description = h.events(ORGANIZER).find(event => event.summary === '基础线条').description;
+  assert.doesNotMatch(description, /wang@example\.com/, '邮箱列不显示在描述中');
+
+  // 在日历中手动添加的旁听者不是脚本邀请的，同步时保留
+  const first = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+  h.calendarStore.editEventManually(ORGANIZER, first.id, {
+    attendees: first.attendees.concat([{ email: 'observer@example.com' }])
+  });
+
+  // 只修改邮箱也会被识别为变化，并移除原来的老师
+  h.setField(COURSE_SHEET, 2, '老师邮箱', 'zhao@example.com');
+  h.setField(COURSE_SHEET, 3, 'Student Email', 'lisi@example.com');
+  h.recorder.reset();
+  h.run('main');
+
+  assert.deepEqual(attendeesOf('基础线条'), ['observer@example.com', STUDENT, 'zhao@example.com']);
+  assert.deepEqual(attendeesOf('透视入门'), ['lisi@example.com', TEACHER]);
+  assert.equal(h.callsTo('Calendar.Events.insert').length, 0);
+  assert.ok(h.callsTo('CalendarApp.Event.removeGuest').length >= 2);
+
+  // 更新失败时保留原来记录的受邀者，重试成功后才移除原来的老师
+  h.setField(COURSE_SHEET, 2, '老师邮箱', 'qian@example.com');
+  const outage = new Error('Service error: Calendar');
+  ['CalendarApp.Calendar.getEventById', 'Calendar.Events.get', 'Calendar.Events.insert'].forEach(name => h.failNext(name, outage, 10));
+  h.run('main');
+  h.recorder.faults = {};
+  const recordedEmails = () => JSON.parse(statusRecords(h)[0]['受邀者']).map(attendee => attendee.email).sort();
+  assert.equal(statusRecords(h)[0]['处理状态'], '失败');
+  assert.deepEqual(recordedEmails(), [STUDENT, 'zhao@example.com']);
+
+  h.run('main');
+  assert.deepEqual(attendeesOf('基础线条'), ['observer@example.com', 'qian@example.com', STUDENT]);
+  assert.deepEqual(recordedEmails(), ['qian@example.com', STUDENT]);
+});
+
+test('小班课：多个学生邮箱分别邀请，取消时通知每一位受邀者', () => {
+  const headers = COURSE_HEADERS.concat(['学生邮箱', '学生邮箱2']);
+  const h = setup([
+    ['第1次', '小组素描', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '三人组', 'a@example.com, b@example.com\nc@example.com', 'd@example.com'],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三', '', '']
+  ], { headers: headers });
+  h.run('main');
+
+  const group = h.events(ORGANIZER).find(event => event.summary === '小组素描');
+  assert.deepEqual(group.attendees.map(attendee => attendee.email).sort(),
+    ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com', TEACHER]);
+
+  h.deleteRow(COURSE_SHEET, 2);
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 1);
+  const recipients = h.mail.sent.map(message => message.to).sort();
+  assert.deepEqual(recipients, ['a@example.com', 'b@example.com', 'c@example.com', 'd@example.com', TEACHER]);
+  h.mail.sent.forEach(message => assert.equal(message.subject, '课程取消通知：小组素描'));
+});
+
+test('取消通知：按状态表记录的受邀者逐一发送，包括日历中手动添加的受邀者，每人一封并抄送组织者一次', () => {
+  const headers = COURSE_HEADERS.concat(['学生邮箱']);
+  const h = setup([
+    ['第1次', '小组素描', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '三人组', `a@example.com, b@example.com, ${TEACHER.toUpperCase()}`]
+  ], { headers: headers });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['抄送组织者'], ['是']]);
+  h.run('main');
+
+  // 状态表记录受邀者及角色（同时是老师和学生的邮箱只记录一次）
+  const attendees = JSON.parse(statusRecords(h)[0]['受邀者']);
+  assert.deepEqual(attendees, [
+    { email: TEACHER, role: '老师' },
+    { email: 'a@example.com', role: '学生' },
+    { email: 'b@example.com', role: '学生' }
+  ]);
+
+  // 日历中的受邀者列表不完整，另有手动添加的受邀者
+  const event = h.events(ORGANIZER)[0];
+  h.calendarStore.editEventManually(ORGANIZER, event.id, {
+    attendees: [{ email: 'B@example.com' }, { email: 'guest@example.com' }]
+  });
+
+  h.deleteRow(COURSE_SHEET, 2);
+  h.run('main');
+
+  const recipients = h.mail.sent.map(message => message.to).sort();
+  assert.deepEqual(recipients, ['a@example.com', 'b@example.com', 'guest@example.com', TEACHER]);
+  const copies = h.mail.sent.filter(message => message.cc);
+  assert.equal(copies.length, 1);
+  assert.equal(copies[0].cc, ORGANIZER);
+});
+
+test('同步报告：给管理员发送各 Sheet 汇总、失败的行和已取消的课程，"仅失败时"没有失败不发送', () => {
+  const h = setup([
+    ['第1次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', ''],
+    ['第2次', '素描进阶', '2025/11/18 09:00', '2025/11/18 10:30', '李老师', '张三', '偶尔上课']
+  ], { headers: RECURRING_HEADERS });
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['管理员邮箱'], ['admin@example.com']]);
+  h.run('main');
+
+  const reports = () => h.mail.sent.filter(message => message.to === 'admin@example.com');
+  assert.equal(reports().length, 1);
+  assert.match(reports()[0].subject, /1 个 Sheet 有失败（1 条记录）/);
+  const body = reports()[0].htmlBody;
+  assert.match(body, new RegExp(`<td[^>]*>${COURSE_SHEET}</td><td[^>]*>3</td><td[^>]*>[^<]+</td><td[^>]*>第2次</td><td[^>]*>失败`));
+  assert.match(body, /用时/);
+
+  // 修正失败的行并删除第1次课：报告列出取消的课程
+  h.mail.sent.length = 0;
+  h.setField(COURSE_SHEET, 3, '重复', '');
+  h.deleteRow(COURSE_SHEET, 2);
+  h.run('main');
+  assert.equal(reports().length, 1);
+  assert.match(reports()[0].subject, /全部成功/);
+  assert.match(reports()[0].htmlBody, new RegExp(`<td[^>]*>${COURSE_SHEET}</td><td[^>]*>[^<]+</td><td[^>]*>第1次</td><td[^>]*>2025-11-11</td>`));
+
+  // 只在失败时发送：没有失败时不发送
+  configSheet.getRange(1, CONFIG_HEADERS.length + 2, 2, 1).setValues([['管理员报告'], ['仅失败时']]);
+  h.mail.sent.length = 0;
+  h.run('main');
+  assert.equal(reports().length, 0);
+});
+
+test('同步记录：每次同步按 Sheet 追加触发来源和各项计数，超过最大行数时删除最早的记录', () => {
+  const h = setup();
+  h.run('main', { triggerUid: 'trigger-1' });
+
+  const runLog = () => h.sheetRecords('_SyncRunLog');
+  assert.equal(runLog().length, 1);
+  const first = runLog()[0];
+  assert.equal(first['触发来源'], '触发器');
+  assert.equal(first['Sheet'], COURSE_SHEET);
+  assert.equal(first['用户'], h.run('getRunLogUser'));
+  assert.ok(first['运行ID']);
+  assert.ok(first['开始时间'] instanceof Date && first['结束时间'] instanceof Date);
+  assert.deepEqual([first['创建'], first['更新'], first['跳过'], first['取消'], first['失败']], [2, 0, 0, 0, 0]);
+
+  // 修改一行、删除一行：从菜单执行
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '线条进阶');
+  h.deleteRow(COURSE_SHEET, 3);
+  h.run('menuRunSync');
+  const second = runLog()[1];
+  assert.equal(second['触发来源'], '菜单');
+  assert.notEqual(second['运行ID'], first['运行ID']);
+  assert.deepEqual([second['创建'], second['更新'], second['跳过'], second['取消'], second['失败']], [0, 1, 0, 1, 0]);
+
+  h.run('main');
+  assert.equal(runLog()[2]['触发来源'], 'API');
+  assert.equal(runLog()[2]['跳过'], 1);
+
+  // 超过最大行数时只保留最新的记录
+  h.evaluate('CONFIG.RUN_LOG.MAX_ROWS = 2');
+  h.run('main');
+  assert.equal(runLog().length, 2);
+  assert.equal(runLog()[0]['触发来源'], 'API');
+
+  h.run('menuViewRunLog');
+  const logSheet = h.spreadsheet.getSheetByName('_SyncRunLog');
+  assert.equal(logSheet.isSheetHidden(), false);
+  assert.equal(h.spreadsheet.getActiveSheet(), logSheet);
+});
+
+test('数据校验：列出每一行的问题，侧边栏中点击定位到该行', () => {
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', '', ''],
+    ['第2次', '透视入门', '下周五', '2025/11/21 10:30', '李老师', '张三', '', ''],
+    ['第3次', '色彩基础', '2025/11/28 10:30', '2025/11/28 09:00', '李老师', '张三', '', ''],
+    ['第4次', '写生', '2025/12/05 09:00', '2025/12/05 18:00', '李老师', '张三', '', ''],
+    ['第5次', '速写', '2025/12/12 09:00', '2025/12/12 10:30', '李老师', '张三', 'a@example.com, not-an-email', ''],
+    ['第6次', '静物', '2025/12/19 09:00', '2025/12/19 10:30', '李老师', '张三', '', 'REC_1'],
+    ['第7次', '静物', '2025/12/26 09:00', '2025/12/26 10:30', '李老师', '张三', '', 'REC_1'],
+    ['第8次', '复习', '', '', '李老师', '张三', '', '']
+  ], { headers: COURSE_HEADERS.concat(['学生邮箱', '记录ID']) });
+  h.setField('_SheetConfig', 2, '时区', 'Mars/Olympus');
+
+  const issues = Array.from(h.run('validateCourseData'), issue => `${issue.sheetName}:${issue.rowIndex}:${issue.level}:${issue.message}`);
+  assert.deepEqual(issues, [
+    '_SheetConfig:2:错误:张三课程表：无法识别的时区 "Mars/Olympus"（示例：Asia/Shanghai）',
+    `${COURSE_SHEET}:3:错误:开始时间无法识别: 下周五`,
+    `${COURSE_SHEET}:4:错误:结束时间（2025/11/28 09:00）不晚于开始时间（2025/11/28 10:30）`,
+    `${COURSE_SHEET}:5:警告:课时 540 分钟，超过最长课时 240 分钟`,
+    `${COURSE_SHEET}:6:错误:学生邮箱格式错误: not-an-email`,
+    `${COURSE_SHEET}:8:错误:记录ID与第7行重复: REC_1（复制行时请清空记录ID）`,
+    `${COURSE_SHEET}:9:警告:缺少开始时间，此行不会同步`
+  ]);
+
+  // 最长课时可以在配置表中按 Sheet 设置
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['最长课时'], ['600']]);
+  assert.ok(!h.run('validateCourseData').some(issue => /最长课时/.test(issue.message)));
+
+  // 侧边栏通过 getValidationReport 读取问题（"重新校验"再次读取并重新显示），点击一项调用 selectSheetRow 定位
+  h.run('menuValidateData');
+  const sidebar = h.ui.sidebars[h.ui.sidebars.length - 1].output;
+  assert.equal(sidebar.getTitle(), '数据校验');
+  assert.match(sidebar.getContent(), /\.getValidationReport\(\)/);
+  assert.match(sidebar.getContent(), /\.withSuccessHandler\(render\)/);
+  assert.match(sidebar.getContent(), /selectSheetRow/);
+  const report = h.run('getValidationReport');
+  assert.deepEqual([report.errorCount, report.warningCount], [5, 1]);
+  assert.deepEqual(Array.from(report.issues, issue => `${issue.sheetName}:${issue.rowIndex}`), [
+    '_SheetConfig:2', `${COURSE_SHEET}:3`, `${COURSE_SHEET}:4`, `${COURSE_SHEET}:6`, `${COURSE_SHEET}:8`, `${COURSE_SHEET}:9`
+  ]);
+
+  h.run('selectSheetRow', COURSE_SHEET, 6);
+  assert.equal(h.spreadsheet.getActiveSheet().getName(), COURSE_SHEET);
+
+  // 校验不修改日历和表格
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(h.spreadsheet.getSheetByName('_StatusLog_' + COURSE_SHEET), null);
+});
+
+test('撞课检测：跨 Sheet 同一老师时间重叠时写入报告，"拒绝"模式不同步冲突的行', () => {
+  const otherSheet = '李四课程表';
+  const h = createHarness({
+    sheets: {
+      _SheetConfig: [
+        CONFIG_HEADERS.concat(['撞课处理']),
+        [COURSE_SHEET, '是', ORGANIZER, TEACHER, STUDENT, 'Asia/Shanghai', '30', ''],
+        [otherSheet, '是', ORGANIZER, TEACHER, 'lisi@example.com', 'Asia/Shanghai', '30', '拒绝']
+      ],
+      [COURSE_SHEET]: [
+        COURSE_HEADERS,
+        ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三']
+      ],
+      [otherSheet]: [
+        COURSE_HEADERS,
+        ['第1次', '色彩基础', '2025/11/14 10:00', '2025/11/14 11:00', '李老师', '李四'],
+        ['第2次', '色彩进阶', '2025/11/14 10:30', '2025/11/14 11:30', '李老师', '李四']
+      ]
+    }
+  });
+
+  h.run('previewSync');
+  const preview = h.sheetRecords('_SyncPreview').map(entry => `${entry['Sheet']}:${entry['行号']}:${entry['操作']}`).sort();
+  assert.deepEqual(preview, [`${COURSE_SHEET}:2:创建`, `${otherSheet}:2:撞课`, `${otherSheet}:3:撞课`]);
+  assert.equal(h.spreadsheet.getSheetByName('_ConflictReport'), null, '预览不写入撞课报告表');
+
+  h.run('main');
+
+  // 张三课程表为"警告"模式，照常同步；李四课程表为"拒绝"模式，冲突的两行都不同步
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['基础线条']);
+
+  const report = h.sheetRecords('_ConflictReport');
+  const pairs = report.map(entry => `${entry['类型']}:${entry['Sheet']}#${entry['行号']}-${entry['冲突Sheet']}#${entry['冲突行号']}`).sort();
+  assert.deepEqual(pairs, [
+    `学生:${otherSheet}#2-${otherSheet}#3`,
+    `老师:${COURSE_SHEET}#2-${otherSheet}#2`,
+    `老师:${otherSheet}#2-${otherSheet}#3`
+  ]);
+  assert.equal(report.find(entry => entry['Sheet'] === COURSE_SHEET)['处理方式'], `拒绝同步：${otherSheet} 第2行`);
+
+  // 调整时间解决撞课后，下次同步正常创建，报告表被清空
+  h.setField(otherSheet, 2, '开始时间', '2025/11/15 10:00');
+  h.setField(otherSheet, 2, '结束时间', '2025/11/15 11:00');
+  h.setField(otherSheet, 3, '开始时间', '2025/11/16 10:00');
+  h.setField(otherSheet, 3, '结束时间', '2025/11/16 11:00');
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 3);
+  assert.equal(h.sheetRecords('_ConflictReport').length, 0);
+});
+
+test('撞课检测：重复课程展开每一次课检测，跳过的日期和最后一次课之后不算撞课', () => {
+  const h = setup([
+    ['第1-6次', '素描基础', '2025/11/11 09:00', '2025/11/11 10:30', '李老师', '张三', '每周二,四 共6次 跳过2025/11/20'],
+    ['补课', '色彩基础', '2025/11/27 09:30', '2025/11/27 10:30', '李老师', '张三', ''],
+    ['补课', '色彩进阶', '2025/11/20 09:30', '2025/11/20 10:30', '李老师', '张三', ''],
+    ['补课', '色彩复习', '2025/12/02 09:30', '2025/12/02 10:30', '李老师', '张三', '']
+  ], { headers: RECURRING_HEADERS });
+  h.run('main');
+
+  // 第5次课（11/27，跳过的 11/20 仍计入次数）与补课重叠；11/20 已跳过，12/02 在第6次课之后
+  const report = h.sheetRecords('_ConflictReport');
+  assert.deepEqual(report.map(entry => `${entry['类型']}:${entry['行号']}-${entry['冲突行号']}`).sort(), ['学生:2-3', '老师:2-3']);
+  report.forEach(entry => {
+    assert.equal(entry['时间'], '2025-11-27 09:00 ~ 10:30');
+    assert.equal(entry['冲突时间'], '2025-11-27 09:30 ~ 10:30');
+  });
+});
+
+test('空闲检查：受邀者忙碌时记为冲突并写入备注，空闲后重试创建', () => {
+  const h = setup(null, {
+    harness: { calendars: [ORGANIZER, TEACHER] }
+  });
+  // 启用空闲检查
+  h.spreadsheet.getSheetByName('_SheetConfig').getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['空闲检查'], ['是']]);
+  const personal = h.context.Calendar.Events.insert({
+    summary: '私人安排',
+    start: { dateTime: '2025-11-14T09:30:00', timeZone: 'Asia/Shanghai' },
+    end: { dateTime: '2025-11-14T10:00:00', timeZone: 'Asia/Shanghai' }
+  }, TEACHER);
+
+  h.run('main');
+
+  assert.deepEqual(h.events(ORGANIZER).map(event => event.summary), ['透视入门']);
+  const status = statusRecords(h).find(record => record['课次'] === '第1次');
+  assert.equal(status['处理状态'], '冲突');
+  const note = h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote();
+  assert.match(note, /teacher@example\.com 忙碌 2025-11-14 09:30 ~ 10:00/);
+
+  // 老师取消私人安排后，下次同步重试创建并清除备注
+  h.calendarStore.deleteEventManually(TEACHER, personal.id);
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '已完成');
+  assert.equal(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote(), '');
+});
+
+test('空闲检查：修改时间时检查受邀者的忙闲状态，事件原来的时段不算冲突', () => {
+  const h = setup(null, {
+    harness: { calendars: [ORGANIZER, TEACHER] }
+  });
+  h.spreadsheet.getSheetByName('_SheetConfig').getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['空闲检查'], ['是']]);
+  h.run('main');
+  const original = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+
+  // 老师日历中的这节课本身（受邀后显示为忙碌）和一个私人安排
+  const insertBusy = (start, end) => h.context.Calendar.Events.insert({
+    summary: '忙碌',
+    start: { dateTime: start, timeZone: 'Asia/Shanghai' },
+    end: { dateTime: end, timeZone: 'Asia/Shanghai' }
+  }, TEACHER);
+  insertBusy('2025-11-14T09:00:00', '2025-11-14T10:30:00');
+  insertBusy('2025-11-14T12:00:00', '2025-11-14T13:00:00');
+
+  // 推迟半小时：与原来的时段重叠不算冲突
+  h.setField(COURSE_SHEET, 2, '开始时间', '2025/11/14 09:30');
+  h.setField(COURSE_SHEET, 2, '结束时间', '2025/11/14 11:00');
+  h.run('main');
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '已完成');
+  assert.equal(h.events(ORGANIZER).find(event => event.id === original.id).start.dateTime, '2025-11-14T09:30:00+08:00');
+
+  // 改到私人安排的时间：记为冲突，事件保持原来的时间，也不创建新事件
+  h.setField(COURSE_SHEET, 2, '开始时间', '2025/11/14 12:30');
+  h.setField(COURSE_SHEET, 2, '结束时间', '2025/11/14 14:00');
+  h.run('main');
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '冲突');
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.equal(h.events(ORGANIZER).find(event => event.id === original.id).start.dateTime, '2025-11-14T09:30:00+08:00');
+  assert.match(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote(), /teacher@example\.com 忙碌 2025-11-14 12:00 ~ 13:00/);
+});
+
+test('空闲检查：重复课程检查每一次课，不只是第一次', () => {
+  const h = setup([
+    ['第1-4次', '素描基础', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', '每周五 共4次']
+  ], { headers: RECURRING_HEADERS, harness: { calendars: [ORGANIZER, TEACHER] } });
+  h.spreadsheet.getSheetByName('_SheetConfig').getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['空闲检查'], ['是']]);
+  h.context.Calendar.Events.insert({
+    summary: '私人安排',
+    start: { dateTime: '2025-11-28T09:30:00', timeZone: 'Asia/Shanghai' },
+    end: { dateTime: '2025-11-28T10:00:00', timeZone: 'Asia/Shanghai' }
+  }, TEACHER);
+
+  h.run('main');
+
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(statusRecords(h)[0]['处理状态'], '冲突');
+  assert.match(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote(), /teacher@example\.com 忙碌 2025-11-28 09:30 ~ 10:00/);
+});
+
+test('双向同步：日历中拖动的时间拉回表格，两边都修改时按策略处理', () => {
+  const h = setup();
+  const configSheet = h.spreadsheet.getSheetByName('_SheetConfig');
+  configSheet.getRange(1, CONFIG_HEADERS.length + 1, 2, 1).setValues([['双向同步'], ['标记待确认']]);
+  h.run('main');
+
+  // 老师在日历中把第1次拖到 11/15 14:00，并修改标题
+  const first = h.events(ORGANIZER).find(event => event.summary === '基础线条');
+  h.calendarStore.editEventManually(ORGANIZER, first.id, {
+    start: new Date('2025-11-15T14:00:00+08:00'),
+    end: new Date('2025-11-15T15:30:00+08:00'),
+    summary: '基础线条（补课）'
+  });
+  h.recorder.reset();
+  h.run('main');
+
+  const course = h.sheetRecords(COURSE_SHEET).find(record => record['课次'] === '第1次');
+  assert.equal(course['开始时间'], '2025/11/15 14:00');
+  assert.equal(course['结束时间'], '2025/11/15 15:30');
+  assert.equal(course['课程内容/主题'], '基础线条（补课）');
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '已完成');
+  assert.equal(h.callsTo('CalendarApp.Event.setTime').length, 0, '拉回后不应再写回日历');
+
+  // 再次同步：表格和日历一致，没有变化
+  h.recorder.reset();
+  h.run('main');
+  assert.equal(h.callsTo('CalendarApp.Event.setTime').length, 0);
+  assert.equal(h.callsTo('CalendarApp.Event.setTitle').length, 0);
+
+  // 日历和表格都被修改：标记待确认，不同步并写入备注
+  h.calendarStore.editEventManually(ORGANIZER, first.id, {
+    start: new Date('2025-11-16T14:00:00+08:00'),
+    end: new Date('2025-11-16T15:30:00+08:00')
+  });
+  h.setField(COURSE_SHEET, 2, '开始时间', '2025/11/17 14:00');
+  h.setField(COURSE_SHEET, 2, '结束时间', '2025/11/17 15:30');
+  h.run('main');
+
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '待确认');
+  assert.equal(h.events(ORGANIZER).find(event => event.id === first.id).start.dateTime, '2025-11-16T14:00:00+08:00');
+  assert.match(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote(), /日历中为：2025\/11\/16 14:00/);
+
+  // 改为日历优先：日历的时间覆盖表格的修改，并清除备注
+  configSheet.getRange(2, CONFIG_HEADERS.length + 1).setValue('日历优先');
+  h.run('main');
+
+  const resolved = h.sheetRecords(COURSE_SHEET).find(record => record['课次'] === '第1次');
+  assert.equal(resolved['开始时间'], '2025/11/16 14:00');
+  assert.equal(statusRecords(h).find(record => record['课次'] === '第1次')['处理状态'], '已完成');
+  assert.equal(h.spreadsheet.getSheetByName(COURSE_SHEET).getRange(2, 3).getNote(), '');
+  assert.equal(h.events(ORGANIZER).find(event => event.id === first.id).start.dateTime, '2025-11-16T14:00:00+08:00');
+});
+
+test('自动同步：定时触发器不重复安装，编辑课程表后排队同步一次', () => {
+  const h = setup();
+
+  h.run('menuInstallHourlySync');
+  h.run('menuInstallHourlySync');
+  h.ui.nextPromptText = '7点';
+  h.ui.nextResponse = 'OK';
+  h.run('menuInstallDailySync');
+
+  // 每天定时同步替换了每小时同步，只保留一个定时触发器
+  const scheduled = h.triggers.filter(trigger => trigger.getHandlerFunction() === 'main');
+  assert.equal(scheduled.length, 1);
+  assert.equal(scheduled[0].options.atHour, 7);
+
+  h.run('menuInstallEditSync');
+  h.run('menuInstallEditSync');
+  assert.equal(h.triggers.filter(trigger => trigger.getHandlerFunction() === 'onCourseSheetEdit').length, 1);
+  assert.match(h.ui.alerts[h.ui.alerts.length - 1].message, /已经开启/);
+
+  h.run('menuAbout');
+  const about = h.ui.dialogs[h.ui.dialogs.length - 1].output.getContent();
+  assert.match(about, /每天 7 点左右同步/);
+  assert.match(about, /编辑课程表约 5 分钟后自动同步/);
+
+  // 编辑课程表：只排队一次同步；编辑内部表不排队
+  const courseSheet = h.spreadsheet.getSheetByName(COURSE_SHEET);
+  const editEvent = { range: courseSheet.getRange(2, 2), source: h.spreadsheet };
+  h.run('onCourseSheetEdit', editEvent);
+  h.run('onCourseSheetEdit', editEvent);
+  h.run('onCourseSheetEdit', { range: h.spreadsheet.getSheetByName('_SheetConfig').getRange(2, 2), source: h.spreadsheet });
+  const queued = h.triggers.filter(trigger => trigger.getHandlerFunction() === 'runQueuedSync');
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].options.after, 5 * 60 * 1000);
+
+  h.run('runQueuedSync');
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.equal(h.triggers.filter(trigger => trigger.getHandlerFunction() === 'runQueuedSync').length, 0);
+
+  h.run('menuRemoveAutoSync');
+  assert.equal(h.triggers.length, 0);
+});
+
+test('同步锁：另一个同步正在执行时不重复创建事件，过期的锁会被回收', () => {
+  const h = setup();
+  const now = h.context.Date.now();
+  h.documentProperties.setProperty('syncRunLock', JSON.stringify({
+    id: 'other-run', owner: 'main', startedAt: new Date(now).toISOString(), expiresAt: now + 10 * 60 * 1000
+  }));
+
+  // 菜单执行：等待超时后提示正在同步，不访问日历
+  h.run('menuRunSync');
+  assert.equal(h.events(ORGANIZER).length, 0);
+  assert.equal(h.ui.alerts[h.ui.alerts.length - 1].title, '同步正在进行中');
+  assert.ok(h.sleeps.reduce((sum, ms) => sum + ms, 0) >= 29 * 1000, '应等待配置的时间');
+
+  // 触发器执行：只记录日志
+  const summary = h.run('main');
+  assert.equal(summary.busy, true);
+  assert.ok(h.logs.some(line => /另一个同步正在执行.*本次 main 不执行/.test(line)));
+
+  // 上次执行异常中断留下的锁过期后被回收
+  h.clock.advance(11 * 60 * 1000);
+  h.run('main');
+  assert.equal(h.events(ORGANIZER).length, 2);
+  assert.ok(h.logs.some(line => /回收过期的同步锁/.test(line)));
+  assert.equal(h.documentProperties.getProperty('syncRunLock'), null, '同步完成后释放锁');
+});
+
+test('同步面板：按 Sheet 显示上次同步时间、各状态计数和失败的行，可以只同步一个 Sheet 或只重试失败的行', () => {
+  const otherSheet = '李四课程表';
+  const h = setup([
+    ['第1次', '基础线条', '2025/11/14 09:00', '2025/11/14 10:30', '李老师', '张三', ''],
+    ['第2次', '透视入门', '2025/11/21 09:00', '2025/11/21 10:30', '李老师', '张三', '偶尔上课']
+  ], {
+    headers: RECURRING_HEADERS,
+    extraConfigRows: [[otherSheet, '是', ORGANIZER, TEACHER, 'lisi@example.com', 'Asia/Shanghai', '30']]
+  });
+  h.spreadsheet.insertSheet(otherSheet, [
+    COURSE_HEADERS,
+    ['第1次', '色彩基础', '2025/12/01 09:00', '2025/12/01 10:30', '李老师', '李四']
+  ]);
+  h.run('main');
+
+  let data = h.run('getDashboardData');
+  assert.deepEqual(Array.from(data.sheets, sheet => sheet.sheetName), [COURSE_SHEET, otherSheet]);
+  let sheet = data.sheets[0];
+  assert.equal(typeof sheet.lastSyncTime, 'string');
+  assert.ok(sheet.lastSyncTime);
+  assert.equal(sheet.total, 2);
+  assert.deepEqual({ ...sheet.counts }, { '已完成': 1, '失败': 1 });
+  assert.equal(sheet.failures.length, 1);
+  assert.equal(sheet.failures[0].rowIndex, 3);
+  assert.equal(sheet.failures[0].attempts, 1);
+  assert.match(sheet.failures[0].error, /偶尔上课/);
+  assert.deepEqual(JSON.parse(JSON.stringify(data)).sheets[0].failures[0].rowIndex, 3, '返回值可以直接序列化');
+
+  // 重试失败：只处理失败的行，其他行的修改留到下次同步
+  h.setField(COURSE_SHEET, 3, '重复', '');
+  h.setField(COURSE_SHEET, 2, '课程内容/主题', '线条进阶');
+  h.setField(otherSheet, 2, '课程内容/主题', '色彩进阶');
+  let result = h.run('dashboardRetryFailures', COURSE_SHEET);
+  assert.equal(result.success, true);
+  assert.deepEqual({ ...result.result }, { error: '', created: 1, updated: 0, skipped: 0, cancelled: 0, failed: 0 });
+  const titles = () => h.events(ORGANIZER).map(event => event.summary).sort();
+  assert.deepEqual(titles(), ['基础线条', '色彩基础', '透视入门']);
+  assert.deepEqual({ ...h.run('getDashboardData').sheets[0].counts }, { '已完成': 2 });
+  assert.equal(h.run('dashboardRetryFailures', COURSE_SHEET).message, '没有需要重试的失败记录');
+
+  // 同步此表：只同步一个 Sheet
+  result = h.run('dashboardSyncSheet', COURSE_SHEET);
+  assert.equal(result.success, true);
+  assert.equal(result.result.updated, 1);
+  assert.match(result.message, /同步完成/);
+  assert.deepEqual(titles(), ['线条进阶', '色彩基础', '透视入门']);
+  assert.equal(h.run('dashboardSyncSheet', '不存在的表').success, false);
+
+  // 其他 Sheet 的修改由下次完整同步处理
+  h.run('main');
+  assert.deepEqual(titles(), ['线条进阶', '色彩进阶', '透视入门']);
+
+  // 侧边栏通过 google.script.run 读取数据和执行操作
+  h.run('menuShowDashboard');
+  const sidebar = h.ui.sidebars[h.ui.sidebars.length - 1].output;
+  assert.equal(sidebar.getTitle(), '同步面板');
+  for (const name of ['getDashboardData', 'dashboardSyncSheet', 'dashboardRetryFailures', 'selectSheetRow']) {
+    assert.ok(sidebar.getContent().includes(name), name);
+  }
+
+  // 查看状态表：多个 Sheet 时的选择对话框正确调用 google.script.run
+  h.run('menuViewStatus');
+  const picker = h.ui.dialogs[h.ui.dialogs.length - 1].output.getContent();
+  assert.match(picker, /google\.script\.run\.withSuccessHandler\(.*\)\.menuViewStatusSheet\(/);
+  assert.doesNotMatch(picker, /google\.script\.run\(/);
+});
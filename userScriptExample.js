@@ -24,33 +24,39 @@ function onOpen() {
 /**
  * 菜单项：执行同步（包装函数）
  * 注意：菜单项函数必须在用户表格中定义，不能直接在库中调用
+ * 确认对话框和结果提示（另一个同步正在执行、执行时间用完将自动续跑）由库显示
  */
 function menuRunSync() {
-  try {
-    const ui = SpreadsheetApp.getUi();
-    const response = ui.alert(
-      '确认执行同步',
-      '这将处理所有配置的课程表，在组织者日历上创建事件并邀请老师和学生。\n\n是否继续？',
-      ui.ButtonSet.YES_NO
-    );
-    
-    if (response === ui.Button.YES) {
-      CalendarSyncLib.main();
-      ui.alert(
-        '同步完成',
-        '课程同步已完成，请查看执行日志了解详细信息。',
-        ui.ButtonSet.OK
-      );
-    }
-  } catch (error) {
-    const ui = SpreadsheetApp.getUi();
-    const errorMessage = error.message || error.toString() || '未知错误';
-    ui.alert(
-      '执行错误',
-      '同步过程中发生错误：\n' + errorMessage + '\n\n请查看执行日志了解详细信息。',
-      ui.ButtonSet.OK
-    );
-  }
+  CalendarSyncLib.menuRunSync();
+}
+
+/**
+ * 菜单项：预览同步（包装函数）
+ */
+function menuPreviewSync() {
+  CalendarSyncLib.menuPreviewSync();
+}
+
+/**
+ * 菜单项：校验数据（包装函数）
+ */
+function menuValidateData() {
+  CalendarSyncLib.menuValidateData();
+}
+
+/**
+ * 数据校验侧边栏读取校验结果时调用（包装函数，必须返回结果）
+ */
+function getValidationReport() {
+  return CalendarSyncLib.getValidationReport();
+}
+
+/**
+ * 数据校验侧边栏中点击一项时调用（包装函数）
+ * 侧边栏只能调用用户表格中定义的函数，所以必须保留
+ */
+function selectSheetRow(sheetName, rowIndex) {
+  CalendarSyncLib.selectSheetRow(sheetName, rowIndex);
 }
 
 /**
@@ -60,6 +66,34 @@ function menuViewConfig() {
   CalendarSyncLib.menuViewConfig();
 }
 
+/**
+ * 菜单项：同步面板（包装函数）
+ */
+function menuShowDashboard() {
+  CalendarSyncLib.menuShowDashboard();
+}
+
+/**
+ * 同步面板侧边栏读取数据时调用（包装函数，必须返回结果）
+ */
+function getDashboardData() {
+  return CalendarSyncLib.getDashboardData();
+}
+
+/**
+ * 同步面板的"同步此表"按钮调用（包装函数，必须返回结果）
+ */
+function dashboardSyncSheet(sheetName) {
+  return CalendarSyncLib.dashboardSyncSheet(sheetName);
+}
+
+/**
+ * 同步面板的"重试失败"按钮调用（包装函数，必须返回结果）
+ */
+function dashboardRetryFailures(sheetName) {
+  return CalendarSyncLib.dashboardRetryFailures(sheetName);
+}
+
 /**
  * 菜单项：查看状态表（包装函数）
  */
@@ -67,6 +101,20 @@ function menuViewStatus() {
   CalendarSyncLib.menuViewStatus();
 }
 
+/**
+ * 查看状态表对话框中选择 Sheet 后调用（包装函数）
+ */
+function menuViewStatusSheet(sheetName) {
+  CalendarSyncLib.menuViewStatusSheet(sheetName);
+}
+
+/**
+ * 菜单项：查看同步记录（包装函数）
+ */
+function menuViewRunLog() {
+  CalendarSyncLib.menuViewRunLog();
+}
+
 /**
  * 菜单项：关于（包装函数）
  */
@@ -81,3 +129,51 @@ function runSync() {
   CalendarSyncLib.main();
 }
 
+/**
+ * 续跑（包装函数）
+ * 课程较多、单次执行时间不够时，库会创建一次性触发器调用此函数继续同步
+ * 触发器只能调用用户表格中定义的函数，所以必须保留
+ */
+function continueSync() {
+  CalendarSyncLib.continueSync();
+}
+
+/**
+ * 菜单项：自动同步（包装函数）
+ */
+function menuInstallHourlySync() {
+  CalendarSyncLib.menuInstallHourlySync();
+}
+
+function menuInstallDailySync() {
+  CalendarSyncLib.menuInstallDailySync();
+}
+
+function menuInstallEditSync() {
+  CalendarSyncLib.menuInstallEditSync();
+}
+
+function menuViewAutoSync() {
+  CalendarSyncLib.menuViewAutoSync();
+}
+
+function menuRemoveAutoSync() {
+  CalendarSyncLib.menuRemoveAutoSync();
+}
+
+/**
+ * 自动同步触发器调用的函数（包装函数）
+ * 定时同步调用 main，编辑后自动同步调用 onCourseSheetEdit 和 runQueuedSync
+ */
+function main(e) {
+  CalendarSyncLib.main(e); // 传入触发器事件，同步记录中的触发来源才会记为触发器
+}
+
+function onCourseSheetEdit(e) {
+  CalendarSyncLib.onCourseSheetEdit(e);
+}
+
+function runQueuedSync() {
+  CalendarSyncLib.runQueuedSync();
+}
+